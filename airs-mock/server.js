@@ -0,0 +1,172 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getLogger, initializeLogger } from './utils/logger.js';
+
+dotenv.config();
+
+initializeLogger('airs-mock');
+
+/**
+ * Local Prisma AIRS stand-in
+ * Implements POST /v1/scan/sync/request with the request and response schema of the AIRS
+ * API, so phase3 checkpoints can run offline. Verdicts come from detection rules
+ * (rules.json), and ids are derived from the scanned contents: the same request always
+ * gets the same result.
+ *
+ * Environment variables:
+ * - AIRS_MOCK_PORT       : Port to listen on (default 3006)
+ * - AIRS_MOCK_RULES      : Rules file (default rules.json next to this file)
+ * - AIRS_MOCK_TOKEN      : x-pan-token to accept (default any non-empty token)
+ * - AIRS_MOCK_LATENCY_MS : Delay before each scan result (default 0)
+ *
+ * Rule: { name, target: prompt|response|both, detection, pattern, flags, action: block|mask|report }
+ * detection is the prompt_detected / response_detected field the rule sets. "mask" allows
+ * the content and returns it with the matches masked in prompt_masked_data /
+ * response_masked_data; "report" only sets the detection.
+ */
+
+const DEFAULT_RULES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules.json');
+
+// Detection fields of a scan result, all reported even when false
+const PROMPT_DETECTIONS = ['url_cats', 'dlp', 'injection', 'toxic_content', 'malicious_code', 'agent', 'topic_violation'];
+const RESPONSE_DETECTIONS = ['url_cats', 'dlp', 'db_security', 'toxic_content', 'malicious_code', 'agent', 'ungrounded', 'topic_violation'];
+const ACTIONS = ['block', 'mask', 'report'];
+
+/**
+ * Load and compile the detection rules
+ * @returns {Array<{ name, target, detection, action, regex }>}
+ */
+function loadRules(file) {
+  const { rules = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return rules.map((rule) => {
+    const target = rule.target || 'both';
+    const detections = {
+      prompt: PROMPT_DETECTIONS,
+      response: RESPONSE_DETECTIONS,
+      both: PROMPT_DETECTIONS.filter(field => RESPONSE_DETECTIONS.includes(field))
+    }[target];
+    if (!rule.name || !rule.pattern || !ACTIONS.includes(rule.action) || !detections?.includes(rule.detection)) {
+      throw new Error(`Invalid rule ${JSON.stringify(rule)} in ${file}`);
+    }
+    const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+    return { name: rule.name, target, detection: rule.detection, action: rule.action, regex: new RegExp(rule.pattern, flags) };
+  });
+}
+
+/**
+ * Apply the rules of one side (prompt or response) to a text
+ * @returns {{ detected: Object, blocked: boolean, masked: Object|null }}
+ */
+function scanText(text, side, rules) {
+  const fields = side === 'prompt' ? PROMPT_DETECTIONS : RESPONSE_DETECTIONS;
+  const detected = Object.fromEntries(fields.map(field => [field, false]));
+  const patternDetections = [];
+  let blocked = false;
+  let maskedText = text;
+
+  for (const rule of rules.filter(rule => rule.target === side || rule.target === 'both')) {
+    const matches = [...text.matchAll(rule.regex)];
+    if (matches.length === 0) {
+      continue;
+    }
+    detected[rule.detection] = true;
+    blocked ||= rule.action === 'block';
+    if (rule.action === 'mask') {
+      patternDetections.push({ pattern: rule.name, locations: matches.map(match => [match.index, match.index + match[0].length]) });
+      // Same-length mask, so the locations stay valid for the masked text
+      maskedText = maskedText.replace(rule.regex, match => 'X'.repeat(match.length));
+    }
+    getLogger().debug(`${side} matched ${rule.name} (${rule.action})`);
+  }
+
+  return {
+    detected,
+    blocked,
+    masked: patternDetections.length > 0 ? { data: maskedText, pattern_detections: patternDetections } : null
+  };
+}
+
+function apiError(res, status, message) {
+  return res.status(status).json({ error: { message } });
+}
+
+/**
+ * Express app serving the scan API with a set of compiled rules
+ * @param {Object} options
+ * @param {Array} options.rules - From loadRules
+ * @param {number} [options.latencyMs] - Delay before each scan result
+ */
+function createApp({ rules, latencyMs = 0 }) {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post('/v1/scan/sync/request', async (req, res) => {
+    const token = req.get('x-pan-token');
+    if (!token || (process.env.AIRS_MOCK_TOKEN && token !== process.env.AIRS_MOCK_TOKEN)) {
+      return apiError(res, 401, 'Not Authenticated');
+    }
+
+    const { tr_id: trId, ai_profile: profile, contents } = req.body || {};
+    if (!profile?.profile_id && !profile?.profile_name) {
+      return apiError(res, 400, 'ai_profile requires profile_id or profile_name');
+    }
+    if (!Array.isArray(contents) || contents.length === 0 || contents.some(content => !content?.prompt && !content?.response)) {
+      return apiError(res, 400, 'contents requires at least one prompt or response');
+    }
+
+    // The sync API scans one content item
+    const { prompt, response } = contents[0];
+    const promptScan = prompt ? scanText(prompt, 'prompt', rules) : null;
+    const responseScan = response ? scanText(response, 'response', rules) : null;
+    const blocked = Boolean(promptScan?.blocked || responseScan?.blocked);
+    const hash = createHash('sha256').update(JSON.stringify([trId, contents])).digest('hex');
+
+    const result = {
+      action: blocked ? 'block' : 'allow',
+      category: blocked ? 'malicious' : 'benign',
+      profile_id: profile.profile_id || `mock-${profile.profile_name}`,
+      profile_name: profile.profile_name || 'mock-profile',
+      prompt_detected: promptScan?.detected || {},
+      response_detected: responseScan?.detected || {},
+      ...(promptScan?.masked && { prompt_masked_data: promptScan.masked }),
+      ...(responseScan?.masked && { response_masked_data: responseScan.masked }),
+      report_id: `R${hash.slice(0, 32)}`,
+      scan_id: [hash.slice(32, 40), hash.slice(40, 44), hash.slice(44, 48), hash.slice(48, 52), hash.slice(52, 64)].join('-'),
+      tr_id: trId
+    };
+
+    getLogger().info(`Scan ${result.scan_id}: ${result.action} (${result.category})`);
+
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+    res.json(result);
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      server: 'airs-mock',
+      rules: rules.length
+    });
+  });
+
+  return app;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const rulesFile = process.env.AIRS_MOCK_RULES || DEFAULT_RULES;
+  const rules = loadRules(rulesFile);
+  const PORT = process.env.AIRS_MOCK_PORT || 3006;
+
+  createApp({ rules, latencyMs: parseInt(process.env.AIRS_MOCK_LATENCY_MS || '0', 10) }).listen(PORT, () => {
+    getLogger().info(`Prisma AIRS stand-in running on http://localhost:${PORT} (${rules.length} rules from ${rulesFile})`);
+  });
+}
+
+export { createApp, loadRules, DEFAULT_RULES };
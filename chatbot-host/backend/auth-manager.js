@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLogger } from '../utils/logger.js';
+import { IDENTITY_HEADER, signIdentity } from '../utils/identity-token.js';
+import { JwtVerifier } from './jwt-verifier.js';
+import { LocalUserStore } from './local-user-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SESSION_COOKIE = 'otter_session';
+const SESSION_ISSUER = 'chatbot-host';
+const DEFAULT_SESSION_TTL = 28800; // 8 hours, in seconds
+
+/**
+ * Auth Manager
+ * Pluggable authentication for the chatbot host. Providers are enabled with AUTH_PROVIDERS:
+ *   - local: username/password checked against a LocalUserStore, a successful login
+ *            issues a signed session token (HttpOnly cookie)
+ *   - oidc:  bearer tokens from an external identity provider, checked by a JwtVerifier
+ * Whatever the provider, the resolved user has the same shape and is what ends up in
+ * the coordinator's userContext.
+ */
+export class AuthManager {
+  constructor(options = {}) {
+    this.providers = options.providers || ['local'];
+    this.userStore = options.userStore || null;
+    this.oidcVerifier = options.oidcVerifier || null;
+    this.sessionTtl = options.sessionTtl || DEFAULT_SESSION_TTL;
+    this.secureCookie = options.secureCookie || false;
+    this.claimMap = {
+      username: 'preferred_username',
+      email: 'email',
+      name: 'name',
+      role: 'role',
+      department: 'department',
+      employeeId: 'employee_id',
+      ...options.claimMap
+    };
+
+    this.sessionSecret = options.sessionSecret;
+    if (!this.sessionSecret) {
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+      getLogger().warn('AUTH_SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+    }
+    this.sessionVerifier = new JwtVerifier({
+      secret: this.sessionSecret,
+      issuer: SESSION_ISSUER,
+      audience: SESSION_ISSUER,
+      algorithms: ['HS256']
+    });
+
+    if (this.providers.includes('oidc') && !this.oidcVerifier) {
+      getLogger().warn('OIDC provider enabled but no issuer key configured - bearer tokens will be rejected');
+    }
+
+    getLogger().info('Auth providers enabled: ' + this.providers.join(', '));
+  }
+
+  /**
+   * Build an AuthManager from environment variables
+   */
+  static fromEnv(env = process.env) {
+    const providers = (env.AUTH_PROVIDERS || 'local').split(',').map(p => p.trim()).filter(Boolean);
+
+    let userStore = null;
+    if (providers.includes('local')) {
+      userStore = new LocalUserStore(env.AUTH_USERS_FILE || path.join(__dirname, 'users.json'));
+      userStore.load();
+    }
+
+    let oidcVerifier = null;
+    if (providers.includes('oidc') && (env.AUTH_OIDC_JWKS_URI || env.AUTH_OIDC_PUBLIC_KEY_FILE || env.AUTH_OIDC_SECRET)) {
+      const verifierOptions = {
+        issuer: env.AUTH_OIDC_ISSUER,
+        audience: env.AUTH_OIDC_AUDIENCE,
+        jwksUri: env.AUTH_OIDC_JWKS_URI,
+        secret: env.AUTH_OIDC_SECRET
+      };
+      oidcVerifier = env.AUTH_OIDC_PUBLIC_KEY_FILE
+        ? JwtVerifier.fromPublicKeyFile(env.AUTH_OIDC_PUBLIC_KEY_FILE, verifierOptions)
+        : new JwtVerifier(verifierOptions);
+    }
+
+    const claimMap = {};
+    if (env.AUTH_OIDC_ROLE_CLAIM) claimMap.role = env.AUTH_OIDC_ROLE_CLAIM;
+    if (env.AUTH_OIDC_DEPARTMENT_CLAIM) claimMap.department = env.AUTH_OIDC_DEPARTMENT_CLAIM;
+
+    return new AuthManager({
+      providers,
+      userStore,
+      oidcVerifier,
+      claimMap,
+      sessionSecret: env.AUTH_SESSION_SECRET,
+      sessionTtl: parseInt(env.AUTH_SESSION_TTL, 10) || DEFAULT_SESSION_TTL,
+      secureCookie: env.AUTH_SECURE_COOKIE === 'true'
+    });
+  }
+
+  /**
+   * Whether the username/password form can be used
+   */
+  get localLoginEnabled() {
+    return this.providers.includes('local') && !!this.userStore;
+  }
+
+  /**
+   * Check local credentials and issue a session token
+   * Returns null when the credentials are rejected.
+   */
+  login(username, password) {
+    if (!this.localLoginEnabled) {
+      return null;
+    }
+
+    const profile = this.userStore.verifyCredentials(username, password);
+    if (!profile) {
+      getLogger().warn('Failed login attempt for ' + username);
+      return null;
+    }
+
+    const user = this._profileToUser(profile, 'local');
+    const token = JwtVerifier.sign({
+      iss: SESSION_ISSUER,
+      aud: SESSION_ISSUER,
+      sub: user.userId,
+      [this.claimMap.email]: user.email,
+      [this.claimMap.name]: user.name
+    }, { secret: this.sessionSecret, expiresIn: this.sessionTtl });
+
+    getLogger().info('User logged in: ' + user.userId);
+    return { token, user };
+  }
+
+  /**
+   * Resolve the user behind a request, or null if unauthenticated
+   */
+  async authenticate(req) {
+    const bearer = this._getBearerToken(req);
+    const cookie = this._getCookie(req, SESSION_COOKIE);
+
+    // Our own session cookie first, then bearer tokens (session or IdP-issued)
+    for (const token of [cookie, bearer].filter(Boolean)) {
+      const user = await this._authenticateSessionToken(token) || await this._authenticateOidcToken(token);
+      if (user) {
+        return user;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Express middleware populating req.user
+   * With required=true, unauthenticated requests get a 401.
+   */
+  middleware({ required = true } = {}) {
+    return async (req, res, next) => {
+      try {
+        req.user = await this.authenticate(req);
+      } catch (error) {
+        getLogger().error('Authentication error: ' + error.message);
+        req.user = null;
+      }
+
+      if (required && !req.user) {
+        return res.status(401).json({ error: 'unauthenticated', message: 'Authentication required' });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Set the session cookie on a response
+   */
+  setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secureCookie,
+      maxAge: this.sessionTtl * 1000,
+      path: '/'
+    });
+  }
+
+  /**
+   * Clear the session cookie on a response
+   */
+  clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: this.secureCookie, path: '/' });
+  }
+
+  /**
+   * Identity fields forwarded to the coordinator as userContext
+   */
+  static toUserContext(user) {
+    return {
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      department: user.department,
+      employeeId: user.employeeId
+    };
+  }
+
+  /**
+   * Headers that carry the signed identity of a userContext to the gateway
+   * The gateway ignores identity fields that are not signed (see utils/identity-token.js).
+   */
+  static identityHeaders(userContext) {
+    const token = signIdentity(userContext);
+    return token ? { [IDENTITY_HEADER]: token } : {};
+  }
+
+  /**
+   * Verify a chatbot-host session token and reload the user from the store
+   * @private
+   */
+  async _authenticateSessionToken(token) {
+    if (!this.localLoginEnabled) {
+      return null;
+    }
+
+    try {
+      const claims = await this.sessionVerifier.verify(token);
+      // Re-read the store so removed or disabled accounts lose access immediately
+      const profile = this.userStore.getUser(claims.sub);
+      return profile ? this._profileToUser(profile, 'local') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify an IdP-issued token and map its claims
+   * @private
+   */
+  async _authenticateOidcToken(token) {
+    if (!this.providers.includes('oidc') || !this.oidcVerifier) {
+      return null;
+    }
+
+    try {
+      const claims = await this.oidcVerifier.verify(token);
+      return this._claimsToUser(claims);
+    } catch (error) {
+      getLogger().debug('OIDC token rejected: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Map IdP claims to a user, filling gaps from the local directory when possible
+   * @private
+   */
+  _claimsToUser(claims) {
+    const claim = (key) => {
+      const value = claims[this.claimMap[key]];
+      return Array.isArray(value) ? value[0] : value;
+    };
+
+    const email = claim('email');
+    const directoryEntry = email && this.userStore ? this.userStore.getUser(email) : null;
+
+    return {
+      userId: claims.sub,
+      username: claim('username') || email || claims.sub,
+      email,
+      name: claim('name') || directoryEntry?.name,
+      role: claim('role') || directoryEntry?.role,
+      department: claim('department') || directoryEntry?.department,
+      employeeId: claim('employeeId') || directoryEntry?.employeeId,
+      provider: 'oidc'
+    };
+  }
+
+  /**
+   * Normalize a local store profile
+   * @private
+   */
+  _profileToUser(profile, provider) {
+    return {
+      userId: profile.username,
+      username: profile.username,
+      email: profile.email,
+      name: profile.name,
+      role: profile.role,
+      department: profile.department,
+      employeeId: profile.employeeId,
+      provider
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+  }
+
+  /**
+   * @private
+   */
+  _getCookie(req, name) {
+    const cookies = req.headers.cookie || '';
+    for (const part of cookies.split(';')) {
+      const index = part.indexOf('=');
+      if (index !== -1 && part.substring(0, index).trim() === name) {
+        return decodeURIComponent(part.substring(index + 1).trim());
+      }
+    }
+    return null;
+  }
+}
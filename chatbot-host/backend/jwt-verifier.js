@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import axios from 'axios';
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * Supported JWS algorithms and how to verify them
+ * 'none' is deliberately absent.
+ */
+const ALGORITHMS = {
+  HS256: { family: 'hmac', hash: 'sha256' },
+  HS384: { family: 'hmac', hash: 'sha384' },
+  HS512: { family: 'hmac', hash: 'sha512' },
+  RS256: { family: 'rsa', hash: 'sha256' },
+  RS384: { family: 'rsa', hash: 'sha384' },
+  RS512: { family: 'rsa', hash: 'sha512' },
+  ES256: { family: 'ecdsa', hash: 'sha256' },
+  ES384: { family: 'ecdsa', hash: 'sha384' },
+  EdDSA: { family: 'eddsa', hash: null }
+};
+
+const JWKS_REFRESH_INTERVAL = 300000; // Don't refetch JWKS more than every 5 minutes
+
+const base64UrlEncode = (input) => Buffer.from(input).toString('base64url');
+const base64UrlDecode = (input) => Buffer.from(input, 'base64url');
+
+/**
+ * JWT Verifier
+ * OIDC-style ID/access token verification: signature (HMAC secret, PEM public key
+ * or JWKS endpoint), then exp/nbf/iss/aud claims. Also used to sign the
+ * chatbot-host's own session tokens and test tokens from a local key.
+ */
+export class JwtVerifier {
+  constructor(options = {}) {
+    this.issuer = options.issuer || null;
+    this.audience = options.audience || null;
+    this.secret = options.secret || null;
+    this.publicKey = options.publicKey ? crypto.createPublicKey(options.publicKey) : null;
+    this.jwksUri = options.jwksUri || null;
+    this.clockTolerance = options.clockTolerance ?? 30; // seconds
+
+    // HMAC and asymmetric keys are never mixed, to rule out algorithm confusion
+    this.algorithms = options.algorithms || (this.secret
+      ? ['HS256', 'HS384', 'HS512']
+      : ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'EdDSA']);
+
+    this.jwksKeys = new Map(); // kid -> KeyObject
+    this.jwksFetchedAt = 0;
+
+    if (!this.secret && !this.publicKey && !this.jwksUri) {
+      throw new Error('JwtVerifier requires a secret, a public key or a JWKS URI');
+    }
+  }
+
+  /**
+   * Build a verifier whose public key is read from a PEM file
+   */
+  static fromPublicKeyFile(filePath, options = {}) {
+    return new JwtVerifier({ ...options, publicKey: fs.readFileSync(filePath, 'utf8') });
+  }
+
+  /**
+   * Sign a JWT (HMAC algorithms with a secret, RSA/EC/EdDSA with a private key)
+   */
+  static sign(claims, { secret = null, privateKey = null, algorithm = 'HS256', kid = null, expiresIn = 3600 } = {}) {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new Error('Unsupported JWT algorithm: ' + algorithm);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: algorithm, typ: 'JWT' };
+    if (kid) header.kid = kid;
+
+    const payload = { iat: now, exp: now + expiresIn, ...claims };
+    const signingInput = base64UrlEncode(JSON.stringify(header)) + '.' + base64UrlEncode(JSON.stringify(payload));
+
+    let signature;
+    if (spec.family === 'hmac') {
+      if (!secret) throw new Error(algorithm + ' signing requires a secret');
+      signature = crypto.createHmac(spec.hash, secret).update(signingInput).digest();
+    } else {
+      if (!privateKey) throw new Error(algorithm + ' signing requires a private key');
+      const keyOptions = spec.family === 'ecdsa' ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey;
+      signature = crypto.sign(spec.hash, Buffer.from(signingInput), keyOptions);
+    }
+
+    return signingInput + '.' + signature.toString('base64url');
+  }
+
+  /**
+   * Verify a token and return its claims
+   * Throws with a short reason when the token is not acceptable.
+   */
+  async verify(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Missing token');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+      payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+
+    const spec = ALGORITHMS[header.alg];
+    if (!spec || !this.algorithms.includes(header.alg)) {
+      throw new Error('Algorithm not allowed: ' + header.alg);
+    }
+
+    const signingInput = Buffer.from(parts[0] + '.' + parts[1]);
+    const signature = base64UrlDecode(parts[2]);
+
+    if (!(await this._verifySignature(spec, header, signingInput, signature))) {
+      throw new Error('Invalid signature');
+    }
+
+    this._verifyClaims(payload);
+    return payload;
+  }
+
+  /**
+   * Check the signature against the configured key material
+   * @private
+   */
+  async _verifySignature(spec, header, signingInput, signature) {
+    if (spec.family === 'hmac') {
+      const expected = crypto.createHmac(spec.hash, this.secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const key = this.publicKey || await this._getJwksKey(header.kid);
+    const keyOptions = spec.family === 'ecdsa' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+    try {
+      return crypto.verify(spec.hash, signingInput, keyOptions, signature);
+    } catch (error) {
+      getLogger().debug('JWT signature verification error: ' + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Validate time-based and issuer/audience claims
+   * @private
+   */
+  _verifyClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number') {
+      throw new Error('Token has no expiry');
+    }
+    if (now - this.clockTolerance >= payload.exp) {
+      throw new Error('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && now + this.clockTolerance < payload.nbf) {
+      throw new Error('Token not yet valid');
+    }
+    if (this.issuer && payload.iss !== this.issuer) {
+      throw new Error('Unexpected issuer: ' + payload.iss);
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new Error('Unexpected audience');
+      }
+    }
+  }
+
+  /**
+   * Resolve a signing key from the JWKS endpoint, refreshing on unknown kid
+   * @private
+   */
+  async _getJwksKey(kid) {
+    if (!this.jwksUri) {
+      throw new Error('No public key configured');
+    }
+
+    const canRefresh = Date.now() - this.jwksFetchedAt > JWKS_REFRESH_INTERVAL;
+    if ((!this.jwksKeys.has(kid) || this.jwksKeys.size === 0) && canRefresh) {
+      await this._refreshJwks();
+    }
+
+    const key = kid ? this.jwksKeys.get(kid) : this.jwksKeys.values().next().value;
+    if (!key) {
+      throw new Error('No matching JWKS key for kid: ' + kid);
+    }
+    return key;
+  }
+
+  /**
+   * Fetch and cache the JWKS key set
+   * @private
+   */
+  async _refreshJwks() {
+    this.jwksFetchedAt = Date.now();
+    const response = await axios.get(this.jwksUri, { timeout: 5000 });
+    const keys = response.data?.keys || [];
+
+    this.jwksKeys.clear();
+    for (const jwk of keys) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        this.jwksKeys.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        getLogger().warn('Skipping unusable JWKS key ' + jwk.kid + ': ' + error.message);
+      }
+    }
+
+    getLogger().info('Loaded ' + this.jwksKeys.size + ' signing key(s) from ' + this.jwksUri);
+  }
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { getLogger } from '../utils/logger.js';
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Local User Store
+ * Username/password accounts loaded from a JSON file ({ "users": [...] }).
+ * Passwords are kept as `scrypt$<salt>$<hash>` (base64), never in clear text.
+ * Users can sign in with either their username or their email.
+ */
+export class LocalUserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = new Map(); // lowercased username/email -> user record
+  }
+
+  /**
+   * Load users from disk
+   */
+  load() {
+    this.users.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      getLogger().warn('Local user store not found: ' + this.filePath);
+      return 0;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    let count = 0;
+    for (const user of data.users || []) {
+      if (!user.username || !user.passwordHash) {
+        getLogger().warn('Skipping local user without username or passwordHash');
+        continue;
+      }
+      this.users.set(user.username.toLowerCase(), user);
+      if (user.email) {
+        this.users.set(user.email.toLowerCase(), user);
+      }
+      count++;
+    }
+
+    getLogger().info('Loaded ' + count + ' local user(s) from ' + this.filePath);
+    return count;
+  }
+
+  /**
+   * Hash a password for storage in the users file
+   */
+  static hashPassword(password, salt = crypto.randomBytes(16)) {
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return 'scrypt$' + salt.toString('base64') + '$' + hash.toString('base64');
+  }
+
+  /**
+   * Compare a password against a stored hash in constant time
+   */
+  static verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check credentials and return the user's profile, or null
+   */
+  verifyCredentials(username, password) {
+    const user = this.users.get(String(username || '').trim().toLowerCase());
+    if (!user || user.disabled) {
+      return null;
+    }
+    return LocalUserStore.verifyPassword(password, user.passwordHash) ? LocalUserStore.toProfile(user) : null;
+  }
+
+  /**
+   * Get a user's profile by username or email, or null for unknown and disabled accounts
+   */
+  getUser(username) {
+    const user = this.users.get(String(username || '').trim().toLowerCase());
+    return user && !user.disabled ? LocalUserStore.toProfile(user) : null;
+  }
+
+  /**
+   * Strip secrets from a user record
+   */
+  static toProfile(user) {
+    const { passwordHash, disabled, ...profile } = user;
+    return profile;
+  }
+}
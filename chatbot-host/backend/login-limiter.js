@@ -0,0 +1,100 @@
+/**
+ * Failed login limits
+ *
+ * Failed local logins are counted per username and per client IP address over a sliding
+ * window. Once either count reaches its limit, further attempts are refused until the oldest
+ * failure of that count leaves the window - whether or not the password is right, so a
+ * guesser learns nothing while locked out. The username limit stops guessing one account's
+ * password from many addresses; the higher IP limit stops one address from trying many
+ * accounts. A successful login clears its username's failures only: the address may still be
+ * trying other accounts. Counters live in memory and start over when the host restarts.
+ *
+ * Environment variables:
+ * - LOGIN_MAX_FAILURES_USER : Failed logins per username within the window (default 5, 0 = no limit)
+ * - LOGIN_MAX_FAILURES_IP   : Failed logins per client IP address within the window (default 20, 0 = no limit)
+ * - LOGIN_LOCKOUT_WINDOW_MS : Window in milliseconds (default 900000, 15 minutes)
+ */
+
+export class LoginLimiter {
+  /**
+   * @param {Object} [options] - Defaults come from the environment variables above
+   * @param {number} [options.maxUserFailures]
+   * @param {number} [options.maxIpFailures]
+   * @param {number} [options.windowMs]
+   */
+  constructor({
+    maxUserFailures = parseInt(process.env.LOGIN_MAX_FAILURES_USER || '5', 10),
+    maxIpFailures = parseInt(process.env.LOGIN_MAX_FAILURES_IP || '20', 10),
+    windowMs = parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MS || '900000', 10)
+  } = {}) {
+    this.maxUserFailures = maxUserFailures;
+    this.maxIpFailures = maxIpFailures;
+    this.windowMs = windowMs;
+    this.failures = new Map(); // 'user:<username>' or 'ip:<address>' -> failure times within the window
+  }
+
+  /**
+   * Counters of a login attempt, usernames compared case-insensitively
+   */
+  counters({ ip, username }) {
+    return [
+      { key: `user:${String(username).toLowerCase()}`, limit: this.maxUserFailures },
+      ...(ip ? [{ key: `ip:${ip}`, limit: this.maxIpFailures }] : [])
+    ];
+  }
+
+  /**
+   * Failure times of a counter still within the window, dropping the counter once none are
+   */
+  recentFailures(key, now) {
+    const recent = (this.failures.get(key) || []).filter(time => time > now - this.windowMs);
+    if (recent.length) {
+      this.failures.set(key, recent);
+    } else {
+      this.failures.delete(key);
+    }
+    return recent;
+  }
+
+  /**
+   * Whether a login attempt may go ahead
+   * @param {Object} attempt - { ip, username }
+   * @returns {{ retryAfter: number }|null} null when allowed; retryAfter is in seconds
+   */
+  check(attempt) {
+    const now = Date.now();
+    let retryAfter = 0;
+    for (const { key, limit } of this.counters(attempt)) {
+      const recent = this.recentFailures(key, now);
+      if (limit > 0 && recent.length >= limit) {
+        // The count drops below the limit when enough of its oldest failures have left the window
+        const expiry = recent[recent.length - limit] + this.windowMs;
+        retryAfter = Math.max(retryAfter, Math.ceil((expiry - now) / 1000));
+      }
+    }
+    return retryAfter ? { retryAfter: Math.max(1, retryAfter) } : null;
+  }
+
+  /**
+   * Count a failed login against its username and IP address
+   * @param {Object} attempt - { ip, username }
+   */
+  recordFailure(attempt) {
+    const now = Date.now();
+    for (const { key } of this.counters(attempt)) {
+      this.failures.set(key, [...this.recentFailures(key, now), now]);
+    }
+    // Counters nobody checks again would stay forever otherwise
+    for (const key of this.failures.keys()) {
+      this.recentFailures(key, now);
+    }
+  }
+
+  /**
+   * Clear the failures of a username after a successful login
+   * @param {Object} attempt - { username }
+   */
+  recordSuccess({ username }) {
+    this.failures.delete(`user:${String(username).toLowerCase()}`);
+  }
+}
@@ -18,6 +18,8 @@ initializeLogger('chatbot-host');
 // Import MCP components
 import { MCPClient } from './mcp-client.js';
 import { SessionManager } from './session-manager.js';
+import { AuthManager } from './auth-manager.js';
+import { LoginLimiter } from './login-limiter.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -26,19 +28,20 @@ const PORT = process.env.CHATBOT_HOST_PORT || 3002;
 // Configuration
 const COORDINATOR_URL = process.env.COORDINATOR_URL || 'http://mcp-gateway:3001';
 getLogger().info('Coordinator URL: ' + COORDINATOR_URL);
-
-// Static user identity for this demo
-const STATIC_USER_IDENTITY = {
-    name: 'Aurélien Delamarre',
-    email: 'aurelien.delamarre@company.com',
-    role: 'Pre-Sales Engineer',
-    department: 'Sales Department',
-    employeeId: 'EMP-2025-001'
-};
+if (!process.env.REQUESTER_IDENTITY_SECRET) {
+    getLogger().warn('REQUESTER_IDENTITY_SECRET not set - user identities are not signed, the gateway and agents will treat every user as anonymous');
+}
 
 // Initialize Session Manager
 const sessionManager = new SessionManager();
 
+// Initialize authentication (local accounts and/or OIDC bearer tokens, see AUTH_* env vars)
+const authManager = AuthManager.fromEnv();
+const requireAuth = authManager.middleware();
+
+// Failed login limits per username and client IP address (see LOGIN_* env vars)
+const loginLimiter = new LoginLimiter();
+
 // Initialize MCP Client
 const mcpClient = new MCPClient(COORDINATOR_URL, {
     timeout: 120000, // 2 minutes timeout
@@ -48,6 +51,30 @@ const mcpClient = new MCPClient(COORDINATOR_URL, {
 // Helper function to get available providers from LLMProviderFactory
 const getAvailableLLMProviders = () => LLMProviderFactory.getAvailableLLMProviders();
 
+/**
+ * The gateway's localized message when it refused a query over a rate limit or daily budget (HTTP 429)
+ * @param {Error} error - Axios error from the /api/query call
+ * @returns {Promise<string|null>} null for any other error
+ */
+const getRateLimitMessage = async (error) => {
+    if (error.response?.status !== 429) return null;
+    try {
+        let body = error.response.data;
+        if (typeof body?.on === 'function') {
+            // Streaming request: the error body is a stream too
+            let text = '';
+            for await (const chunk of body) {
+                text += chunk;
+            }
+            body = JSON.parse(text);
+        }
+        return body?.message || null;
+    } catch (parseError) {
+        getLogger().warn('Error reading rate limit response: ' + parseError.message);
+        return null;
+    }
+};
+
 // Middleware
 app.use(cors({
     origin: ['http://localhost:3000', 'http://localhost:3002'],
@@ -160,15 +187,74 @@ app.get('/api/languages', (req, res) => {
     }
 });
 
+// Login with local credentials - sets the session cookie
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required.' });
+    }
+
+    const attempt = { ip: req.ip, username };
+    const lockout = loginLimiter.check(attempt);
+    if (lockout) {
+        getLogger().warn(`Login refused for ${username} from ${req.ip}: too many failed attempts`);
+        return res.status(429).set('Retry-After', String(lockout.retryAfter)).json({ error: 'too_many_attempts', message: 'Too many failed login attempts, please try again later', retryAfter: lockout.retryAfter });
+    }
+
+    const result = authManager.login(username, password);
+    if (!result) {
+        loginLimiter.recordFailure(attempt);
+        return res.status(401).json({ error: 'invalid_credentials', message: 'Invalid username or password' });
+    }
+    loginLimiter.recordSuccess(attempt);
+
+    // A fresh login starts a fresh conversation
+    const previousSessionId = sessionManager.getSessionIdForUser(result.user.userId);
+    if (previousSessionId) {
+        sessionManager.terminateSession(previousSessionId, 'login');
+    }
+
+    authManager.setSessionCookie(res, result.token);
+    res.json({ success: true, user: result.user });
+});
+
+// Logout - ends the chat session and clears the session cookie
+app.post('/api/auth/logout', authManager.middleware({ required: false }), (req, res) => {
+    if (req.user) {
+        const sessionId = sessionManager.getSessionIdForUser(req.user.userId);
+        if (sessionId) {
+            sessionManager.terminateSession(sessionId, 'logout');
+        }
+        getLogger().info('User logged out: ' + req.user.userId);
+    }
+
+    authManager.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Current user - 401 (with the enabled providers) when not signed in
+app.get('/api/auth/me', authManager.middleware({ required: false }), (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({
+            authenticated: false,
+            providers: authManager.providers,
+            localLogin: authManager.localLoginEnabled
+        });
+    }
+
+    res.json({ authenticated: true, user: req.user });
+});
+
 // Server-Sent Events endpoint for streaming prompt processing
-app.post('/api/process-prompt', async (req, res) => {
+app.post('/api/process-prompt', requireAuth, async (req, res) => {
     const { messages, language = 'en', phase, llmProvider } = req.body;
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
         return res.status(400).json({ error: 'Messages are required and must be a non-empty array.' });
     }
 
-    const userId = req.headers['x-user-id'] || 'anonymous-user';
+    const userId = req.user.userId;
 
     try {
         // Ensure MCP Client is initialized
@@ -232,20 +318,21 @@ app.post('/api/process-prompt', async (req, res) => {
                 isProcessing = false;
             };
 
+            const userContext = {
+                ...AuthManager.toUserContext(req.user),
+                history: session.messageHistory,
+                sessionId: session.sessionId
+            };
             const response = await axios.post(`${COORDINATOR_URL}/api/query`, {
                 query: userMessage.content,
                 language: language || 'en',
                 phase: phase || 'phase1',
                 llmProvider: llmProvider || 'aws',
-                userContext: {
-                    email: STATIC_USER_IDENTITY.email,
-                    history: session.messageHistory,
-                    sessionId: session.sessionId
-                },
+                userContext,
                 streamThinking: true
             }, {
                 timeout: 1200000,
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...AuthManager.identityHeaders(userContext) },
                 responseType: 'stream'
             });
 
@@ -358,12 +445,25 @@ app.post('/api/process-prompt', async (req, res) => {
             }
 
         } catch (error) {
-            getLogger().error('Error processing query: ' + error.message);
-            res.write('data: ' + JSON.stringify({
-                type: 'error',
-                error: 'Failed to process query',
-                message: error.message
-            }) + '\n\n');
+            const limitMessage = await getRateLimitMessage(error);
+            if (limitMessage) {
+                // Shown as the answer, so the client doesn't retry a refused query
+                getLogger().warn('Query refused by gateway limits: ' + limitMessage);
+                res.write('data: ' + JSON.stringify({
+                    type: 'response',
+                    messages: [{ role: 'assistant', content: limitMessage }],
+                    sessionId: session.sessionId,
+                    source: 'mcp-gateway',
+                    metadata: {}
+                }) + '\n\n');
+            } else {
+                getLogger().error('Error processing query: ' + error.message);
+                res.write('data: ' + JSON.stringify({
+                    type: 'error',
+                    error: 'Failed to process query',
+                    message: error.message
+                }) + '\n\n');
+            }
         }
 
         res.write('data: [DONE]\n\n');
@@ -376,9 +476,9 @@ app.post('/api/process-prompt', async (req, res) => {
 });
 
 // Endpoint to clear session and chat history
-app.post('/api/clear-session', (req, res) => {
+app.post('/api/clear-session', requireAuth, (req, res) => {
     try {
-        const userId = req.headers['x-user-id'] || 'anonymous-user';
+        const userId = req.user.userId;
 
         // Get the user's session ID
         const sessionId = sessionManager.getSessionIdForUser(userId);
@@ -399,14 +499,14 @@ app.post('/api/clear-session', (req, res) => {
 });
 
 // Simple prompt endpoint - returns final answer only (no streaming)
-app.post('/api/prompt', async (req, res) => {
+app.post('/api/prompt', requireAuth, async (req, res) => {
     const { messages, language = 'en', phase, llmProvider } = req.body;
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
         return res.status(400).json({ error: 'Messages are required and must be a non-empty array.' });
     }
 
-    const userId = req.headers['x-user-id'] || 'anonymous-user';
+    const userId = req.user.userId;
 
     try {
         // Ensure MCP Client is initialized
@@ -432,19 +532,21 @@ app.post('/api/prompt', async (req, res) => {
         const userMessage = messages[messages.length - 1];
 
         try {
+            const userContext = {
+                ...AuthManager.toUserContext(req.user),
+                history: session.messageHistory,
+                sessionId: session.sessionId
+            };
             const response = await axios.post(`${COORDINATOR_URL}/api/query`, {
                 query: userMessage.content,
                 language: language || 'en',
                 phase: phase || 'phase1',
                 llmProvider: llmProvider || 'aws',
-                userContext: {
-                    email: STATIC_USER_IDENTITY.email,
-                    history: session.messageHistory,
-                    sessionId: session.sessionId
-                },
+                userContext,
                 streamThinking: false
             }, {
-                timeout: 120000
+                timeout: 120000,
+                headers: AuthManager.identityHeaders(userContext)
             });
 
             const data = response.data;
@@ -490,6 +592,16 @@ app.post('/api/prompt', async (req, res) => {
                 });
             }
         } catch (error) {
+            const limitMessage = await getRateLimitMessage(error);
+            if (limitMessage) {
+                getLogger().warn('Query refused by gateway limits: ' + limitMessage);
+                return res.status(429).json({
+                    success: false,
+                    error: limitMessage,
+                    retryAfter: error.response.data?.retryAfter,
+                    sessionId: session.sessionId
+                });
+            }
             getLogger().error('Error calling coordinator: ' + error.message);
             res.status(500).json({
                 success: false,
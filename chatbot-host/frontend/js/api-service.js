@@ -12,6 +12,7 @@
  *
  * @events
  * - Dispatches: 'apiTimeout' - When a request times out
+ * - Dispatches: 'authRequired' - When the backend answers 401 (session missing or expired)
  *
  * @version 1.0.0
  */
@@ -214,7 +215,14 @@ class ApiService {
             clearTimeout(timeoutId);
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                if (response.status === 401) {
+                    window.dispatchEvent(new CustomEvent('authRequired', {
+                        detail: { endpoint: endpoint, method: method }
+                    }));
+                }
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
 
             return returnResponse ? response : await response.json();
@@ -703,6 +703,25 @@ export class ChatHandler {
                     </div>
                 `;
             }
+
+            const usage = this.#tokenMetadata.usage?.total;
+            for (const entry of usage?.models || []) {
+                messageHTML += `
+                    <div class="token-info-row token-info-detail">
+                        <span class="token-label-detail">${this.#escapeHtml(entry.model)}:</span>
+                        <span class="token-count-detail" title="${entry.promptTokens} + ${entry.completionTokens}">${entry.totalTokens}</span>
+                    </div>
+                `;
+            }
+
+            if (usage && usage.cost !== null) {
+                messageHTML += `
+                    <div class="token-info-row token-info-detail">
+                        <span class="token-label-detail" data-i18n="chat.estimatedCost">${this.#i18n.t('chat.estimatedCost')}:</span>
+                        <span class="token-count-detail">${this.#formatCost(usage.cost, usage.currency)}</span>
+                    </div>
+                `;
+            }
             
             messageHTML += `
                 </div>
@@ -959,7 +978,7 @@ export class ChatHandler {
 
     /**
      * @description Set token metadata
-     * @param {Object} metadata - Token usage metadata
+     * @param {Object} metadata - Token usage metadata (token totals, and per-model usage and cost in usage)
      * @private
      */
     #setTokenMetadata(metadata) {
@@ -1106,4 +1125,19 @@ export class ChatHandler {
             minute: '2-digit'
         }).format(new Date());
     }
+
+    /**
+     * @description Format an estimated LLM cost; fractions of a cent keep three significant digits
+     * @param {number} cost - Cost in the given currency
+     * @param {string} currency - ISO currency code from the gateway's price table
+     * @returns {string} Formatted cost
+     * @private
+     */
+    #formatCost(cost, currency = 'USD') {
+        return new Intl.NumberFormat(this.#currentLanguage, {
+            style: 'currency',
+            currency,
+            maximumSignificantDigits: 3
+        }).format(cost);
+    }
 }
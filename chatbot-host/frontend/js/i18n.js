@@ -15,6 +15,7 @@
  *
  * @events
  * - Listens: 'phaseChanged' - Re-renders questions for new phase
+ * - Listens: 'userChanged' - Re-renders the greeting for the signed-in user
  * - Dispatches: 'languageChanged' - When user changes language
  *
  * @version 1.0.0
@@ -68,6 +69,9 @@ class I18nService {
     /** @type {string|null} Current phase for question rendering */
     #currentPhase;
 
+    /** @type {string} Display name of the signed-in user, used in the greeting */
+    #userName;
+
     /** @type {Object} Cached DOM element references */
     #elements;
 
@@ -88,6 +92,7 @@ class I18nService {
         this.#translations = {};
         this.#cachedLanguagesData = null;
         this.#currentPhase = null;
+        this.#userName = '';
         this.#elements = {};
         this.#boundHandlers = {};
     }
@@ -128,6 +133,7 @@ class I18nService {
         this.#translations = {};
         this.#cachedLanguagesData = null;
         this.#currentPhase = null;
+        this.#userName = '';
         this.#elements = {};
         this.#boundHandlers = {};
 
@@ -302,6 +308,17 @@ class I18nService {
         }
     }
 
+    /**
+     * Handles user change event to refresh the greeting
+     * @private
+     * @param {CustomEvent} event - User change event with the user profile (or null)
+     * @returns {void}
+     */
+    #onUserChanged(event) {
+        this.#userName = event.detail?.user?.name || '';
+        this.#updateGreeting();
+    }
+
     /**
      * Handles language select dropdown change
      * @private
@@ -388,9 +405,17 @@ class I18nService {
             }
         });
 
+        this.#updateGreeting();
+    }
+
+    /**
+     * Updates the welcome message with the signed-in user's name
+     * @private
+     * @returns {void}
+     */
+    #updateGreeting() {
         if (this.#elements.welcomeMessage) {
-            const userName = this.t('userProfile.name');
-            this.#elements.welcomeMessage.textContent = this.t('chat.greeting', { name: userName });
+            this.#elements.welcomeMessage.textContent = this.t('chat.greeting', { name: this.#userName });
         }
     }
 
@@ -497,6 +522,7 @@ class I18nService {
     #bindEventHandlers() {
         this.#boundHandlers = {
             phaseChanged: this.#onPhaseChanged.bind(this),
+            userChanged: this.#onUserChanged.bind(this),
             languageChangedForQuestions: this.#onLanguageChangedForQuestions.bind(this),
             languageSelectChange: this.#onLanguageSelectChange.bind(this)
         };
@@ -509,6 +535,7 @@ class I18nService {
      */
     #attachListeners() {
         window.addEventListener('phaseChanged', this.#boundHandlers.phaseChanged);
+        window.addEventListener('userChanged', this.#boundHandlers.userChanged);
         window.addEventListener('languageChanged', this.#boundHandlers.languageChangedForQuestions);
         this.#elements.languageSelect?.addEventListener('change', this.#boundHandlers.languageSelectChange);
     }
@@ -520,6 +547,7 @@ class I18nService {
      */
     #detachListeners() {
         window.removeEventListener('phaseChanged', this.#boundHandlers.phaseChanged);
+        window.removeEventListener('userChanged', this.#boundHandlers.userChanged);
         window.removeEventListener('languageChanged', this.#boundHandlers.languageChangedForQuestions);
         this.#elements.languageSelect?.removeEventListener('change', this.#boundHandlers.languageSelectChange);
     }
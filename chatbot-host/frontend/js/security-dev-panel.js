@@ -8,6 +8,7 @@
  * @responsibilities
  *   - Display real-time security checkpoint events from ChatHandler
  *   - Show checkpoint status (approved/blocked) with visual indicators
+ *   - Flag degraded decisions (fail-open, fail-closed, scan-after) when a scanner was unavailable
  *   - Provide collapsible JSON details for each checkpoint's input/output
  *   - Track and display checkpoint count via badge notification
  *   - Support panel resize (medium/large) for detailed inspection
@@ -273,7 +274,8 @@ export class SecurityDevPanel {
 
         const action = checkpoint.output?.action;
         const isApproved = action === 'allow';
-        const statusClass = isApproved ? 'approved' : 'blocked';
+        const { degraded } = checkpoint;
+        const statusClass = isApproved ? (degraded ? 'degraded' : 'approved') : 'blocked';
 
         const item = this.#createElement('div', `security-live-item ${statusClass}`);
 
@@ -282,7 +284,7 @@ export class SecurityDevPanel {
         );
 
         const header = this.#createElement('div', 'checkpoint-header');
-        header.appendChild(this.#createElement('span', 'checkpoint-icon', isApproved ? '✅' : '🚫'));
+        header.appendChild(this.#createElement('span', 'checkpoint-icon', isApproved ? (degraded ? '⚠️' : '✅') : '🚫'));
         header.appendChild(this.#buildCheckpointLink(checkpoint));
         header.appendChild(this.#createElement('span', 'checkpoint-latency', `${checkpoint.latency_ms}ms`));
         item.appendChild(header);
@@ -292,12 +294,34 @@ export class SecurityDevPanel {
         const statusText = (action?.toUpperCase() ?? 'UNKNOWN') + (checkpoint.output?.category ? ` (${checkpoint.output.category})` : '');
         item.appendChild(this.#createElement('div', `checkpoint-status ${statusClass}`, statusText));
 
+        if (degraded) {
+            item.appendChild(this.#createElement('div', 'checkpoint-degraded', this.#formatDegraded(degraded)));
+        }
+
         item.appendChild(this.#buildDetailsSection(checkpoint));
 
         liveFeed.appendChild(item);
         liveFeed.scrollTop = liveFeed.scrollHeight;
     }
 
+    /**
+     * Describe a degraded checkpoint decision
+     *
+     * @param {Object} degraded - { decision, reason, scanner, attempts } from the checkpoint policy
+     * @returns {string}
+     * @private
+     */
+    #formatDegraded(degraded) {
+        const text = this.#i18n.t(`security.degraded.${degraded.decision}`);
+        if (!degraded.reason) return text;
+
+        const details = this.#i18n.t(`security.degraded.${degraded.reason}`, {
+            scanner: degraded.scanner,
+            attempts: degraded.attempts
+        });
+        return `${text} - ${details}`;
+    }
+
     /**
      * Build the collapsible details section for a checkpoint
      *
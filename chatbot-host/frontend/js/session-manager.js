@@ -1,15 +1,17 @@
 /**
- * @fileoverview Session Manager - Handles session lifecycle and server communication
+ * @fileoverview Session Manager - Handles authentication, session lifecycle and server communication
  * @responsibilities
+ * - Resolve the signed-in user and show the login form when there is none
  * - Generate and manage unique session identifiers
  * - Handle page lifecycle events (load, unload)
- * - Manage logout functionality and session cleanup
+ * - Manage login/logout functionality and session cleanup
  * - Synchronize client and server session state
  * @dependencies
  * - apiService: API communication service for backend calls
  * - i18n: Internationalization service for translated messages
  * @events
- * - Listens: beforeunload (window)
+ * - Listens: beforeunload (window), authRequired (window)
+ * - Dispatches: userChanged (signed-in user profile, or null)
  * - Dispatches: appNotification (for logout success/error messages)
  * @version 1.0.0
  */
@@ -52,6 +54,9 @@ class SessionManager {
     /** @type {string} Current session identifier @private */
     #sessionId;
 
+    /** @type {Object|null} Signed-in user profile @private */
+    #user;
+
     /** @type {Object} Cached DOM element references @private */
     #elements;
 
@@ -71,6 +76,7 @@ class SessionManager {
         this.#apiService = apiService;
         this.#i18n = i18n;
         this.#sessionId = this.#generateSessionId();
+        this.#user = null;
         this.#elements = {};
         this.#boundHandlers = {};
     }
@@ -85,16 +91,18 @@ class SessionManager {
      * @returns {Promise<void>}
      */
     async init() {
-        if (!this.#getStoredSessionId()) {
+        this.#cacheElements();
+        this.#bindEventHandlers();
+        this.#attachListeners();
+
+        const authenticated = await this.#loadCurrentUser();
+
+        if (authenticated && !this.#getStoredSessionId()) {
             this.#storeSessionId();
             await this.#clearSession();
             console.log('[SessionManager] Fresh page load detected, cleared server-side session');
         }
 
-        this.#cacheElements();
-        this.#bindEventHandlers();
-        this.#attachListeners();
-
         console.log('[SessionManager] Initialized');
     }
 
@@ -104,12 +112,25 @@ class SessionManager {
      */
     destroy() {
         this.#detachListeners();
+        this.#user = null;
         this.#elements = {};
         this.#boundHandlers = {};
 
         console.log('[SessionManager] Destroyed');
     }
 
+    // ═══════════════════════════════════════════════════════════════════════
+    // PUBLIC API METHODS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Get the signed-in user's profile
+     * @returns {Object|null} User profile (name, email, role, department) or null
+     */
+    getUser() {
+        return this.#user;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // EVENT HANDLERS (PRIVATE)
     // ═══════════════════════════════════════════════════════════════════════
@@ -123,6 +144,59 @@ class SessionManager {
         this.#clearStoredSessionId();
     }
 
+    /**
+     * Handle login form submission
+     * @async
+     * @private
+     * @param {SubmitEvent} event - Submit event
+     * @returns {Promise<void>}
+     */
+    async #onLoginSubmit(event) {
+        event.preventDefault();
+
+        const { usernameInput, passwordInput, loginSubmit } = this.#elements;
+        this.#showLoginError('');
+        loginSubmit.disabled = true;
+
+        try {
+            const response = await this.#apiService.post('/api/auth/login', {
+                username: usernameInput.value.trim(),
+                password: passwordInput.value
+            });
+
+            passwordInput.value = '';
+            this.#storeSessionId();
+            this.#setUser(response.user);
+            console.log('[SessionManager] Logged in as', response.user.userId);
+        } catch (error) {
+            const [key, fallback] = {
+                401: ['auth.invalidCredentials', 'Invalid username or password'],
+                429: ['auth.tooManyAttempts', 'Too many failed sign-in attempts, please try again later']
+            }[error.status] || ['auth.loginError', 'Unable to sign in'];
+            this.#showLoginError(this.#i18n?.t(key) || fallback);
+            passwordInput.select();
+        } finally {
+            loginSubmit.disabled = false;
+        }
+    }
+
+    /**
+     * Handle authRequired event (a request was rejected with 401)
+     * @private
+     * @param {CustomEvent} event - Event with the rejected endpoint
+     * @returns {void}
+     */
+    #onAuthRequired(event) {
+        // Login and /me failures are handled by their callers
+        if (event.detail?.endpoint?.startsWith('/api/auth/') || !this.#user) {
+            return;
+        }
+
+        console.warn('[SessionManager] Session expired, asking user to sign in again');
+        this.#setUser(null);
+        this.#showLoginError(this.#i18n?.t('auth.sessionExpired') || 'Your session has expired, please sign in again');
+    }
+
     /**
      * Handle logout button click event
      * @async
@@ -144,6 +218,8 @@ class SessionManager {
 
             setTimeout(() => {
                 console.log('[SessionManager] Logout complete');
+                // Reload so no conversation from the previous user stays on screen
+                window.location.reload();
             }, LOGOUT_COMPLETE_DELAY);
         } catch (error) {
             console.error('[SessionManager] Error during logout:', error);
@@ -166,9 +242,40 @@ class SessionManager {
     #cacheElements() {
         this.#elements = {
             logoutButton: document.getElementById('userMenuLogout'),
+            loginOverlay: document.getElementById('login-overlay'),
+            loginForm: document.getElementById('login-form'),
+            usernameInput: document.getElementById('login-username'),
+            passwordInput: document.getElementById('login-password'),
+            loginError: document.getElementById('login-error'),
+            loginSubmit: document.getElementById('login-submit'),
         };
     }
 
+    /**
+     * Show or hide the login overlay
+     * @private
+     * @param {boolean} visible - Whether the overlay should be shown
+     * @returns {void}
+     */
+    #toggleLoginOverlay(visible) {
+        this.#elements.loginOverlay?.classList.toggle('show', visible);
+        if (visible) {
+            this.#elements.usernameInput?.focus();
+        }
+    }
+
+    /**
+     * Display an error message on the login form
+     * @private
+     * @param {string} message - Message to display (empty to clear)
+     * @returns {void}
+     */
+    #showLoginError(message) {
+        if (this.#elements.loginError) {
+            this.#elements.loginError.textContent = message;
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // EVENT LISTENER MANAGEMENT (PRIVATE)
     // ═══════════════════════════════════════════════════════════════════════
@@ -182,6 +289,8 @@ class SessionManager {
         this.#boundHandlers = {
             beforeUnload: this.#onBeforeUnload.bind(this),
             logoutClick: this.#onLogoutClick.bind(this),
+            loginSubmit: this.#onLoginSubmit.bind(this),
+            authRequired: this.#onAuthRequired.bind(this),
         };
     }
 
@@ -192,7 +301,9 @@ class SessionManager {
      */
     #attachListeners() {
         window.addEventListener('beforeunload', this.#boundHandlers.beforeUnload);
+        window.addEventListener('authRequired', this.#boundHandlers.authRequired);
         this.#elements.logoutButton?.addEventListener('click', this.#boundHandlers.logoutClick);
+        this.#elements.loginForm?.addEventListener('submit', this.#boundHandlers.loginSubmit);
     }
 
     /**
@@ -202,7 +313,9 @@ class SessionManager {
      */
     #detachListeners() {
         window.removeEventListener('beforeunload', this.#boundHandlers.beforeUnload);
+        window.removeEventListener('authRequired', this.#boundHandlers.authRequired);
         this.#elements.logoutButton?.removeEventListener('click', this.#boundHandlers.logoutClick);
+        this.#elements.loginForm?.removeEventListener('submit', this.#boundHandlers.loginSubmit);
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -218,6 +331,41 @@ class SessionManager {
         return `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Fetch the signed-in user from the backend
+     * @async
+     * @private
+     * @returns {Promise<boolean>} True if a user is signed in
+     */
+    async #loadCurrentUser() {
+        try {
+            const response = await this.#apiService.get('/api/auth/me');
+            this.#setUser(response.user);
+            return true;
+        } catch (error) {
+            if (error.status !== 401) {
+                console.error('[SessionManager] Failed to load current user:', error);
+            }
+            this.#setUser(null);
+            return false;
+        }
+    }
+
+    /**
+     * Update the signed-in user and notify other modules
+     * @private
+     * @param {Object|null} user - User profile, or null when signed out
+     * @returns {void}
+     */
+    #setUser(user) {
+        this.#user = user;
+        this.#toggleLoginOverlay(!user);
+        if (user) {
+            this.#showLoginError('');
+        }
+        window.dispatchEvent(new CustomEvent('userChanged', { detail: { user } }));
+    }
+
     /**
      * Clear session on the backend
      * @async
@@ -237,7 +385,7 @@ class SessionManager {
     }
 
     /**
-     * Logout user - clears both client and server session
+     * Logout user - ends the server session and clears the auth cookie
      * @async
      * @private
      * @returns {Promise<boolean>} True if logout was successful
@@ -246,7 +394,7 @@ class SessionManager {
     async #logout() {
         try {
             this.#clearStoredSessionId();
-            await this.#clearSession();
+            await this.#apiService.post('/api/auth/logout', {});
 
             console.log('[SessionManager] User logged out and session cleared');
             return true;
@@ -12,6 +12,7 @@
  *
  * @events
  * - Listens: 'appNotification' (window) - Generic notification requests from any module
+ * - Listens: 'userChanged' (window) - Signed-in user changed, refreshes the user menu
  *
  * @version 1.0.0
  */
@@ -86,6 +87,13 @@ class UIManager {
      */
     #notificationContainer = null;
 
+    /**
+     * @type {Object|null}
+     * @private
+     * @description Profile of the signed-in user (name, email, role, department)
+     */
+    #user = null;
+
     /**
      * @type {Object.<string, Function>}
      * @private
@@ -200,6 +208,18 @@ class UIManager {
         this.showNotification(message, type, duration);
     }
 
+    /**
+     * Handles the userChanged custom event.
+     *
+     * @param {CustomEvent} event - The event with the signed-in user (or null)
+     * @private
+     * @returns {void}
+     */
+    #onUserChanged(event) {
+        this.#user = event.detail?.user || null;
+        this.#updateUserMenu();
+    }
+
     /**
      * Handles click on the user menu trigger button.
      *
@@ -250,6 +270,8 @@ class UIManager {
             userMenuDropdown: document.getElementById('userMenuDropdown'),
             userMenuName: document.getElementById('userMenuName'),
             userMenuEmail: document.getElementById('userMenuEmail'),
+            userMenuRole: document.getElementById('userMenuRole'),
+            userMenuDepartment: document.getElementById('userMenuDepartment'),
             userMenuLabel: document.getElementById('userMenuLabel')
         };
     }
@@ -304,20 +326,29 @@ class UIManager {
     }
 
     /**
-     * Updates user menu elements with localized content.
+     * Updates user menu elements with the signed-in user's profile and localized content.
      *
      * @private
      * @returns {void}
      */
     #updateUserMenu() {
-        const { userMenuName, userMenuEmail, userMenuLabel } = this.#elements;
+        const { userMenuName, userMenuEmail, userMenuRole, userMenuDepartment, userMenuLabel } = this.#elements;
+        const user = this.#user || {};
 
         if (userMenuName) {
-            userMenuName.textContent = this.#i18n.t('userProfile.name');
+            userMenuName.textContent = user.name || '';
         }
 
         if (userMenuEmail) {
-            userMenuEmail.textContent = this.#i18n.t('userProfile.email');
+            userMenuEmail.textContent = user.email || '';
+        }
+
+        if (userMenuRole) {
+            userMenuRole.textContent = user.role || '';
+        }
+
+        if (userMenuDepartment) {
+            userMenuDepartment.textContent = user.department || '';
         }
 
         if (userMenuLabel) {
@@ -338,6 +369,7 @@ class UIManager {
     #bindEventHandlers() {
         this.#boundHandlers = {
             appNotification: this.#onAppNotification.bind(this),
+            userChanged: this.#onUserChanged.bind(this),
             userMenuTriggerClick: this.#onUserMenuTriggerClick.bind(this),
             documentClick: this.#onDocumentClick.bind(this)
         };
@@ -351,6 +383,7 @@ class UIManager {
      */
     #attachListeners() {
         window.addEventListener('appNotification', this.#boundHandlers.appNotification);
+        window.addEventListener('userChanged', this.#boundHandlers.userChanged);
 
         this.#elements.userMenuTrigger?.addEventListener(
             'click',
@@ -368,6 +401,7 @@ class UIManager {
      */
     #detachListeners() {
         window.removeEventListener('appNotification', this.#boundHandlers.appNotification);
+        window.removeEventListener('userChanged', this.#boundHandlers.userChanged);
 
         this.#elements.userMenuTrigger?.removeEventListener(
             'click',
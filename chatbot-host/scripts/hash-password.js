@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Hash a password for the local user store (backend/users.json)
+ *
+ * Prints a `scrypt$<salt>$<hash>` string to paste into a user's "passwordHash" field.
+ *
+ * Usage: npm run hash-password -- <password>
+ */
+
+import crypto from 'crypto';
+
+const SCRYPT_KEY_LENGTH = 64; // Must match backend/local-user-store.js
+
+const password = process.argv[2];
+if (!password) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+}
+
+const salt = crypto.randomBytes(16);
+const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+console.log('scrypt$' + salt.toString('base64') + '$' + hash.toString('base64'));
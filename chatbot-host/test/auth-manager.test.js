@@ -0,0 +1,87 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { AuthManager } from '../backend/auth-manager.js';
+import { LocalUserStore } from '../backend/local-user-store.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const PASSWORD = 'correct horse';
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * AuthManager over a users file holding one account
+ */
+function createAuth(account = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'users.json');
+  const write = user => fs.writeFileSync(file, JSON.stringify({ users: user ? [user] : [] }));
+  const user = {
+    username: 'jane.doe',
+    email: 'jane.doe@company.com',
+    name: 'Jane Doe',
+    role: 'Engineer',
+    passwordHash: LocalUserStore.hashPassword(PASSWORD),
+    ...account
+  };
+  write(user);
+
+  const userStore = new LocalUserStore(file);
+  userStore.load();
+  const auth = new AuthManager({ providers: ['local'], userStore, sessionSecret: 'test-secret' });
+  // Rewrite the account and reload the store, as an administrator would
+  const update = (changes) => {
+    write(changes && { ...user, ...changes });
+    userStore.load();
+  };
+  return { auth, update };
+}
+
+const withCookie = token => ({ headers: { cookie: `otter_session=${encodeURIComponent(token)}` } });
+const withBearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('a session token resolves to its user', async () => {
+  const { auth } = createAuth();
+  const { token } = auth.login('jane.doe', PASSWORD);
+
+  assert.equal((await auth.authenticate(withCookie(token)))?.email, 'jane.doe@company.com');
+  assert.equal((await auth.authenticate(withBearer(token)))?.email, 'jane.doe@company.com');
+});
+
+test('a disabled account cannot log in', () => {
+  const { auth } = createAuth({ disabled: true });
+  assert.equal(auth.login('jane.doe', PASSWORD), null);
+});
+
+test('disabling an account ends its existing sessions', async () => {
+  const { auth, update } = createAuth();
+  const { token } = auth.login('jane.doe', PASSWORD);
+
+  update({ disabled: true });
+
+  assert.equal(await auth.authenticate(withCookie(token)), null);
+  assert.equal(await auth.authenticate(withBearer(token)), null);
+});
+
+test('removing an account ends its existing sessions', async () => {
+  const { auth, update } = createAuth();
+  const { token } = auth.login('jane.doe', PASSWORD);
+
+  update(null);
+
+  assert.equal(await auth.authenticate(withCookie(token)), null);
+});
+
+test('disabled accounts are not returned by the user store', () => {
+  const { auth, update } = createAuth();
+  update({ disabled: true });
+  assert.equal(auth.userStore.getUser('jane.doe'), null);
+  assert.equal(auth.userStore.getUser('jane.doe@company.com'), null);
+});
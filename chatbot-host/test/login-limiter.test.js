@@ -0,0 +1,74 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoginLimiter } from '../backend/login-limiter.js';
+
+afterEach(() => mock.timers.reset());
+
+const JANE = { ip: '10.0.0.1', username: 'jane.doe' };
+
+test('a username is locked out after its failures, from any address', () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new LoginLimiter({ maxUserFailures: 3, maxIpFailures: 20, windowMs: 60000 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.check(JANE), null);
+    mock.timers.tick(1000);
+    limiter.recordFailure({ ...JANE, ip: `10.0.0.${i + 1}` });
+  }
+
+  assert.deepEqual(limiter.check({ ip: '10.0.0.9', username: 'Jane.Doe' }), { retryAfter: 58 });
+  assert.equal(limiter.check({ ip: '10.0.0.9', username: 'tom.lee' }), null);
+
+  // Once the oldest failure leaves the window, one more attempt is allowed
+  mock.timers.tick(58000);
+  assert.equal(limiter.check(JANE), null);
+});
+
+test('an address is locked out after failing on many usernames', () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new LoginLimiter({ maxUserFailures: 3, maxIpFailures: 4, windowMs: 60000 });
+
+  ['a', 'b', 'c', 'd'].forEach(username => limiter.recordFailure({ ip: '10.0.0.1', username }));
+
+  assert.deepEqual(limiter.check({ ip: '10.0.0.1', username: 'e' }), { retryAfter: 60 });
+  assert.equal(limiter.check({ ip: '10.0.0.2', username: 'e' }), null);
+});
+
+test('a successful login clears the username\'s failures but not the address\'s', () => {
+  const limiter = new LoginLimiter({ maxUserFailures: 2, maxIpFailures: 3, windowMs: 60000 });
+
+  limiter.recordFailure(JANE);
+  limiter.recordFailure(JANE);
+  assert.ok(limiter.check(JANE));
+
+  limiter.recordSuccess({ username: 'JANE.DOE' });
+  assert.equal(limiter.check(JANE), null);
+  limiter.recordFailure({ ip: JANE.ip, username: 'tom.lee' });
+  assert.ok(limiter.check({ ip: JANE.ip, username: 'nina.park' }));
+});
+
+test('expired failures are dropped and a limit of 0 never locks out', () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new LoginLimiter({ maxUserFailures: 0, maxIpFailures: 0, windowMs: 1000 });
+
+  for (let i = 0; i < 50; i++) {
+    limiter.recordFailure(JANE);
+  }
+  assert.equal(limiter.check(JANE), null);
+
+  mock.timers.tick(2000);
+  limiter.recordFailure({ ip: '10.0.0.2', username: 'tom.lee' });
+  assert.deepEqual([...limiter.failures.keys()], ['user:tom.lee', 'ip:10.0.0.2']);
+});
+
+test('limits default to the environment', () => {
+  process.env.LOGIN_MAX_FAILURES_USER = '7';
+  try {
+    const limiter = new LoginLimiter();
+    assert.equal(limiter.maxUserFailures, 7);
+    assert.equal(limiter.maxIpFailures, 20);
+    assert.equal(limiter.windowMs, 900000);
+  } finally {
+    delete process.env.LOGIN_MAX_FAILURES_USER;
+  }
+});
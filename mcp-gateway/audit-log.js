@@ -0,0 +1,247 @@
+/**
+ * Append-only audit log of the security checkpoint verdicts
+ *
+ * Every scan of a phase3 checkpoint adds one JSON line to the log file: verdict, category,
+ * report ID, scanner, requester, session, agent and latency, plus any degraded decision
+ * (see checkpoint-policy.js). Entries are never changed or removed by the gateway; the
+ * file is meant to be rotated and archived outside of it. GET /api/audit queries the log
+ * and exports it as JSON or CSV.
+ *
+ * Environment variables:
+ * - AUDIT_LOG         : "false" turns the audit log off (default on)
+ * - AUDIT_LOG_FILE    : JSON Lines file (default logs/security-audit.jsonl)
+ * - AUDIT_LOG_CONTENT : Scanned content kept with each entry: "redacted" (default; emails,
+ *                       IBANs, phone numbers, amounts and the names the request knows
+ *                       masked), "raw" or "none"
+ */
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { getLogger } from './utils/logger.js';
+import { DLP_PATTERNS } from './security-scanners.js';
+
+const CONTENT_MODES = ['redacted', 'raw', 'none'];
+const VERDICTS = ['allowed', 'masked', 'blocked', 'deferred'];
+const MAX_LIMIT = 10000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'timestamp', 'requestId', 'sessionId', 'user', 'checkpoint', 'checkpointType', 'scanner', 'agent',
+  'verdict', 'action', 'category', 'reportId', 'latencyMs', 'degraded', 'prompt', 'response'
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mask the personal data the DLP patterns know, and the given names
+ * Only full names (with a space) are masked, like the PII vault does (see pii-vault.js).
+ */
+function redact(text, names = []) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const redacted = Object.values(DLP_PATTERNS).reduce((masked, { pattern, mask }) => masked.replace(pattern, mask), text);
+  const fullNames = [...new Set(names.filter(name => name?.trim().includes(' ')).map(name => name.trim()))]
+    .sort((a, b) => b.length - a.length)
+    .map(name => escapeRegExp(name).replace(/\s+/g, '\\s+'));
+  if (fullNames.length === 0) {
+    return redacted;
+  }
+  return redacted.replace(new RegExp(`(?<![\\p{L}\\d])(?:${fullNames.join('|')})(?![\\p{L}\\d])`, 'giu'), '[NAME]');
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet applications from running a cell as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function invalidFilter(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+export class AuditLog {
+  /**
+   * @param {Object} [options] - Defaults come from the environment variables above
+   */
+  constructor({
+    enabled = process.env.AUDIT_LOG !== 'false',
+    file = process.env.AUDIT_LOG_FILE || path.join('logs', 'security-audit.jsonl'),
+    content = process.env.AUDIT_LOG_CONTENT || 'redacted'
+  } = {}) {
+    if (!CONTENT_MODES.includes(content)) {
+      throw new Error(`Invalid AUDIT_LOG_CONTENT "${content}" (expected ${CONTENT_MODES.join(', ')})`);
+    }
+    this.enabled = enabled;
+    this.file = file;
+    this.content = content;
+    // Appends are chained, so entries keep their order and a query sees every earlier one
+    this.pending = Promise.resolve();
+
+    if (enabled) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+  }
+
+  /**
+   * Append the verdict of one checkpoint scan
+   * Never throws: a failed write is logged, it doesn't fail the request.
+   * @param {Object} scan - { requestId, sessionId, user, checkpoint, checkpointType, label, scanner,
+   *   agent, verdict, action, category, reportId, latencyMs, degraded, prompt, response, names },
+   *   names being the people the request is about, masked in redacted content and not stored
+   */
+  record({ prompt, response, degraded, names = [], ...fields }) {
+    if (!this.enabled) {
+      return this.pending;
+    }
+
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...fields,
+      degraded: degraded ? { decision: degraded.decision, reason: degraded.reason || null } : null,
+      ...(this.content !== 'none' && {
+        content: this.content === 'raw'
+          ? { prompt: prompt ?? null, response: response ?? null }
+          : { prompt: redact(prompt, names), response: redact(response, names) }
+      })
+    };
+
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`))
+      .catch(error => getLogger().error(`[AuditLog] Failed to record checkpoint ${entry.checkpoint} of ${entry.requestId}: ${error.message}`));
+    return this.pending;
+  }
+
+  /**
+   * Check and convert the filters of a query (e.g. GET /api/audit query parameters)
+   * @throws {Error} With code INVALID_FILTER
+   */
+  static parseFilters({ from, to, user, session, agent, checkpoint, verdict, category, requestId, limit, offset } = {}) {
+    const date = (value, name) => {
+      if (!value) {
+        return null;
+      }
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) {
+        throw invalidFilter(`Invalid ${name} date "${value}" (expected ISO 8601)`);
+      }
+      // A day alone is midnight UTC: as the end of a range it takes in the whole day
+      return name === 'to' && DATE_ONLY.test(value) ? time + DAY_MS - 1 : time;
+    };
+    const count = (value, name, fallback) => {
+      if (value === undefined || value === '') {
+        return fallback;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw invalidFilter(`Invalid ${name} "${value}" (expected a whole number)`);
+      }
+      return number;
+    };
+
+    if (verdict && !VERDICTS.includes(verdict)) {
+      throw invalidFilter(`Invalid verdict "${verdict}" (expected ${VERDICTS.join(', ')})`);
+    }
+    if (checkpoint && !/^[1-4]$/.test(checkpoint)) {
+      throw invalidFilter(`Invalid checkpoint "${checkpoint}" (expected 1 to 4)`);
+    }
+
+    return {
+      from: date(from, 'from'),
+      to: date(to, 'to'),
+      user: user?.toLowerCase() || null,
+      session: session || null,
+      agent: agent?.toLowerCase() || null,
+      checkpoint: checkpoint ? Number(checkpoint) : null,
+      verdict: verdict || null,
+      category: category || null,
+      requestId: requestId || null,
+      limit: Math.min(count(limit, 'limit', 100), MAX_LIMIT),
+      offset: count(offset, 'offset', 0)
+    };
+  }
+
+  static matches(entry, filters) {
+    const time = Date.parse(entry.timestamp);
+    return (filters.from === null || time >= filters.from)
+      && (filters.to === null || time <= filters.to)
+      && (filters.user === null || entry.user?.toLowerCase() === filters.user)
+      && (filters.session === null || entry.sessionId === filters.session)
+      && (filters.agent === null || entry.agent?.toLowerCase() === filters.agent)
+      && (filters.checkpoint === null || entry.checkpoint === filters.checkpoint)
+      && (filters.verdict === null || entry.verdict === filters.verdict)
+      && (filters.category === null || entry.category === filters.category)
+      && (filters.requestId === null || entry.requestId === filters.requestId);
+  }
+
+  /**
+   * Entries matching the filters, oldest first
+   * @param {Object} [filters] - See parseFilters()
+   * @returns {Promise<{ total: number, entries: Object[] }>} total counts every match, entries
+   *   are the page given by offset and limit
+   */
+  async query(filters = {}) {
+    const parsed = AuditLog.parseFilters(filters);
+    await this.pending;
+
+    const entries = [];
+    let total = 0;
+    if (!fs.existsSync(this.file)) {
+      return { total, entries };
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        getLogger().warn(`[AuditLog] Skipping an unreadable line of ${this.file}`);
+        continue;
+      }
+      if (AuditLog.matches(entry, parsed)) {
+        if (total >= parsed.offset && entries.length < parsed.limit) {
+          entries.push(entry);
+        }
+        total++;
+      }
+    }
+    return { total, entries };
+  }
+
+  /**
+   * Entries as CSV, one row per entry with a header row
+   */
+  static toCSV(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map((column) => {
+      switch (column) {
+        case 'degraded':
+          return csvCell(entry.degraded && [entry.degraded.decision, entry.degraded.reason].filter(Boolean).join('/'));
+        case 'prompt':
+        case 'response':
+          return csvCell(entry.content?.[column]);
+        default:
+          return csvCell(entry[column]);
+      }
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  describe() {
+    return this.enabled ? `${this.file} (content ${this.content})` : 'off';
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Failure policy of the security checkpoints: timeouts, retries, circuit breakers,
+ * fail-open / fail-closed and scan-after
+ *
+ * A scan fails when the scanner can't give a verdict (apiError, e.g. Prisma AIRS timing
+ * out or answering 5xx). A failed scan is retried with exponential backoff, unless the
+ * failure can't go away on its own (4xx other than 429, cassette miss). Every scanner
+ * has a circuit breaker: after failureThreshold consecutive failures its scans fail
+ * right away for cooldownMs, then one trial scan decides whether it closes again.
+ * When a scan still fails, failMode decides: "closed" blocks, "open" lets the content
+ * through. In mode "scanAfter" the checkpoint doesn't wait for its scanners: the content
+ * passes and the scan runs in the background, so a block is only logged (meant for
+ * low-risk checkpoints). Each of these is a degraded decision, recorded with the
+ * checkpoint data.
+ *
+ * Environment variables (apply to every checkpoint):
+ * - SECURITY_TIMEOUT_MS          : Timeout of one scan (default 15000)
+ * - SECURITY_RETRIES             : Retries of a failed scan (default 1)
+ * - SECURITY_RETRY_BACKOFF_MS    : Delay before the first retry, doubled for each next one (default 500)
+ * - SECURITY_FAIL_MODE           : "closed" (default) or "open"
+ * - SECURITY_FAIL_OPEN           : Checkpoints that fail open anyway, e.g. "outboundRequest,inboundResponse"
+ * - SECURITY_SCAN_AFTER          : Checkpoints in scan-after mode, e.g. "outboundRequest"
+ * - SECURITY_BREAKER_THRESHOLD   : Consecutive failures that open a circuit (default 5, 0 = never)
+ * - SECURITY_BREAKER_COOLDOWN_MS : How long a circuit stays open (default 30000)
+ * - SECURITY_POLICY_FILE         : JSON policy file; its settings take precedence over the variables
+ *
+ * Policy file:
+ * {
+ *   "default": { "timeoutMs": 10000, "retries": 2, "backoffMs": 250, "failMode": "closed", "mode": "sync" },
+ *   "checkpoints": { "outboundRequest": { "failMode": "open", "mode": "scanAfter" } },
+ *   "circuitBreaker": { "failureThreshold": 5, "cooldownMs": 30000 }
+ * }
+ */
+import fs from 'fs';
+import { getLogger } from './utils/logger.js';
+import { t } from './utils/i18n.js';
+import { CHECKPOINTS } from './security-scanners.js';
+
+const FAIL_MODES = ['closed', 'open'];
+const MODES = ['sync', 'scanAfter'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+function parseList(value = '') {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Circuit breaker of one scanner
+ * closed: scans go through; open: they fail right away; halfOpen: one trial scan is in flight
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a scan may be made now; an open circuit lets one trial through after the cooldown
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'halfOpen';
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      getLogger().info(`[CheckpointPolicy] Circuit closed after a successful trial scan`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'halfOpen' || (this.failureThreshold > 0 && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+export class CheckpointPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.defaults] - { timeoutMs, retries, backoffMs, failMode, mode }
+   * @param {Object<string, Object>} [options.checkpoints] - Overrides per checkpoint type
+   * @param {Object} [options.circuitBreaker] - { failureThreshold, cooldownMs }
+   */
+  constructor({ defaults = {}, checkpoints = {}, circuitBreaker = {} } = {}) {
+    this.defaults = { timeoutMs: 15000, retries: 1, backoffMs: 500, failMode: 'closed', mode: 'sync', ...defaults };
+    this.checkpoints = checkpoints;
+    this.circuitBreaker = circuitBreaker;
+    this.breakers = new Map(); // scanner name -> CircuitBreaker
+
+    for (const [type, settings] of Object.entries({ default: this.defaults, ...checkpoints })) {
+      if (type !== 'default' && !CHECKPOINTS[type]) {
+        throw new Error(`Unknown checkpoint "${type}" in security policy (expected ${Object.keys(CHECKPOINTS).join(', ')})`);
+      }
+      if (settings.failMode !== undefined && !FAIL_MODES.includes(settings.failMode)) {
+        throw new Error(`Invalid failMode "${settings.failMode}" for ${type} (expected ${FAIL_MODES.join(' or ')})`);
+      }
+      if (settings.mode !== undefined && !MODES.includes(settings.mode)) {
+        throw new Error(`Invalid mode "${settings.mode}" for ${type} (expected ${MODES.join(' or ')})`);
+      }
+    }
+  }
+
+  /**
+   * Policy from the SECURITY_* environment variables and SECURITY_POLICY_FILE
+   */
+  static fromEnv() {
+    const env = process.env;
+    const defaults = {
+      timeoutMs: parseInt(env.SECURITY_TIMEOUT_MS || '15000', 10),
+      retries: parseInt(env.SECURITY_RETRIES || '1', 10),
+      backoffMs: parseInt(env.SECURITY_RETRY_BACKOFF_MS || '500', 10),
+      failMode: env.SECURITY_FAIL_MODE || 'closed'
+    };
+    const checkpoints = {};
+    parseList(env.SECURITY_FAIL_OPEN).forEach(type => { checkpoints[type] = { ...checkpoints[type], failMode: 'open' }; });
+    parseList(env.SECURITY_SCAN_AFTER).forEach(type => { checkpoints[type] = { ...checkpoints[type], mode: 'scanAfter' }; });
+    const circuitBreaker = {
+      failureThreshold: parseInt(env.SECURITY_BREAKER_THRESHOLD || '5', 10),
+      cooldownMs: parseInt(env.SECURITY_BREAKER_COOLDOWN_MS || '30000', 10)
+    };
+
+    if (!env.SECURITY_POLICY_FILE) {
+      return new CheckpointPolicy({ defaults, checkpoints, circuitBreaker });
+    }
+    const file = JSON.parse(fs.readFileSync(env.SECURITY_POLICY_FILE, 'utf8'));
+    for (const [type, settings] of Object.entries(file.checkpoints || {})) {
+      checkpoints[type] = { ...checkpoints[type], ...settings };
+    }
+    return new CheckpointPolicy({
+      defaults: { ...defaults, ...file.default },
+      checkpoints,
+      circuitBreaker: { ...circuitBreaker, ...file.circuitBreaker }
+    });
+  }
+
+  /**
+   * Settings of a checkpoint: { timeoutMs, retries, backoffMs, failMode, mode }
+   */
+  forCheckpoint(checkpointType) {
+    return { ...this.defaults, ...this.checkpoints[checkpointType] };
+  }
+
+  breaker(scannerName) {
+    if (!this.breakers.has(scannerName)) {
+      this.breakers.set(scannerName, new CircuitBreaker(this.circuitBreaker));
+    }
+    return this.breakers.get(scannerName);
+  }
+
+  /**
+   * Run one scanner's scan under the checkpoint's policy
+   * @param {string} checkpointType
+   * @param {Object} scanner - Scanner (see security-scanners.js)
+   * @param {Function} scan - (timeoutMs) => Promise of the scanner's verdict
+   * @param {string} [language] - Language of the user-facing message of a degraded verdict
+   * @returns {Promise<Object>} The scanner's verdict, or a degraded one with a degraded
+   *   field: { decision: 'failOpen'|'failClosed', reason: 'error'|'timeout'|'circuitOpen', scanner, attempts, error }
+   */
+  async scan(checkpointType, scanner, scan, language = 'en') {
+    const policy = this.forCheckpoint(checkpointType);
+    const breaker = this.breaker(scanner.name);
+    let failure = null;
+    let attempts = 0;
+
+    while (attempts <= policy.retries && breaker.allowRequest()) {
+      if (attempts > 0) {
+        await sleep(policy.backoffMs * 2 ** (attempts - 1));
+      }
+      attempts++;
+      const result = await scan(policy.timeoutMs).catch(error => ({ apiError: true, error: error.message, code: error.code }));
+      if (!result.apiError) {
+        breaker.recordSuccess();
+        return result;
+      }
+
+      failure = result;
+      breaker.recordFailure();
+      getLogger().warn(`[CheckpointPolicy] ${checkpointType} scan by ${scanner.name} failed (attempt ${attempts}/${policy.retries + 1}): ${result.error}`);
+      if (!CheckpointPolicy.isRetryable(result)) {
+        break;
+      }
+    }
+
+    const degraded = {
+      decision: policy.failMode === 'open' ? 'failOpen' : 'failClosed',
+      reason: !failure ? 'circuitOpen' : TIMEOUT_CODES.includes(failure.code) ? 'timeout' : 'error',
+      scanner: scanner.name,
+      attempts,
+      error: failure?.error || null
+    };
+    getLogger().warn(`[CheckpointPolicy] ${checkpointType} ${degraded.decision} (${degraded.reason}, ${scanner.name} circuit ${breaker.state})`);
+    return CheckpointPolicy.degradedVerdict(failure, degraded, language);
+  }
+
+  /**
+   * Whether a failure may go away when the scan is retried
+   */
+  static isRetryable(failure) {
+    if (failure.code === 'CASSETTE_MISS') {
+      return false;
+    }
+    return !failure.status || failure.status === 429 || failure.status >= 500;
+  }
+
+  /**
+   * Verdict of a scan that gave none, in the shape scanners return
+   */
+  static async degradedVerdict(failure, degraded, language = 'en') {
+    const approved = degraded.decision === 'failOpen';
+    const action = approved ? 'allow' : 'block';
+    const category = approved ? 'degraded' : (failure?.category || 'service_error');
+    const message = approved || !failure?.message
+      ? await t(approved ? 'security.messages.contentApproved' : 'security.errors.serviceUnavailable', { lng: language })
+      : failure.message;
+
+    return {
+      approved,
+      action,
+      category,
+      message,
+      degraded,
+      __raw_request_payload: failure?.__raw_request_payload,
+      __raw_response_payload: { action, category, error: failure?.__error_details || failure?.error || null }
+    };
+  }
+
+  describe() {
+    const breaker = new CircuitBreaker(this.circuitBreaker);
+    return Object.keys(CHECKPOINTS).map((type) => {
+      const { timeoutMs, retries, failMode, mode } = this.forCheckpoint(type);
+      return `${type}: ${mode}, fail ${failMode}, ${retries} retries, ${timeoutMs}ms`;
+    }).join('; ') + ` (circuit opens after ${breaker.failureThreshold} failures for ${breaker.cooldownMs}ms)`;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Conversation state for follow-up questions
+ *
+ * Remembers, per chat session, the employees and tickets the conversation has been
+ * about and the agent that answered last. The coordinator uses it to rewrite
+ * follow-ups ("and what about his manager?", "close it") into standalone questions
+ * before routing, and forwards it to the agents with each query.
+ * State lives in memory and expires with inactivity (CONVERSATION_TTL_MS); after a
+ * gateway restart the ticket IDs are recovered from the history the host sends.
+ */
+import { getLogger } from './utils/logger.js';
+
+const TICKET_ID = /\bINC-\d{4}-\d{4}\b/g;
+
+// Pronouns and phrasings that only make sense with an earlier turn
+const FOLLOW_UP = /\b(he|she|him|her|his|hers|they|them|their|it|its|that|this|those|these|same)\b|^\s*(and|also|what about|how about)\b/i;
+
+const MAX_ENTITIES = 5;
+
+/**
+ * Most recent first, without duplicates, capped at MAX_ENTITIES
+ */
+function remember(list, values) {
+  const fresh = [...new Set(values.filter(Boolean))];
+  return [...fresh, ...list.filter(value => !fresh.includes(value))].slice(0, MAX_ENTITIES);
+}
+
+export class ConversationState {
+  constructor() {
+    this.employees = [];
+    this.tickets = [];
+    this.lastAgent = null;
+    this.lastQuery = null;
+    this.lastAnswer = null;
+    this.turns = 0;
+    this.updatedAt = Date.now();
+  }
+
+  get empty() {
+    return this.turns === 0 && this.employees.length === 0 && this.tickets.length === 0;
+  }
+
+  /**
+   * Record a completed turn
+   * @param {Object} turn
+   * @param {string} turn.query - The standalone English question
+   * @param {string} [turn.answer]
+   * @param {string[]} [turn.agents] - Agents that answered; the last one is kept
+   * @param {Object} [turn.entities] - { employees, tickets } reported by the agents
+   */
+  record({ query, answer = '', agents = [], entities = {} }) {
+    const mentionedTickets = `${query}\n${answer}`.match(TICKET_ID) || [];
+    this.tickets = remember(this.tickets, [...(entities.tickets || []), ...mentionedTickets]);
+    this.employees = remember(this.employees, entities.employees || []);
+    this.lastAgent = agents.at(-1) || this.lastAgent;
+    this.lastQuery = query;
+    this.lastAnswer = answer;
+    this.turns++;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Pick up ticket IDs from the host's message history (e.g. after a gateway restart)
+   */
+  seed(history = []) {
+    const tickets = history.flatMap(message => String(message.content || '').match(TICKET_ID) || []);
+    this.tickets = remember(this.tickets, tickets.reverse());
+  }
+
+  /**
+   * Whether the query probably refers to something said earlier
+   */
+  isFollowUp(query) {
+    return !this.empty && FOLLOW_UP.test(query);
+  }
+
+  /**
+   * Plain-text summary for prompts
+   */
+  describe() {
+    const lines = [];
+    if (this.lastQuery) {
+      lines.push(`Previous question: "${this.lastQuery}"`);
+    }
+    if (this.lastAnswer) {
+      const answer = this.lastAnswer.length > 300 ? `${this.lastAnswer.substring(0, 300)}...` : this.lastAnswer;
+      lines.push(`Previous answer: "${answer.replace(/\s+/g, ' ')}"`);
+    }
+    if (this.lastAgent) {
+      lines.push(`Answered by: ${this.lastAgent}`);
+    }
+    if (this.employees.length > 0) {
+      lines.push(`Employees mentioned (most recent first): ${this.employees.join(', ')}`);
+    }
+    if (this.tickets.length > 0) {
+      lines.push(`Tickets mentioned (most recent first): ${this.tickets.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * What agents receive with a query (request _meta.conversation)
+   */
+  toJSON() {
+    return { employees: this.employees, tickets: this.tickets, lastAgent: this.lastAgent };
+  }
+}
+
+export class ConversationStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Drop a session's state after this long without a query
+   * @param {number} [options.maxSessions] - Oldest sessions are dropped beyond this
+   */
+  constructor({
+    ttlMs = parseInt(process.env.CONVERSATION_TTL_MS || '1800000', 10),
+    maxSessions = parseInt(process.env.CONVERSATION_MAX_SESSIONS || '1000', 10)
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map(); // sessionId -> ConversationState, least recently used first
+  }
+
+  /**
+   * State of a chat session, created on first use
+   * @param {string|null} sessionId - Without one there is no state (null)
+   * @param {Array} [history] - Host message history, used to seed a new state
+   * @returns {ConversationState|null}
+   */
+  get(sessionId, history = []) {
+    if (!sessionId) {
+      return null;
+    }
+
+    let state = this.sessions.get(sessionId);
+    if (state && Date.now() - state.updatedAt > this.ttlMs) {
+      getLogger().debug(`Conversation state for session ${sessionId} expired`);
+      state = null;
+    }
+    if (!state) {
+      state = new ConversationState();
+      state.seed(history);
+    }
+
+    // Re-insert so the Map stays ordered by last use
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, state);
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return state;
+  }
+
+  delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
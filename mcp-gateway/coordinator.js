@@ -1,7 +1,19 @@
 import axios from 'axios';
+import { randomUUID } from 'crypto';
 import { PrismaAIRSIntercept, shouldUsePrismaAIRS } from './prisma-airs.js';
+import { SecurityScanners } from './security-scanners.js';
+import { CheckpointPolicy } from './checkpoint-policy.js';
+import { PIIVault } from './pii-vault.js';
+import { AuditLog } from './audit-log.js';
 import { getLogger } from './utils/logger.js';
 import { LLMProviderFactory } from './utils/llm-provider.js';
+import { UsageMeter, normalizeUsage } from './utils/llm-usage.js';
+import { QueryRouter, COORDINATOR_PROFILE } from './router.js';
+import { ConversationStore } from './conversation-state.js';
+import { LLMCache } from './llm-cache.js';
+
+// Where a sub-query takes the answer of an earlier step, e.g. {{s1}}
+const STEP_REFERENCE = /\{\{\s*([\w-]+)\s*\}\}/g;
 
 /**
  * Utility class for common coordinator operations
@@ -20,9 +32,21 @@ class CoordinatorUtils {
     return identityInfo;
   }
 
-  static buildConversationContext(conversationHistory) {
+  /**
+   * Identity fields forwarded to agents as structured request metadata
+   * Agents enforce data access on these rather than on the free-text query.
+   */
+  static buildRequesterIdentity(userContext) {
+    if (!userContext) return null;
+
+    const { email, name, role, department, employeeId } = userContext;
+    return { email, name, role, department, employeeId };
+  }
+
+  static buildConversationContext(conversationHistory, conversation = null) {
+    const state = conversation?.describe() ? `\n\nCONVERSATION STATE:\n${conversation.describe()}` : '';
     if (!conversationHistory || !Array.isArray(conversationHistory) || conversationHistory.length === 0) {
-      return '';
+      return state;
     }
 
     const recentMessages = conversationHistory.slice(-3);
@@ -30,7 +54,7 @@ class CoordinatorUtils {
       `${msg.role}: "${msg.content?.substring(0, 100) || ''}"`
     ).join('\n');
 
-    return `\n\nCONVERSATION CONTEXT (last ${recentMessages.length} messages):\n${contextMessages}`;
+    return `\n\nCONVERSATION CONTEXT (last ${recentMessages.length} messages):\n${contextMessages}${state}`;
   }
 
   static cleanQuotes(text) {
@@ -44,9 +68,58 @@ class CoordinatorUtils {
     return text;
   }
 
-  static estimateTokens(text) {
-    if (!text) return 0;
-    return Math.ceil(text.trim().length / 4);
+  /**
+   * Why a multi-agent sub-query has no answer, in words fit for the user
+   */
+  static describeUnanswered(agentResponse) {
+    switch (agentResponse.status) {
+      case 'blocked':
+        return agentResponse.securityMessage || 'blocked by security policy';
+      case 'timeout':
+        return 'the specialist did not answer in time';
+      case 'skipped':
+        return 'it needs the answer to another part that could not be answered';
+      default:
+        return 'the specialist is currently unavailable';
+    }
+  }
+
+  /**
+   * Check a routing strategy's sub-queries and order them into waves
+   * Steps get ids s1, s2, ... when the LLM gave none. A step depends on the steps in its
+   * dependsOn and on those whose {{id}} its subQuery references.
+   * @param {Array} steps - routingStrategy.agents; ids and dependsOn are normalized in place
+   * @returns {Array<Array<Object>>} Waves of steps, each depending only on earlier waves
+   */
+  static planSubQueries(steps) {
+    steps.forEach((step, i) => {
+      step.id = String(step.id || `s${i + 1}`);
+    });
+    const ids = new Set(steps.map(step => step.id));
+    if (ids.size !== steps.length) {
+      throw new Error('Invalid sub-query plan: duplicate step ids');
+    }
+
+    for (const step of steps) {
+      const referenced = [...String(step.subQuery || '').matchAll(STEP_REFERENCE)].map(match => match[1]);
+      step.dependsOn = [...new Set([...(step.dependsOn || []).map(String), ...referenced])];
+      const unknown = step.dependsOn.filter(id => !ids.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid sub-query plan: step ${step.id} depends on unknown step ${unknown.join(', ')}`);
+      }
+    }
+
+    const waves = [];
+    const planned = new Set();
+    while (planned.size < steps.length) {
+      const wave = steps.filter(step => !planned.has(step.id) && step.dependsOn.every(id => planned.has(id)));
+      if (wave.length === 0) {
+        throw new Error('Invalid sub-query plan: circular dependencies');
+      }
+      wave.forEach(step => planned.add(step.id));
+      waves.push(wave);
+    }
+    return waves;
   }
 
   // LLM Prompt Templates
@@ -56,6 +129,13 @@ class CoordinatorUtils {
 
 Query: "${query}"`,
 
+      followUp: (query, conversationState) => `Rewrite the user's latest question so it can be understood without the conversation. Replace pronouns and references ("he", "it", "that ticket") with the names or IDs they stand for, and complete elliptical questions ("and for Bob?"). If the question already stands on its own, return it unchanged. Return only the question.
+
+CONVERSATION STATE:
+${conversationState}
+
+LATEST QUESTION: "${query}"`,
+
       routingStrategy: (agentProfiles, conversationContext, query) => `You are a JSON-only router. Output ONLY the JSON object below. No thinking, no explanation.
 
 AVAILABLE AGENTS:
@@ -73,6 +153,7 @@ CRITICAL INSTRUCTIONS:
    - "What's my salary and computer status?" → ["hr", "it"] (salary from HR, computer from IT)
    - "Show me my projects" → ["general"] (single agent)
 6. If routing to multiple agents, split the query into appropriate sub-queries for each
+7. If a part can only be asked once another part is answered, give the steps an "id" and write {{id}} in the later subQuery where the earlier answer goes; "output" says which value to take from the earlier answer
 
 Output this JSON format exactly (replace values in quotes):
 {"agents": [{"agent": "agent_name", "subQuery": "specific query for this agent"}], "reasoning": "brief"}
@@ -80,6 +161,9 @@ Output this JSON format exactly (replace values in quotes):
 For multiple agents:
 {"agents": [{"agent": "agent1", "subQuery": "query part 1"}, {"agent": "agent2", "subQuery": "query part 2"}], "reasoning": "brief"}
 
+For dependent parts, e.g. "Who manages the person assigned to INC-2025-0120 and how much leave do they have?":
+{"agents": [{"id": "s1", "agent": "it", "subQuery": "Who is assigned to ticket INC-2025-0120?", "output": "the assignee's full name"}, {"id": "s2", "agent": "hr", "subQuery": "Who is the manager of {{s1}} and how much leave does that manager have?", "dependsOn": ["s1"]}], "reasoning": "brief"}
+
 Now output the JSON:
 {`,
 
@@ -101,6 +185,11 @@ GUIDELINES:
 
 SYNTHESIZED RESPONSE:`,
 
+      stepOutput: (query, answer, output) => `From the answer below, extract ${output}. Reply with the value only - no sentence, no explanation. If the answer does not contain it, reply NONE.
+
+Question: "${query}"
+Answer: "${answer}"`,
+
       validation: (originalQuery, translatedQuery, response, agentName) => `Analyze if this agent response properly answers the user's question.
 
 Original question: "${originalQuery}"
@@ -149,6 +238,12 @@ RESPONSE:`,
         maxTokens: 1000,
         provider: llmProvider
       },
+      followUp: {
+        system: 'You rewrite follow-up questions into standalone questions. Only return the rewritten question.',
+        temperature: 0.0,
+        maxTokens: 300,
+        provider: llmProvider
+      },
       routing: {
         system: `You are a JSON output formatter. You output ONLY valid JSON.
 Start with { and end with }
@@ -165,6 +260,12 @@ Output JSON immediately`,
         maxTokens: 2000,
         provider: llmProvider
       },
+      extraction: {
+        system: 'You extract a single value from a text. Output only the value.',
+        temperature: 0.0,
+        maxTokens: 200,
+        provider: llmProvider
+      },
       validation: {
         system: 'You are a response quality analyzer. Output only valid JSON with the specified format.',
         temperature: 0.1,
@@ -201,7 +302,7 @@ class AgentRegistry {
   }
 
   registerAgent(agentData) {
-    const { agentId, name, description, url, capabilities = [], LLMProviders = [] } = agentData;
+    const { agentId, name, description, url, capabilities = [], LLMProviders = [], routing = {} } = agentData;
 
     // Store agent metadata
     this.agents.set(agentId, {
@@ -211,6 +312,11 @@ class AgentRegistry {
       url,
       capabilities,
       LLMProviders,
+      // Keywords and labelled example queries for the local router
+      routing: {
+        keywords: routing.keywords || [],
+        examples: routing.examples || []
+      },
       lastSeen: Date.now(),
       healthy: true,
       sessionId: null
@@ -234,7 +340,7 @@ class AgentRegistry {
   }
 
   findAgentsForQuery(query) {
-    // Return all healthy agents - delegate routing decision entirely to LLM
+    // Return all healthy agents - QueryRouter scores them, the LLM decides close calls
     return Array.from(this.agents.values())
       .filter(agent => agent.healthy)
       .map(agent => agent.agentId);
@@ -285,117 +391,209 @@ class AgentRegistry {
 }
 
 /**
- * Intelligent Coordinator
- * Handles ALL routing, intelligence, and security decisions for the MCP Gateway
+ * Request Context
+ * Per-query state (ids, token accounting, security checkpoints, thinking sink).
+ * One instance is created per processQuery call and passed down every step, so
+ * concurrent queries never write into each other's stream or metadata.
  */
-class IntelligentCoordinator {
-  constructor(mcpServerRegistry) {
-    this.llmRegistry = LLMProviderFactory.getRegistry();
-    this.mcpServerRegistry = mcpServerRegistry; // Reference to MCPServerRegistry for forwarding
-    this.agentRegistry = new AgentRegistry();
-    this.requestCounter = 0;
-    this.streamThinkingCallback = null;
-    this.initialized = false;
-
-    // Token usage tracking
-    this.tokenUsage = {
-      coordinator_tokens: 0,
-      agent_tokens: 0,
-      total_tokens: 0
+class RequestContext {
+  constructor({ requestId = randomUUID(), sessionId = null, onThinking = null } = {}) {
+    this.requestId = requestId;
+    this.sessionId = sessionId;
+    this.onThinking = onThinking;
+    this.startedAt = Date.now();
+
+    // Provider-reported LLM usage: the coordinator's own calls, and what the agents reported
+    this.usage = {
+      coordinator: new UsageMeter(),
+      agents: new UsageMeter()
     };
 
     // Security checkpoint data tracking for phase 3
     this.securityCheckpoints = [];
 
-    // Security Phase 3 Integration
-    // NOTE: Phase selection is done per-request via frontend UI, not at initialization
-    // Always initialize Prisma AIRS if credentials are available (needed for dynamic phase selection)
-    this.prismaAIRS = null;
+    // Agents that answered from an intent template rather than their LLM
+    this.exactAnswers = new Set();
 
-    if (process.env.PRISMA_AIRS_API_TOKEN) {
-      this.prismaAIRS = new PrismaAIRSIntercept({
-        apiUrl: process.env.PRISMA_AIRS_API_URL,
-        apiToken: process.env.PRISMA_AIRS_API_TOKEN,
-        profileId: process.env.PRISMA_AIRS_PROFILE_ID,
-        profileName: process.env.PRISMA_AIRS_PROFILE_NAME
-      });
-      getLogger().debug('Prisma AIRS security module loaded (available for phase3 requests)');
-    } else {
-      getLogger().warn('Prisma AIRS not configured - phase3 security unavailable');
-    }
+    // One entry per agent call: { agent, status, latencyMs }
+    this.agentCalls = [];
+
+    // Conversation state of the session (set by processQuery) and the entities agents reported
+    this.conversation = null;
+    this.entities = { employees: [], tickets: [] };
+
+    // Requester identity (set by processQuery)
+    this.requester = null;
+
+    // Placeholders of the personal data in this request (phase 3, see pii-vault.js)
+    this.vault = null;
   }
 
   /**
-   * Set callback for sending thinking messages
+   * Send thinking message to this request's stream (no-op when not streaming)
    */
-  setStreamThinkingCallback(callback) {
-    this.streamThinkingCallback = callback;
+  sendThinkingMessage(message) {
+    if (this.onThinking) {
+      this.onThinking(`${this.restoreAuthorizedPII(message)}`);
+    }
   }
 
   /**
-   * Send thinking message
+   * Add the usage the provider reported for an LLM call
+   * @param {Object} response - generateText result ({ response, usage, model })
+   * @param {string} type - 'coordinator' or 'agent'
    */
-  sendThinkingMessage(message) {
-    if (this.streamThinkingCallback) {
-      this.streamThinkingCallback(`${message}`);
+  trackTokens(response, type = 'coordinator', operationType = 'Operation') {
+    const usage = normalizeUsage(response?.usage);
+    if (!usage) {
+      return;
     }
+    getLogger().debug(`[${this.requestId}] ${operationType} tokens (${response.model}): ${usage.promptTokens} (prompt) + ${usage.completionTokens} (completion) = ${usage.totalTokens}`);
+    (type === 'agent' ? this.usage.agents : this.usage.coordinator).add(response.model, usage);
+  }
+
+  /**
+   * Add the usage an agent reported for its answer (result _meta.usage)
+   */
+  trackAgentUsage(summary) {
+    this.usage.agents.merge(summary);
+  }
+
+  /**
+   * Token counts and estimated cost, in total and split into coordinator and agents
+   */
+  getUsageSummary() {
+    const coordinator = this.usage.coordinator.toJSON();
+    const agents = this.usage.agents.toJSON();
+    const total = new UsageMeter();
+    total.merge(coordinator);
+    total.merge(agents);
+    return { coordinator, agents, total: total.toJSON() };
+  }
+
+  /**
+   * Store security checkpoint data for display on frontend
+   */
+  recordSecurityCheckpoint(checkpoint) {
+    this.securityCheckpoints.push(checkpoint);
   }
 
   /**
-   * Get collected security checkpoints for the current query
+   * Get collected security checkpoints for this query
    */
   getSecurityCheckpoints() {
     return this.securityCheckpoints;
   }
 
   /**
-   * Clear security checkpoints at the start of a new query
+   * Record how an agent call ended ('ok', 'blocked', 'failed' or 'timeout') and how long it took
    */
-  clearSecurityCheckpoints() {
-    this.securityCheckpoints = [];
+  recordAgentCall(agent, status, latencyMs) {
+    this.agentCalls.push({ agent, status, latencyMs });
   }
 
   /**
-   * Estimate tokens from text (approximation: 1 token ≈ 4 characters)
+   * Collect the employees and tickets an agent's answer was about (result _meta.entities)
    */
-  estimateTokens(text) {
-    return CoordinatorUtils.estimateTokens(text);
+  recordEntities({ employees = [], tickets = [] } = {}) {
+    this.entities.employees.push(...employees);
+    this.entities.tickets.push(...tickets);
   }
 
   /**
-   * Unified token tracking method
+   * Replace personal data with the vault's placeholders (no-op without a vault)
+   * @param {string} source - 'user' for what the requester typed, 'agent' for agent answers
    */
-  trackTokens(input, type = 'coordinator', operationType = 'Operation') {
-    let tokens = 0;
-    
-    if (typeof input === 'string') {
-      // Text-based estimation
-      tokens = this.estimateTokens(input);
-    } else if (input && typeof input === 'object') {
-      // LLM response object
-      const promptTokens = input.usage?.prompt_tokens || input.prompt_eval_count || 0;
-      const completionTokens = input.usage?.completion_tokens || input.eval_count || 0;
-      tokens = input.usage?.total_tokens || promptTokens + completionTokens;
-      
-      if (tokens > 0) {
-        getLogger().debug(`${operationType} tokens: ${promptTokens} (prompt) + ${completionTokens} (completion) = ${tokens}`);
-      }
+  tokenizePII(text, source = 'agent') {
+    if (!this.vault || typeof text !== 'string') {
+      return text;
     }
-    
-    if (tokens > 0) {
-      if (type === 'agent') {
-        this.tokenUsage.agent_tokens += tokens;
-      } else {
-        this.tokenUsage.coordinator_tokens += tokens;
-      }
-      this.tokenUsage.total_tokens += tokens;
+    this.vault.addNames(this.knownNames());
+    return this.vault.tokenize(text, source);
+  }
+
+  /**
+   * Names of the people this request is about: the requester, the employees of the
+   * conversation and the ones agents reported
+   */
+  knownNames() {
+    return [this.requester?.name, ...this.entities.employees, ...(this.conversation?.employees || [])];
+  }
+
+  /**
+   * Put every value back, for text that outlives the request
+   */
+  restorePII(text) {
+    return this.vault && typeof text === 'string' ? this.vault.restore(text) : text;
+  }
+
+  /**
+   * Put back the values the requester may see, for text shown to them
+   */
+  restoreAuthorizedPII(text) {
+    return this.vault && typeof text === 'string' ? this.vault.restoreAuthorized(text) : text;
+  }
+}
+
+/**
+ * Intelligent Coordinator
+ * Handles ALL routing, intelligence, and security decisions for the MCP Gateway
+ *
+ * The coordinator itself only holds shared, long-lived state (agents, LLM and
+ * security clients). Everything scoped to a single query lives in a RequestContext.
+ */
+class IntelligentCoordinator {
+  constructor(mcpServerRegistry) {
+    this.llmRegistry = LLMProviderFactory.getRegistry();
+    this.mcpServerRegistry = mcpServerRegistry; // Reference to MCPServerRegistry for forwarding
+    this.agentRegistry = new AgentRegistry();
+    this.router = new QueryRouter();
+    this.agentTimeout = parseInt(process.env.AGENT_TIMEOUT_MS || '60000', 10);
+    this.conversations = new ConversationStore();
+    this.llmCache = new LLMCache();
+    this.requestCounter = 0;
+    this.initialized = false;
+
+    // Security Phase 3 Integration
+    // NOTE: Phase selection is done per-request via frontend UI, not at initialization
+    // Always initialize Prisma AIRS if credentials are available (needed for dynamic phase selection)
+    this.prismaAIRS = null;
+
+    if (process.env.PRISMA_AIRS_API_TOKEN) {
+      this.prismaAIRS = new PrismaAIRSIntercept({
+        apiUrl: process.env.PRISMA_AIRS_API_URL,
+        apiToken: process.env.PRISMA_AIRS_API_TOKEN,
+        profileId: process.env.PRISMA_AIRS_PROFILE_ID,
+        profileName: process.env.PRISMA_AIRS_PROFILE_NAME
+      });
+      getLogger().debug('Prisma AIRS security module loaded (available for phase3 requests)');
+    } else {
+      getLogger().warn('Prisma AIRS not configured - phase3 checkpoints can only use the local scanner');
     }
+
+    // Scanner chain of each checkpoint (SECURITY_SCANNERS*, see security-scanners.js)
+    this.securityScanners = SecurityScanners.fromEnv({ airs: this.prismaAIRS });
+    getLogger().debug(`Security scanners - ${this.securityScanners.describe()}`);
+
+    // Timeouts, retries, circuit breakers and fail-open / scan-after per checkpoint
+    this.checkpointPolicy = CheckpointPolicy.fromEnv();
+    getLogger().debug(`Security checkpoint policy - ${this.checkpointPolicy.describe()}`);
+
+    // Every checkpoint verdict, kept beyond the request (AUDIT_LOG*, see audit-log.js)
+    this.auditLog = new AuditLog();
+    getLogger().debug(`Security audit log - ${this.auditLog.describe()}`);
+
+    // Personal data tokenization of phase3 requests (PII_VAULT*, see pii-vault.js)
+    this.piiVault = PIIVault.settingsFromEnv();
+    getLogger().debug(`PII vault - ${this.piiVault.enabled ? `restores ${this.piiVault.restoreTypes.join(', ')}` : 'off'}`);
   }
 
-  // Legacy methods for backward compatibility
-  trackCoordinatorTokens(text) { this.trackTokens(text, 'coordinator'); }
-  trackAgentTokens(text) { this.trackTokens(text, 'agent'); }
-  trackOllamaTokens(response, operationType = 'Operation') { this.trackTokens(response, 'coordinator', operationType); }
+  /**
+   * Create the execution context for a single query
+   */
+  createRequestContext(options = {}) {
+    return new RequestContext(options);
+  }
 
   /**
    * Agent registration endpoint
@@ -471,7 +669,23 @@ class IntelligentCoordinator {
     return LLMProviderFactory.generateText(prompt, options);
   }
 
-  async translateQuery(query, language = 'en', llmProvider = null) {
+  /**
+   * generateWithLLM through the LLM cache
+   * Only prompts built from call.input alone are cached, so an entry is served for the
+   * same question and nothing else. A prompt that also carries the conversation, the
+   * requester or agent responses bypasses the cache: its answer may hold another user's data.
+   * @param {Object} call - { type, input, language, provider } the cache key is made of
+   * @param {boolean} [personal] - The prompt carries more than call.input
+   */
+  async generateCached(call, prompt, options, personal = false) {
+    const generate = () => this.generateWithLLM(prompt, options);
+    if (personal) {
+      return this.llmCache.bypass(call.type, generate);
+    }
+    return this.llmCache.wrap(call, generate);
+  }
+
+  async translateQuery(query, language = 'en', llmProvider = null, ctx = new RequestContext()) {
     if (language === 'en') {
       return query; // No translation needed
     }
@@ -482,11 +696,11 @@ class IntelligentCoordinator {
       const prompt = CoordinatorUtils.getPromptTemplate('translation', { query, language });
       const options = CoordinatorUtils.getLLMOptions('translation', llmProvider);
       
-      const response = await this.generateWithLLM(prompt, options);
+      const response = await this.generateCached({ type: 'translation', input: query, language, provider: llmProvider }, prompt, options);
       let translatedQuery = response.response?.trim() || query;
 
       // Track actual tokens from LLM response
-      this.trackTokens(response, 'coordinator', 'Translation');
+      ctx.trackTokens(response, 'coordinator', 'Translation');
 
       // Remove surrounding quotes if present
       translatedQuery = CoordinatorUtils.cleanQuotes(translatedQuery);
@@ -503,7 +717,7 @@ class IntelligentCoordinator {
    * Handle capability queries by describing what the coordinator can do
    * based on the currently registered agents
    */
-  async handleCapabilityQuery(query, language = 'en', llmProvider = null) {
+  async handleCapabilityQuery(query, language = 'en', llmProvider = null, ctx = new RequestContext()) {
     const agents = this.agentRegistry.getAllAgents().filter(a => a.healthy);
 
     if (agents.length === 0) {
@@ -527,12 +741,12 @@ class IntelligentCoordinator {
         provider: llmProvider
       });
 
-      this.trackTokens(response, 'coordinator', 'Capabilities');
+      ctx.trackTokens(response, 'coordinator', 'Capabilities');
 
       let result = response.response?.trim() || agentSummaries;
 
       if (language !== 'en') {
-        result = await this.translateResponse(result, language, llmProvider);
+        result = await this.translateResponse(result, language, llmProvider, ctx);
       }
 
       return result;
@@ -545,7 +759,7 @@ class IntelligentCoordinator {
   /**
    * Route query to appropriate agent based on registered capabilities
    */
-  async routeQuery(query, language = 'en', phase = 'phase2', userContext = null, llmProvider = 'aws') {
+  async routeQuery(query, language = 'en', phase = 'phase2', userContext = null, llmProvider = 'aws', ctx = new RequestContext()) {
     // LLM provider selection is handled via registry.languageModel()
     // Provider parameter is used for model identifier construction
 
@@ -572,27 +786,17 @@ class IntelligentCoordinator {
         getLogger().debug(`   - ${agent.name} (${agent.agentId}) - ${agent.description.substring(0, 60)}...`);
       });
 
-      // Use registry to find matching agents
-      const candidateAgentIds = this.agentRegistry.findAgentsForQuery(query);
+      const selection = await this.selectAgents(query, userContext, llmProvider, ctx);
 
-      if (candidateAgentIds.length === 0) {
-        throw new Error('No registered agents available');
-      }
-
-      getLogger().debug(`Candidate agents for this query: ${candidateAgentIds.map(id => {
-        const agent = this.agentRegistry.getAgent(id);
-        return `${agent.name}`;
-      }).join(', ')}`);
-
-      // Let LLM coordinator decide routing strategy and potential query splitting
-      let routingStrategy;
-      try {
-        routingStrategy = await this.analyzeRoutingStrategy(query, candidateAgentIds, userContext?.history || [], llmProvider);
-      } catch (strategyError) {
-        getLogger().error('Strategy analysis failed:', { error: strategyError.message });
-        throw strategyError;
+      if (selection.method === 'local') {
+        const [agentName] = selection.agents;
+        if (agentName === COORDINATOR_PROFILE.name) {
+          return { type: 'coordinator' };
+        }
+        return { type: 'agent-id', agentId: this.findAgentIdByName(agentName) };
       }
 
+      const routingStrategy = selection.strategy;
       if (routingStrategy.strategy === "declined") {
         getLogger().debug('Query declined by LLM for security/policy reasons');
         // Return a declined response indicating the request was refused
@@ -603,7 +807,7 @@ class IntelligentCoordinator {
         };
       } else if (routingStrategy.requiresMultiple) {
         getLogger().debug(`Multi-agent query detected, splitting across: ${routingStrategy.agents.map(a => a.agent).join(', ')}`);
-        const multiAgentResponse = await this.handleMultiAgentQuery(query, routingStrategy, phase, userContext, llmProvider);
+        const multiAgentResponse = await this.handleMultiAgentQuery(query, routingStrategy, phase, userContext, llmProvider, ctx);
         // Return a special object to indicate this is a multi-agent final response
         return { type: 'multi-agent-response', response: multiAgentResponse };
       } else {
@@ -633,10 +837,56 @@ class IntelligentCoordinator {
     }
   }
 
+  /**
+   * Decide which agents should answer a query, without contacting them
+   * Clear cases are routed by the local classifier; the LLM routing strategy decides the rest.
+   * Used by routeQuery and by the routing evaluation (eval/routing-eval.js).
+   * @returns {Promise<{ method: 'local'|'llm', agents: string[], strategy: Object|null }>}
+   *   strategy is the LLM routing strategy when method is 'llm'
+   */
+  async selectAgents(query, userContext = null, llmProvider = null, ctx = new RequestContext()) {
+    // Use registry to find matching agents
+    const candidateAgentIds = this.agentRegistry.findAgentsForQuery(query);
+
+    if (candidateAgentIds.length === 0) {
+      throw new Error('No registered agents available');
+    }
+
+    getLogger().debug(`Candidate agents for this query: ${candidateAgentIds.map(id => {
+      const agent = this.agentRegistry.getAgent(id);
+      return `${agent.name}`;
+    }).join(', ')}`);
+
+    // Local scoring first; the LLM is only asked when no agent clearly wins
+    const candidates = candidateAgentIds.map(id => this.agentRegistry.getAgent(id));
+    const local = this.router.route(query, [...candidates, COORDINATOR_PROFILE]);
+    const decision = { requestId: ctx.requestId, query, confidence: local.confidence, margin: local.margin, scores: local.scores };
+
+    if (local.agent) {
+      ctx.sendThinkingMessage(`Routed to ${local.agent} by classifier (confidence ${local.confidence.toFixed(2)})`);
+      await this.router.logDecision({ ...decision, method: 'local', agents: [local.agent] });
+      return { method: 'local', agents: [local.agent], strategy: null };
+    }
+
+    // Let LLM coordinator decide routing strategy and potential query splitting
+    let routingStrategy;
+    try {
+      routingStrategy = await this.analyzeRoutingStrategy(query, candidateAgentIds, userContext?.history || [], llmProvider, ctx);
+    } catch (strategyError) {
+      getLogger().error('Strategy analysis failed:', { error: strategyError.message });
+      await this.router.logDecision({ ...decision, method: 'llm', agents: [], error: strategyError.message });
+      throw strategyError;
+    }
+
+    const agents = (routingStrategy.agents || []).map(a => a.agent);
+    await this.router.logDecision({ ...decision, method: 'llm', agents });
+    return { method: 'llm', agents, strategy: routingStrategy };
+  }
+
   /**
    * Analyze routing strategy and determine if query splitting is needed
    */
-  async analyzeRoutingStrategy(query, candidateAgentIds, conversationHistory = [], llmProvider = null) {
+  async analyzeRoutingStrategy(query, candidateAgentIds, conversationHistory = [], llmProvider = null, ctx = new RequestContext()) {
     try {
       // Build detailed agent profiles for LLM analysis
       let agentProfiles = candidateAgentIds.map(id => {
@@ -678,7 +928,7 @@ ${coordinatorCapabilities}`;
       }).join(', '));
 
       // Build conversation context from history
-      const conversationContext = CoordinatorUtils.buildConversationContext(conversationHistory);
+      const conversationContext = ctx.tokenizePII(CoordinatorUtils.buildConversationContext(conversationHistory, ctx.conversation));
 
       const prompt = CoordinatorUtils.getPromptTemplate('routingStrategy', { 
         agentProfiles, 
@@ -687,11 +937,17 @@ ${coordinatorCapabilities}`;
       });
       const options = CoordinatorUtils.getLLMOptions('routing', llmProvider);
 
-      this.sendThinkingMessage(`Analyzing query routing strategy...`);
-      const response = await this.generateWithLLM(prompt, options);
+      ctx.sendThinkingMessage(`Analyzing query routing strategy...`);
+      // Only the first question of a conversation is cached: later ones carry the conversation
+      const response = await this.generateCached(
+        { type: 'routing', input: `${[...candidateAgentIds].sort().join(',')}\n${query}`, provider: llmProvider },
+        prompt,
+        options,
+        Boolean(conversationContext)
+      );
 
       // Track routing strategy tokens
-      this.trackTokens(response, 'Routing strategy');
+      ctx.trackTokens(response, 'coordinator', 'Routing strategy');
 
       try {
         // Validate response structure
@@ -767,9 +1023,11 @@ ${coordinatorCapabilities}`;
           return strategy;
         }
 
-        // Automatically determine if multiple agents are needed based on array length
+        // Automatically determine if multiple agents are needed based on array length;
+        // steps that need another step's answer make the plan sequential
+        const waves = CoordinatorUtils.planSubQueries(strategy.agents);
         strategy.requiresMultiple = strategy.agents.length > 1;
-        strategy.strategy = strategy.agents.length > 1 ? "parallel" : "single";
+        strategy.strategy = strategy.agents.length === 1 ? "single" : waves.length > 1 ? "sequential" : "parallel";
 
         return strategy;
       } catch (parseError) {
@@ -789,91 +1047,125 @@ ${coordinatorCapabilities}`;
 
   /**
    * Handle multi-agent queries by coordinating across multiple specialists
+   * Sub-queries run in waves: every step whose dependencies are answered runs concurrently
+   * with the others, and its {{id}} references are replaced by those answers. An agent
+   * that fails, times out or is blocked by a security checkpoint doesn't fail the query -
+   * the answers that did come back are synthesized and the missing parts are named.
    */
-  async handleMultiAgentQuery(originalQuery, routingStrategy, phase = 'phase2', userContext = null, llmProvider = 'aws') {
-    this.sendThinkingMessage(`Coordinating multi-agent response across ${routingStrategy.agents.length} specialists...`);
+  async handleMultiAgentQuery(originalQuery, routingStrategy, phase = 'phase2', userContext = null, llmProvider = 'aws', ctx = new RequestContext()) {
+    const waves = CoordinatorUtils.planSubQueries(routingStrategy.agents);
+    ctx.sendThinkingMessage(waves.length > 1
+      ? `Coordinating ${routingStrategy.agents.length} steps across specialists, in ${waves.length} rounds...`
+      : `Coordinating multi-agent response across ${routingStrategy.agents.length} specialists...`);
+
+    const results = new Map(); // step id -> agent response
+    for (const wave of waves) {
+      const waveResults = await Promise.all(wave.map(step => this.runPlanStep(step, results, phase, userContext, llmProvider, ctx)));
+      wave.forEach((step, i) => results.set(step.id, waveResults[i]));
+    }
+    const agentResponses = routingStrategy.agents.map(step => results.get(step.id));
 
-    try {
-      const agentResponses = [];
-
-      if (routingStrategy.strategy === "parallel") {
-        // Execute queries in parallel
-        const promises = routingStrategy.agents.map(async (agentTask) => {
-          const agentId = this.findAgentIdByName(agentTask.agent);
-          if (!agentId) {
-            throw new Error(`Agent ${agentTask.agent} not found`);
-          }
+    const unanswered = agentResponses.filter(resp => resp.status !== 'ok');
+    if (unanswered.length > 0) {
+      getLogger().warn(`Multi-agent query partially answered: ${unanswered.map(resp => `${resp.agent} (${resp.status})`).join(', ')}`);
+    }
 
-          this.sendThinkingMessage(`Querying ${agentTask.agent} specialist: "${agentTask.subQuery}"`);
-          const response = await this.queryAgent(agentId, agentTask.subQuery, userContext, 'en', phase, llmProvider);
+    // Combine responses using LLM
+    ctx.sendThinkingMessage(unanswered.length > 0
+      ? `Synthesizing responses from ${agentResponses.length - unanswered.length} of ${agentResponses.length} specialists...`
+      : `Synthesizing responses from all specialists...`);
+    return await this.synthesizeMultiAgentResponses(originalQuery, agentResponses, llmProvider, ctx);
+  }
 
-          // Check if security blocked this agent's response
-          if (response && response._securityBlock) {
-            return {
-              agent: agentTask.agent,
-              query: agentTask.subQuery,
-              response: null,
-              securityBlocked: true,
-              securityMessage: response.message
-            };
-          }
+  /**
+   * Run one step of a sub-query plan
+   * The answers of the steps it depends on are filled into its sub-query (appended when it
+   * has no {{id}} for them); the step is skipped when one of them is missing.
+   */
+  async runPlanStep(step, results, phase, userContext, llmProvider, ctx) {
+    const dependencies = step.dependsOn.map(id => ({ id, result: results.get(id) }));
+    const missing = dependencies.filter(({ result }) => result.status !== 'ok' || result.output === null);
+
+    if (missing.length > 0) {
+      ctx.sendThinkingMessage(`Skipping ${step.agent} step ${step.id}: it needs the answer to step ${missing.map(({ id }) => id).join(', ')}`);
+      return {
+        id: step.id,
+        agent: step.agent,
+        query: step.subQuery.replace(STEP_REFERENCE, '(unknown)'),
+        response: null,
+        status: 'skipped'
+      };
+    }
 
-          return {
-            agent: agentTask.agent,
-            query: agentTask.subQuery,
-            response: response
-          };
-        });
+    let subQuery = step.subQuery;
+    if (dependencies.length > 0) {
+      const values = new Map(dependencies.map(({ id, result }) => [id, result.output ?? result.response]));
+      subQuery = subQuery.replace(STEP_REFERENCE, (reference, id) => values.get(id) ?? reference);
+      const referenced = new Set([...step.subQuery.matchAll(STEP_REFERENCE)].map(match => match[1]));
+      const unreferenced = dependencies.filter(({ id }) => !referenced.has(id));
+      if (unreferenced.length > 0) {
+        subQuery += `\n[Earlier findings: ${unreferenced.map(({ id }) => values.get(id)).join('; ')}]`;
+      }
+      ctx.sendThinkingMessage(`Step ${step.id} uses the answer from step ${step.dependsOn.join(', ')}`);
+    }
 
-        const results = await Promise.all(promises);
-        agentResponses.push(...results);
+    const result = { id: step.id, ...await this.runAgentTask({ agent: step.agent, subQuery }, phase, userContext, llmProvider, ctx) };
+    if (result.status === 'ok' && step.output) {
+      result.output = await this.extractStepOutput(step, result.response, llmProvider, ctx);
+    }
+    return result;
+  }
 
-      } else if (routingStrategy.strategy === "sequential") {
-        // Execute queries sequentially (for dependent queries)
-        for (const agentTask of routingStrategy.agents) {
-          const agentId = this.findAgentIdByName(agentTask.agent);
-          if (!agentId) {
-            throw new Error(`Agent ${agentTask.agent} not found`);
-          }
+  /**
+   * Take the value a later step needs (step.output, e.g. "the assignee's full name") from a step's answer
+   * @returns {Promise<string|null>} null when the answer doesn't contain it
+   */
+  async extractStepOutput(step, answer, llmProvider, ctx) {
+    const prompt = CoordinatorUtils.getPromptTemplate('stepOutput', { query: step.subQuery, answer, output: step.output });
+    const options = CoordinatorUtils.getLLMOptions('extraction', llmProvider);
 
-          this.sendThinkingMessage(`Querying ${agentTask.agent} specialist: "${agentTask.subQuery}"`);
-          const response = await this.queryAgent(agentId, agentTask.subQuery, userContext, 'en', phase, llmProvider);
-
-          // Check if security blocked this agent's response
-          if (response && response._securityBlock) {
-            agentResponses.push({
-              agent: agentTask.agent,
-              query: agentTask.subQuery,
-              response: null,
-              securityBlocked: true,
-              securityMessage: response.message
-            });
-            continue; // Continue with next agent
-          }
+    try {
+      const response = await this.generateWithLLM(prompt, options);
+      ctx.trackTokens(response, 'coordinator', 'Step output extraction');
 
-          agentResponses.push({
-            agent: agentTask.agent,
-            query: agentTask.subQuery,
-            response: response
-          });
-        }
+      const value = CoordinatorUtils.cleanQuotes(response.response?.trim());
+      if (!value || value.toUpperCase() === 'NONE') {
+        ctx.sendThinkingMessage(`⚠️ Step ${step.id} did not provide ${step.output}`);
+        return null;
       }
+      ctx.sendThinkingMessage(`Step ${step.id} found ${step.output}: ${value}`);
+      return value;
+    } catch (error) {
+      getLogger().warn(`Step output extraction failed, passing on the whole answer: ${error.message}`);
+      return answer;
+    }
+  }
 
-      // Combine responses using LLM
-      this.sendThinkingMessage(`Synthesizing responses from all specialists...`);
-      const combinedResponse = await this.synthesizeMultiAgentResponses(originalQuery, agentResponses, llmProvider);
+  /**
+   * Query the agent for one sub-query of a multi-agent strategy
+   * Never throws: the result's status is 'ok', 'blocked', 'failed' or 'timeout'.
+   */
+  async runAgentTask(agentTask, phase, userContext, llmProvider, ctx) {
+    const result = { agent: agentTask.agent, query: agentTask.subQuery, response: null };
+
+    try {
+      const agentId = this.findAgentIdByName(agentTask.agent);
+      if (!agentId) {
+        throw new Error(`Agent ${agentTask.agent} not found`);
+      }
 
-      return combinedResponse;
+      ctx.sendThinkingMessage(`Querying ${agentTask.agent} specialist: "${agentTask.subQuery}"`);
+      const response = await this.queryAgent(agentId, agentTask.subQuery, userContext, 'en', phase, llmProvider, ctx);
 
-    } catch (error) {
-      getLogger().error('Multi-agent query failed:', error);
-      // Fallback to single agent
-      const fallbackAgentId = this.findAgentIdByName(routingStrategy.agents[0].agent);
-      if (fallbackAgentId) {
-        this.sendThinkingMessage(`⚠️ Multi-agent coordination failed, falling back to ${routingStrategy.agents[0].agent} specialist...`);
-        return await this.queryAgent(fallbackAgentId, originalQuery, userContext, 'en', phase, llmProvider);
+      // Check if security blocked this agent's response
+      if (response && response._securityBlock) {
+        return { ...result, status: 'blocked', securityBlocked: true, securityMessage: response.message };
       }
-      throw error;
+      return { ...result, status: 'ok', response };
+    } catch (error) {
+      const status = error.code === 'AGENT_TIMEOUT' ? 'timeout' : error.code === 'SECURITY_BLOCKED' ? 'blocked' : 'failed';
+      ctx.sendThinkingMessage(`⚠️ ${agentTask.agent} specialist ${status === 'timeout' ? 'did not answer in time' : 'could not answer'}, continuing with the others...`);
+      return { ...result, status, error: error.message, securityBlocked: status === 'blocked' };
     }
   }
 
@@ -892,11 +1184,24 @@ ${coordinatorCapabilities}`;
 
   /**
    * Synthesize multiple agent responses into a coherent answer
+   * Sub-queries without an answer (status other than 'ok') are listed so the user learns which part is missing.
    */
-  async synthesizeMultiAgentResponses(originalQuery, agentResponses, llmProvider = null) {
-    const responseSummary = agentResponses.map(resp =>
+  async synthesizeMultiAgentResponses(originalQuery, agentResponses, llmProvider = null, ctx = new RequestContext()) {
+    const answered = agentResponses.filter(resp => (resp.status || 'ok') === 'ok');
+    const unanswered = agentResponses.filter(resp => (resp.status || 'ok') !== 'ok');
+    const unansweredNote = unanswered.map(resp => `- "${resp.query}" (${resp.agent} specialist): ${CoordinatorUtils.describeUnanswered(resp)}`).join('\n');
+
+    if (answered.length === 0) {
+      // Nothing to synthesize
+      return `I couldn't answer any part of your question:\n${unansweredNote}`;
+    }
+
+    let responseSummary = answered.map(resp =>
       `${resp.agent.toUpperCase()} SPECIALIST: "${resp.query}"\nResponse: ${resp.response}`
     ).join('\n\n');
+    if (unanswered.length > 0) {
+      responseSummary += `\n\nTHESE PARTS COULD NOT BE ANSWERED (tell the user, don't guess the answers):\n${unansweredNote}`;
+    }
 
     const prompt = CoordinatorUtils.getPromptTemplate('synthesis', { originalQuery, responseSummary });
     const options = CoordinatorUtils.getLLMOptions('synthesis', llmProvider);
@@ -905,27 +1210,62 @@ ${coordinatorCapabilities}`;
       const response = await this.generateWithLLM(prompt, options);
 
       // Track synthesis tokens
-      this.trackTokens(response, 'Response synthesis');
+      ctx.trackTokens(response, 'coordinator', 'Response synthesis');
 
       return response.response;
     } catch (error) {
       getLogger().error('Response synthesis failed:', error);
       // Fallback: concatenate responses
-      return agentResponses.map(resp =>
+      const combined = answered.map(resp =>
         `**${resp.agent.toUpperCase()}**: ${resp.response}`
       ).join('\n\n');
+      return unanswered.length > 0 ? `${combined}\n\nNot answered:\n${unansweredNote}` : combined;
     }
   }
 
   /**
    * Query an agent via MCP protocol (delegating to MCPServerRegistry)
+   * Gives up after AGENT_TIMEOUT_MS, cancelling the request to the agent, and records
+   * the call's outcome and latency on the request context.
    */
-  async queryAgent(agentId, query, userContext = null, language = 'en', phase = 'phase2', llmProvider = 'aws') {
+  async queryAgent(agentId, query, userContext = null, language = 'en', phase = 'phase2', llmProvider = 'aws', ctx = new RequestContext()) {
     const agent = this.agentRegistry.getAgent(agentId);
     if (!agent) {
       throw new Error(`Agent ${agentId} not found in registry`);
     }
 
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timedOut = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    const timer = setTimeout(() => {
+      const error = new Error(`Agent ${agent.name} did not answer within ${this.agentTimeout} ms`);
+      error.code = 'AGENT_TIMEOUT';
+      controller.abort(error);
+    }, this.agentTimeout);
+
+    let status = 'failed';
+    try {
+      const pending = this.sendAgentQuery(agent, query, userContext, language, phase, llmProvider, ctx, controller.signal);
+      pending.catch(() => {}); // Still settles after a timeout; its error is no longer anyone's concern
+      const response = await Promise.race([pending, timedOut]);
+      status = response?._securityBlock ? 'blocked' : 'ok';
+      return response;
+    } catch (error) {
+      status = error.code === 'AGENT_TIMEOUT' ? 'timeout' : error.code === 'SECURITY_BLOCKED' ? 'blocked' : 'failed';
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      ctx.recordAgentCall(agent.name, status, Date.now() - startedAt);
+    }
+  }
+
+  /**
+   * Send one query to an agent, with security checkpoints 2 and 3 in phase 3
+   * @param {AbortSignal} [signal] - Cancels the request to the agent
+   */
+  async sendAgentQuery(agent, query, userContext, language, phase, llmProvider, ctx, signal) {
     getLogger().debug(`Querying ${agent.name} agent with llm provider: ${llmProvider}`);
 
     try {
@@ -934,10 +1274,12 @@ ${coordinatorCapabilities}`;
       // CHECKPOINT 2: Analyze outbound request security (use passed phase)
       if (shouldUsePrismaAIRS(phase)) {
         getLogger().debug(`Phase 3 active - Running Security Checkpoint 2: Outbound Request to ${agent.name}`);
-        securityCheckResult = await this.analyzeOutboundRequest(query, agent.name, language, userContext?.email, agent.name, userContext?.sessionId);
+        securityCheckResult = await this.analyzeOutboundRequest(query, agent.name, language, userContext?.email, agent.name, userContext?.sessionId, llmProvider, ctx);
         if (!securityCheckResult.approved) {
           getLogger().warn(`🚫 Security Checkpoint 2 BLOCKED: ${securityCheckResult.category}`);
-          throw new Error(`Security blocked outbound request to ${agent.name}: ${securityCheckResult.message}`);
+          const error = new Error(`Security blocked outbound request to ${agent.name}: ${securityCheckResult.message}`);
+          error.code = 'SECURITY_BLOCKED';
+          throw error;
         }
         getLogger().debug(`Security Checkpoint 2 PASSED`);
 
@@ -947,7 +1289,7 @@ ${coordinatorCapabilities}`;
         }
       }
 
-      this.sendThinkingMessage(`Establishing connection with ${agent.name}...`);
+      ctx.sendThinkingMessage(`Establishing connection with ${agent.name}...`);
 
       // Build enriched query with user context embedded naturally
       // Use masked query if sensitive data was detected, otherwise use original query
@@ -964,14 +1306,11 @@ ${coordinatorCapabilities}`;
         if (userContext.employeeId) contextInfo.push(`employee ID: ${userContext.employeeId}`);
 
         if (contextInfo.length > 0) {
-          enrichedQuery = `${enrichedQuery}\n[User context: ${contextInfo.join(', ')}]`;
+          enrichedQuery = `${enrichedQuery}\n[User context: ${ctx.tokenizePII(contextInfo.join(', '), 'user')}]`;
           getLogger().debug(`Enriched query for ${agent.name} with user context`);
         }
       }
 
-      // Track outbound request tokens (after enrichment)
-      this.trackAgentTokens(enrichedQuery);
-
       // Build query URI with llmProvider parameter
       let queryUri = `${agent.name}://query?q=${encodeURIComponent(enrichedQuery)}`;
       if (llmProvider) {
@@ -979,37 +1318,56 @@ ${coordinatorCapabilities}`;
       }
 
       // Make MCP resource request via MCPServerRegistry
-      // Note: llmProvider is passed in userContext, not in the URI
+      // The requester identity travels in _meta so agents can apply access control, with
+      // the signed token they check it against; the language lets them answer structured
+      // questions with localized templates. The query keeps the vault's placeholders, and
+      // the values travel in _meta.pii for the agent to look records up with
       const resourceRequest = {
         jsonrpc: '2.0',
         method: 'resources/read',
         id: ++this.requestCounter,
         params: {
-          uri: queryUri
+          uri: queryUri,
+          _meta: {
+            userContext: CoordinatorUtils.buildRequesterIdentity(userContext),
+            identityToken: userContext?.identityToken || null,
+            language,
+            ...(ctx.vault?.size > 0 && { pii: ctx.vault.values() }),
+            ...(ctx.conversation && !ctx.conversation.empty && { conversation: ctx.conversation.toJSON() })
+          }
         }
       };
 
       getLogger().debug(`Sending resource request to ${agent.name} (llm provider: ${llmProvider})`);
-      this.sendThinkingMessage(`Sending request to ${agent.name} specialist...`);
+      ctx.sendThinkingMessage(`Sending request to ${agent.name} specialist...`);
 
       // Use MCPServerRegistry to forward the request
-      const response = await this.mcpServerRegistry.forwardRequest(agentId, resourceRequest);
+      const response = await this.mcpServerRegistry.forwardRequest(agent.agentId, resourceRequest, { signal });
 
       if (response.error) {
         throw new Error(`Agent ${agent.name} returned error: ${response.error.message}`);
       }
 
-      if (response.result?.contents?.[0]?.text) {
-        const responseText = response.result.contents[0].text;
+      // Relay the agent's own thinking steps (e.g. which records it retrieved)
+      for (const message of response.result?._meta?.thinking || []) {
+        ctx.sendThinkingMessage(message);
+      }
+      if (response.result?._meta?.intent) {
+        ctx.exactAnswers.add(agent.agentId);
+      }
+      ctx.recordEntities(response.result?._meta?.entities);
+      ctx.trackAgentUsage(response.result?._meta?.usage);
 
-        // Track agent tokens from the response
-        this.trackAgentTokens(responseText);
+      if (response.result?.contents?.[0]?.text) {
+        // Tokenized before checkpoint 3, so its DLP rules don't mask the values the vault
+        // puts back after checkpoint 4 (the types outside PII_VAULT_RESTORE stay masked)
+        const responseText = ctx.tokenizePII(response.result.contents[0].text);
 
         // CHECKPOINT 3: Analyze inbound response security (use passed phase)
         let responseToReturn = responseText;
         if (shouldUsePrismaAIRS(phase)) {
           getLogger().debug(`Phase 3 active - Running Security Checkpoint 3: Inbound Response from ${agent.name}`);
-          const inboundSecurity = await this.analyzeInboundResponse(query, responseText, agent.name, language, userContext?.email, agent.name, userContext?.sessionId);
+          const inboundSecurity = await this.analyzeInboundResponse(query, responseText, agent.name, language, userContext?.email, agent.name, userContext?.sessionId, llmProvider, ctx);
           if (!inboundSecurity.approved) {
             getLogger().warn(`Security Checkpoint 3 BLOCKED: ${inboundSecurity.category}`);
             // Return the security block info - don't throw, let processQuery handle it
@@ -1046,7 +1404,7 @@ ${coordinatorCapabilities}`;
    * Process and validate agent response
    * Verifies if response matches user request, makes it concise, and translates if needed
    */
-  async processAgentResponse(agentResponse, originalQuery, translatedQuery, targetLanguage = 'en', agentName, llmProvider = null) {
+  async processAgentResponse(agentResponse, originalQuery, translatedQuery, targetLanguage = 'en', agentName, llmProvider = null, ctx = new RequestContext()) {
     try {
       getLogger().debug(`Processing response from ${agentName}...`);
 
@@ -1081,7 +1439,7 @@ RESPOND ONLY WITH THIS JSON FORMAT:
       });
 
       // Track validation tokens
-      this.trackTokens(validationResponse, 'Response validation');
+      ctx.trackTokens(validationResponse, 'coordinator', 'Response validation');
 
       let validation;
       try {
@@ -1115,7 +1473,7 @@ RESPOND ONLY WITH THIS JSON FORMAT:
       // Step 3: Translate back to target language if needed
       if (targetLanguage !== 'en') {
         getLogger().debug(`Translating response to ${targetLanguage}`);
-        processedResponse = await this.translateResponse(processedResponse, targetLanguage, llmProvider);
+        processedResponse = await this.translateResponse(processedResponse, targetLanguage, llmProvider, ctx);
       }
 
       getLogger().debug(`Response processing completed`);
@@ -1124,14 +1482,14 @@ RESPOND ONLY WITH THIS JSON FORMAT:
     } catch (error) {
       getLogger().error(`Response processing failed:`, error);
       // Fallback to original response if processing fails
-      return targetLanguage !== 'en' ? await this.translateResponse(agentResponse, targetLanguage, llmProvider) : agentResponse;
+      return targetLanguage !== 'en' ? await this.translateResponse(agentResponse, targetLanguage, llmProvider, ctx) : agentResponse;
     }
   }
 
   /**
    * Translate response to target language
    */
-  async translateResponse(response, targetLanguage, llmProvider = null) {
+  async translateResponse(response, targetLanguage, llmProvider = null, ctx = new RequestContext()) {
     if (targetLanguage === 'en') {
       return response;
     }
@@ -1147,17 +1505,18 @@ IMPORTANT INSTRUCTIONS:
 
 Response to translate: "${response}"`;
 
-      const translationResponse = await this.generateWithLLM(translationPrompt, {
+      // The response is built from agent answers, so it is never cached
+      const translationResponse = await this.generateCached({ type: 'responseTranslation', input: response, language: targetLanguage, provider: llmProvider }, translationPrompt, {
         system: `You are a precise translation assistant. Translate only the meaningful content, ignore technical markup. Return ONLY the ${targetLanguage} translation with no additional text, tags, or explanation.`,
         temperature: 0.1,
         maxTokens: 2000,
         provider: llmProvider
-      });
+      }, true);
 
       let translatedResponse = translationResponse.response?.trim() || response;
 
       // Track response translation tokens
-      this.trackTokens(translationResponse, 'Response translation');
+      ctx.trackTokens(translationResponse, 'coordinator', 'Response translation');
 
       // Remove surrounding quotes if present
       if (translatedResponse.startsWith('"') && translatedResponse.endsWith('"')) {
@@ -1179,7 +1538,7 @@ Response to translate: "${response}"`;
    * Store security checkpoint data for display on frontend
    * @private
    */
-  _recordSecurityCheckpoint(checkpointNumber, label, input, output, latency, agentName = null) {
+  _recordSecurityCheckpoint(checkpointNumber, label, input, output, latency, agentName = null, ctx = new RequestContext()) {
     const checkpoint = {
       number: checkpointNumber,
       label,
@@ -1192,31 +1551,32 @@ Response to translate: "${response}"`;
       output: output || {},
       agent: agentName || null
     };
-    this.securityCheckpoints.push(checkpoint);
+    ctx.recordSecurityCheckpoint(checkpoint);
+    return checkpoint;
   }
 
   /**
    * Helper method to send Prisma AIRS checkpoint thinking message with latency
    * @private
    */
-  _sendSecurityCheckpointMessage(checkpointNumber, result, startTime, context = {}, checkpointData = null) {
+  _sendSecurityCheckpointMessage(checkpointNumber, result, startTime, context = {}, checkpointData = null, ctx = new RequestContext()) {
     const latency = Date.now() - startTime;
     const detectionField = context.detectionField || 'promptDetected';
     const detections = result[detectionField] ? Object.keys(result[detectionField]).filter(k => result[detectionField][k]).join(', ') : 'policy violation';
 
     if (result.approved) {
       const contextStr = context.contextStr ? ` - ${context.contextStr}` : '';
-      this.sendThinkingMessage(`🔓 UNLOCKED - Checkpoint ${checkpointNumber}: ${context.message || 'passed security checks'}${contextStr} (${latency}ms)`);
+      ctx.sendThinkingMessage(`🔓 UNLOCKED - Checkpoint ${checkpointNumber}: ${context.message || 'passed security checks'}${contextStr} (${latency}ms)`);
     } else {
       const contextStr = context.contextStr ? ` - ${context.contextStr}` : '';
-      this.sendThinkingMessage(`LOCKED - Checkpoint ${checkpointNumber}: ${result.category || 'security'} detected (${detections})${contextStr} - ${latency}ms`);
+      ctx.sendThinkingMessage(`LOCKED - Checkpoint ${checkpointNumber}: ${result.category || 'security'} detected (${detections})${contextStr} - ${latency}ms`);
       if (context.blockLogMessage) {
         getLogger().debug(context.blockLogMessage);
       }
     }
 
     // Send checkpoint data as a special thinking message with JSON payload
-    if (checkpointData && this.streamThinkingCallback) {
+    if (checkpointData && ctx.onThinking) {
       // Use a special marker format that can be parsed by frontend: [CHECKPOINT_DATA]<json>
       const checkpointMessage = {
         type: 'checkpoint',
@@ -1226,18 +1586,96 @@ Response to translate: "${response}"`;
         latency_ms: latency,
         input: checkpointData.input,
         output: checkpointData.output,
+        ...(result.degraded && { degraded: result.degraded }),
         tsg_id: process.env.PRISMA_AIRS_TSG_ID || null
       };
-      this.streamThinkingCallback(`[CHECKPOINT_DATA]${JSON.stringify(checkpointMessage)}`);
+      ctx.sendThinkingMessage(`[CHECKPOINT_DATA]${JSON.stringify(checkpointMessage)}`);
+    }
+  }
+
+  /**
+   * Send and record the result of one scan of a checkpoint, and add it to the audit log
+   * @param {Object} config - Checkpoint config
+   * @param {Object} scan - { label, contextStr, scanner, prompt, response, result, startTime }
+   * @private
+   */
+  _reportCheckpointScan(config, scan, ctx) {
+    const { checkpointType, checkpointNumber, agentName, userEmail, analyzeMethod, successMessage, detectionField, blockMessage } = config;
+    const { label, contextStr, scanner, prompt, response, result, startTime } = scan;
+
+    // Prepare checkpoint data to send with thinking message
+    // Keep the raw scan request and result untouched with clear input/output separation
+    const checkpointData = {
+      input: result.__raw_request_payload || {
+        tr_id: 'unknown',
+        contents: analyzeMethod === 'promptAndResponse'
+          ? [{ prompt, response }]
+          : [{ prompt }]
+      },
+      output: result.__raw_response_payload || result
+    };
+
+    // Send thinking messages for visibility (now includes checkpoint data)
+    this._sendSecurityCheckpointMessage(checkpointNumber, result, startTime, {
+      message: successMessage,
+      contextStr,
+      detectionField,
+      blockLogMessage: blockMessage
+    }, checkpointData, ctx);
+
+    // Record checkpoint data for frontend display
+    const checkpoint = this._recordSecurityCheckpoint(
+      checkpointNumber,
+      label,
+      prompt,
+      checkpointData.output,
+      Date.now() - startTime,
+      agentName,
+      ctx
+    );
+    if (result.degraded) {
+      checkpoint.degraded = result.degraded;
+    }
+
+    let verdict = 'allowed';
+    if (result.degraded?.decision === 'scanAfter') {
+      verdict = 'deferred';
+    } else if (!result.approved) {
+      verdict = 'blocked';
+    } else if (result.maskedData?.prompt?.data || result.maskedData?.response?.data) {
+      verdict = 'masked';
     }
+    this.auditLog.record({
+      requestId: ctx.requestId,
+      sessionId: ctx.sessionId,
+      user: userEmail || ctx.requester?.email || null,
+      checkpoint: checkpointNumber,
+      checkpointType,
+      label,
+      scanner,
+      agent: agentName || null,
+      verdict,
+      action: result.action || (result.approved ? 'allow' : 'block'),
+      category: result.category || null,
+      reportId: result.reportId || checkpointData.output?.report_id || null,
+      latencyMs: checkpoint.latency_ms,
+      degraded: result.degraded,
+      prompt,
+      response: analyzeMethod === 'promptAndResponse' ? response : null,
+      names: ctx.knownNames()
+    });
   }
 
   /**
-   * Generic Prisma AIRS security checkpoint analyzer
+   * Generic security checkpoint analyzer
+   * Runs the checkpoint's scanner chain; every scanner is reported as its own checkpoint
+   * entry, sees the content as masked by the ones before it, and a block ends the chain.
+   * Each scan runs under the checkpoint's policy (see checkpoint-policy.js).
    * @private
    */
-  async _analyzeSecurityCheckpoint(config, llmProvider = null) {
+  async _analyzeSecurityCheckpoint(config, llmProvider = null, ctx = new RequestContext()) {
     const {
+      checkpointType,
       checkpointNumber,
       checkpointLabel,
       appName,
@@ -1247,89 +1685,101 @@ Response to translate: "${response}"`;
       analyzeMethod,
       input,
       secondaryInput,
-      detectionField,
       maskingField,
       trId,
-      successMessage,
-      blockMessage,
       originalKey,
-      maskedKey
+      maskedKey,
+      deferred
     } = config;
 
-    if (!this.prismaAIRS || !this.prismaAIRS.isConfigured()) {
+    const scanners = this.securityScanners.forCheckpoint(checkpointType);
+    if (scanners.length === 0) {
       const returnObj = { approved: true, message: 'Security not configured' };
       returnObj[originalKey] = input;
       return returnObj;
     }
 
     const agentInfo = agentName ? ` (${agentName})` : '';
-    getLogger().debug(`Security Checkpoint ${checkpointNumber}: ${checkpointLabel}${agentInfo}`);
-
-    const startTime = Date.now();
-    const aiModel = llmProvider ? LLMProviderFactory.buildModelIdentifier(llmProvider) : null;
-
-    // Call appropriate Prisma AIRS method
-    let result;
-    if (analyzeMethod === 'prompt') {
-      result = await this.prismaAIRS.analyzePrompt(input, {
-        language: config.language,
-        appName,
-        appUser: userEmail || appUser,
-        aiModel: aiModel,
-        trId
-      });
-    } else if (analyzeMethod === 'promptAndResponse') {
-      result = await this.prismaAIRS.analyzePromptAndResponse(input, secondaryInput, {
-        language: config.language,
-        appName,
-        appUser: userEmail || appUser,
-        aiModel: aiModel,
-        trId
-      });
+    getLogger().debug(`Security Checkpoint ${checkpointNumber}: ${checkpointLabel}${agentInfo} [${scanners.map(scanner => scanner.name).join(', ')}]`);
+
+    // Scan-after: the content passes now, and the chain runs in the background
+    if (this.checkpointPolicy.forCheckpoint(checkpointType).mode === 'scanAfter' && !deferred) {
+      this._analyzeSecurityCheckpoint({ ...config, deferred: true }, llmProvider, ctx)
+        .then((scanned) => {
+          if (!scanned.approved) {
+            getLogger().warn(`Checkpoint ${checkpointNumber} scan-after would have blocked${agentInfo}: ${scanned.category}`);
+          }
+        })
+        .catch(error => getLogger().error(`Checkpoint ${checkpointNumber} scan-after failed${agentInfo}: ${error.message}`));
+
+      const result = {
+        approved: true,
+        action: 'allow',
+        category: 'deferred',
+        degraded: { decision: 'scanAfter', scanners: scanners.map(scanner => scanner.name) }
+      };
+      this._reportCheckpointScan(config, {
+        label: checkpointLabel,
+        contextStr: 'scan-after',
+        scanner: scanners.map(scanner => scanner.name).join(','),
+        prompt: input,
+        response: secondaryInput,
+        result,
+        startTime: Date.now()
+      }, ctx);
+      return {
+        ...result,
+        [originalKey]: input,
+        [maskedKey]: analyzeMethod === 'prompt' ? input : secondaryInput,
+        hasMasking: false
+      };
     }
 
-    // Prepare checkpoint data to send with thinking message
-    // Keep raw Prisma AIRS JSON request and response untouched with clear input/output separation
-    const checkpointData = {
-      input: result.__raw_request_payload || {
-        tr_id: 'unknown',
-        contents: analyzeMethod === 'promptAndResponse'
-          ? [{ prompt: input, response: secondaryInput }]
-          : [{ prompt: input }]
-      },
-      output: result.__raw_response_payload || result
+    const aiModel = llmProvider ? LLMProviderFactory.buildModelIdentifier(llmProvider) : null;
+    const metadata = {
+      language: config.language,
+      appName,
+      appUser: userEmail || appUser,
+      aiModel: aiModel,
+      trId
     };
 
-    // Send thinking messages for visibility (now includes checkpoint data)
-    this._sendSecurityCheckpointMessage(checkpointNumber, result, startTime, {
-      message: successMessage,
-      detectionField,
-      blockLogMessage: blockMessage
-    }, checkpointData);
-
-    // Record checkpoint data for frontend display
-    const latency = Date.now() - startTime;
-    this._recordSecurityCheckpoint(
-      checkpointNumber,
-      checkpointLabel,
-      input,
-      checkpointData.output,
-      latency,
-      agentName
-    );
-
-    // Extract masked data if sensitive data was detected
     let maskedInput = input;
     let maskedSecondaryInput = secondaryInput;
+    let result;
 
-    if (maskingField === 'prompt' && result.maskedData?.prompt?.data) {
-      maskedInput = result.maskedData.prompt.data;
-      getLogger().debug(`Sensitive data detected - using masked prompt${agentInfo}`);
-      getLogger().debug(`Detections:`, result.maskedData.prompt.pattern_detections || []);
-    } else if (maskingField === 'response' && result.maskedData?.response?.data) {
-      maskedSecondaryInput = result.maskedData.response.data;
-      getLogger().debug(`Sensitive data detected - using masked response${agentInfo}`);
-      getLogger().debug(`Detections:`, result.maskedData.response.pattern_detections || []);
+    for (const scanner of scanners) {
+      const startTime = Date.now();
+      result = await this.checkpointPolicy.scan(checkpointType, scanner, timeoutMs => (analyzeMethod === 'prompt'
+        ? scanner.analyzePrompt(maskedInput, { ...metadata, timeoutMs })
+        : scanner.analyzePromptAndResponse(maskedInput, maskedSecondaryInput, { ...metadata, timeoutMs })
+      ), config.language);
+
+      const label = [checkpointLabel, scanners.length > 1 && `(${scanner.name})`, deferred && '(scan-after)'].filter(Boolean).join(' ');
+      this._reportCheckpointScan(config, {
+        label,
+        contextStr: [scanners.length > 1 && scanner.name, result.degraded?.decision].filter(Boolean).join(', ') || null,
+        scanner: scanner.name,
+        prompt: maskedInput,
+        response: maskedSecondaryInput,
+        result,
+        startTime
+      }, ctx);
+
+      // Extract masked data if sensitive data was detected
+      if (maskingField === 'prompt' && result.maskedData?.prompt?.data) {
+        maskedInput = result.maskedData.prompt.data;
+        getLogger().debug(`Sensitive data detected by ${scanner.name} - using masked prompt${agentInfo}`);
+        getLogger().debug(`Detections:`, result.maskedData.prompt.pattern_detections || []);
+      } else if (maskingField === 'response' && result.maskedData?.response?.data) {
+        maskedSecondaryInput = result.maskedData.response.data;
+        getLogger().debug(`Sensitive data detected by ${scanner.name} - using masked response${agentInfo}`);
+        getLogger().debug(`Detections:`, result.maskedData.response.pattern_detections || []);
+      }
+
+      if (!result.approved) {
+        break;
+      }
     }
 
     // Return appropriate structure based on checkpoint type
@@ -1350,7 +1800,7 @@ Response to translate: "${response}"`;
   }
 
   /**
-   * Unified Prisma AIRS Security Analysis
+   * Unified security checkpoint analysis
    */
   async analyzeSecurityCheckpoint(checkpointType, ...args) {
     const configs = {
@@ -1430,57 +1880,59 @@ Response to translate: "${response}"`;
       })
     };
 
-    const llmProvider = args[args.length - 1]; // Last argument is always llmProvider
-    const config = configs[checkpointType](...args.slice(0, -1));
-    return this._analyzeSecurityCheckpoint(config, llmProvider);
+    // Last two arguments are always llmProvider and the request context
+    const [llmProvider, ctx] = args.slice(-2);
+    const config = { checkpointType, ...configs[checkpointType](...args.slice(0, -2)) };
+    return this._analyzeSecurityCheckpoint(config, llmProvider, ctx);
   }
 
   // Legacy methods for backward compatibility
-  async analyzeUserInput(query, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null) {
-    return this.analyzeSecurityCheckpoint('userInput', query, language, userEmail, agentName, sessionId, llmProvider);
+  async analyzeUserInput(query, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null, ctx = new RequestContext()) {
+    return this.analyzeSecurityCheckpoint('userInput', query, language, userEmail, agentName, sessionId, llmProvider, ctx);
   }
 
-  async analyzeOutboundRequest(subQuery, serverName, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null) {
-    return this.analyzeSecurityCheckpoint('outboundRequest', subQuery, serverName, language, userEmail, agentName, sessionId, llmProvider);
+  async analyzeOutboundRequest(subQuery, serverName, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null, ctx = new RequestContext()) {
+    return this.analyzeSecurityCheckpoint('outboundRequest', subQuery, serverName, language, userEmail, agentName, sessionId, llmProvider, ctx);
   }
 
-  async analyzeInboundResponse(prompt, response, serverName, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null) {
-    return this.analyzeSecurityCheckpoint('inboundResponse', prompt, response, serverName, language, userEmail, agentName, sessionId, llmProvider);
+  async analyzeInboundResponse(prompt, response, serverName, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null, ctx = new RequestContext()) {
+    return this.analyzeSecurityCheckpoint('inboundResponse', prompt, response, serverName, language, userEmail, agentName, sessionId, llmProvider, ctx);
   }
 
-  async analyzeFinalResponse(prompt, response, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null) {
-    return this.analyzeSecurityCheckpoint('finalResponse', prompt, response, language, userEmail, agentName, sessionId, llmProvider);
+  async analyzeFinalResponse(prompt, response, language = 'en', userEmail = null, agentName = null, sessionId = null, llmProvider = null, ctx = new RequestContext()) {
+    return this.analyzeSecurityCheckpoint('finalResponse', prompt, response, language, userEmail, agentName, sessionId, llmProvider, ctx);
   }
 
   /**
    * Process user query through the MCP system with full security integration
+   * A fresh RequestContext is created when the caller doesn't supply one
    */
-  async processQuery(query, language = 'en', phase = 'phase2', userContext = null, llmProvider = 'aws') {
+  async processQuery(query, language = 'en', phase = 'phase2', userContext = null, llmProvider = 'aws', ctx = null) {
     if (!this.initialized) {
       throw new Error('IntelligentCoordinator not initialized');
     }
 
-    // Reset token usage and security checkpoints for this query
-    this.tokenUsage = {
-      coordinator_tokens: 0,
-      agent_tokens: 0,
-      total_tokens: 0
-    };
-    this.clearSecurityCheckpoints();
+    ctx = ctx || this.createRequestContext({ sessionId: userContext?.sessionId });
+    ctx.requester = CoordinatorUtils.buildRequesterIdentity(userContext);
+    ctx.conversation = this.conversations.get(userContext?.sessionId, userContext?.history);
 
-    getLogger().info(`Processing query: "${query}" (${language}, Phase: ${phase}, Cloud: ${llmProvider})`);
-    this.sendThinkingMessage(`Analyzing your question...`);
+    getLogger().info(`[${ctx.requestId}] Processing query: "${query}" (${language}, Phase: ${phase}, Cloud: ${llmProvider})`);
+    ctx.sendThinkingMessage(`Analyzing your question...`);
 
     let queryToProcess = query;
 
     try {
+      if (shouldUsePrismaAIRS(phase) && this.piiVault.enabled) {
+        ctx.vault = new PIIVault({ restoreTypes: this.piiVault.restoreTypes });
+      }
+
       // Validate user context for personal queries
       const personalKeywords = /\bmy\b|\bi\b|\bme\b|\bours\b|\bwe\b/i;
       if (personalKeywords.test(query) && !userContext?.email) {
         getLogger().debug(`Personal query detected but no user context provided`);
-        this.sendThinkingMessage(`User identification required for personal queries`);
+        ctx.sendThinkingMessage(`User identification required for personal queries`);
 
-        const resp = this.buildErrorResponse('I need to know who you are to answer personal questions like that. Please provide your email or user identity in the request.');
+        const resp = this.buildErrorResponse('I need to know who you are to answer personal questions like that. Please provide your email or user identity in the request.', phase, ctx);
         return {
           ...resp,
           requiresUserContext: true,
@@ -1491,7 +1943,7 @@ Response to translate: "${response}"`;
       // CHECKPOINT 1: Analyze user input security (use passed phase, not instance variable)
       if (shouldUsePrismaAIRS(phase)) {
         getLogger().debug(`Phase 3 active - Running Security Checkpoint 1: User Input Analysis`);
-        const inputSecurity = await this.analyzeUserInput(query, language, userContext?.email, null, userContext?.sessionId, llmProvider);
+        const inputSecurity = await this.analyzeUserInput(query, language, userContext?.email, null, userContext?.sessionId, llmProvider, ctx);
         if (!inputSecurity.approved) {
           getLogger().warn(`Security Checkpoint 1 BLOCKED: ${inputSecurity.category}`);
           // Return security block message
@@ -1504,8 +1956,13 @@ Response to translate: "${response}"`;
         }
         getLogger().debug(`Security Checkpoint 1 PASSED`);
 
-        // If sensitive data was detected and masked, use the masked query for all downstream processing
-        if (inputSecurity.hasMasking) {
+        // Personal data is swapped for placeholders rather than masked, so the answer can carry it again;
+        // the AIRS masking still applies when the vault found nothing to replace
+        const tokenizedQuery = ctx.tokenizePII(query, 'user');
+        if (tokenizedQuery !== query) {
+          queryToProcess = tokenizedQuery;
+          getLogger().debug(`Using tokenized query for all downstream processing (${JSON.stringify(ctx.vault)})`);
+        } else if (inputSecurity.hasMasking) {
           queryToProcess = inputSecurity.maskedQuery;
           getLogger().debug(`Using masked query for all downstream processing`);
           getLogger().debug(`   Original: "${query}"`);
@@ -1514,24 +1971,24 @@ Response to translate: "${response}"`;
       }
 
       // Step 1: Translate if needed
-      this.sendThinkingMessage(`Checking language requirements...`);
-      const translatedQuery = await this.translateQuery(queryToProcess, language, llmProvider);
+      ctx.sendThinkingMessage(`Checking language requirements...`);
+      const translatedQuery = await this.translateQuery(queryToProcess, language, llmProvider, ctx);
       if (translatedQuery !== queryToProcess) {
-        this.sendThinkingMessage(`Translated to English: "${translatedQuery}"`);
-        // Track translation work as coordinator tokens
-        this.trackCoordinatorTokens(queryToProcess + translatedQuery);
+        ctx.sendThinkingMessage(`Translated to English: "${translatedQuery}"`);
       } else {
-        this.sendThinkingMessage(`No translation needed`);
+        ctx.sendThinkingMessage(`No translation needed`);
       }
+      const shownTranslation = ctx.restoreAuthorizedPII(translatedQuery);
+
+      // Step 1b: Turn follow-ups ("and his manager?", "close it") into standalone questions
+      const standaloneQuery = await this.resolveFollowUp(translatedQuery, llmProvider, ctx);
 
       // Step 2: Route to appropriate agent(s) using registry
-      this.sendThinkingMessage(`Determining the best routing strategy for your query...`);
-      // Track routing analysis as coordinator work
-      this.trackCoordinatorTokens("Analyzing query semantics and determining best routing strategy");
+      ctx.sendThinkingMessage(`Determining the best routing strategy for your query...`);
 
       let routingResult;
       try {
-        routingResult = await this.routeQuery(translatedQuery, language, phase, userContext, llmProvider);
+        routingResult = await this.routeQuery(standaloneQuery, language, phase, userContext, llmProvider, ctx);
       } catch (routingError) {
         getLogger().debug(`Routing failed: ${routingError.message}`);
 
@@ -1541,10 +1998,10 @@ Response to translate: "${response}"`;
           userMessage = `I encountered a configuration issue: ${routingError.message}. Please contact your administrator to configure a supported model.`;
         }
 
-        this.sendThinkingMessage(`Error: ${userMessage}`);
+        ctx.sendThinkingMessage(`Error: ${userMessage}`);
 
         // Return error response instead of throwing
-        const errResp = this.buildErrorResponse(userMessage);
+        const errResp = this.buildErrorResponse(userMessage, phase, ctx);
         errResp.errorType = routingError.message;
         return errResp;
       }
@@ -1553,22 +2010,23 @@ Response to translate: "${response}"`;
       if (routingResult.type === 'coordinator') {
         // Coordinator self-route — describe capabilities based on registered agents
         getLogger().debug('Handling coordinator capability query');
-        this.sendThinkingMessage('Describing available capabilities...');
-        const capabilityResponse = await this.handleCapabilityQuery(translatedQuery, language, llmProvider);
+        ctx.sendThinkingMessage('Describing available capabilities...');
+        const capabilityResponse = await this.handleCapabilityQuery(standaloneQuery, language, llmProvider, ctx);
+        this.rememberTurn(ctx, standaloneQuery, capabilityResponse);
         return {
-          response: capabilityResponse,
+          response: ctx.restoreAuthorizedPII(capabilityResponse),
           agentUsed: 'coordinator',
-          translatedQuery: translatedQuery !== query ? translatedQuery : null,
-          metadata: this.buildResultMetadata(phase)
+          translatedQuery: shownTranslation !== query ? shownTranslation : null,
+          metadata: this.buildResultMetadata(phase, ctx)
         };
       } else if (routingResult.type === 'agent-id') {
         // Single agent routing
         const selectedAgent = this.agentRegistry.getAgent(routingResult.agentId);
-        this.sendThinkingMessage(`Connecting to ${selectedAgent.name} specialist...`);
+        ctx.sendThinkingMessage(`Connecting to ${selectedAgent.name} specialist...`);
 
         // Step 3: Query the selected agent
-        this.sendThinkingMessage(`${selectedAgent.name} specialist is processing your request...`);
-        const agentResponse = await this.queryAgent(routingResult.agentId, translatedQuery, userContext, language, phase, llmProvider);
+        ctx.sendThinkingMessage(`${selectedAgent.name} specialist is processing your request...`);
+        const agentResponse = await this.queryAgent(routingResult.agentId, standaloneQuery, userContext, language, phase, llmProvider, ctx);
 
         // Check if security blocked the response at Checkpoint 3
         if (agentResponse && agentResponse._securityBlock) {
@@ -1579,35 +2037,40 @@ Response to translate: "${response}"`;
             securityBlock: true,
             category: agentResponse.category,
             reportId: agentResponse.reportId,
-            metadata: this.buildResultMetadata(phase)
+            metadata: this.buildResultMetadata(phase, ctx)
           };
         }
 
-        this.sendThinkingMessage(`Response received from ${selectedAgent.name} specialist`);
+        ctx.sendThinkingMessage(`Response received from ${selectedAgent.name} specialist`);
         getLogger().debug(`Response from ${selectedAgent.name} agent received`);
 
         // Step 4: Process and validate the agent response
-        this.sendThinkingMessage(`Processing and validating response...`);
-        const processedResponse = await this.processAgentResponse(
-          agentResponse,
-          query,
-          translatedQuery,
-          language,
-          selectedAgent.name,
-          llmProvider
-        );
+        // Intent answers are exact and already in the user's language, so they skip the LLM
+        let processedResponse = agentResponse;
+        if (!ctx.exactAnswers.has(routingResult.agentId)) {
+          ctx.sendThinkingMessage(`Processing and validating response...`);
+          processedResponse = await this.processAgentResponse(
+            agentResponse,
+            queryToProcess,
+            standaloneQuery,
+            language,
+            selectedAgent.name,
+            llmProvider,
+            ctx
+          );
+        }
 
         // CHECKPOINT 4: Analyze final response security (use passed phase)
         let finalResponseToReturn = processedResponse;
         if (shouldUsePrismaAIRS(phase)) {
-          const finalSecurity = await this.analyzeFinalResponse(queryToProcess, processedResponse, language, userContext?.email, selectedAgent.name, userContext?.sessionId, llmProvider);
+          const finalSecurity = await this.analyzeFinalResponse(queryToProcess, processedResponse, language, userContext?.email, selectedAgent.name, userContext?.sessionId, llmProvider, ctx);
           if (!finalSecurity.approved) {
             return {
               response: finalSecurity.message,
               securityBlock: true,
               category: finalSecurity.category,
               reportId: finalSecurity.reportId,
-              metadata: this.buildResultMetadata(phase)
+              metadata: this.buildResultMetadata(phase, ctx)
             };
           }
 
@@ -1616,48 +2079,51 @@ Response to translate: "${response}"`;
             finalResponseToReturn = finalSecurity.maskedResponse;
             getLogger().debug(`Using masked response in final output (sensitive data detected)`);
           }
+          finalResponseToReturn = ctx.restoreAuthorizedPII(finalResponseToReturn);
         }
 
         // NOTE: Don't re-track agent response here - it was already tracked in queryAgent()
         // The coordinator's work here (validation, masking) is part of operational overhead        
+        this.rememberTurn(ctx, standaloneQuery, agentResponse);
         return {
           response: finalResponseToReturn,
           agentUsed: selectedAgent.name,
-          translatedQuery: translatedQuery !== query ? translatedQuery : null,
-          metadata: this.buildResultMetadata(phase)
+          translatedQuery: shownTranslation !== query ? shownTranslation : null,
+          metadata: this.buildResultMetadata(phase, ctx)
         };
       } else if (routingResult.type === 'declined') {
         // Query was declined by LLM for security/policy reasons
         getLogger().warn(`🚫 Query declined - Reasoning: ${routingResult.reasoning}`);
-        this.sendThinkingMessage(`🚫 Request cannot be processed: ${routingResult.reasoning}`);
+        ctx.sendThinkingMessage(`🚫 Request cannot be processed: ${routingResult.reasoning}`);
 
         return {
-          response: routingResult.response,
+          response: ctx.restoreAuthorizedPII(routingResult.response),
           declined: true,
           reason: routingResult.reasoning,
-          translatedQuery: translatedQuery !== query ? translatedQuery : null,
-          metadata: this.buildResultMetadata(phase)
+          translatedQuery: shownTranslation !== query ? shownTranslation : null,
+          metadata: this.buildResultMetadata(phase, ctx)
         };
       } else {
         // Multi-agent response - routingResult contains the final synthesized response
-        this.sendThinkingMessage(`Multi-agent coordination completed`);
+        ctx.sendThinkingMessage(`Multi-agent coordination completed`);
         getLogger().debug(`Multi-agent response completed`);
 
         // Process multi-agent response
-        this.sendThinkingMessage(`Processing and validating multi-agent response...`);
+        ctx.sendThinkingMessage(`Processing and validating multi-agent response...`);
         const processedResponse = await this.processAgentResponse(
           routingResult.response,
-          query,
-          translatedQuery,
+          queryToProcess,
+          standaloneQuery,
           language,
           'multi-agent-coordinator',
-          llmProvider
+          llmProvider,
+          ctx
         );
 
         // CHECKPOINT 4: Analyze final response security (use passed phase)
         let finalResponseToReturn = processedResponse;
         if (shouldUsePrismaAIRS(phase)) {
-          const finalSecurity = await this.analyzeFinalResponse(queryToProcess, processedResponse, language, userContext?.email, 'multi-agent-coordinator', userContext?.sessionId, llmProvider);
+          const finalSecurity = await this.analyzeFinalResponse(queryToProcess, processedResponse, language, userContext?.email, 'multi-agent-coordinator', userContext?.sessionId, llmProvider, ctx);
           if (!finalSecurity.approved) {
 
             return {
@@ -1665,7 +2131,7 @@ Response to translate: "${response}"`;
               securityBlock: true,
               category: finalSecurity.category,
               reportId: finalSecurity.reportId,
-              metadata: this.buildResultMetadata(phase)
+              metadata: this.buildResultMetadata(phase, ctx)
             };
           }
 
@@ -1674,16 +2140,15 @@ Response to translate: "${response}"`;
             finalResponseToReturn = finalSecurity.maskedResponse;
             getLogger().debug(`Using masked response in final output (sensitive data detected)`);
           }
+          finalResponseToReturn = ctx.restoreAuthorizedPII(finalResponseToReturn);
         }
 
-        // Track multi-agent synthesis work as coordinator tokens
-        this.trackCoordinatorTokens(finalResponseToReturn);
-
+        this.rememberTurn(ctx, standaloneQuery, routingResult.response);
         return {
           response: finalResponseToReturn,
           agentUsed: 'multi-agent-coordinator',
-          translatedQuery: translatedQuery !== query ? translatedQuery : null,
-          metadata: this.buildResultMetadata(phase)
+          translatedQuery: shownTranslation !== query ? shownTranslation : null,
+          metadata: this.buildResultMetadata(phase, ctx)
         };
       }
     } catch (error) {
@@ -1697,43 +2162,95 @@ Response to translate: "${response}"`;
         userMessage = 'No AI agents are currently available. Please contact your administrator.';
       }
 
-      this.sendThinkingMessage(`Error: ${userMessage}`);
+      ctx.sendThinkingMessage(`Error: ${userMessage}`);
 
-      const errResp = this.buildErrorResponse(userMessage, phase);
+      const errResp = this.buildErrorResponse(userMessage, phase, ctx);
       errResp.errorType = error.message;
       return errResp;
     }
   }
 
+  /**
+   * Rewrite a follow-up question into a standalone one using the session's conversation state
+   * Questions that don't look like follow-ups are returned as they are, without an LLM call.
+   */
+  async resolveFollowUp(query, llmProvider = null, ctx = new RequestContext()) {
+    if (!ctx.conversation?.isFollowUp(query)) {
+      return query;
+    }
+
+    const prompt = CoordinatorUtils.getPromptTemplate('followUp', { query, conversationState: ctx.tokenizePII(ctx.conversation.describe()) });
+    const options = CoordinatorUtils.getLLMOptions('followUp', llmProvider);
+
+    try {
+      const response = await this.generateWithLLM(prompt, options);
+      ctx.trackTokens(response, 'coordinator', 'Follow-up resolution');
+
+      const standalone = CoordinatorUtils.cleanQuotes(response.response?.trim());
+      if (!standalone || standalone === query) {
+        return query;
+      }
+      getLogger().debug(`[${ctx.requestId}] Follow-up resolved: "${query}" -> "${standalone}"`);
+      ctx.sendThinkingMessage(`Understood as: "${standalone}"`);
+      return standalone;
+    } catch (error) {
+      getLogger().warn(`Follow-up resolution failed, using the question as asked: ${error.message}`);
+      return query;
+    }
+  }
+
+  /**
+   * Update the session's conversation state with an answered question
+   * Uses the English answer, before it is translated for the user, with the vault's
+   * placeholders replaced: the state outlives the request and its vault.
+   */
+  rememberTurn(ctx, query, answer) {
+    ctx.conversation?.record({
+      query: ctx.restorePII(query),
+      answer: typeof answer === 'string' ? ctx.restorePII(answer) : '',
+      agents: ctx.agentCalls.filter(call => call.status === 'ok').map(call => call.agent),
+      entities: ctx.entities
+    });
+  }
+
   /**
    * Helper to build successful response with metadata
    */
-  buildSuccessResponse(response, phase = 'phase2') {
+  buildSuccessResponse(response, phase = 'phase2', ctx = new RequestContext()) {
     return {
       success: true,
       response,
-      metadata: this.buildResultMetadata(phase)
+      metadata: this.buildResultMetadata(phase, ctx)
     };
   }
 
   /**
    * Helper to build error response with metadata
    */
-  buildErrorResponse(message, phase = 'phase2') {
+  buildErrorResponse(message, phase = 'phase2', ctx = new RequestContext()) {
     return {
       success: false,
       response: message,
       error: true,
-      metadata: this.buildResultMetadata(phase)
+      metadata: this.buildResultMetadata(phase, ctx)
     };
   }
-  buildResultMetadata(phase) {
+
+  /**
+   * Helper to build result metadata from the request's own accounting
+   * usage has the per-model token counts and cost estimate of the coordinator and the agents
+   */
+  buildResultMetadata(phase, ctx = new RequestContext()) {
+    const usage = ctx.getUsageSummary();
     return {
-      total_tokens: this.tokenUsage.total_tokens,
-      coordinator_tokens: this.tokenUsage.coordinator_tokens,
-      agent_tokens: this.tokenUsage.agent_tokens,
+      requestId: ctx.requestId,
+      total_tokens: usage.total.totalTokens,
+      coordinator_tokens: usage.coordinator.totalTokens,
+      agent_tokens: usage.agents.totalTokens,
+      usage,
       timestamp: new Date().toISOString(),
-      securityCheckpoints: phase === 'phase3' ? this.getSecurityCheckpoints() : []
+      securityCheckpoints: phase === 'phase3' ? ctx.getSecurityCheckpoints() : [],
+      agentCalls: ctx.agentCalls
     };
   }
 
@@ -1819,4 +2336,4 @@ Response to translate: "${response}"`;
   }
 }
 
-export { IntelligentCoordinator };
\ No newline at end of file
+export { IntelligentCoordinator, RequestContext, CoordinatorUtils };
\ No newline at end of file
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Routing Evaluation
+ * Replays a labelled query corpus through the coordinator's translation and agent
+ * selection (IntelligentCoordinator.selectAgents) with the LLM replaced, then reports
+ * accuracy per expected agent and per language with a confusion matrix.
+ * Exits with status 1 when a run falls below the saved baseline.
+ *
+ * Usage:
+ *   node eval/routing-eval.js [options]
+ *     --llm <mode>         synthetic (default) - translations and routing responses written in the corpus
+ *                          stub - the LLM returns the expected agents, isolating the local classifier
+ *                          live - the configured LLM provider; record its answers with CASSETTE_MODE=record
+ *                          and replay them with CASSETTE_MODE=replay (see utils/cassette.js)
+ *     --provider <name>    LLM provider of the live mode (default: the gateway's default provider)
+ *     --corpus <file>      JSONL corpus (default eval/routing-corpus.jsonl)
+ *     --agents <file>      Agent profiles as the agents register them (default eval/agents.json)
+ *     --baseline <file>    Baseline to compare against (default eval/baseline-<mode>.json)
+ *     --update-baseline    Save this run as the baseline
+ *     --json               Print the report as JSON
+ *     --verbose            Show coordinator logs
+ *
+ * Corpus line:
+ *   { "id": "fr-hr-01", "language": "fr", "query": "...", "expected": ["hr"],
+ *     "english": "...", "llm": "{\"agents\": [...]}" }
+ *   english  - synthetic translation, required for non-English queries
+ *   llm      - synthetic routing response, used when the classifier leaves the query to the LLM
+ * Both were written by hand in the format of the prompts' answers, not recorded from a model.
+ *   expected - agent names, "coordinator" for capability questions, [] for queries to decline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { IntelligentCoordinator, RequestContext, CoordinatorUtils } from '../coordinator.js';
+import { QueryRouter } from '../router.js';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const GATEWAY_DIR = path.dirname(EVAL_DIR);
+
+// Prediction labels that are not agent names
+const DECLINED = 'declined';
+const ERROR = 'error';
+
+const MODES = ['synthetic', 'stub', 'live'];
+
+const USAGE = 'Usage: node eval/routing-eval.js [--llm synthetic|stub|live] [--provider <name>] [--corpus <file>] ' +
+  '[--agents <file>] [--baseline <file>] [--update-baseline] [--json] [--verbose]';
+
+function readJsonl(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Languages the UI ships, from the locales directory (./locales in the container, ../locales in the repo)
+ */
+function supportedLanguages() {
+  const dir = [path.join(GATEWAY_DIR, 'locales'), path.join(GATEWAY_DIR, '..', 'locales')]
+    .find(candidate => fs.existsSync(candidate));
+  if (!dir) {
+    throw new Error('locales directory not found');
+  }
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Multi-agent routes are labelled by their sorted agent names, e.g. "hr+it"
+ */
+function label(agents) {
+  return agents.length === 0 ? DECLINED : [...new Set(agents)].sort().join('+');
+}
+
+/**
+ * Stand-in for generateWithLLM, answering one corpus entry's translation and routing calls
+ */
+function createLLM(entry, mode) {
+  const translationSystem = CoordinatorUtils.getLLMOptions('translation').system;
+
+  return async (prompt, options = {}) => {
+    if (options.system === translationSystem) {
+      if (!entry.english) {
+        throw new Error('no synthetic translation');
+      }
+      return { response: entry.english };
+    }
+
+    if (mode === 'stub') {
+      const agents = entry.expected.map(agent => ({ agent, subQuery: entry.english || entry.query }));
+      return { response: JSON.stringify({ agents, reasoning: 'stub' }) };
+    }
+    if (!entry.llm) {
+      throw new Error('no synthetic routing response');
+    }
+    return { response: entry.llm };
+  };
+}
+
+async function evaluate(coordinator, corpus, mode, provider = null) {
+  const results = [];
+
+  for (const entry of corpus) {
+    if (mode !== 'live') {
+      coordinator.generateWithLLM = createLLM(entry, mode);
+    }
+    const ctx = new RequestContext({ requestId: entry.id });
+    const result = { id: entry.id, language: entry.language, expected: label(entry.expected) };
+
+    try {
+      const query = await coordinator.translateQuery(entry.query, entry.language, provider, ctx);
+      const selection = await coordinator.selectAgents(query, null, provider, ctx);
+      result.predicted = label(selection.agents);
+      result.method = selection.method;
+    } catch (error) {
+      result.predicted = ERROR;
+      result.method = 'llm';
+      result.error = error.message;
+    }
+
+    result.correct = result.predicted === result.expected;
+    results.push(result);
+  }
+
+  return results;
+}
+
+function accuracy(results) {
+  const correct = results.filter(r => r.correct).length;
+  return results.length ? Math.round(1000 * correct / results.length) / 1000 : 0;
+}
+
+function groupAccuracy(results, key) {
+  const groups = {};
+  results.forEach(result => (groups[result[key]] ||= []).push(result));
+  return Object.fromEntries(Object.keys(groups).sort().map(name => [name, {
+    accuracy: accuracy(groups[name]),
+    total: groups[name].length
+  }]));
+}
+
+function buildReport(results, mode) {
+  const labels = [...new Set(results.flatMap(r => [r.expected, r.predicted]))].sort();
+  const confusion = Object.fromEntries(labels.map(expected => [expected,
+    Object.fromEntries(labels.map(predicted => [predicted,
+      results.filter(r => r.expected === expected && r.predicted === predicted).length]))]));
+
+  return {
+    mode,
+    total: results.length,
+    accuracy: accuracy(results),
+    localRate: accuracy(results.map(r => ({ correct: r.method === 'local' }))),
+    byAgent: groupAccuracy(results, 'expected'),
+    byLanguage: groupAccuracy(results, 'language'),
+    confusion,
+    failures: results.filter(r => !r.correct).map(({ id, expected, predicted, method, error }) =>
+      ({ id, expected, predicted, method, ...(error && { error }) })),
+    passing: results.filter(r => r.correct).map(r => r.id).sort()
+  };
+}
+
+/**
+ * Regressions against the baseline: lower accuracy overall, per agent or per language,
+ * and queries that used to route correctly
+ */
+function compare(report, baseline) {
+  const regressions = [];
+
+  if (report.accuracy < baseline.accuracy) {
+    regressions.push(`overall accuracy ${baseline.accuracy} -> ${report.accuracy}`);
+  }
+  for (const group of ['byAgent', 'byLanguage']) {
+    for (const [name, before] of Object.entries(baseline[group] || {})) {
+      const now = report[group][name];
+      if (!now) {
+        regressions.push(`${group} ${name}: no longer in the corpus`);
+      } else if (now.accuracy < before.accuracy) {
+        regressions.push(`${group} ${name}: accuracy ${before.accuracy} -> ${now.accuracy}`);
+      }
+    }
+  }
+
+  const failing = new Set(report.failures.map(f => f.id));
+  (baseline.passing || []).filter(id => failing.has(id))
+    .forEach(id => regressions.push(`${id}: routed correctly in the baseline, now fails`));
+
+  return regressions;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function printReport(report) {
+  const percent = value => `${(100 * value).toFixed(1)}%`;
+
+  console.log(`Routing evaluation (${report.mode} LLM): ${report.total} queries, ` +
+    `accuracy ${percent(report.accuracy)}, routed locally ${percent(report.localRate)}\n`);
+
+  for (const [title, group] of [['Expected agent', report.byAgent], ['Language', report.byLanguage]]) {
+    const width = Math.max(title.length, ...Object.keys(group).map(name => name.length)) + 2;
+    console.log(`${pad(title, width)}accuracy  queries`);
+    Object.entries(group).forEach(([name, { accuracy: value, total }]) =>
+      console.log(`${pad(name, width)}${pad(percent(value), 10)}${total}`));
+    console.log();
+  }
+
+  const labels = Object.keys(report.confusion);
+  const width = Math.max(...labels.map(name => name.length), 'expected \\ predicted'.length) + 2;
+  console.log(`${pad('expected \\ predicted', width)}${labels.map(name => pad(name, name.length + 2)).join('')}`);
+  labels.forEach(expected => console.log(`${pad(expected, width)}${labels
+    .map(predicted => pad(report.confusion[expected][predicted] || '.', predicted.length + 2)).join('')}`));
+
+  if (report.failures.length > 0) {
+    console.log('\nMisrouted:');
+    report.failures.forEach(f =>
+      console.log(`  ${f.id}: expected ${f.expected}, got ${f.predicted} (${f.method})${f.error ? ` - ${f.error}` : ''}`));
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        llm: { type: 'string', default: 'synthetic' },
+        provider: { type: 'string' },
+        corpus: { type: 'string', default: path.join(EVAL_DIR, 'routing-corpus.jsonl') },
+        agents: { type: 'string', default: path.join(EVAL_DIR, 'agents.json') },
+        baseline: { type: 'string' },
+        'update-baseline': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false }
+      }
+    }));
+    if (!MODES.includes(args.llm)) {
+      throw new Error(`Unknown LLM mode: ${args.llm}`);
+    }
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  initializeLogger('routing-eval');
+  getLogger().silent = !args.verbose;
+
+  try {
+    const corpus = readJsonl(args.corpus);
+    const missing = supportedLanguages().filter(lng => !corpus.some(entry => entry.language === lng));
+    if (missing.length > 0) {
+      throw new Error(`No corpus queries for languages: ${missing.join(', ')}`);
+    }
+
+    const coordinator = new IntelligentCoordinator(null);
+    coordinator.router = new QueryRouter({ logFile: null });
+    JSON.parse(fs.readFileSync(args.agents, 'utf8')).forEach(profile => coordinator.registerAgent({
+      agentId: `${profile.name}-eval`,
+      url: null,
+      ...profile
+    }));
+
+    const report = buildReport(await evaluate(coordinator, corpus, args.llm, args.provider || null), args.llm);
+    const baselineFile = args.baseline || path.join(EVAL_DIR, `baseline-${args.llm}.json`);
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    if (args['update-baseline']) {
+      const { failures, ...baseline } = report;
+      fs.writeFileSync(baselineFile, `${JSON.stringify(baseline, null, 2)}\n`);
+      console.error(`\nBaseline saved to ${baselineFile}`);
+      return;
+    }
+
+    if (!fs.existsSync(baselineFile)) {
+      console.error(`\nNo baseline at ${baselineFile}; run with --update-baseline to create one`);
+      return;
+    }
+
+    const regressions = compare(report, JSON.parse(fs.readFileSync(baselineFile, 'utf8')));
+    if (regressions.length > 0) {
+      console.error(`\nRegressions against ${path.basename(baselineFile)}:`);
+      regressions.forEach(regression => console.error(`  ${regression}`));
+      process.exit(1);
+    }
+    console.error(`\nNo regressions against ${path.basename(baselineFile)}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
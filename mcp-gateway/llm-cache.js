@@ -0,0 +1,229 @@
+/**
+ * Cache for the coordinator's repeatable LLM calls (query translation, routing)
+ *
+ * Entries are keyed by prompt template type, normalized input, language and LLM provider,
+ * and kept in an in-memory LRU with a TTL. With LLM_CACHE_DIR set, entries are also
+ * written to disk so they survive a restart; a disk hit is promoted to memory.
+ * Callers decide what may be cached: a call whose prompt carries more than the keyed
+ * input (conversation, requester, agent responses) is neither looked up nor stored
+ * (see bypass()).
+ *
+ * Environment variables:
+ * - LLM_CACHE             : "false" turns caching off (default on)
+ * - LLM_CACHE_TTL_MS      : Entry lifetime (default 1 hour)
+ * - LLM_CACHE_MAX_ENTRIES : In-memory entries before the least recently used are dropped (default 500)
+ * - LLM_CACHE_DIR         : Directory of the on-disk store (default none, memory only)
+ */
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getLogger } from './utils/logger.js';
+
+/**
+ * In-memory LRU store with a TTL
+ * Stores share one interface (get, set, delete, clear, size), so another backend can
+ * be passed to LLMCache.
+ */
+export class MemoryStore {
+  constructor({ maxEntries = 500, ttlMs = 3600000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * On-disk store: one JSON file per entry in a directory
+ */
+export class FileStore {
+  constructor({ dir, ttlMs = 3600000 }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.file(key), 'utf8'));
+      if (entry.expiresAt > Date.now()) {
+        return entry.value;
+      }
+      await this.delete(key);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        getLogger().warn(`[LLMCache] Unreadable cache entry ${key}: ${error.message}`);
+      }
+    }
+    return undefined;
+  }
+
+  async set(key, value) {
+    // Write then rename, so a concurrent reader never sees half an entry
+    const tmp = `${this.file(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ value, expiresAt: Date.now() + this.ttlMs }));
+    await fs.promises.rename(tmp, this.file(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.file(key), { force: true });
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.dir);
+    await Promise.all(files.filter(file => file.endsWith('.json')).map(file => fs.promises.rm(path.join(this.dir, file), { force: true })));
+  }
+
+  async size() {
+    return (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json')).length;
+  }
+}
+
+function normalize(text) {
+  return String(text ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export class LLMCache {
+  /**
+   * @param {Object} [options] - Defaults come from the environment variables above
+   * @param {Array} [options.stores] - Looked up in order; the first is written on every miss
+   */
+  constructor({
+    enabled = process.env.LLM_CACHE !== 'false',
+    ttlMs = parseInt(process.env.LLM_CACHE_TTL_MS || '3600000', 10),
+    maxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '500', 10),
+    dir = process.env.LLM_CACHE_DIR,
+    stores = null
+  } = {}) {
+    this.enabled = enabled;
+    this.stores = stores || [
+      new MemoryStore({ maxEntries, ttlMs }),
+      ...(dir ? [new FileStore({ dir, ttlMs })] : [])
+    ];
+    this.metrics = {}; // type -> { hits, misses, bypassed }
+  }
+
+  /**
+   * Cache key of an LLM call
+   * @param {Object} call - { type, input, language, provider }; input is the text the prompt
+   *   is built from (not the rendered prompt), so template changes don't need new keys
+   */
+  static key({ type, input, language = 'en', provider = null }) {
+    const parts = [type, language, provider || 'default', normalize(input)];
+    return `${type}-${createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 24)}`;
+  }
+
+  /**
+   * Return the cached response of a call, or make the call and cache its response
+   * A cached response comes back without usage (no tokens were spent) and with cached: true.
+   * @param {Object} call - { type, input, language, provider }
+   * @param {Function} generate - Makes the LLM call; resolves to { response, usage, model }
+   */
+  async wrap(call, generate) {
+    if (!this.enabled) {
+      return generate();
+    }
+
+    const key = LLMCache.key(call);
+    for (const [index, store] of this.stores.entries()) {
+      const cached = await store.get(key);
+      if (cached !== undefined) {
+        this.count(call.type, 'hits');
+        getLogger().debug(`[LLMCache] ${call.type} hit ${key}`);
+        // Promote to the faster stores in front of this one
+        await this.save(this.stores.slice(0, index), key, cached);
+        return { ...cached, usage: null, cached: true };
+      }
+    }
+
+    this.count(call.type, 'misses');
+    const result = await generate();
+    if (result?.response?.trim()) {
+      await this.save(this.stores, key, { response: result.response, model: result.model });
+    }
+    return result;
+  }
+
+  /**
+   * Write an entry to stores; a store that fails is logged, it never fails the call
+   */
+  async save(stores, key, value) {
+    await Promise.all(stores.map(store => store.set(key, value).catch((error) => {
+      getLogger().warn(`[LLMCache] Failed to store ${key}: ${error.message}`);
+    })));
+  }
+
+  /**
+   * Make a call without the cache because its prompt is user-specific
+   */
+  async bypass(type, generate) {
+    if (this.enabled) {
+      this.count(type, 'bypassed');
+    }
+    return generate();
+  }
+
+  count(type, outcome) {
+    this.metrics[type] ||= { hits: 0, misses: 0, bypassed: 0 };
+    this.metrics[type][outcome]++;
+  }
+
+  /**
+   * Hit/miss metrics per call type and the number of entries in each store
+   */
+  async stats() {
+    const types = Object.values(this.metrics);
+    const total = key => types.reduce((sum, metrics) => sum + metrics[key], 0);
+    const lookups = total('hits') + total('misses');
+    return {
+      enabled: this.enabled,
+      stores: await Promise.all(this.stores.map(async store => ({ type: store.constructor.name, entries: await store.size() }))),
+      hits: total('hits'),
+      misses: total('misses'),
+      bypassed: total('bypassed'),
+      hitRate: lookups > 0 ? Math.round((total('hits') / lookups) * 1000) / 1000 : null,
+      byType: this.metrics
+    };
+  }
+
+  async clear() {
+    await Promise.all(this.stores.map(store => store.clear()));
+    getLogger().info('[LLMCache] Cleared');
+  }
+}
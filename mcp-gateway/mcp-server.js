@@ -1,11 +1,14 @@
 import express from 'express';
 import cors from 'cors';
-import { randomUUID } from 'crypto';
+import { randomUUID, timingSafeEqual } from 'crypto';
 import dotenv from 'dotenv';
 import { IntelligentCoordinator } from './coordinator.js';
+import { RateLimiter } from './rate-limiter.js';
+import { AuditLog } from './audit-log.js';
+import { IDENTITY_HEADER, verifyIdentity } from './utils/identity-token.js';
 import { getLogger } from './utils/logger.js';
 import { initializeLogger } from './utils/logger.js';
-import { initializeI18n } from './utils/i18n.js';
+import { initializeI18n, t } from './utils/i18n.js';
 
 dotenv.config();
 
@@ -378,8 +381,10 @@ class MCPServerRegistry {
   /**
    * Forward request to a downstream MCP server
    * Pure protocol forwarding - no routing decisions
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. the coordinator's per-agent timeout)
    */
-  async forwardRequest(serverId, jsonRpcRequest) {
+  async forwardRequest(serverId, jsonRpcRequest, { signal } = {}) {
     const server = this.registeredServers.get(serverId);
     if (!server || server.status !== 'healthy') {
       throw new Error(`MCP server ${serverId} not available`);
@@ -398,7 +403,8 @@ class MCPServerRegistry {
           'Accept': 'application/json, text/event-stream',
           'mcp-session-id': sessionId
         },
-        body: JSON.stringify(jsonRpcRequest)
+        body: JSON.stringify(jsonRpcRequest),
+        signal
       });
 
       if (!response.ok) {
@@ -423,6 +429,11 @@ class MCPServerRegistry {
       return result;
       
     } catch (error) {
+      if (signal?.aborted) {
+        // Cancelled by the caller: the server is slow, not necessarily down
+        getLogger().warn(`[MCPServerRegistry] Request to ${server.name} cancelled: ${error.message}`);
+        throw error;
+      }
       getLogger().error(`[MCPServerRegistry] Error forwarding to ${server.name}:`, error.message);
       server.status = 'unhealthy';
       throw error;
@@ -450,6 +461,9 @@ initializeI18n().catch(err => {
 // Import Coordinator (for routing decisions)
 const coordinator = new IntelligentCoordinator(mcpRegistry);
 
+// Requests per minute and daily LLM budgets per user and session
+const rateLimiter = new RateLimiter();
+
 // Define endpoints to skip from logging
 const skipLoggingEndpoints = [
   '/health',  // Health check - frequent and not informative
@@ -646,10 +660,43 @@ app.get('/api/llm-providers', (req, res) => {
   }
 });
 
+/**
+ * userContext of a query: the identity comes from the signed identity header only (see
+ * utils/identity-token.js), the conversation history from the body. An identity claimed in
+ * the body without a valid token is dropped, so the query runs as anonymous. The token is
+ * kept to be passed on to the agents, which check it again.
+ */
+function resolveUserContext(req) {
+  const { history, sessionId, email } = req.body.userContext || {};
+  const token = req.get(IDENTITY_HEADER);
+
+  let identity = null;
+  if (token) {
+    try {
+      identity = verifyIdentity(token);
+    } catch (error) {
+      getLogger().warn(`Ignoring the requester identity of a query: ${error.message}`);
+    }
+  } else if (email) {
+    getLogger().warn(`Ignoring the unsigned requester identity ${email} of a query`);
+  }
+
+  if (!identity && !history && !sessionId) {
+    return null;
+  }
+  return {
+    ...identity,
+    sessionId: identity?.sessionId || sessionId,
+    history,
+    ...(identity && { identityToken: token })
+  };
+}
+
 // Coordinator endpoints (routing and intelligence)
 app.post('/api/query', async (req, res) => {
   try {
-    const { query, language = 'en', phase = 'phase2', userContext, streamThinking = false, llmProvider = 'aws' } = req.body;
+    const { query, language = 'en', phase = 'phase2', streamThinking = false, llmProvider = 'aws' } = req.body;
+    const userContext = resolveUserContext(req);
     
     if (!query) {
       return res.status(400).json({
@@ -658,6 +705,31 @@ app.post('/api/query', async (req, res) => {
       });
     }
 
+    // A session ID in the body is the caller's choice, only a signed one gets a limit of its own
+    const requester = {
+      email: userContext?.email,
+      sessionId: userContext?.identityToken ? userContext.sessionId : undefined,
+      ip: req.ip,
+      provider: llmProvider
+    };
+    const admission = rateLimiter.check(requester);
+    if (!admission.allowed) {
+      getLogger().warn(`Query from ${RateLimiter.account(requester)} rejected: ${admission.reason} limit of ${admission.limit} reached`);
+      const overBudget = admission.reason === 'tokens' || admission.reason === 'cost';
+      const message = await t(overBudget ? 'limits.dailyBudgetReached' : 'limits.tooManyRequests', {
+        lng: language,
+        seconds: admission.retryAfter,
+        provider: llmProvider
+      });
+      return res.status(429).set('Retry-After', String(admission.retryAfter)).json({
+        success: false,
+        message,
+        error: true,
+        code: overBudget ? 'BUDGET_EXCEEDED' : 'RATE_LIMITED',
+        retryAfter: admission.retryAfter
+      });
+    }
+
     // Check if client wants streaming thinking updates
     if (streamThinking) {
       // Set up streaming response
@@ -665,13 +737,21 @@ app.post('/api/query', async (req, res) => {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
-      // Set callback for streaming thinking messages
-      coordinator.setStreamThinkingCallback((message) => {
-        res.write(JSON.stringify({ type: 'thinking', message: message }) + '\n');
+      // Thinking messages are bound to this request only, so concurrent queries
+      // each stream to their own response
+      const ctx = coordinator.createRequestContext({
+        sessionId: userContext?.sessionId,
+        onThinking: (message) => {
+          // Scan-after checkpoints can report once the response has been sent
+          if (!res.writableEnded) {
+            res.write(JSON.stringify({ type: 'thinking', message: message }) + '\n');
+          }
+        }
       });
 
       // ROUTING DECISION: Coordinator handles this
-      const result = await coordinator.processQuery(query, language, phase, userContext, llmProvider);
+      const result = await coordinator.processQuery(query, language, phase, userContext, llmProvider, ctx);
+      rateLimiter.recordUsage(requester, result.metadata?.usage?.total);
       
       // Check if the coordinator returned an error response
       if (result.error || result.success === false) {
@@ -691,12 +771,10 @@ app.post('/api/query', async (req, res) => {
       }
       res.write('[DONE]\n');
       res.end();
-
-      // Clear callback
-      coordinator.setStreamThinkingCallback(null);
     } else {
       // Non-streaming mode (original behavior)
       const result = await coordinator.processQuery(query, language, phase, userContext, llmProvider);
+      rateLimiter.recordUsage(requester, result.metadata?.usage?.total);
       
       // Check if the coordinator returned an error response
       if (result.error || result.success === false) {
@@ -735,12 +813,106 @@ app.post('/api/query', async (req, res) => {
   }
 });
 
+/**
+ * Admin endpoints take GATEWAY_ADMIN_TOKEN as a bearer token and are disabled without it
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.GATEWAY_ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin endpoints are disabled (GATEWAY_ADMIN_TOKEN is not set)'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.substring(7).trim() : '');
+  const secret = Buffer.from(expected);
+  if (token.length !== secret.length || !timingSafeEqual(token, secret)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid admin token'
+    });
+  }
+  next();
+}
+
+// Rate limit and budget counters, optionally of one account (?account=<email>, session:<id> or ip:<address>)
+app.get('/api/admin/limits', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    ...rateLimiter.snapshot(req.query.account),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reset the counters of one account ({ "account": ... }) or, without one, of everybody
+app.post('/api/admin/limits/reset', requireAdmin, (req, res) => {
+  const cleared = rateLimiter.reset(req.body?.account);
+  res.json({
+    success: true,
+    cleared,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// LLM cache hit/miss metrics per call type and entries per store
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  res.json({
+    success: true,
+    ...(await coordinator.llmCache.stats()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/admin/cache/clear', requireAdmin, async (req, res) => {
+  await coordinator.llmCache.clear();
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Security checkpoint verdicts, filtered by ?from, to, user, session, agent, checkpoint, verdict,
+// category, requestId and paged with ?limit, offset; ?format=csv downloads them as CSV
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  try {
+    const { total, entries } = await coordinator.auditLog.query(req.query);
+
+    if (req.query.format === 'csv') {
+      res.attachment(`security-audit-${new Date().toISOString().slice(0, 10)}.csv`);
+      return res.type('text/csv').send(AuditLog.toCSV(entries));
+    }
+    res.json({
+      success: true,
+      enabled: coordinator.auditLog.enabled,
+      total,
+      count: entries.length,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_FILTER') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    getLogger().error(`Audit log query failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the audit log'
+    });
+  }
+});
+
 // Session cleanup (run periodically)
 setInterval(() => {
   const cleaned = mcpServer.cleanupSessions();
   if (cleaned > 0) {
     getLogger().debug(`Cleaned up ${cleaned} expired sessions`);
   }
+  rateLimiter.cleanup();
 }, 300000); // Every 5 minutes
 
 // Start server
@@ -749,6 +921,10 @@ app.listen(PORT, async () => {
   getLogger().debug(`Protocol: MCP ${mcpServer.protocolVersion} (JSON-RPC 2.0)`);
   getLogger().debug(`Ready to register MCP servers`);
   
+  if (!process.env.REQUESTER_IDENTITY_SECRET) {
+    getLogger().warn('REQUESTER_IDENTITY_SECRET not set - requester identities cannot be verified, every query runs as anonymous');
+  }
+
   // Initialize coordinator
   await coordinator.initialize();
 });
@@ -0,0 +1,166 @@
+/**
+ * Reversible tokenization of personal data, for one request
+ *
+ * Emails, IBANs, phone numbers and known names are swapped for placeholders such as
+ * [EMAIL_1] before the gateway's own LLM calls (translation, follow-up resolution,
+ * routing, response validation, synthesis), so neither those prompts nor the LLM cache
+ * see the values. A value keeps its placeholder for the whole request. Agents get the
+ * placeholders too, with the values in _meta.pii: they put them back only to look records
+ * up (see mcp-server/shared/pii-placeholders.js), so their models don't see them either.
+ * Agent answers are tokenized before checkpoint 3, so its DLP rules leave the values to the
+ * vault, and the final answer gets the authorized values back after checkpoint 4. The
+ * mapping only lives on the request context: it is never logged and is dropped with the
+ * request.
+ *
+ * Names are not guessed from the text: the vault knows the requester's name, the employees
+ * the conversation is about and the ones agents report in their answers (_meta.entities).
+ *
+ * Environment variables:
+ * - PII_VAULT         : "false" turns tokenization off (default on for phase3 requests)
+ * - PII_VAULT_RESTORE : Types put back in the final answer (default "email,iban,phone,name").
+ *                       Values the user typed are always put back; the others become [IBAN] etc.
+ */
+import { DLP_PATTERNS } from './security-scanners.js';
+
+// Detected in this order, so a longer match isn't split by a shorter pattern
+const TYPES = {
+  email: { label: 'EMAIL', pattern: DLP_PATTERNS.email.pattern, normalize: value => value.toLowerCase() },
+  iban: { label: 'IBAN', pattern: DLP_PATTERNS.iban.pattern, normalize: value => value.replace(/\s/g, '').toUpperCase() },
+  phone: { label: 'PHONE', pattern: DLP_PATTERNS.phone.pattern, normalize: value => value.replace(/\D/g, '') },
+  name: { label: 'NAME', normalize: value => value.toLowerCase().replace(/\s+/g, ' ') }
+};
+const TOKEN = /\[(EMAIL|IBAN|PHONE|NAME)_(\d+)\]/g;
+
+/**
+ * Check the types put back in the final answer
+ * @throws {Error} For a type the vault doesn't know
+ */
+function checkRestoreTypes(restoreTypes) {
+  const unknown = restoreTypes.filter(type => !TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown PII_VAULT_RESTORE type ${unknown.join(', ')} (expected ${Object.keys(TYPES).join(', ')})`);
+  }
+  return restoreTypes;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class PIIVault {
+  #tokens = new Map(); // placeholder -> { type, value, source }
+  #placeholders = new Map(); // '<type>:<normalized value>' -> placeholder
+  #names = new Set();
+  #namePattern = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.names] - Names to tokenize
+   * @param {string[]} [options.restoreTypes] - Types put back in the final answer
+   */
+  constructor({ names = [], restoreTypes = PIIVault.settingsFromEnv().restoreTypes } = {}) {
+    this.restoreTypes = checkRestoreTypes(restoreTypes);
+    this.addNames(names);
+  }
+
+  /**
+   * Vault settings from PII_VAULT and PII_VAULT_RESTORE, read once at startup
+   * @returns {{ enabled: boolean, restoreTypes: string[] }}
+   * @throws {Error} For an unknown restore type
+   */
+  static settingsFromEnv() {
+    const restoreTypes = (process.env.PII_VAULT_RESTORE || Object.keys(TYPES).join(','))
+      .split(',').map(type => type.trim()).filter(Boolean);
+    return { enabled: process.env.PII_VAULT !== 'false', restoreTypes: checkRestoreTypes(restoreTypes) };
+  }
+
+  /**
+   * Names to tokenize from now on, e.g. employees an agent reported
+   */
+  addNames(names = []) {
+    const fresh = names.filter(name => name?.trim().includes(' ') && !this.#names.has(name.trim()));
+    if (fresh.length === 0) {
+      return;
+    }
+    fresh.forEach(name => this.#names.add(name.trim()));
+    // Longest first, so "Anna Maria Lopez" wins over "Maria Lopez"
+    const alternatives = [...this.#names].sort((a, b) => b.length - a.length).map(name => escapeRegExp(name).replace(/\s+/g, '\\s+'));
+    this.#namePattern = new RegExp(`(?<![\\p{L}\\d])(?:${alternatives.join('|')})(?![\\p{L}\\d])`, 'giu');
+  }
+
+  /**
+   * Replace personal data with placeholders
+   * @param {string} text
+   * @param {string} [source] - 'user' for what the user typed, 'agent' for agent answers
+   */
+  tokenize(text, source = 'agent') {
+    if (!text) {
+      return text;
+    }
+    let tokenized = text;
+    for (const [type, { pattern }] of Object.entries(TYPES)) {
+      const regex = type === 'name' ? this.#namePattern : pattern;
+      if (regex) {
+        tokenized = tokenized.replace(regex, value => this.#placeholder(type, value, source));
+      }
+    }
+    return tokenized;
+  }
+
+  /**
+   * Put every value back, e.g. in the conversation state that outlives the request
+   */
+  restore(text) {
+    return text?.replace(TOKEN, placeholder => this.#tokens.get(placeholder)?.value ?? placeholder);
+  }
+
+  /**
+   * Put back the values the requester may see: everything they typed, and the restored
+   * types; other placeholders become a plain mask such as [IBAN]
+   */
+  restoreAuthorized(text) {
+    return text?.replace(TOKEN, (placeholder) => {
+      const entry = this.#tokens.get(placeholder);
+      if (!entry) {
+        return placeholder;
+      }
+      return entry.source === 'user' || this.restoreTypes.includes(entry.type) ? entry.value : `[${TYPES[entry.type].label}]`;
+    });
+  }
+
+  get size() {
+    return this.#tokens.size;
+  }
+
+  /**
+   * Placeholder -> value, for agents to look records up with (_meta.pii)
+   */
+  values() {
+    return Object.fromEntries([...this.#tokens].map(([placeholder, { value }]) => [placeholder, value]));
+  }
+
+  /**
+   * Counts only, so a vault that ends up in a log line doesn't leak its values
+   */
+  toJSON() {
+    const types = {};
+    for (const { type } of this.#tokens.values()) {
+      types[type] = (types[type] || 0) + 1;
+    }
+    return { tokens: this.#tokens.size, types };
+  }
+
+  #placeholder(type, value, source) {
+    const key = `${type}:${TYPES[type].normalize(value)}`;
+    let placeholder = this.#placeholders.get(key);
+    if (!placeholder) {
+      const count = [...this.#tokens.values()].filter(entry => entry.type === type).length;
+      placeholder = `[${TYPES[type].label}_${count + 1}]`;
+      this.#placeholders.set(key, placeholder);
+      this.#tokens.set(placeholder, { type, value, source });
+    } else if (source === 'user') {
+      this.#tokens.get(placeholder).source = 'user';
+    }
+    return placeholder;
+  }
+}
@@ -1,20 +1,26 @@
 import axios from 'axios';
 import { getLogger } from './utils/logger.js';
 import { t } from './utils/i18n.js';
+import { Cassette } from './utils/cassette.js';
+import { buildVerdict } from './security-scanners.js';
 
 /**
  * Prisma AIRS API Intercept Module
  * Handles security analysis of prompts and responses using Palo Alto Networks AIRS API
+ * One of the checkpoint scanner backends (see security-scanners.js), named "airs"
  */
 
 class PrismaAIRSIntercept {
     constructor(config) {
+        this.name = 'airs';
         this.config = {
             apiUrl: config.apiUrl || 'https://service.api.aisecurity.paloaltonetworks.com',
             apiToken: config.apiToken, // x-pan-token
             profileId: config.profileId,
             profileName: config.profileName
         };
+        // Record/replay of scan results when CASSETTE_MODE is set
+        this.cassette = new Cassette('airs');
     }
 
     /**
@@ -25,55 +31,15 @@ class PrismaAIRSIntercept {
         return !!(this.config.apiToken && (this.config.profileId || this.config.profileName));
     }
 
-    /**
-     * Generate detailed error message based on AIRS detections
-     * @param {Object} result - AIRS API result
-     * @param {string} type - 'prompt' or 'response'
-     * @param {string} language - Language for the message ('en' or other supported languages)
-     * @returns {Promise<string>} Detailed error message
-     */
-    async _generateBlockedMessage(result, type = 'prompt', language = 'en') {
-        // Build detailed message based on detections
-        const detections = type === 'prompt' ? result.prompt_detected : result.response_detected;
-        const detectedIssues = [];
-        
-        if (detections) {
-            if (detections.injection) detectedIssues.push(await t('security.detections.injection', { lng: language }));
-            if (detections.toxic_content) detectedIssues.push(await t('security.detections.toxicContent', { lng: language }));
-            if (detections.malicious_code) detectedIssues.push(await t('security.detections.maliciousCode', { lng: language }));
-            if (detections.dlp) detectedIssues.push(await t('security.detections.dataLeak', { lng: language }));
-            if (detections.topic_violation) detectedIssues.push(await t('security.detections.topicViolation', { lng: language }));
-            if (detections.url_cats) detectedIssues.push(await t('security.detections.urlCategory', { lng: language }));
-            if (detections.agent) detectedIssues.push(await t('security.detections.suspiciousAgent', { lng: language }));
-            if (detections.ungrounded && type === 'response') detectedIssues.push(await t('security.detections.ungrounded', { lng: language }));
-            if (detections.db_security && type === 'response') detectedIssues.push(await t('security.detections.dbSecurity', { lng: language }));
-        }
-        
-        let message = type === 'prompt' 
-            ? await t('security.messages.cannotProcessRequest', { lng: language })
-            : await t('security.messages.cannotProvideResponse', { lng: language });
-            
-        if (detectedIssues.length > 0) {
-            message += ' ' + await t('security.messages.containsIssues', { issues: detectedIssues.join(', '), lng: language });
-        } else {
-            message += ' ' + await t('security.messages.policyViolation', { lng: language });
-        }
-        
-        message += ' ' + (type === 'prompt' 
-            ? await t('security.messages.rephraseRequest', { lng: language })
-            : await t('security.messages.helpWithElse', { lng: language }));
-            
-        return message;
-    }
-
     /**
      * Analyze content with Prisma AIRS API
      * @param {string} prompt - The user prompt (required)
      * @param {string} response - The AI response (optional, for response analysis)
-     * @param {Object} metadata - Dynamic metadata from the request
+     * @param {Object} metadata - Dynamic metadata from the request (timeoutMs: scan timeout, default 15s)
      * @returns {Promise<Object>} Analysis result
      */
     async analyzeContent(prompt, response = null, metadata = {}) {
+        let payload;
         try {
             // Check if Prisma AIRS is configured
             if (!this.isConfigured()) {
@@ -95,7 +61,7 @@ class PrismaAIRSIntercept {
             getLogger().debug(`Prisma AIRS intercept - analyzing ${analysisType}`);
 
             // Prepare the request payload for Prisma AIRS API
-            const payload = {
+            payload = {
                 tr_id: metadata.trId || Date.now().toString(), // Transaction ID
                 ai_profile: {
                     ...(this.config.profileId ? { profile_id: this.config.profileId } : {}),
@@ -130,13 +96,16 @@ class PrismaAIRSIntercept {
                     'x-pan-token': this.config.apiToken
                 },
                 data: payload,
-                timeout: 15000 // 15 second timeout
+                timeout: metadata.timeoutMs || 15000
             };
 
             getLogger().debug('Sending request to Prisma AIRS API:', JSON.stringify(payload, null, 2));
 
-            const apiResponse = await axios.request(axiosConfig);
-            const result = apiResponse.data;
+            // Keyed on the scanned contents only; transaction id and metadata change per request
+            const result = await this.cassette.call(
+                { contents: payload.contents },
+                async () => (await axios.request(axiosConfig)).data
+            );
             
             getLogger().debug('Prisma AIRS analysis result:', {
                 action: result.action,
@@ -145,39 +114,19 @@ class PrismaAIRSIntercept {
                 result: result
             });
 
-            // Check the action field to determine if content is approved
-            const approved = result.action === 'allow';
-
-            let message;
-            if (approved) {
-                message = await t('security.messages.contentApproved', { lng: metadata.language || 'en' });
-            } else {
-                message = await this._generateBlockedMessage(result, response ? 'response' : 'prompt', metadata.language || 'en');
-            }
-
-            return {
-                approved: approved,
-                action: result.action,
-                category: result.category,
-                reportId: result.report_id,
-                promptDetected: result.prompt_detected,
-                responseDetected: result.response_detected,
-                maskedData: {
-                    prompt: result.prompt_masked_data,
-                    response: result.response_masked_data
-                },
-                message: message,
-                // Include raw API payloads for checkpoint display
-                __raw_request_payload: payload,
-                __raw_response_payload: result
-            };
+            // The action field decides whether content is approved
+            return await buildVerdict(result, {
+                payload,
+                scannedResponse: Boolean(response),
+                language: metadata.language || 'en'
+            });
 
         } catch (error) {
             getLogger().error('Prisma AIRS intercept error:', error.message);
             
             const errorMessage = await t('security.errors.serviceUnavailable', { lng: metadata.language || 'en' });
             
-            // Return error - MUST block the request when AIRS fails
+            // Return error - blocks unless the checkpoint policy fails open (see checkpoint-policy.js)
             return {
                 approved: false,
                 error: error.message,
@@ -185,6 +134,9 @@ class PrismaAIRSIntercept {
                 category: 'service_error',
                 action: 'block',
                 apiError: true,
+                // HTTP status and error code, so the checkpoint policy can tell a timeout or retryable failure
+                status: error.response?.status,
+                code: error.code,
                 __raw_request_payload: payload,
                 __error_details: {
                     message: error.message,
@@ -0,0 +1,217 @@
+/**
+ * Request rate limits and daily LLM budgets
+ *
+ * Requests per minute are limited per user (userContext.email) and per chat session.
+ * Requests without an email are limited per client IP address instead of per user, so
+ * anonymous callers don't share one counter. Daily budgets cap the tokens and the
+ * estimated cost (see utils/llm-usage.js) a user spends on each LLM provider; a day is a
+ * UTC calendar day, and requests without an email are accounted to their IP address. Session
+ * IDs are only counted when they come from a signed requester identity: a caller picks the
+ * one in a request body freely. Counters live in gateway memory and start over when the
+ * gateway restarts.
+ *
+ * Environment variables:
+ * - RATE_LIMIT_USER_RPM    : Requests per minute per user (default 30, 0 = no limit)
+ * - RATE_LIMIT_SESSION_RPM : Requests per minute per session (default 20, 0 = no limit)
+ * - BUDGET_DAILY_TOKENS    : Tokens per user and day for each provider, e.g. "openai:200000,aws:500000"
+ * - BUDGET_DAILY_COST      : Estimated cost per user and day for each provider, e.g. "openai:2,*:5"
+ *
+ * In a budget, "*" applies to the providers not listed; without it they are unlimited.
+ * A budget is checked before a query runs, so the query that crosses it still completes.
+ */
+import { getLogger } from './utils/logger.js';
+
+const WINDOW_MS = 60000;
+
+/**
+ * Per-provider amounts from "provider:amount,..."
+ * @returns {Object<string, number>}
+ */
+export function parseBudgets(spec = '') {
+  return Object.fromEntries(spec.split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+    const separator = part.lastIndexOf(':');
+    const amount = Number(part.slice(separator + 1));
+    if (separator <= 0 || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid budget "${part}" (expected provider:amount)`);
+    }
+    return [part.slice(0, separator).trim(), amount];
+  }));
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} [options] - Defaults come from the environment variables above
+   * @param {number} [options.userRpm]
+   * @param {number} [options.sessionRpm]
+   * @param {Object<string, number>} [options.dailyTokens] - Token budget per provider
+   * @param {Object<string, number>} [options.dailyCost] - Cost budget per provider
+   */
+  constructor({
+    userRpm = parseInt(process.env.RATE_LIMIT_USER_RPM || '30', 10),
+    sessionRpm = parseInt(process.env.RATE_LIMIT_SESSION_RPM || '20', 10),
+    dailyTokens = parseBudgets(process.env.BUDGET_DAILY_TOKENS),
+    dailyCost = parseBudgets(process.env.BUDGET_DAILY_COST)
+  } = {}) {
+    this.userRpm = userRpm;
+    this.sessionRpm = sessionRpm;
+    this.dailyTokens = dailyTokens;
+    this.dailyCost = dailyCost;
+    this.requests = new Map(); // 'user:<email>', 'ip:<address>' or 'session:<id>' -> request times within the window
+    this.spend = new Map(); // account -> { day, providers: { <provider>: { tokens, cost, queries } } }
+  }
+
+  /**
+   * Budget account of a requester: the email, or the IP address when there is none
+   */
+  static account({ email, ip }) {
+    return email || RateLimiter.caller({ ip });
+  }
+
+  /**
+   * Per-minute counter and budget account of a requester without an email: their IP address
+   */
+  static caller({ ip }) {
+    return ip ? `ip:${ip}` : 'anonymous';
+  }
+
+  /**
+   * Admit a query or say which limit it is over
+   * An admitted query counts towards the per-minute limits right away.
+   * @param {Object} requester - { email, sessionId, ip, provider }, sessionId from a signed identity only
+   * @returns {{ allowed: boolean, reason?: string, limit?: number, retryAfter?: number }}
+   *   reason is 'userRate', 'sessionRate', 'tokens' or 'cost'; retryAfter is in seconds
+   */
+  check({ email, sessionId, ip, provider }) {
+    const now = Date.now();
+    const windows = [
+      { key: email ? `user:${email}` : RateLimiter.caller({ ip }), limit: this.userRpm, reason: 'userRate' },
+      ...(sessionId ? [{ key: `session:${sessionId}`, limit: this.sessionRpm, reason: 'sessionRate' }] : [])
+    ];
+
+    for (const { key, limit, reason } of windows) {
+      const recent = this.recentRequests(key, now);
+      if (limit > 0 && recent.length >= limit) {
+        return { allowed: false, reason, limit, retryAfter: Math.max(1, Math.ceil((recent[0] + WINDOW_MS - now) / 1000)) };
+      }
+    }
+
+    const spent = this.spentToday(RateLimiter.account({ email, ip }), provider);
+    const tokenBudget = this.budget(this.dailyTokens, provider);
+    if (tokenBudget !== undefined && spent.tokens >= tokenBudget) {
+      return { allowed: false, reason: 'tokens', limit: tokenBudget, retryAfter: secondsUntilTomorrow(now) };
+    }
+    const costBudget = this.budget(this.dailyCost, provider);
+    if (costBudget !== undefined && spent.cost >= costBudget) {
+      return { allowed: false, reason: 'cost', limit: costBudget, retryAfter: secondsUntilTomorrow(now) };
+    }
+
+    windows.forEach(({ key }) => this.requests.get(key).push(now));
+    return { allowed: true };
+  }
+
+  /**
+   * Charge a query's LLM usage to the requester's daily budget
+   * @param {Object} requester - { email, ip, provider }
+   * @param {Object} usage - Usage totals ({ totalTokens, cost }), e.g. result metadata usage.total
+   */
+  recordUsage({ email, ip, provider }, usage) {
+    if (!usage) {
+      return;
+    }
+    const spent = this.spentToday(RateLimiter.account({ email, ip }), provider);
+    spent.tokens += usage.totalTokens || 0;
+    spent.cost += usage.cost || 0; // Unpriced models don't count towards a cost budget
+    spent.queries++;
+  }
+
+  /**
+   * Counters for the admin endpoint
+   * @param {string} [account] - Only this user (email), session ('session:<id>') or IP address ('ip:<address>')
+   */
+  snapshot(account = null) {
+    const now = Date.now();
+    const requests = [...this.requests.keys()]
+      .filter(key => !account || key === `user:${account}` || key === account)
+      .map(key => [key, this.recentRequests(key, now).length]);
+    const spend = [...this.spend]
+      .filter(([key, entry]) => (!account || key === account) && entry.day === today());
+
+    return {
+      limits: {
+        userRpm: this.userRpm,
+        sessionRpm: this.sessionRpm,
+        dailyTokens: this.dailyTokens,
+        dailyCost: this.dailyCost
+      },
+      requestsLastMinute: Object.fromEntries(requests.filter(([, count]) => count > 0)),
+      spendToday: Object.fromEntries(spend.map(([key, entry]) => [key, entry.providers]))
+    };
+  }
+
+  /**
+   * Clear the counters of one user (email), session ('session:<id>') or IP address
+   * ('ip:<address>'), or all of them
+   * @returns {number} Counters cleared
+   */
+  reset(account = null) {
+    if (!account) {
+      const cleared = this.requests.size + this.spend.size;
+      this.requests.clear();
+      this.spend.clear();
+      getLogger().info(`[RateLimiter] All counters reset`);
+      return cleared;
+    }
+
+    const keys = /^(session|ip):/.test(account) ? [account] : [`user:${account}`];
+    const cleared = keys.filter(key => this.requests.delete(key)).length + (this.spend.delete(account) ? 1 : 0);
+    getLogger().info(`[RateLimiter] Counters of ${account} reset (${cleared})`);
+    return cleared;
+  }
+
+  /**
+   * Drop idle request windows and earlier days' spend (called periodically)
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const key of [...this.requests.keys()]) {
+      if (this.recentRequests(key, now).length === 0) {
+        this.requests.delete(key);
+      }
+    }
+    for (const [key, entry] of [...this.spend]) {
+      if (entry.day !== today()) {
+        this.spend.delete(key);
+      }
+    }
+  }
+
+  recentRequests(key, now) {
+    const recent = (this.requests.get(key) || []).filter(time => now - time < WINDOW_MS);
+    this.requests.set(key, recent);
+    return recent;
+  }
+
+  spentToday(account, provider) {
+    let entry = this.spend.get(account);
+    if (!entry || entry.day !== today()) {
+      entry = { day: today(), providers: {} };
+      this.spend.set(account, entry);
+    }
+    entry.providers[provider] ||= { tokens: 0, cost: 0, queries: 0 };
+    return entry.providers[provider];
+  }
+
+  budget(budgets, provider) {
+    return provider in budgets ? budgets[provider] : budgets['*'];
+  }
+}
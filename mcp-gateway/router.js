@@ -0,0 +1,240 @@
+/**
+ * Query router for the Intelligent Coordinator
+ *
+ * Scores every candidate agent with pluggable scorers - the keywords agents register
+ * and a TF-IDF classifier over their capabilities and labelled examples - and routes
+ * locally when one agent clearly wins. Anything else (low confidence, close scores,
+ * which is typical of multi-part questions) is left to the LLM routingStrategy prompt.
+ * With ROUTER_LOG_FILE set, every decision is appended to that JSONL file for evaluation.
+ * The log holds the queries (phase3 ones with personal data tokenized, see pii-vault.js)
+ * and is never rotated by the gateway, so it is off by default.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { getLogger } from './utils/logger.js';
+import { tokenize, keywordScore } from './utils/text-scoring.js';
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do',
+  'does', 'for', 'from', 'get', 'give', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'our', 'please', 'show', 'tell', 'that', 'the', 'their',
+  'there', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * The coordinator itself, scored like an agent so capability questions can be routed locally
+ */
+export const COORDINATOR_PROFILE = {
+  name: 'coordinator',
+  description: 'Describes what this assistant can do and which specialists are available',
+  capabilities: ['Describe available capabilities, services and specialists'],
+  routing: {
+    keywords: ['capabilities', 'what can you do', 'help me with'],
+    examples: [
+      'What can you do?',
+      'What can you help me with?',
+      'What services are available?',
+      'Which topics can I ask you about?',
+      'How can you help me?',
+      'What are your capabilities?'
+    ]
+  }
+};
+
+/**
+ * Lowercase content words with a light plural stem ("tickets" -> "ticket")
+ */
+function terms(text) {
+  return tokenize(text)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * TF-IDF vectors over labelled documents; a label scores the best cosine of its documents
+ */
+export class TfidfIndex {
+  /**
+   * @param {Array<{label: string, text: string}>} documents
+   */
+  constructor(documents) {
+    const termLists = documents.map(doc => terms(doc.text));
+    const documentFrequency = new Map();
+    termLists.forEach(list => new Set(list).forEach(term =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+    this.idf = new Map([...documentFrequency].map(([term, df]) =>
+      [term, Math.log((documents.length + 1) / (df + 1)) + 1]));
+    this.documents = documents
+      .map((doc, i) => ({ label: doc.label, vector: this._vector(termLists[i]) }))
+      .filter(doc => doc.vector.size > 0);
+  }
+
+  /**
+   * @returns {Map<string, number>} label -> 0..1
+   */
+  scores(text) {
+    const query = this._vector(terms(text));
+    const scores = new Map();
+    for (const doc of this.documents) {
+      let dot = 0;
+      for (const [term, weight] of query) {
+        dot += weight * (doc.vector.get(term) || 0);
+      }
+      scores.set(doc.label, Math.max(scores.get(doc.label) || 0, dot));
+    }
+    return scores;
+  }
+
+  // L2-normalised (1 + log tf) * idf; terms unknown to the index are ignored
+  _vector(termList) {
+    const counts = new Map();
+    termList.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      if (this.idf?.has(term)) {
+        vector.set(term, (1 + Math.log(count)) * this.idf.get(term));
+      }
+    }
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  }
+}
+
+/**
+ * Registered keywords, matched as whole words; a keyword several agents registered counts
+ * proportionally less, so shared words like "email" or "support" don't decide alone
+ */
+export class KeywordScorer {
+  constructor(weight = 0.4) {
+    this.name = 'keyword';
+    this.weight = weight;
+  }
+
+  score(query, agents) {
+    const owners = new Map();
+    agents.forEach(agent => (agent.routing?.keywords || []).forEach((keyword) => {
+      const key = keyword.toLowerCase();
+      owners.set(key, (owners.get(key) || 0) + 1);
+    }));
+
+    return new Map(agents.map(agent => [
+      agent.name,
+      keywordScore(query, agent.routing?.keywords || [], keyword => 1 / owners.get(keyword.toLowerCase())) / 100
+    ]));
+  }
+}
+
+/**
+ * TF-IDF similarity to an agent's description, capabilities and labelled examples
+ * The index is rebuilt only when the registered profiles change (not on heartbeats).
+ */
+export class TfidfScorer {
+  constructor(weight = 0.6) {
+    this.name = 'tfidf';
+    this.weight = weight;
+    this.index = null;
+    this.signature = null;
+  }
+
+  score(query, agents) {
+    const documents = agents.flatMap(agent => [
+      agent.description,
+      ...(agent.capabilities || []),
+      ...(agent.routing?.examples || [])
+    ].filter(Boolean).map(text => ({ label: agent.name, text })));
+
+    const signature = JSON.stringify(documents);
+    if (signature !== this.signature) {
+      this.index = new TfidfIndex(documents);
+      this.signature = signature;
+    }
+
+    const scores = this.index.scores(query);
+    return new Map(agents.map(agent => [agent.name, scores.get(agent.name) || 0]));
+  }
+}
+
+export class QueryRouter {
+  /**
+   * @param {Object} options
+   * @param {Array} [options.scorers] - { name, weight, score(query, agents) -> Map<name, 0..1> }
+   * @param {number} [options.minConfidence] - Lowest combined score routed without the LLM
+   * @param {number} [options.minMargin] - Lowest lead over the runner-up routed without the LLM
+   * @param {string} [options.mode] - 'hybrid', or 'llm' to always ask the LLM
+   * @param {string|null} [options.logFile] - JSONL decision log; null (the default) disables it
+   */
+  constructor({
+    scorers = [new KeywordScorer(), new TfidfScorer()],
+    minConfidence = parseFloat(process.env.ROUTER_MIN_CONFIDENCE || '0.35'),
+    minMargin = parseFloat(process.env.ROUTER_MIN_MARGIN || '0.25'),
+    mode = process.env.ROUTER_MODE || 'hybrid',
+    logFile = process.env.ROUTER_LOG_FILE || null
+  } = {}) {
+    this.scorers = scorers;
+    this.minConfidence = minConfidence;
+    this.minMargin = minMargin;
+    this.mode = mode;
+    this.logFile = logFile;
+  }
+
+  /**
+   * Score the agents for a query and decide whether it can be routed locally
+   * @param {string} query - English query
+   * @param {Array} agents - Profiles with name, description, capabilities, routing { keywords, examples }
+   * @returns {{ agent: string|null, confidence: number, margin: number, scores: Object }}
+   *   agent is null when the LLM should decide
+   */
+  route(query, agents) {
+    const perScorer = this.scorers.map(scorer => ({ scorer, scores: scorer.score(query, agents) }));
+    const totalWeight = this.scorers.reduce((sum, scorer) => sum + scorer.weight, 0) || 1;
+
+    const scores = {};
+    for (const agent of agents) {
+      const entry = {};
+      let combined = 0;
+      for (const { scorer, scores: byAgent } of perScorer) {
+        const value = byAgent.get(agent.name) || 0;
+        entry[scorer.name] = round(value);
+        combined += scorer.weight * value;
+      }
+      entry.combined = round(combined / totalWeight);
+      scores[agent.name] = entry;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1].combined - a[1].combined);
+    const [best, runnerUp] = ranked;
+    const confidence = best ? best[1].combined : 0;
+    const margin = round(confidence - (runnerUp ? runnerUp[1].combined : 0));
+    const confident = this.mode !== 'llm' && confidence >= this.minConfidence && margin >= this.minMargin;
+
+    return { agent: confident ? best[0] : null, confidence, margin, scores };
+  }
+
+  /**
+   * Append a routing decision to the JSONL log (and the debug log)
+   * @param {Object} entry - requestId, query, method ('local' | 'llm'), agents, confidence, margin, scores
+   */
+  async logDecision(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    getLogger().debug(`Routing decision: ${record.method} -> ${(record.agents || []).join(', ') || 'none'} ` +
+      `(confidence ${record.confidence}, margin ${record.margin})`);
+
+    if (!this.logFile) {
+      return;
+    }
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(this.logFile, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      getLogger().warn(`Failed to write routing log ${this.logFile}: ${error.message}`);
+    }
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,303 @@
+/**
+ * Security scanners for the coordinator's four checkpoints
+ *
+ * A scanner has a name and the methods isConfigured(), analyzePrompt(prompt, metadata)
+ * and analyzePromptAndResponse(prompt, response, metadata), resolving to a verdict
+ * (see buildVerdict). Prisma AIRS (prisma-airs.js) is one backend; LocalScanner is a
+ * rule-based one that needs no service. Each checkpoint runs a chain of scanners: every
+ * scanner sees the content as masked by the ones before it, and the first block ends
+ * the chain.
+ *
+ * Environment variables:
+ * - SECURITY_SCANNERS              : Default chain, e.g. "local,airs" (default "airs" when
+ *                                    Prisma AIRS is configured, "local" otherwise; "none" disables)
+ * - SECURITY_SCANNERS_USER_INPUT, SECURITY_SCANNERS_OUTBOUND_REQUEST,
+ *   SECURITY_SCANNERS_INBOUND_RESPONSE, SECURITY_SCANNERS_FINAL_RESPONSE : Chain of one checkpoint
+ * - LOCAL_SCANNER_DLP              : Data the local scanner looks for in responses
+ *                                    (default "iban,email,phone,salary", "none" to skip)
+ * - LOCAL_SCANNER_DLP_ACTION       : "mask" (default) or "block" a response with such data
+ * - LOCAL_SCANNER_WORDLIST         : File of extra toxic terms, one per line (the built-in
+ *                                    rules only catch abuse aimed at someone)
+ */
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { getLogger } from './utils/logger.js';
+import { t } from './utils/i18n.js';
+
+/**
+ * Message for a blocked prompt or response, naming what was detected
+ * @param {Object} detections - prompt_detected or response_detected of a scan result
+ * @param {string} type - 'prompt' or 'response'
+ */
+async function blockedMessage(detections, type, language) {
+  const detectedIssues = [];
+
+  if (detections) {
+    if (detections.injection) detectedIssues.push(await t('security.detections.injection', { lng: language }));
+    if (detections.toxic_content) detectedIssues.push(await t('security.detections.toxicContent', { lng: language }));
+    if (detections.malicious_code) detectedIssues.push(await t('security.detections.maliciousCode', { lng: language }));
+    if (detections.dlp) detectedIssues.push(await t('security.detections.dataLeak', { lng: language }));
+    if (detections.topic_violation) detectedIssues.push(await t('security.detections.topicViolation', { lng: language }));
+    if (detections.url_cats) detectedIssues.push(await t('security.detections.urlCategory', { lng: language }));
+    if (detections.agent) detectedIssues.push(await t('security.detections.suspiciousAgent', { lng: language }));
+    if (detections.ungrounded && type === 'response') detectedIssues.push(await t('security.detections.ungrounded', { lng: language }));
+    if (detections.db_security && type === 'response') detectedIssues.push(await t('security.detections.dbSecurity', { lng: language }));
+  }
+
+  let message = type === 'prompt'
+    ? await t('security.messages.cannotProcessRequest', { lng: language })
+    : await t('security.messages.cannotProvideResponse', { lng: language });
+
+  if (detectedIssues.length > 0) {
+    message += ' ' + await t('security.messages.containsIssues', { issues: detectedIssues.join(', '), lng: language });
+  } else {
+    message += ' ' + await t('security.messages.policyViolation', { lng: language });
+  }
+
+  message += ' ' + (type === 'prompt'
+    ? await t('security.messages.rephraseRequest', { lng: language })
+    : await t('security.messages.helpWithElse', { lng: language }));
+
+  return message;
+}
+
+/**
+ * Verdict of a scan, as checkpoints and the security dev panel use it
+ * @param {Object} result - Scan result in the Prisma AIRS format (action, category, report_id,
+ *   prompt_detected, response_detected, prompt_masked_data, response_masked_data)
+ * @param {Object} options
+ * @param {Object} options.payload - The scan request, shown in the dev panel
+ * @param {boolean} options.scannedResponse - Whether a response was scanned (picks the block message)
+ * @param {string} options.language - Language of the user-facing message
+ */
+export async function buildVerdict(result, { payload, scannedResponse = false, language = 'en' }) {
+  const approved = result.action === 'allow';
+  const message = approved
+    ? await t('security.messages.contentApproved', { lng: language })
+    : await blockedMessage(scannedResponse ? result.response_detected : result.prompt_detected, scannedResponse ? 'response' : 'prompt', language);
+
+  return {
+    approved,
+    action: result.action,
+    category: result.category,
+    reportId: result.report_id,
+    promptDetected: result.prompt_detected,
+    responseDetected: result.response_detected,
+    maskedData: {
+      prompt: result.prompt_masked_data,
+      response: result.response_masked_data
+    },
+    message,
+    // Raw request and result for checkpoint display
+    __raw_request_payload: payload,
+    __raw_response_payload: result
+  };
+}
+
+// Sensitive data in employee records, with what replaces it when masked
+export const DLP_PATTERNS = {
+  iban: { pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,3})?\b/g, mask: '[IBAN]' },
+  email: { pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, mask: '[EMAIL]' },
+  phone: { pattern: /\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,6}/g, mask: '[PHONE]' },
+  salary: { pattern: /[€$£]\s?\d{1,3}(?:[,.\s]\d{3})+(?:[.,]\d{2})?|\b\d{1,3}(?:[,.\s]\d{3})+(?:[.,]\d{2})?\s?(?:€|EUR|USD|GBP|\$|£)/g, mask: '[SALARY]' }
+};
+
+// Phrasings that try to override the assistant's instructions
+const INJECTION_PATTERNS = [
+  { rule: 'ignore-instructions', pattern: /\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|guidelines|directives)\b/i },
+  { rule: 'reveal-prompt', pattern: /\b(reveal|show|print|repeat|output|leak)\b.{0,30}\b(system|hidden|initial|original)\s+(prompt|instructions?|message)\b/i },
+  { rule: 'role-override', pattern: /\byou are now\b|\bact as (an? )?(unrestricted|unfiltered|jailbroken)\b|\b(DAN|developer) mode\b|\bjailbreak/i },
+  { rule: 'no-restrictions', pattern: /\b(without|no|ignore) (any )?(restrictions|filters|limitations|guardrails|safety)\b/i },
+  { rule: 'role-tags', pattern: /<\s*\/?\s*(system|assistant)\s*>|\[\/?INST\]|<\|im_start\|>/i }
+];
+
+// Abuse aimed at the assistant or someone else. Swear words on their own are left out:
+// they show up in ordinary questions ("is it stupid to carry over my leave?") and in the
+// harassment reports HR has to be able to receive.
+const INSULTS = '(?:idiot|moron|imbecile|stupid|dumbass|asshole|bastard|bitch)';
+const TOXIC_PATTERNS = [
+  /\b(?:fuck|screw) (?:you|off)\b/i,
+  /\bkill yourself\b/i,
+  /\bgo to hell\b/i,
+  new RegExp(`\\byou(?:['’]re| are)? (?:(?:an?|such an?|so|fucking) )?${INSULTS}s?\\b`, 'i'),
+  /\b(?:ta gueule|va te faire foutre|nique ta m[eè]re)\b/i,
+  /\b(?:esp[eè]ce de|sale) (?:connard|conne|salope|con)\b/i,
+  /\b(?:t['’]es|tu es) (?:une? )?(?:connard|conne|salope|idiote?|imb[eé]cile)\b/i
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class LocalScanner {
+  /**
+   * @param {Object} [options] - Defaults come from the LOCAL_SCANNER_* environment variables
+   * @param {string[]} [options.dlp] - DLP_PATTERNS to look for in responses
+   * @param {string} [options.dlpAction] - 'mask' or 'block'
+   * @param {string[]} [options.toxicTerms] - Terms blocked on top of the built-in rules
+   */
+  constructor({
+    dlp = (process.env.LOCAL_SCANNER_DLP || Object.keys(DLP_PATTERNS).join(',')).split(',').map(name => name.trim()).filter(name => name && name !== 'none'),
+    dlpAction = process.env.LOCAL_SCANNER_DLP_ACTION || 'mask',
+    toxicTerms = LocalScanner.readWordlist(process.env.LOCAL_SCANNER_WORDLIST)
+  } = {}) {
+    const unknown = dlp.filter(name => !DLP_PATTERNS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown LOCAL_SCANNER_DLP pattern ${unknown.join(', ')} (expected ${Object.keys(DLP_PATTERNS).join(', ')})`);
+    }
+    if (!['mask', 'block'].includes(dlpAction)) {
+      throw new Error(`Invalid LOCAL_SCANNER_DLP_ACTION "${dlpAction}" (expected mask or block)`);
+    }
+    this.name = 'local';
+    this.dlp = dlp;
+    this.dlpAction = dlpAction;
+    this.toxicPatterns = [
+      ...TOXIC_PATTERNS,
+      ...(toxicTerms.length > 0 ? [new RegExp(`\\b(${toxicTerms.map(escapeRegExp).join('|')})(s|ing|ed)?\\b`, 'i')] : [])
+    ];
+  }
+
+  static readWordlist(file) {
+    if (!file) {
+      return [];
+    }
+    return fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim().toLowerCase()).filter(line => line && !line.startsWith('#'));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  isToxic(text) {
+    return this.toxicPatterns.some(pattern => pattern.test(text));
+  }
+
+  async analyzePrompt(prompt, metadata = {}) {
+    return this.analyzeContent(prompt, null, metadata);
+  }
+
+  async analyzePromptAndResponse(prompt, response, metadata = {}) {
+    return this.analyzeContent(prompt, response, metadata);
+  }
+
+  /**
+   * Prompts are checked for injection and toxicity, responses for toxicity and sensitive data
+   * @returns {Promise<Object>} Verdict (see buildVerdict)
+   */
+  async analyzeContent(prompt, response = null, metadata = {}) {
+    const payload = {
+      scanner: this.name,
+      tr_id: metadata.trId,
+      metadata: { app_name: metadata.appName, app_user: metadata.appUser },
+      contents: [{ prompt, ...(response && { response }) }]
+    };
+    const result = { scanner: this.name, report_id: `local-${randomUUID()}`, rules: [] };
+    let blocked = false;
+
+    if (response) {
+      const toxic = this.isToxic(response);
+      const sensitive = this.findSensitiveData(response);
+      result.response_detected = { toxic_content: toxic, dlp: sensitive.detections.length > 0 };
+      if (result.response_detected.dlp) {
+        result.response_masked_data = { data: sensitive.masked, pattern_detections: sensitive.detections };
+        result.rules.push(...sensitive.detections.map(detection => `dlp:${detection.pattern}`));
+      }
+      if (toxic) {
+        result.rules.push('toxicity');
+      }
+      blocked = toxic || (result.response_detected.dlp && this.dlpAction === 'block');
+    } else {
+      const injections = INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(prompt)).map(({ rule }) => rule);
+      const toxic = this.isToxic(prompt);
+      result.prompt_detected = { injection: injections.length > 0, toxic_content: toxic };
+      result.rules.push(...injections.map(rule => `injection:${rule}`), ...(toxic ? ['toxicity'] : []));
+      blocked = injections.length > 0 || toxic;
+    }
+
+    result.action = blocked ? 'block' : 'allow';
+    result.category = blocked ? 'malicious' : 'benign';
+    if (result.rules.length > 0) {
+      getLogger().debug(`[LocalScanner] ${result.action}: ${result.rules.join(', ')}`);
+    }
+
+    return buildVerdict(result, { payload, scannedResponse: Boolean(response), language: metadata.language || 'en' });
+  }
+
+  /**
+   * @returns {{ masked: string, detections: Array<{ pattern: string, count: number }> }}
+   */
+  findSensitiveData(text) {
+    let masked = text;
+    const detections = [];
+    for (const name of this.dlp) {
+      const { pattern, mask } = DLP_PATTERNS[name];
+      const count = (masked.match(pattern) || []).length;
+      if (count > 0) {
+        masked = masked.replace(pattern, mask);
+        detections.push({ pattern: name, count });
+      }
+    }
+    return { masked, detections };
+  }
+}
+
+// Checkpoint types and the suffix of their SECURITY_SCANNERS_* variable
+export const CHECKPOINTS = {
+  userInput: 'USER_INPUT',
+  outboundRequest: 'OUTBOUND_REQUEST',
+  inboundResponse: 'INBOUND_RESPONSE',
+  finalResponse: 'FINAL_RESPONSE'
+};
+
+/**
+ * Scanner chains per checkpoint
+ */
+export class SecurityScanners {
+  /**
+   * @param {Object<string, Object>} scanners - Scanners by name
+   * @param {Object<string, string[]>} chains - Scanner names per checkpoint type, and a default
+   */
+  constructor(scanners, chains) {
+    for (const [checkpoint, names] of Object.entries(chains)) {
+      const missing = names.filter(name => !scanners[name]);
+      if (missing.length > 0) {
+        throw new Error(`Security scanner ${missing.join(', ')} for ${checkpoint} is not available (available: ${Object.keys(scanners).join(', ')}; "airs" needs PRISMA_AIRS_API_TOKEN)`);
+      }
+    }
+    this.scanners = scanners;
+    this.chains = chains;
+  }
+
+  /**
+   * Chains from the SECURITY_SCANNERS* environment variables
+   * @param {Object} [options]
+   * @param {Object} [options.airs] - PrismaAIRSIntercept, when credentials are set
+   */
+  static fromEnv({ airs = null } = {}) {
+    const scanners = { local: new LocalScanner(), ...(airs && { airs }) };
+    const parse = value => value.split(',').map(name => name.trim()).filter(name => name && name !== 'none');
+
+    const chains = { default: parse(process.env.SECURITY_SCANNERS || (airs?.isConfigured() ? 'airs' : 'local')) };
+    for (const [type, suffix] of Object.entries(CHECKPOINTS)) {
+      const value = process.env[`SECURITY_SCANNERS_${suffix}`];
+      if (value !== undefined) {
+        chains[type] = parse(value);
+      }
+    }
+    return new SecurityScanners(scanners, chains);
+  }
+
+  /**
+   * Scanners of a checkpoint, in order
+   * @param {string} checkpointType - 'userInput', 'outboundRequest', 'inboundResponse' or 'finalResponse'
+   */
+  forCheckpoint(checkpointType) {
+    return (this.chains[checkpointType] || this.chains.default).map(name => this.scanners[name]);
+  }
+
+  describe() {
+    return Object.keys(CHECKPOINTS)
+      .map(type => `${type}: ${this.forCheckpoint(type).map(scanner => scanner.name).join(' → ') || 'none'}`)
+      .join(', ');
+  }
+}
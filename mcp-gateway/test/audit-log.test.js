@@ -0,0 +1,142 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { AuditLog } from '../audit-log.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const auditLog = (options = {}) => new AuditLog({ file: path.join(dir, `audit-${++files}.jsonl`), ...options });
+
+const scan = (fields = {}) => ({
+  requestId: 'req-1',
+  sessionId: 'session-1',
+  user: 'jane.doe@company.com',
+  checkpoint: 1,
+  checkpointType: 'userInput',
+  scanner: 'local',
+  agent: null,
+  verdict: 'allowed',
+  action: 'allow',
+  category: 'benign',
+  reportId: null,
+  latencyMs: 3,
+  prompt: 'What is the IBAN of Tom Lee?',
+  response: null,
+  ...fields
+});
+
+test('each scan is appended as one line, with its content redacted by default', async () => {
+  const log = auditLog();
+  await log.record(scan({
+    prompt: 'Pay tom  lee, tom.lee@company.com, FR76 3000 6000 0112 3456 7890 189, not Tom Leeds',
+    response: 'Jane Doe earns €60,000',
+    degraded: { decision: 'failOpen', reason: 'timeout', scanner: 'airs', attempts: 2 },
+    names: ['Tom Lee', 'Jane Doe', 'Cher']
+  }));
+  await log.record(scan({ checkpoint: 2, prompt: null }));
+
+  const lines = fs.readFileSync(log.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  const [entry] = lines;
+  assert.match(entry.id, /^[0-9a-f-]{36}$/);
+  assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  assert.equal(entry.user, 'jane.doe@company.com');
+  assert.deepEqual(entry.degraded, { decision: 'failOpen', reason: 'timeout' });
+  assert.deepEqual(entry.content, {
+    prompt: 'Pay [NAME], [EMAIL], [IBAN], not Tom Leeds',
+    response: '[NAME] earns [SALARY]'
+  });
+  assert.equal(entry.names, undefined);
+  assert.deepEqual(lines[1].content, { prompt: null, response: null });
+});
+
+test('content is kept raw, left out, or not logged at all', async () => {
+  const raw = auditLog({ content: 'raw' });
+  await raw.record(scan({ names: ['Tom Lee'] }));
+  assert.deepEqual((await raw.query()).entries[0].content, { prompt: 'What is the IBAN of Tom Lee?', response: null });
+
+  const none = auditLog({ content: 'none' });
+  await none.record(scan());
+  assert.equal('content' in (await none.query()).entries[0], false);
+
+  const off = auditLog({ enabled: false });
+  await off.record(scan());
+  assert.equal(fs.existsSync(off.file), false);
+  assert.deepEqual(await off.query(), { total: 0, entries: [] });
+
+  assert.throws(() => auditLog({ content: 'hashed' }), /Invalid AUDIT_LOG_CONTENT "hashed"/);
+});
+
+test('queries filter the entries and page through them, oldest first', async () => {
+  const log = auditLog();
+  fs.writeFileSync(log.file, [
+    { timestamp: '2026-10-18T23:59:59.000Z', requestId: 'a', user: 'Jane.Doe@company.com', checkpoint: 1, verdict: 'allowed', agent: null },
+    { timestamp: '2026-10-19T08:00:00.000Z', requestId: 'b', user: 'jane.doe@company.com', checkpoint: 3, verdict: 'masked', agent: 'HR', category: 'dlp' },
+    'not json',
+    '',
+    { timestamp: '2026-10-19T23:30:00.000Z', requestId: 'c', user: 'john@company.com', checkpoint: 4, verdict: 'blocked', agent: 'it', sessionId: 's2' },
+    { timestamp: '2026-10-20T00:00:00.000Z', requestId: 'd', user: 'jane.doe@company.com', checkpoint: 1, verdict: 'blocked', agent: null }
+  ].map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n');
+
+  const ids = async filters => (await log.query(filters)).entries.map(entry => entry.requestId);
+  assert.deepEqual(await ids({}), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(await ids({ user: 'JANE.DOE@company.com' }), ['a', 'b', 'd']);
+  assert.deepEqual(await ids({ agent: 'hr', checkpoint: '3', category: 'dlp' }), ['b']);
+  assert.deepEqual(await ids({ verdict: 'blocked', session: 's2' }), ['c']);
+  assert.deepEqual(await ids({ requestId: 'd' }), ['d']);
+
+  // A date-only "to" takes in that whole day
+  assert.deepEqual(await ids({ from: '2026-10-19', to: '2026-10-19' }), ['b', 'c']);
+  assert.deepEqual(await ids({ to: '2026-10-19T08:00:00Z' }), ['a', 'b']);
+
+  assert.deepEqual(await log.query({ limit: '2', offset: '1' }), {
+    total: 4,
+    entries: (await log.query()).entries.slice(1, 3)
+  });
+  assert.deepEqual(await ids({ user: 'jane.doe@company.com', offset: '2' }), ['d']);
+  assert.equal((await log.query({ limit: '0' })).total, 4);
+});
+
+test('invalid filters are rejected with INVALID_FILTER', async () => {
+  const log = auditLog();
+  for (const [filters, message] of [
+    [{ from: 'yesterday' }, /Invalid from date "yesterday"/],
+    [{ verdict: 'denied' }, /Invalid verdict "denied"/],
+    [{ checkpoint: '5' }, /Invalid checkpoint "5"/],
+    [{ limit: '-1' }, /Invalid limit "-1"/],
+    [{ offset: '1.5' }, /Invalid offset "1.5"/]
+  ]) {
+    await assert.rejects(log.query(filters), error => error.code === 'INVALID_FILTER' && message.test(error.message));
+  }
+  assert.equal(AuditLog.parseFilters({ limit: '50000' }).limit, 10000);
+});
+
+test('entries export as CSV, with cells quoted and formulas defused', () => {
+  const csv = AuditLog.toCSV([
+    {
+      timestamp: '2026-10-19T08:00:00.000Z',
+      requestId: 'b',
+      user: 'jane.doe@company.com',
+      checkpoint: 3,
+      verdict: 'masked',
+      degraded: { decision: 'failOpen', reason: 'timeout' },
+      content: { prompt: 'Say "hi", then\nleave', response: '=HYPERLINK("http://evil")' }
+    },
+    { timestamp: '2026-10-19T09:00:00.000Z', requestId: 'c', checkpoint: 1, verdict: 'allowed', degraded: null }
+  ]);
+
+  const rows = csv.split('\r\n');
+  assert.equal(rows[0], 'timestamp,requestId,sessionId,user,checkpoint,checkpointType,scanner,agent,verdict,action,category,reportId,latencyMs,degraded,prompt,response');
+  assert.equal(rows[1], `2026-10-19T08:00:00.000Z,b,,jane.doe@company.com,3,,,,masked,,,,,failOpen/timeout,"Say ""hi"", then\nleave","'=HYPERLINK(""http://evil"")"`);
+  assert.equal(rows[2], '2026-10-19T09:00:00.000Z,c,,,1,,,,allowed,,,,,,,');
+  assert.equal(rows.length, 4);
+  assert.equal(AuditLog.toCSV([]), `${rows[0]}\r\n`);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { CheckpointPolicy, CircuitBreaker } from '../checkpoint-policy.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const scanner = { name: 'stub' };
+const APPROVED = { approved: true, action: 'allow', category: 'benign' };
+
+/**
+ * Scan function answering with the given results in turn (an Error is thrown)
+ */
+function scripted(...results) {
+  const calls = [];
+  const scan = async (timeoutMs) => {
+    calls.push(timeoutMs);
+    const result = results[Math.min(calls.length, results.length) - 1];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  };
+  return { scan, calls };
+}
+
+function timeoutError() {
+  return Object.assign(new Error('timeout of 50ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+const policy = (settings = {}, circuitBreaker = {}) =>
+  new CheckpointPolicy({ defaults: { timeoutMs: 50, retries: 2, backoffMs: 1, ...settings }, circuitBreaker });
+
+test('a failed scan is retried and its verdict kept once it succeeds', async () => {
+  const { scan, calls } = scripted({ apiError: true, error: 'HTTP 503', status: 503 }, timeoutError(), APPROVED);
+  const verdict = await policy().scan('userInput', scanner, scan);
+  assert.deepEqual(verdict, APPROVED);
+  assert.deepEqual(calls, [50, 50, 50]);
+});
+
+test('a scan that keeps failing blocks by default and passes when failing open', async () => {
+  const closed = await policy().scan('userInput', scanner, scripted(timeoutError()).scan, 'fr');
+  assert.equal(closed.approved, false);
+  assert.equal(closed.action, 'block');
+  assert.equal(closed.category, 'service_error');
+  assert.match(closed.message, /indisponible/);
+  assert.deepEqual(closed.degraded, { decision: 'failClosed', reason: 'timeout', scanner: 'stub', attempts: 3, error: 'timeout of 50ms exceeded' });
+
+  const open = new CheckpointPolicy({
+    defaults: { retries: 0 },
+    checkpoints: { outboundRequest: { failMode: 'open' } }
+  });
+  const failing = () => ({ apiError: true, error: 'HTTP 500', status: 500 });
+  assert.equal((await open.scan('userInput', { name: 'a' }, async () => failing())).approved, false);
+  const verdict = await open.scan('outboundRequest', { name: 'b' }, async () => failing());
+  assert.equal(verdict.approved, true);
+  assert.equal(verdict.category, 'degraded');
+  assert.deepEqual(verdict.degraded, { decision: 'failOpen', reason: 'error', scanner: 'b', attempts: 1, error: 'HTTP 500' });
+});
+
+test('client errors and cassette misses are not retried, 429 is', async () => {
+  for (const failure of [{ status: 400 }, { status: 403 }, { code: 'CASSETTE_MISS' }]) {
+    const { scan, calls } = scripted({ apiError: true, error: 'failed', ...failure });
+    await policy().scan('userInput', scanner, scan);
+    assert.equal(calls.length, 1, JSON.stringify(failure));
+  }
+  const { scan, calls } = scripted({ apiError: true, error: 'HTTP 429', status: 429 }, APPROVED);
+  assert.deepEqual(await policy().scan('userInput', scanner, scan), APPROVED);
+  assert.equal(calls.length, 2);
+});
+
+test('an open circuit fails scans right away, until a trial scan succeeds', async () => {
+  const checkpoints = policy({ retries: 0 }, { failureThreshold: 2, cooldownMs: 20 });
+  const failing = scripted(timeoutError());
+  await checkpoints.scan('userInput', scanner, failing.scan);
+  await checkpoints.scan('userInput', scanner, failing.scan);
+  assert.equal(checkpoints.breaker('stub').state, 'open');
+
+  // Open: no scan is made
+  const skipped = await checkpoints.scan('userInput', scanner, failing.scan);
+  assert.equal(failing.calls.length, 2);
+  assert.deepEqual(skipped.degraded, { decision: 'failClosed', reason: 'circuitOpen', scanner: 'stub', attempts: 0, error: null });
+  // Other scanners have a circuit of their own
+  assert.deepEqual(await checkpoints.scan('userInput', { name: 'other' }, async () => APPROVED), APPROVED);
+
+  // After the cooldown a failed trial opens the circuit again, a successful one closes it
+  await new Promise(resolve => setTimeout(resolve, 25));
+  await checkpoints.scan('userInput', scanner, failing.scan);
+  assert.equal(failing.calls.length, 3);
+  assert.equal(checkpoints.breaker('stub').state, 'open');
+
+  await new Promise(resolve => setTimeout(resolve, 25));
+  assert.deepEqual(await checkpoints.scan('userInput', scanner, async () => APPROVED), APPROVED);
+  assert.equal(checkpoints.breaker('stub').state, 'closed');
+  assert.equal(checkpoints.breaker('stub').failures, 0);
+});
+
+test('a half-open circuit lets a single trial scan through', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'halfOpen');
+  assert.equal(breaker.allowRequest(), false);
+});
+
+test('a threshold of 0 never opens the circuit', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 0 });
+  for (let i = 0; i < 10; i++) {
+    breaker.recordFailure();
+  }
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+});
+
+test('invalid settings are rejected', () => {
+  assert.throws(() => new CheckpointPolicy({ checkpoints: { finalAnswer: {} } }), /Unknown checkpoint "finalAnswer"/);
+  assert.throws(() => new CheckpointPolicy({ defaults: { failMode: 'ajar' } }), /Invalid failMode "ajar" for default/);
+  assert.throws(() => new CheckpointPolicy({ checkpoints: { userInput: { mode: 'async' } } }), /Invalid mode "async" for userInput/);
+});
@@ -0,0 +1,135 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { ConversationState, ConversationStore } from '../conversation-state.js';
+
+// Mock provider rules: a pronoun is replaced by the most recent employee of the state,
+// and every query goes to HR
+const FIXTURES = {
+  rules: [
+    {
+      name: 'resolve-pronoun',
+      match: 'Employees mentioned \\(most recent first\\): (?<name>[^,\\n]+)[\\s\\S]*LATEST QUESTION: "Who is (?:his|her) manager\\?"$',
+      response: 'Who is {{name}}\'s manager?'
+    },
+    {
+      name: 'route-to-hr',
+      match: 'CURRENT USER QUERY: "(?<query>[\\s\\S]*?)"\\n',
+      response: '{"agents": [{"agent": "hr", "subQuery": "{{query|json}}"}], "reasoning": "HR question"}'
+    }
+  ]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-state-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify(FIXTURES));
+
+// Every routing decision goes to the mock LLM; local scanner only, nothing written to disk
+process.env.MOCK_LLM = 'true';
+process.env.MOCK_LLM_FIXTURES = path.join(dir, 'fixtures.json');
+process.env.ROUTER_MODE = 'llm';
+delete process.env.PRISMA_AIRS_API_TOKEN;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+process.env.LLM_CACHE = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { IntelligentCoordinator } = await import('../coordinator.js');
+
+// HR answers from this roster and reports the employees it talked about
+const MANAGERS = { 'Tom Lee': 'Michael Johnson', 'Nina Park': 'Michael Johnson' };
+
+/**
+ * Coordinator with a stub HR agent, using the mock LLM provider
+ * @returns {{ coordinator, requests: Array<{ query, conversation }> }} what the agent received
+ */
+function createCoordinator() {
+  const requests = [];
+  const registry = {
+    async forwardRequest(agentId, request) {
+      const query = new URL(request.params.uri).searchParams.get('q');
+      requests.push({ query, conversation: request.params._meta.conversation });
+
+      const name = Object.keys(MANAGERS).find(employee => query.includes(employee));
+      const text = !name ? 'I could not tell who you mean.'
+        : /manager/.test(query) ? `${name} reports to ${MANAGERS[name]}.` : `${name} is an engineer.`;
+      return { result: { contents: [{ text }], _meta: { entities: { employees: name ? [name] : [] } } } };
+    }
+  };
+
+  const coordinator = new IntelligentCoordinator(registry);
+  coordinator.initialized = true;
+  coordinator.registerAgent({ agentId: 'hr-test', name: 'hr', description: 'HR specialist: employees, managers, leave', capabilities: [], url: null });
+  return { coordinator, requests };
+}
+
+async function ask(coordinator, query, userContext) {
+  const thinking = [];
+  const ctx = coordinator.createRequestContext({ sessionId: userContext.sessionId, onThinking: message => thinking.push(message) });
+  const result = await coordinator.processQuery(query, 'en', 'phase2', userContext, 'mock', ctx);
+  return { result, thinking };
+}
+
+test('a follow-up pronoun is resolved from the previous turn before routing', async () => {
+  const { coordinator, requests } = createCoordinator();
+  const userContext = { email: 'sarah.chen@company.com', name: 'Sarah Chen', sessionId: 'session-sarah' };
+
+  await ask(coordinator, 'What does Tom Lee do?', userContext);
+  const { result, thinking } = await ask(coordinator, 'Who is his manager?', userContext);
+
+  assert.match(requests[1].query, /^Who is Tom Lee's manager\?/);
+  assert.deepEqual(requests[1].conversation, { employees: ['Tom Lee'], tickets: [], lastAgent: 'hr' });
+  assert.equal(result.response, 'Tom Lee reports to Michael Johnson.');
+  assert.ok(thinking.includes('Understood as: "Who is Tom Lee\'s manager?"'));
+});
+
+test('without a session a follow-up is passed on as asked', async () => {
+  const { coordinator, requests } = createCoordinator();
+  const userContext = { email: 'sarah.chen@company.com', name: 'Sarah Chen' };
+
+  await ask(coordinator, 'What does Tom Lee do?', userContext);
+  const { result } = await ask(coordinator, 'Who is his manager?', userContext);
+
+  assert.match(requests[1].query, /^Who is his manager\?/);
+  assert.equal(requests[1].conversation, undefined);
+  assert.equal(result.response, 'I could not tell who you mean.');
+});
+
+test('the state keeps the most recent entities first and picks up ticket IDs', () => {
+  const state = new ConversationState();
+  assert.equal(state.isFollowUp('Who is his manager?'), false);
+
+  state.record({ query: 'Who is on INC-2025-0001?', answer: 'Tom Lee, see also INC-2025-0002.', agents: ['it'], entities: { employees: ['Tom Lee'] } });
+  state.record({ query: 'And Nina Park?', agents: ['hr'], entities: { employees: ['Nina Park', 'Tom Lee'] } });
+
+  assert.deepEqual(state.toJSON(), { employees: ['Nina Park', 'Tom Lee'], tickets: ['INC-2025-0001', 'INC-2025-0002'], lastAgent: 'hr' });
+  assert.equal(state.isFollowUp('Who is his manager?'), true);
+  assert.equal(state.isFollowUp('and for Bob?'), true);
+  assert.equal(state.isFollowUp('Who manages Nina Park?'), false);
+  assert.equal(state.describe(), [
+    'Previous question: "And Nina Park?"',
+    'Answered by: hr',
+    'Employees mentioned (most recent first): Nina Park, Tom Lee',
+    'Tickets mentioned (most recent first): INC-2025-0001, INC-2025-0002'
+  ].join('\n'));
+});
+
+test('the store drops idle and least recently used sessions, and seeds tickets from the history', () => {
+  const store = new ConversationStore({ ttlMs: 1000, maxSessions: 2 });
+  store.get('a').record({ query: 'What does Tom Lee do?' });
+  store.get('b');
+  store.get('a');
+  store.get('c');
+
+  assert.deepEqual([...store.sessions.keys()], ['a', 'c']);
+  assert.equal(store.get(null), null);
+
+  store.get('a').updatedAt -= 2000;
+  assert.equal(store.get('a', [{ role: 'assistant', content: 'INC-2025-0007 is closed' }]).turns, 0);
+  assert.deepEqual(store.get('a').tickets, ['INC-2025-0007']);
+});
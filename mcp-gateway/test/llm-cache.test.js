@@ -0,0 +1,149 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { LLMCache, MemoryStore, FileStore } from '../llm-cache.js';
+
+delete process.env.PRISMA_AIRS_API_TOKEN;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { IntelligentCoordinator, RequestContext } = await import('../coordinator.js');
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Counts the calls a cache lets through to the LLM
+ */
+function counter(response = 'answer') {
+  const generate = async () => {
+    generate.calls++;
+    return { response, usage: { promptTokens: 10, completionTokens: 2 }, model: 'stub' };
+  };
+  generate.calls = 0;
+  return generate;
+}
+
+test('a repeated call is served from the cache without usage', async () => {
+  const cache = new LLMCache({ enabled: true, stores: [new MemoryStore()] });
+  const generate = counter();
+  const call = { type: 'translation', input: 'Bonjour  le monde', language: 'fr' };
+
+  assert.equal((await cache.wrap(call, generate)).usage.promptTokens, 10);
+  const cached = await cache.wrap({ ...call, input: 'Bonjour le monde ' }, generate);
+  assert.deepEqual(cached, { response: 'answer', model: 'stub', usage: null, cached: true });
+  await cache.wrap({ ...call, language: 'de' }, generate);
+  await cache.wrap({ ...call, provider: 'openai' }, generate);
+
+  assert.equal(generate.calls, 3);
+  assert.deepEqual((await cache.stats()).byType.translation, { hits: 1, misses: 3, bypassed: 0 });
+});
+
+test('bypassed and disabled calls always reach the LLM', async () => {
+  const cache = new LLMCache({ enabled: true, stores: [new MemoryStore()] });
+  const generate = counter();
+  await cache.bypass('responseTranslation', generate);
+  await cache.bypass('responseTranslation', generate);
+  assert.equal(generate.calls, 2);
+  assert.equal((await cache.stats()).bypassed, 2);
+
+  const disabled = new LLMCache({ enabled: false, stores: [new MemoryStore()] });
+  await disabled.wrap({ type: 'routing', input: 'q' }, generate);
+  await disabled.wrap({ type: 'routing', input: 'q' }, generate);
+  assert.equal(generate.calls, 4);
+});
+
+test('the memory store drops the least recently used and expired entries', async () => {
+  const store = new MemoryStore({ maxEntries: 2, ttlMs: 1000 });
+  await store.set('a', 1);
+  await store.set('b', 2);
+  await store.get('a');
+  await store.set('c', 3);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal(await store.get('a'), 1);
+
+  const expiring = new MemoryStore({ ttlMs: -1 });
+  await expiring.set('a', 1);
+  assert.equal(await expiring.get('a'), undefined);
+});
+
+test('disk entries survive a new cache and are promoted to memory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-test-'));
+  tempDirs.push(dir);
+  const call = { type: 'routing', input: 'hr,it\nWho is my manager?' };
+  await new LLMCache({ enabled: true, dir }).wrap(call, counter('{"agents":[]}'));
+
+  const memory = new MemoryStore();
+  const restarted = new LLMCache({ enabled: true, stores: [memory, new FileStore({ dir })] });
+  const generate = counter();
+  assert.equal((await restarted.wrap(call, generate)).response, '{"agents":[]}');
+  assert.equal(generate.calls, 0);
+  assert.equal(await memory.size(), 1);
+});
+
+test('a store that fails to save a disk hit or a new entry does not fail the call', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-test-'));
+  tempDirs.push(dir);
+  const call = { type: 'translation', input: 'Hola', language: 'es' };
+  await new LLMCache({ enabled: true, dir }).wrap(call, counter('Hello'));
+
+  const full = new MemoryStore();
+  full.set = async () => {
+    throw new Error('Out of memory');
+  };
+  const cache = new LLMCache({ enabled: true, stores: [full, new FileStore({ dir })] });
+  const generate = counter('Goodbye');
+
+  assert.deepEqual(await cache.wrap(call, generate), { response: 'Hello', model: 'stub', usage: null, cached: true });
+  assert.equal((await cache.wrap({ ...call, input: 'Adiós' }, generate)).response, 'Goodbye');
+  assert.equal(generate.calls, 1);
+  assert.deepEqual(cache.metrics.translation, { hits: 1, misses: 1, bypassed: 0 });
+});
+
+/**
+ * Coordinator with a cache of its own and an LLM stub that answers every call
+ */
+function createCoordinator() {
+  const coordinator = new IntelligentCoordinator(null);
+  coordinator.llmCache = new LLMCache({ enabled: true, stores: [new MemoryStore()] });
+  coordinator.registerAgent({ agentId: 'hr-test', name: 'hr', description: 'HR specialist', capabilities: [], url: null, LLMProviders: ['stub'] });
+  coordinator.generateWithLLM = counter('{"agents": [{"agent": "hr", "subQuery": "How many leave days do I have?"}]}');
+  return coordinator;
+}
+
+test('query translation and first-turn routing are cached', async () => {
+  const coordinator = createCoordinator();
+
+  for (let i = 0; i < 2; i++) {
+    await coordinator.translateQuery('Combien de jours de congé me reste-t-il ?', 'fr', null, new RequestContext());
+    await coordinator.analyzeRoutingStrategy('How many leave days do I have?', ['hr-test'], [], null, new RequestContext());
+  }
+
+  assert.equal(coordinator.generateWithLLM.calls, 2);
+  const { byType } = await coordinator.llmCache.stats();
+  assert.equal(byType.translation.hits, 1);
+  assert.equal(byType.routing.hits, 1);
+});
+
+test('calls carrying agent responses or the conversation never use the cache', async () => {
+  const coordinator = createCoordinator();
+  const history = [{ role: 'user', content: 'Who is Tom Lee?' }, { role: 'assistant', content: 'Tom Lee is an engineer, his salary is 60000.' }];
+
+  for (let i = 0; i < 2; i++) {
+    // An answer without names or emails is still an agent response
+    await coordinator.translateResponse('You have 12 days of leave left.', 'fr', null, new RequestContext());
+    await coordinator.analyzeRoutingStrategy('And his manager?', ['hr-test'], history, null, new RequestContext());
+  }
+
+  assert.equal(coordinator.generateWithLLM.calls, 4);
+  const stats = await coordinator.llmCache.stats();
+  assert.deepEqual(stats.byType.responseTranslation, { hits: 0, misses: 0, bypassed: 2 });
+  assert.deepEqual(stats.byType.routing, { hits: 0, misses: 0, bypassed: 2 });
+  assert.equal(stats.stores[0].entries, 0);
+});
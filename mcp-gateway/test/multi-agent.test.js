@@ -0,0 +1,151 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+
+// Scripted answers from the mock provider (utils/llm-provider-mock.js), tried before its
+// built-in fixtures, which pass agent answers through validation and synthesis unchanged
+const FIXTURES = {
+  rules: [
+    {
+      name: 'route-leave-and-laptop',
+      match: 'CURRENT USER QUERY: "How many leave days do I have and is my laptop repaired\\?"',
+      response: JSON.stringify({
+        agents: [
+          { agent: 'hr', subQuery: 'How many leave days do I have?' },
+          { agent: 'it', subQuery: 'Is my laptop repaired?' }
+        ],
+        reasoning: 'Leave from HR, laptop from IT'
+      })
+    },
+    {
+      name: 'route-assignee-leave',
+      match: 'CURRENT USER QUERY: "How much leave does the person assigned to (?<ticket>INC-\\d{4}-\\d{4}) have\\?"',
+      response: JSON.stringify({
+        agents: [
+          { id: 's1', agent: 'it', subQuery: 'Who is assigned to ticket {{ticket}}?', output: 'the assignee\'s full name' },
+          { id: 's2', agent: 'hr', subQuery: 'How much leave does {{s1}} have?' }
+        ],
+        reasoning: 'The assignee from IT, then their leave from HR'
+      })
+    },
+    {
+      name: 'assignee-name',
+      match: '^From the answer below, extract the assignee\'s full name[\\s\\S]*Answer: "INC-\\d{4}-\\d{4} is assigned to (?<name>\\w+ \\w+)',
+      response: '{{name}}'
+    },
+    {
+      name: 'no-assignee',
+      match: '^From the answer below, extract the assignee\'s full name[\\s\\S]*Answer: "INC-\\d{4}-\\d{4} has no assignee',
+      response: 'NONE'
+    }
+  ]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-agent-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify(FIXTURES));
+
+// Every routing decision goes to the mock LLM; local scanner only, nothing written to disk
+process.env.MOCK_LLM = 'true';
+process.env.MOCK_LLM_FIXTURES = path.join(dir, 'fixtures.json');
+process.env.ROUTER_MODE = 'llm';
+process.env.AGENT_TIMEOUT_MS = '200';
+delete process.env.PRISMA_AIRS_API_TOKEN;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+process.env.LLM_CACHE = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { IntelligentCoordinator } = await import('../coordinator.js');
+
+const USER = { email: 'tom.lee@company.com', name: 'Tom Lee', sessionId: 'session-tom' };
+
+/**
+ * Coordinator with stub HR and IT agents, using the mock LLM provider
+ * @param {Object<string, Function>} answers - Agent name -> (query, signal) => answer text
+ *   (a promise that never settles makes the agent time out)
+ * @returns {{ coordinator, queries: Array<{ agent, query }> }} queries as the agents received them
+ */
+function createCoordinator(answers) {
+  const queries = [];
+  const registry = {
+    async forwardRequest(agentId, request, { signal }) {
+      const agent = agentId.replace(/-test$/, '');
+      const query = new URL(request.params.uri).searchParams.get('q');
+      queries.push({ agent, query });
+      return { result: { contents: [{ text: await answers[agent](query, signal) }], _meta: {} } };
+    }
+  };
+
+  const coordinator = new IntelligentCoordinator(registry);
+  coordinator.initialized = true;
+  coordinator.registerAgent({ agentId: 'hr-test', name: 'hr', description: 'HR specialist: employees, managers, leave', capabilities: [], url: null });
+  coordinator.registerAgent({ agentId: 'it-test', name: 'it', description: 'IT specialist: tickets, laptops, accounts', capabilities: [], url: null });
+  return { coordinator, queries };
+}
+
+/**
+ * Run a query through the whole pipeline, with its thinking messages
+ */
+async function ask(coordinator, query) {
+  const thinking = [];
+  const ctx = coordinator.createRequestContext({ sessionId: USER.sessionId, onThinking: message => thinking.push(message) });
+  const result = await coordinator.processQuery(query, 'en', 'phase2', USER, 'mock', ctx);
+  return { result, thinking, ctx };
+}
+
+test('an agent that times out leaves a partial answer that names the missing part', async () => {
+  const { coordinator } = createCoordinator({
+    hr: () => 'You have 12 leave days left.',
+    it: (query, signal) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+  });
+
+  const startedAt = Date.now();
+  const { result, thinking, ctx } = await ask(coordinator, 'How many leave days do I have and is my laptop repaired?');
+
+  assert.ok(Date.now() - startedAt < 2000, 'the query does not wait for the silent agent');
+  assert.equal(result.agentUsed, 'multi-agent-coordinator');
+  assert.match(result.response, /HR SPECIALIST: "How many leave days do I have\?"\nResponse: You have 12 leave days left\./);
+  assert.match(result.response, /- "Is my laptop repaired\?" \(it specialist\): the specialist did not answer in time/);
+  assert.doesNotMatch(result.response, /IT SPECIALIST/);
+  assert.deepEqual(ctx.agentCalls.map(call => [call.agent, call.status]).sort(), [['hr', 'ok'], ['it', 'timeout']]);
+  assert.ok(thinking.includes('⚠️ it specialist did not answer in time, continuing with the others...'));
+  assert.ok(thinking.includes('Synthesizing responses from 1 of 2 specialists...'));
+});
+
+test('a step that needs an earlier step\'s answer gets the value taken from it', async () => {
+  const { coordinator, queries } = createCoordinator({
+    it: query => (query.includes('INC-2025-0120') ? 'INC-2025-0120 is assigned to Nina Park.' : 'INC-2025-0121 has no assignee yet.'),
+    hr: query => `${query.match(/does (\w+ \w+) have/)[1]} has 8 leave days left.`
+  });
+
+  const { result, thinking } = await ask(coordinator, 'How much leave does the person assigned to INC-2025-0120 have?');
+
+  assert.deepEqual(queries.map(({ agent }) => agent), ['it', 'hr']);
+  assert.match(queries[0].query, /^Who is assigned to ticket INC-2025-0120\?/);
+  assert.match(queries[1].query, /^How much leave does Nina Park have\?/);
+  assert.match(result.response, /HR SPECIALIST: "How much leave does Nina Park have\?"\nResponse: Nina Park has 8 leave days left\./);
+  assert.ok(thinking.includes('Coordinating 2 steps across specialists, in 2 rounds...'));
+  assert.ok(thinking.includes('Step s1 found the assignee\'s full name: Nina Park'));
+  assert.ok(thinking.includes('Step s2 uses the answer from step s1'));
+});
+
+test('a step is skipped when the earlier answer does not hold the value it needs', async () => {
+  const { coordinator, queries } = createCoordinator({
+    it: () => 'INC-2025-0121 has no assignee yet.',
+    hr: () => assert.fail('HR is not asked without a name')
+  });
+
+  const { result, thinking } = await ask(coordinator, 'How much leave does the person assigned to INC-2025-0121 have?');
+
+  assert.deepEqual(queries.map(({ agent }) => agent), ['it']);
+  assert.match(result.response, /IT SPECIALIST: "Who is assigned to ticket INC-2025-0121\?"\nResponse: INC-2025-0121 has no assignee yet\./);
+  assert.match(result.response, /- "How much leave does \(unknown\) have\?" \(hr specialist\): it needs the answer to another part that could not be answered/);
+  assert.ok(thinking.includes('⚠️ Step s1 did not provide the assignee\'s full name'));
+  assert.ok(thinking.includes('Skipping hr step s2: it needs the answer to step s1'));
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { PIIVault } from '../pii-vault.js';
+
+// Local scanner with its default DLP rules, nothing written to disk
+delete process.env.PRISMA_AIRS_API_TOKEN;
+delete process.env.LOCAL_SCANNER_DLP;
+delete process.env.LOCAL_SCANNER_DLP_ACTION;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+process.env.LLM_CACHE = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { IntelligentCoordinator } = await import('../coordinator.js');
+
+const ALL_TYPES = ['email', 'iban', 'phone', 'name'];
+
+test('a value keeps its placeholder, whatever its spelling', () => {
+  const vault = new PIIVault({ restoreTypes: ALL_TYPES });
+  const first = vault.tokenize('Write to Tom.Lee@Company.com, IBAN FR76 3000 6000 0112 3456 7890 189, phone +33 1 42 00 00 05');
+  assert.equal(first, 'Write to [EMAIL_1], IBAN [IBAN_1], phone [PHONE_1]');
+
+  const second = vault.tokenize('tom.lee@company.com or ana@company.com; FR7630006000011234567890189; +33.1.42.00.00.05');
+  assert.equal(second, '[EMAIL_1] or [EMAIL_2]; [IBAN_1]; [PHONE_1]');
+  assert.equal(vault.size, 4);
+
+  // Agents get the values back as first seen
+  assert.equal(vault.restore('Mail [EMAIL_1] and [EMAIL_2] about [IBAN_1]'), 'Mail Tom.Lee@Company.com and ana@company.com about FR76 3000 6000 0112 3456 7890 189');
+  assert.equal(vault.restore('[EMAIL_9] is unknown'), '[EMAIL_9] is unknown');
+});
+
+test('only known names with a first and last name are tokenized, the longest first', () => {
+  const vault = new PIIVault({ names: ['Maria Lopez', 'Tom', '  '], restoreTypes: ALL_TYPES });
+  vault.addNames(['Anna Maria Lopez', 'Maria Lopez']);
+
+  assert.equal(vault.tokenize('Tom asked Anna Maria Lopez and maria  lopez about MariaLopez'), 'Tom asked [NAME_1] and [NAME_2] about MariaLopez');
+  assert.equal(vault.restore('[NAME_1] / [NAME_2]'), 'Anna Maria Lopez / maria  lopez');
+  assert.equal(vault.tokenize('Maria Lopezová'), 'Maria Lopezová');
+});
+
+test('the final answer gets back what the user typed and the restored types', () => {
+  const vault = new PIIVault({ names: ['Tom Lee', 'Sara Kim'], restoreTypes: ['name'] });
+  const query = vault.tokenize('What is the IBAN of Tom Lee? Mail me at me@company.com', 'user');
+  assert.equal(query, 'What is the IBAN of [NAME_1]? Mail me at [EMAIL_1]');
+
+  const answer = vault.tokenize('Tom Lee (tom.lee@company.com) has IBAN FR76 3000 6000 0112 3456 7890 189; me@company.com is Sara Kim');
+  assert.equal(answer, '[NAME_1] ([EMAIL_2]) has IBAN [IBAN_1]; [EMAIL_1] is [NAME_2]');
+  assert.equal(vault.restoreAuthorized(answer), 'Tom Lee ([EMAIL]) has IBAN [IBAN]; me@company.com is Sara Kim');
+
+  // A value an agent reported first counts as typed once the user types it too
+  vault.tokenize('and tom.lee@company.com?', 'user');
+  assert.equal(vault.restoreAuthorized('[EMAIL_2] [IBAN_1] [PHONE_7]'), 'tom.lee@company.com [IBAN] [PHONE_7]');
+});
+
+test('a vault serializes to counts only', () => {
+  const vault = new PIIVault({ names: ['Tom Lee'] });
+  vault.tokenize('Tom Lee, tom.lee@company.com, ana@company.com');
+  const json = JSON.stringify({ vault });
+  assert.deepEqual(JSON.parse(json), { vault: { tokens: 3, types: { email: 2, name: 1 } } });
+  assert.ok(!json.includes('company.com') && !json.includes('Tom'));
+});
+
+test('unknown restore types are rejected', () => {
+  assert.throws(() => new PIIVault({ restoreTypes: ['email', 'salary'] }), /Unknown PII_VAULT_RESTORE type salary/);
+});
+
+/**
+ * Coordinator with a stub HR agent answering with an employee's contact details, and a stub
+ * LLM passing the agent answer on; requests holds what the agent received
+ */
+function createCoordinator(settings) {
+  const requests = [];
+  const registry = {
+    async forwardRequest(agentId, request) {
+      requests.push(request);
+      return {
+        result: {
+          contents: [{ text: 'Tom Lee: tom.lee@company.com, IBAN FR76 3000 6000 0112 3456 7890 189, salary €60,000' }],
+          _meta: { entities: { employees: ['Tom Lee'] } }
+        }
+      };
+    }
+  };
+  const coordinator = new IntelligentCoordinator(registry);
+  coordinator.initialized = true;
+  coordinator.piiVault = settings;
+  coordinator.registerAgent({ agentId: 'hr-test', name: 'hr', description: 'HR specialist', capabilities: [], url: null });
+  coordinator.selectAgents = async () => ({ method: 'local', agents: ['hr'], strategy: null });
+  coordinator.generateWithLLM = async prompt => ({
+    response: JSON.stringify({ isRelevant: true, keyInformation: prompt.match(/Agent response: "(.*)"/)[1], confidence: 'high', reasoning: 'stub' }),
+    usage: { promptTokens: 1, completionTokens: 1 },
+    model: 'llm-stub'
+  });
+  return { coordinator, requests };
+}
+
+const requester = { email: 'jane.doe@company.com', name: 'Jane Doe', sessionId: 'session-jane' };
+
+test('agents get placeholders, with the values to look records up by', async () => {
+  const { coordinator, requests } = createCoordinator({ enabled: true, restoreTypes: ALL_TYPES });
+  await coordinator.processQuery('What are the contact details of tom.lee@company.com?', 'en', 'phase3', requester, 'stub');
+
+  const [request] = requests;
+  const query = decodeURIComponent(request.params.uri);
+  assert.match(query, /contact details of \[EMAIL_1\]\?\n\[User context: user: \[NAME_1\], email: \[EMAIL_2\]\]/);
+  assert.deepEqual(request.params._meta.pii, { '[EMAIL_1]': 'tom.lee@company.com', '[NAME_1]': 'Jane Doe', '[EMAIL_2]': 'jane.doe@company.com' });
+});
+
+test('values the agent reported come back through checkpoint 3 and 4, unless their type is not restored', async () => {
+  const { coordinator } = createCoordinator({ enabled: true, restoreTypes: ALL_TYPES });
+  const result = await coordinator.processQuery('What are the contact details of Tom Lee?', 'en', 'phase3', requester, 'stub');
+  // Salaries are no vault type, so the DLP rules still mask them
+  assert.equal(result.response, 'Tom Lee: tom.lee@company.com, IBAN FR76 3000 6000 0112 3456 7890 189, salary [SALARY]');
+  const inbound = result.metadata.securityCheckpoints.find(checkpoint => checkpoint.number === 3);
+  assert.ok(!JSON.stringify(inbound).includes('tom.lee@company.com'));
+
+  const { coordinator: strict } = createCoordinator({ enabled: true, restoreTypes: ['name'] });
+  const masked = await strict.processQuery('What are the contact details of Tom Lee?', 'en', 'phase3', requester, 'stub');
+  assert.equal(masked.response, 'Tom Lee: [EMAIL], IBAN [IBAN], salary [SALARY]');
+});
+
+test('an unknown restore type stops the coordinator at startup', () => {
+  process.env.PII_VAULT_RESTORE = 'email,salary';
+  try {
+    assert.throws(() => new IntelligentCoordinator({}), /Unknown PII_VAULT_RESTORE type salary/);
+  } finally {
+    delete process.env.PII_VAULT_RESTORE;
+  }
+  assert.deepEqual(PIIVault.settingsFromEnv(), { enabled: true, restoreTypes: ALL_TYPES });
+});
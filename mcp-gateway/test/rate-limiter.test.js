@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { RateLimiter, parseBudgets } from '../rate-limiter.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const limiter = options => new RateLimiter({ userRpm: 2, sessionRpm: 0, dailyTokens: {}, dailyCost: {}, ...options });
+
+test('users are limited per email, whatever their session', () => {
+  const rateLimiter = limiter();
+  const jane = { email: 'jane@company.com', provider: 'aws' };
+
+  assert.equal(rateLimiter.check({ ...jane, sessionId: 'a' }).allowed, true);
+  assert.equal(rateLimiter.check({ ...jane, sessionId: 'b' }).allowed, true);
+  const rejected = rateLimiter.check({ ...jane, sessionId: 'c' });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.reason, 'userRate');
+  assert.ok(rejected.retryAfter >= 1 && rejected.retryAfter <= 60);
+  assert.equal(rateLimiter.check({ email: 'john@company.com', provider: 'aws' }).allowed, true);
+});
+
+test('callers without an email are limited per IP address, not all together', () => {
+  const rateLimiter = limiter();
+
+  rateLimiter.check({ ip: '10.0.0.1', provider: 'aws' });
+  rateLimiter.check({ ip: '10.0.0.1', sessionId: 'other', provider: 'aws' });
+  assert.equal(rateLimiter.check({ ip: '10.0.0.1', provider: 'aws' }).allowed, false);
+  assert.equal(rateLimiter.check({ ip: '10.0.0.2', provider: 'aws' }).allowed, true);
+  assert.deepEqual(rateLimiter.snapshot('ip:10.0.0.1').requestsLastMinute, { 'ip:10.0.0.1': 2 });
+
+  rateLimiter.reset('ip:10.0.0.1');
+  assert.equal(rateLimiter.check({ ip: '10.0.0.1', provider: 'aws' }).allowed, true);
+});
+
+test('sessions have their own per-minute limit', () => {
+  const rateLimiter = limiter({ userRpm: 0, sessionRpm: 1 });
+
+  assert.equal(rateLimiter.check({ email: 'jane@company.com', sessionId: 's1', provider: 'aws' }).allowed, true);
+  assert.equal(rateLimiter.check({ email: 'jane@company.com', sessionId: 's1', provider: 'aws' }).reason, 'sessionRate');
+  assert.equal(rateLimiter.check({ email: 'jane@company.com', sessionId: 's2', provider: 'aws' }).allowed, true);
+});
+
+test('daily budgets are per account and provider', () => {
+  const rateLimiter = limiter({ userRpm: 0, dailyTokens: parseBudgets('openai:100,*:1000'), dailyCost: parseBudgets('aws:1') });
+  const jane = { email: 'jane@company.com' };
+
+  rateLimiter.recordUsage({ ...jane, provider: 'openai' }, { totalTokens: 100, cost: 0.01 });
+  const rejected = rateLimiter.check({ ...jane, provider: 'openai' });
+  assert.equal(rejected.reason, 'tokens');
+  assert.equal(rejected.limit, 100);
+  assert.equal(rateLimiter.check({ ...jane, provider: 'azure' }).allowed, true);
+  assert.equal(rateLimiter.check({ email: 'john@company.com', provider: 'openai' }).allowed, true);
+
+  rateLimiter.recordUsage({ ...jane, provider: 'aws' }, { totalTokens: 10, cost: 1.5 });
+  assert.equal(rateLimiter.check({ ...jane, provider: 'aws' }).reason, 'cost');
+
+  // Without an email, usage goes to the IP address
+  assert.equal(RateLimiter.account({ sessionId: 's1', ip: '10.0.0.1' }), 'ip:10.0.0.1');
+  rateLimiter.recordUsage({ ip: '10.0.0.1', provider: 'openai' }, { totalTokens: 100 });
+  assert.equal(rateLimiter.check({ ip: '10.0.0.1', provider: 'openai' }).reason, 'tokens');
+  assert.equal(rateLimiter.check({ ip: '10.0.0.2', provider: 'openai' }).allowed, true);
+});
+
+test('anonymous requests share one budget per IP address, whatever session they claim', () => {
+  const rateLimiter = limiter({ userRpm: 0, dailyTokens: parseBudgets('*:100') });
+
+  for (const sessionId of ['s1', 's2']) {
+    const requester = { ip: '10.0.0.1', sessionId, provider: 'openai' };
+    assert.equal(rateLimiter.check(requester).allowed, true);
+    rateLimiter.recordUsage(requester, { totalTokens: 50 });
+  }
+  const rejected = rateLimiter.check({ ip: '10.0.0.1', sessionId: 's3', provider: 'openai' });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.reason, 'tokens');
+  assert.deepEqual(Object.keys(rateLimiter.snapshot().spendToday), ['ip:10.0.0.1']);
+});
+
+test('budgets are parsed from "provider:amount" lists', () => {
+  assert.deepEqual(parseBudgets(' openai:2, *:5 '), { openai: 2, '*': 5 });
+  assert.deepEqual(parseBudgets(''), {});
+  assert.throws(() => parseBudgets('openai'), /Invalid budget "openai"/);
+  assert.throws(() => parseBudgets('openai:-1'), /Invalid budget/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+
+// Local scanner only, nothing written to disk
+delete process.env.PRISMA_AIRS_API_TOKEN;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+process.env.LLM_CACHE = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { IntelligentCoordinator } = await import('../coordinator.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One user per request; delays make the requests finish in a different order than they started
+const USERS = [
+  { name: 'Alice Martin', email: 'alice.martin@company.com', sessionId: 'session-alice', agentDelay: 40, llmDelay: 5, tokens: 100 },
+  { name: 'Bruno Costa', email: 'bruno.costa@company.com', sessionId: 'session-bruno', agentDelay: 5, llmDelay: 30, tokens: 200 },
+  { name: 'Chloe Dubois', email: 'chloe.dubois@company.com', sessionId: 'session-chloe', agentDelay: 20, llmDelay: 15, tokens: 300 }
+];
+
+const answerFor = user => `${user.name} has ${user.tokens / 10} days of leave left.`;
+
+// Phase 3 prompts carry placeholders instead of names (see pii-vault.js), so the LLM stub
+// tells the users apart by their answers
+function userIn(text) {
+  return USERS.find(user => text.includes(user.name) || text.includes(`has ${user.tokens / 10} days`));
+}
+
+/**
+ * Coordinator with one stub HR agent and a stub LLM
+ * The agent answers about the user named in the query (put back from _meta.pii in phase 3,
+ * as agents do to look records up) and reports agent tokens; the LLM
+ * passes that answer on as the validated one and reports coordinator tokens, both scaled
+ * to the user.
+ */
+function createCoordinator() {
+  const registry = {
+    async forwardRequest(agentId, request) {
+      const pii = request.params._meta.pii || {};
+      const query = decodeURIComponent(request.params.uri).replace(/\[NAME_\d+\]/g, placeholder => pii[placeholder] ?? placeholder);
+      const user = userIn(query);
+      await sleep(user.agentDelay);
+      return {
+        result: {
+          contents: [{ text: answerFor(user) }],
+          _meta: {
+            thinking: [`Looked up ${user.name}`],
+            usage: { models: [{ model: 'agent-stub', promptTokens: user.tokens, completionTokens: 1, totalTokens: user.tokens + 1 }] }
+          }
+        }
+      };
+    }
+  };
+
+  const coordinator = new IntelligentCoordinator(registry);
+  coordinator.initialized = true;
+  coordinator.registerAgent({ agentId: 'hr-test', name: 'hr', description: 'HR specialist', capabilities: [], url: null });
+  coordinator.selectAgents = async () => ({ method: 'local', agents: ['hr'], strategy: null });
+  coordinator.generateWithLLM = async (prompt) => {
+    const user = userIn(prompt);
+    const agentResponse = prompt.match(/Agent response: "(.*)"/)[1];
+    await sleep(user.llmDelay);
+    return {
+      response: JSON.stringify({ isRelevant: true, keyInformation: agentResponse, confidence: 'high', reasoning: 'stub' }),
+      usage: { promptTokens: user.tokens, completionTokens: 10 },
+      model: 'llm-stub'
+    };
+  };
+  return coordinator;
+}
+
+test('parallel queries keep their own thinking stream, token usage and checkpoints', async () => {
+  const coordinator = createCoordinator();
+
+  const runs = USERS.map((user) => {
+    const thinking = [];
+    const ctx = coordinator.createRequestContext({ sessionId: user.sessionId, onThinking: message => thinking.push(message) });
+    const userContext = { email: user.email, name: user.name, sessionId: user.sessionId };
+    return { user, thinking, ctx, pending: coordinator.processQuery(`How many leave days does ${user.name} have?`, 'en', 'phase3', userContext, 'stub', ctx) };
+  });
+  const results = await Promise.all(runs.map(run => run.pending));
+
+  runs.forEach(({ user, thinking, ctx }, index) => {
+    const result = results[index];
+    const others = USERS.filter(other => other !== user);
+
+    assert.equal(result.response, answerFor(user));
+    assert.equal(result.metadata.requestId, ctx.requestId);
+
+    // Thinking stream: this request's agent steps, nothing from the others
+    assert.ok(thinking.includes(`Looked up ${user.name}`));
+    for (const other of others) {
+      assert.ok(!thinking.some(message => message.includes(other.name)), `${user.name}'s stream mentions ${other.name}`);
+    }
+
+    // Usage: one validation call and one agent answer, both of this user's size
+    assert.equal(result.metadata.coordinator_tokens, user.tokens + 10);
+    assert.equal(result.metadata.agent_tokens, user.tokens + 1);
+    assert.equal(result.metadata.total_tokens, 2 * user.tokens + 11);
+
+    // Checkpoints: the four of this request, scanning this user's query (with a placeholder
+    // for the name after checkpoint 1)
+    const checkpoints = result.metadata.securityCheckpoints;
+    assert.deepEqual(checkpoints.map(checkpoint => checkpoint.number), [1, 2, 3, 4]);
+    assert.ok(checkpoints[0].input.content.includes(user.name));
+    assert.ok(checkpoints.slice(1).every(checkpoint => checkpoint.input.content.includes('[NAME_1]')));
+    for (const checkpoint of checkpoints) {
+      for (const other of others) {
+        assert.ok(!checkpoint.input.content.includes(other.name));
+      }
+    }
+    assert.deepEqual(result.metadata.agentCalls.map(call => call.agent), ['hr']);
+  });
+});
+
+test('requests without a context of their own do not share one', async () => {
+  const coordinator = createCoordinator();
+
+  const results = await Promise.all(USERS.map(user =>
+    coordinator.processQuery(`How many leave days does ${user.name} have?`, 'en', 'phase2', { email: user.email, name: user.name, sessionId: user.sessionId }, 'stub')));
+
+  const requestIds = new Set(results.map(result => result.metadata.requestId));
+  assert.equal(requestIds.size, USERS.length);
+  results.forEach((result, index) => {
+    assert.equal(result.response, answerFor(USERS[index]));
+    assert.equal(result.metadata.total_tokens, 2 * USERS[index].tokens + 11);
+    assert.deepEqual(result.metadata.securityCheckpoints, []);
+  });
+});
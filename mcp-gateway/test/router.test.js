@@ -0,0 +1,119 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+
+delete process.env.ROUTER_LOG_FILE;
+delete process.env.ROUTER_MODE;
+delete process.env.PRISMA_AIRS_API_TOKEN;
+process.env.SECURITY_SCANNERS = 'local';
+process.env.AUDIT_LOG = 'false';
+process.env.LLM_CACHE = 'false';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { QueryRouter, KeywordScorer, TfidfIndex, COORDINATOR_PROFILE } = await import('../router.js');
+const { IntelligentCoordinator } = await import('../coordinator.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'router-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const AGENTS = [
+  {
+    name: 'hr',
+    description: 'Human resources: employees, leave and salaries',
+    capabilities: ['Leave balances and requests', 'Employee directory and managers'],
+    routing: {
+      keywords: ['leave', 'vacation', 'salary', 'manager', 'email'],
+      examples: ['How many vacation days do I have left?', 'Who is the manager of Tom Lee?', 'What is my salary?']
+    }
+  },
+  {
+    name: 'it',
+    description: 'IT support tickets for hardware, software and network problems',
+    capabilities: ['Ticket status and history', 'Laptop, VPN and printer issues'],
+    routing: {
+      keywords: ['ticket', 'laptop', 'vpn', 'printer', 'email'],
+      examples: ['What is the status of ticket INC-2025-0120?', 'My laptop does not start', 'The VPN keeps disconnecting']
+    }
+  }
+];
+
+test('a query one agent clearly wins is routed locally', () => {
+  const decision = new QueryRouter().route('How many vacation days of leave do I have left?', [...AGENTS, COORDINATOR_PROFILE]);
+  assert.equal(decision.agent, 'hr');
+  assert.ok(decision.confidence >= 0.35 && decision.margin >= 0.25, JSON.stringify(decision));
+  assert.deepEqual(Object.keys(decision.scores).sort(), ['coordinator', 'hr', 'it']);
+  assert.ok(decision.scores.hr.keyword > 0 && decision.scores.hr.tfidf > 0);
+});
+
+test('low confidence or a close runner-up is left to the LLM', () => {
+  const router = new QueryRouter();
+
+  const vague = router.route('Something odd happened yesterday', AGENTS);
+  assert.equal(vague.agent, null);
+  assert.ok(vague.confidence < router.minConfidence);
+
+  // Two parts, one per agent: both score, neither leads by the margin
+  const split = router.route('My laptop is broken and I want to take leave', AGENTS);
+  assert.equal(split.agent, null);
+  assert.ok(split.confidence >= router.minConfidence && split.margin < router.minMargin, JSON.stringify(split));
+
+  // The thresholds decide: the same query goes local with lower ones, and never in llm mode
+  assert.notEqual(new QueryRouter({ minConfidence: 0, minMargin: 0 }).route('My laptop is broken and I want to take leave', AGENTS).agent, null);
+  assert.equal(new QueryRouter({ mode: 'llm' }).route('How many vacation days of leave do I have left?', AGENTS).agent, null);
+});
+
+test('a keyword several agents registered counts less', () => {
+  const scores = new KeywordScorer().score('Change my email and my vpn settings', AGENTS);
+  // "email" is shared by both agents (half a match), "vpn" belongs to it alone
+  assert.equal(scores.get('hr'), 0.33);
+  assert.equal(scores.get('it'), 0.6);
+
+  const shared = new QueryRouter().route('email', AGENTS);
+  assert.equal(shared.scores.hr.keyword, shared.scores.it.keyword);
+  assert.equal(shared.agent, null);
+});
+
+test('TF-IDF scores a label by its closest document', () => {
+  const index = new TfidfIndex([
+    { label: 'hr', text: 'vacation days left' },
+    { label: 'hr', text: 'salary of an employee' },
+    { label: 'it', text: 'printer tickets' }
+  ]);
+  const scores = index.scores('Printers and tickets');
+  assert.ok(Math.abs(scores.get('it') - 1) < 1e-9);
+  assert.equal(scores.get('hr'), 0);
+  assert.ok(index.scores('vacation days').get('hr') > 0.8);
+});
+
+test('routing decisions are only logged to a file when one is set', async () => {
+  assert.equal(new QueryRouter().logFile, null);
+
+  const file = path.join(dir, 'nested', 'routing.jsonl');
+  await new QueryRouter({ logFile: file }).logDecision({ requestId: 'r2', method: 'llm', agents: [], confidence: 0.1, margin: 0 });
+  const [entry] = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entry.requestId, 'r2');
+  assert.equal(entry.method, 'llm');
+});
+
+test('the coordinator asks the LLM only when the router is not confident', async () => {
+  const coordinator = new IntelligentCoordinator({});
+  AGENTS.forEach(agent => coordinator.registerAgent({ ...agent, agentId: `${agent.name}-test`, url: null }));
+  const strategies = [];
+  coordinator.analyzeRoutingStrategy = async (query) => {
+    strategies.push(query);
+    return { agents: [{ agent: 'it' }, { agent: 'hr' }] };
+  };
+
+  assert.deepEqual(await coordinator.selectAgents('How many vacation days of leave do I have left?'), { method: 'local', agents: ['hr'], strategy: null });
+  assert.deepEqual(strategies, []);
+
+  const split = await coordinator.selectAgents('My laptop is broken and I want to take leave');
+  assert.equal(split.method, 'llm');
+  assert.deepEqual(split.agents, ['it', 'hr']);
+  assert.deepEqual(strategies, ['My laptop is broken and I want to take leave']);
+});
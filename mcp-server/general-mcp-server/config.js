@@ -18,13 +18,32 @@ export const config = {
     maxTokens: 2000
   },
 
+  // Context selection - see shared/retriever.js
+  retrieval: {
+    topN: 3 // Policy sections put in the prompt per query
+  },
+
+  // Routing hints for the gateway (see mcp-gateway/router.js): whole-word keywords
+  // and labelled example queries
   keywords: [
     'help', 'question', 'policy', 'procedure', 'guideline',
     'company', 'workplace', 'office', 'general', 'information',
     'navigation', 'orientation', 'guidance', 'support',
-    'who', 'what', 'where', 'when', 'how', 'why',
-    'contact', 'department', 'location', 'building',
-    'schedule', 'hours', 'time', 'calendar'
+    'contact', 'location', 'building', 'parking', 'kitchen', 'gym',
+    'dress code', 'working hours', 'remote work', 'schedule', 'calendar'
+  ],
+
+  routingExamples: [
+    'What are the standard working hours?',
+    'Can I work remotely?',
+    'What is the dress code?',
+    'Is there parking at the office?',
+    'Do we get a gym membership discount?',
+    'Who do I contact for facilities issues?',
+    'Where is the kitchen?',
+    'Which tool should I use for team communication?',
+    'What is the company policy on casual Fridays?',
+    'Who should I contact in an emergency?'
   ],
 
   prompt: `You are a helpful general workplace assistant. You provide guidance on general workplace questions, company policies, and help users navigate to the right resources.
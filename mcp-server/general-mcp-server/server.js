@@ -1,6 +1,8 @@
 import { getLogger } from './utils/logger.js';
+import { UsageMeter } from './utils/llm-usage.js';
 import { MCPAgentBase } from './shared/mcp-agent-base.js';
 import { QueryProcessor } from './shared/query-processor.js';
+import { Retriever } from './shared/retriever.js';
 import { GeneralService } from './service.js';
 import { config } from './config.js';
 
@@ -8,6 +10,7 @@ class GeneralAgent extends MCPAgentBase {
   constructor() {
     super(config.name, config.description);
     this.queryProcessor = new QueryProcessor(this.agentName);
+    this.retriever = new Retriever(config.retrieval);
   }
 
   async createService() {
@@ -43,7 +46,7 @@ class GeneralAgent extends MCPAgentBase {
         description: 'Handle general queries with user context information',
         mimeType: 'text/plain'
       },
-      async (uri) => {
+      async (uri, variables, extra) => {
         try {
           const urlObj = new URL(uri.href);
           const query = urlObj.searchParams.get('q');
@@ -55,13 +58,19 @@ class GeneralAgent extends MCPAgentBase {
             throw new Error('No query parameter provided');
           }
 
-          const response = await this.processQuery(query, provider);
+          const trace = { thinking: [], usage: new UsageMeter() };
+          const response = await this.processQuery(query, provider, {
+            userContext: extra?._meta?.userContext,
+            conversation: extra?._meta?.conversation,
+            trace
+          });
 
           return {
             contents: [{
               uri: uri.href,
               text: response
-            }]
+            }],
+            _meta: { thinking: trace.thinking, usage: trace.usage.toJSON() }
           };
         } catch (error) {
           getLogger().error('Query processing error', error);
@@ -82,30 +91,27 @@ class GeneralAgent extends MCPAgentBase {
     return config.capabilities;
   }
 
-  canHandle(query) {
-    const keywords = config.keywords;
-    const queryLower = query.toLowerCase();
-
-    let score = 10; // Base score as fallback agent
-    keywords.forEach((keyword) => {
-      if (queryLower.includes(keyword.toLowerCase())) {
-        score += 8;
-      }
-    });
-
-    return Math.min(score, 60); // Cap at 60 for fallback priority
+  getRoutingHints() {
+    return { keywords: config.keywords, examples: config.routingExamples };
   }
 
-  async processQuery(query, providerOverride = null) {
-    this.sendThinkingMessage('Analyzing general workplace request...');
+  async processQuery(query, providerOverride = null, { conversation = null, trace = null } = {}) {
+    this.sendThinkingMessage('Analyzing general workplace request...', trace);
 
     try {
-      const policies = this.service.getPolicies();
+      const selection = await this.retriever.select(query, this.service.getPolicySections().map(section => ({
+        id: section.title,
+        text: section.text,
+        item: section
+      })), { label: 'policy sections' });
+      this.sendThinkingMessage(selection.summary, trace);
+
+      const policies = selection.items.map(section => section.text).join('\n\n');
       const fullPrompt = `${config.prompt}\n\nWORKPLACE POLICIES:\n${policies}\n\nQuestion: ${query}`;
 
-      this.sendThinkingMessage('Providing general guidance and information...');
+      this.sendThinkingMessage('Providing general guidance and information...', trace);
 
-      return await this.queryProcessor.processWithModel(fullPrompt, query, providerOverride);
+      return await this.generateAnswer(fullPrompt, query, providerOverride, { trace, conversation });
     } catch (error) {
       getLogger().error('General Agent processing error', error);
       return 'I encountered an error while processing your request. Please try again.';
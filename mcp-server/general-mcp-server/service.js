@@ -47,6 +47,20 @@ EMERGENCY CONTACTS:
     return this.policies;
   }
 
+  /**
+   * Policy sections, one per "TITLE:" block (the document heading is skipped)
+   */
+  getPolicySections() {
+    return this.policies
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .filter(block => block.includes('\n'))
+      .map(block => ({
+        title: block.split('\n')[0].replace(/:$/, ''),
+        text: block
+      }));
+  }
+
   searchPolicies(query) {
     const policiesLower = this.policies.toLowerCase();
     const queryLower = query.toLowerCase();
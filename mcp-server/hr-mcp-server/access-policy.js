@@ -0,0 +1,140 @@
+import { getLogger } from './utils/logger.js';
+import { config } from './config.js';
+
+export const RESTRICTED = 'RESTRICTED';
+
+/**
+ * Whether an employee record reports directly to a manager record
+ * Matched on the manager's email (the roster's manager_id), since two people can share a name.
+ */
+export function isManagerOf(manager, employee) {
+  return Boolean(manager && employee?.manager_email) &&
+    employee.manager_email.toLowerCase() === manager.email.toLowerCase();
+}
+
+/**
+ * HR data access policy
+ *
+ * Decides, per employee record, which columns a requester may see. The requester
+ * is identified by the email in userContext, which the transport only fills from a
+ * valid signed identity token (see utils/identity-token.js), and looked up in the
+ * employee roster; HR/executive status comes from that roster record, so a role
+ * claimed in the query or userContext cannot widen access.
+ *
+ * Relationships: employee (any known requester), self, manager (direct reports),
+ * hr (HR department staff), executive. Each unlocks field groups from config.
+ * Unknown or anonymous requesters see no records at all.
+ */
+export class HRAccessPolicy {
+  constructor(service, policy = config.accessPolicy) {
+    this.service = service;
+    this.fieldGroups = policy.fieldGroups;
+    this.grants = policy.grants;
+    this.hrDepartments = new Set(policy.hrDepartments.map(d => d.toLowerCase()));
+    this.executiveRoles = new Set(policy.executiveRoles.map(r => r.toLowerCase()));
+  }
+
+  /**
+   * Resolve the requester from userContext
+   * Returns null when the requester is not a known employee.
+   */
+  resolveRequester(userContext) {
+    const email = userContext?.email;
+    if (!email) {
+      return null;
+    }
+
+    const employee = this.service.getEmployeeByEmail(email);
+    if (!employee) {
+      getLogger().warn(`Requester ${email} not found in employee roster`);
+      return null;
+    }
+
+    return {
+      employee,
+      isHR: this.hrDepartments.has(employee.department.toLowerCase()),
+      isExecutive: this.executiveRoles.has(employee.role.toLowerCase())
+    };
+  }
+
+  /**
+   * Relationships between the requester and an employee record
+   */
+  getRelationships(requester, employee) {
+    if (!requester) {
+      return [];
+    }
+
+    const relationships = ['employee'];
+    if (requester.employee.email.toLowerCase() === employee.email.toLowerCase()) {
+      relationships.push('self');
+    }
+    if (isManagerOf(requester.employee, employee)) {
+      relationships.push('manager');
+    }
+    if (requester.isHR) {
+      relationships.push('hr');
+    }
+    if (requester.isExecutive) {
+      relationships.push('executive');
+    }
+    return relationships;
+  }
+
+  /**
+   * Columns of an employee record the requester may see
+   */
+  getAllowedFields(requester, employee) {
+    const fields = new Set();
+    for (const relationship of this.getRelationships(requester, employee)) {
+      for (const group of this.grants[relationship] || []) {
+        (this.fieldGroups[group] || []).forEach(field => fields.add(field));
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Apply the policy to one record
+   * Returns null when the record is not visible; restricted columns are set to RESTRICTED.
+   */
+  filterEmployee(requester, employee) {
+    const allowed = this.getAllowedFields(requester, employee);
+    if (allowed.size === 0) {
+      return null;
+    }
+
+    const filtered = {};
+    for (const [field, value] of Object.entries(employee)) {
+      filtered[field] = allowed.has(field) ? value : RESTRICTED;
+    }
+    return filtered;
+  }
+
+  /**
+   * Apply the policy to a list of records, dropping those that are not visible
+   */
+  filterEmployees(requester, employees) {
+    return employees
+      .map(employee => this.filterEmployee(requester, employee))
+      .filter(Boolean);
+  }
+
+  /**
+   * Short description of the requester's access, for logs and thinking messages
+   */
+  describe(requester) {
+    if (!requester) {
+      return 'anonymous (no HR records visible)';
+    }
+
+    const scopes = ['self'];
+    if (requester.isHR) scopes.push('hr');
+    if (requester.isExecutive) scopes.push('executive');
+    const reports = this.service.getAllEmployees()
+      .filter(e => isManagerOf(requester.employee, e)).length;
+    if (reports > 0) scopes.push(`manager of ${reports}`);
+
+    return `${requester.employee.email} (${scopes.join(', ')})`;
+  }
+}
@@ -6,7 +6,9 @@ export const config = {
     'Query employee information and contact details',
     'Find managers and reporting relationships',
     'Retrieve team structure and organizational hierarchy',
+    'Trace reporting chains and export the org chart as JSON or Mermaid',
     'Check leave balances and PTO status',
+    'Submit, approve, reject and cancel leave requests',
     'Access salary and compensation information',
     'Provide benefits information',
     'Answer HR policy questions',
@@ -19,30 +21,79 @@ export const config = {
     maxTokens: 2000
   },
 
+  // Context selection - see shared/retriever.js
+  retrieval: {
+    topN: 15 // Employee records put in the prompt per query
+  },
+
+  // Data access policy - see access-policy.js
+  accessPolicy: {
+    // Columns grouped by sensitivity; columns not listed here are never shown
+    fieldGroups: {
+      directory: ['employee_id', 'name', 'role', 'department', 'email', 'phone', 'manager', 'manager_email'],
+      leave: ['remaining_leave', 'total_leave', 'leave_taken', 'last_leave'],
+      compensation: ['salary', 'salary_currency'],
+      banking: ['bank_account'],
+      performance: ['manager_comments']
+    },
+
+    // Field groups unlocked by each relationship between requester and employee record
+    grants: {
+      employee: ['directory'],
+      self: ['directory', 'leave', 'compensation', 'banking', 'performance'],
+      manager: ['directory', 'leave', 'performance'],
+      hr: ['directory', 'leave', 'compensation', 'performance'],
+      executive: ['directory', 'leave', 'compensation', 'performance']
+    },
+
+    hrDepartments: ['Human Resources'],
+    executiveRoles: ['CEO', 'CTO', 'CFO', 'COO', 'VP Sales', 'VP Marketing']
+  },
+
+  // Routing hints for the gateway (see mcp-gateway/router.js)
   keywords: [
     'employee', 'staff', 'team', 'colleague', 'manager', 'supervisor', 'boss',
     'leave', 'pto', 'vacation', 'sick', 'time off', 'absence',
     'salary', 'pay', 'compensation', 'wage', 'bonus', 'raise',
-    'benefits', 'insurance', 'health', 'dental', 'vision', '401k',
+    'benefits', 'insurance', 'health insurance', 'dental', 'vision', '401k',
     'hr', 'human resources', 'policy', 'handbook', 'directory',
     'contact', 'email', 'phone', 'extension', 'department',
-    'structure', 'hierarchy', 'organization', 'org chart', 'reporting'
+    'structure', 'hierarchy', 'organization', 'org chart', 'reporting', 'reports to'
+  ],
+
+  routingExamples: [
+    'How many vacation days do I have left?',
+    'I want to take leave next Monday to Wednesday',
+    'Approve the leave request from my team member',
+    'Who is my manager?',
+    'Who reports to the CTO?',
+    'What is the phone number of Sarah Chen?',
+    'What is my salary?',
+    'How many people work in the Sales department?',
+    'Show me the org chart of the Technology department',
+    'Does our health insurance cover dental care?',
+    'When was my last leave?',
+    'What did my manager say about my performance?'
   ],
 
   prompt: `You are an advanced HR AI assistant with comprehensive access to the company's employee database.
 
 ## DATABASE STRUCTURE:
+- employee_id: Numeric employee ID
 - name: Employee name
 - role: Job title
 - department: Department
 - email: Work email
 - phone: Phone number
 - bank_account: Bank account details
-- salary: Annual compensation
+- salary: Annual compensation as a number, in salary_currency (e.g. 150000 EUR)
+- salary_currency: ISO currency code of the salary
 - remaining_leave: Vacation days remaining
 - total_leave: Total annual allocation
 - leave_taken: Days used this year
+- last_leave: Start date of the most recent leave (YYYY-MM-DD)
 - manager: Direct reporting manager
+- manager_email: Email of the direct reporting manager
 - manager_comments: Performance feedback and manager assessments (positive and negative feedback)
 
 ## CORE CAPABILITIES:
@@ -53,6 +104,28 @@ export const config = {
 - Department Structure & Team Composition
 - Manager Performance Feedback & Assessments
 
+## ACCESS CONTROL:
+- The database below has already been filtered for the current user's access rights
+- A value of RESTRICTED means the current user is not entitled to see it: say so plainly
+- Never guess, estimate or infer restricted values
+
+## PROVIDED DATA:
+- "Employee Directory Summary" gives headcounts over every employee visible to the current user: use it for totals
+- "Relevant Employees" lists only the records selected as most relevant to the question, not the whole company
+- If someone asked about is not in the listing, say they were not found rather than inventing details
+
+## LEAVE REQUESTS:
+You can call tools to submit, approve, reject, cancel and list leave requests and to check leave balances.
+- Use "Today's date" to turn phrases like "next Monday" into YYYY-MM-DD dates
+- Requests are always made in the current user's name and go to their manager; only that manager can approve or reject
+- NEVER say a request was submitted, approved, rejected or cancelled unless a tool result confirms it
+- If a tool returns an error, explain it to the user instead of retrying the same call
+
+## ORG CHART:
+- Use get_reporting_chain for "who does X report to", "skip-level" and "who is above X" questions
+- Use get_reports for "who reports to X" and "everyone under X" (depth 1 for direct reports only)
+- Employees can be named by name, email or ID; use "me" for the current user
+
 ## CRITICAL RULES:
 - NEVER invent or assume any employee information
 - Only use data explicitly present in the employee database
@@ -0,0 +1,246 @@
+/**
+ * Database Manager
+ * Opens the HR SQLite database, creating it on first start
+ * Uses sql.js - pure JavaScript SQLite (no compilation needed)
+ */
+import initSqlJs from 'sql.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { getLogger } from './utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Applied on every start; statements must be idempotent.
+// sql.js resets pragmas on every export(), so foreign keys are documentation only:
+// EmployeeService.importEmployees keeps manager_id consistent.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS employees (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    role TEXT,
+    department TEXT,
+    email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    phone TEXT,
+    bank_account TEXT,
+    salary INTEGER,
+    salary_currency TEXT,
+    remaining_leave INTEGER,
+    total_leave INTEGER,
+    leave_taken INTEGER,
+    last_leave TEXT,
+    manager_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+    manager_comments TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_employees_department ON employees(department);
+  CREATE INDEX IF NOT EXISTS idx_employees_manager ON employees(manager_id);
+
+  CREATE TABLE IF NOT EXISTS leave_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id TEXT UNIQUE NOT NULL,
+    employee_email TEXT NOT NULL,
+    employee_name TEXT NOT NULL,
+    manager_name TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    days INTEGER NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'Pending',
+    decided_by TEXT,
+    decided_at DATETIME,
+    decision_comment TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_leave_requests_employee ON leave_requests(employee_email);
+  CREATE INDEX IF NOT EXISTS idx_leave_requests_manager ON leave_requests(manager_name);
+  CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+
+  -- Leave columns in employees are the opening balance from the import;
+  -- approved leave requests are applied on top of it here
+  DROP VIEW IF EXISTS employee_records;
+  CREATE VIEW employee_records AS
+  SELECT
+    e.id AS employee_id, e.name, e.role, e.department, e.email, e.phone, e.bank_account,
+    e.salary, e.salary_currency,
+    e.remaining_leave - COALESCE(l.approved_days, 0) AS remaining_leave,
+    e.total_leave,
+    e.leave_taken + COALESCE(l.approved_days, 0) AS leave_taken,
+    CASE WHEN l.last_start > COALESCE(e.last_leave, '') THEN l.last_start ELSE e.last_leave END AS last_leave,
+    m.name AS manager,
+    m.email AS manager_email,
+    e.manager_comments
+  FROM employees e
+  LEFT JOIN employees m ON m.id = e.manager_id
+  LEFT JOIN (
+    SELECT LOWER(employee_email) AS email, SUM(days) AS approved_days, MAX(start_date) AS last_start
+    FROM leave_requests WHERE status = 'Approved' GROUP BY LOWER(employee_email)
+  ) l ON l.email = LOWER(e.email);
+`;
+
+class DatabaseManager {
+  constructor(dbPath = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'hr.db');
+    this.db = null;
+    this.SQL = null;
+    this.initialized = false;
+    this.inTransaction = false;
+  }
+
+  /**
+   * Load database from disk, or create an empty one
+   */
+  async init() {
+    try {
+      // Initialize sql.js
+      this.SQL = await initSqlJs();
+
+      if (fs.existsSync(this.dbPath)) {
+        this.db = new this.SQL.Database(fs.readFileSync(this.dbPath));
+        getLogger().info('Database loaded successfully');
+      } else {
+        this.db = new this.SQL.Database();
+        getLogger().info(`Created new database at ${this.dbPath}`);
+      }
+
+      this.db.exec(SCHEMA);
+      this._saveDatabase();
+      this.initialized = true;
+      return this;
+    } catch (error) {
+      getLogger().error('Failed to load database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save database to disk
+   */
+  _saveDatabase() {
+    try {
+      const data = this.db.export();
+      const buffer = Buffer.from(data);
+      fs.writeFileSync(this.dbPath, buffer);
+    } catch (error) {
+      getLogger().error('Error saving database:', error);
+    }
+  }
+
+  /**
+   * Run a query that modifies data (INSERT, UPDATE, DELETE)
+   */
+  run(sql, params = []) {
+    try {
+      this.db.run(sql, params);
+      // Read before saving: export() resets the modified-rows counter
+      const changes = this.db.getRowsModified();
+      if (!this.inTransaction) {
+        this._saveDatabase();
+      }
+      return { changes };
+    } catch (error) {
+      getLogger().error('Database run error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run several writes atomically, saving to disk once at the end
+   */
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    this.inTransaction = true;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      this.inTransaction = false;
+      this._saveDatabase();
+    }
+  }
+
+  /**
+   * Get a single row
+   */
+  get(sql, params = []) {
+    try {
+      const stmt = this.db.prepare(sql);
+      stmt.bind(params);
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+        return row;
+      }
+      stmt.free();
+      return undefined;
+    } catch (error) {
+      getLogger().error('Database get error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all matching rows
+   */
+  all(sql, params = []) {
+    try {
+      const stmt = this.db.prepare(sql);
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+      return rows;
+    } catch (error) {
+      getLogger().error('Database all error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    try {
+      if (this.db) {
+        this._saveDatabase();
+        this.db.close();
+        this.db = null;
+        this.initialized = false;
+        getLogger().info('Database connection closed');
+      }
+    } catch (error) {
+      getLogger().error('Error closing database:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance management
+let instance = null;
+
+export async function initializeDatabase(dbPath = null) {
+  if (!instance) {
+    instance = new DatabaseManager(dbPath);
+    await instance.init();
+  }
+  return instance;
+}
+
+export function getDatabase() {
+  if (!instance || !instance.initialized) {
+    throw new Error('Database not initialized. Call initializeDatabase() first');
+  }
+  return instance;
+}
+
+export { DatabaseManager };
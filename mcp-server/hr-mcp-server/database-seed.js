@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Database Initialization Script
+ * Imports employee records from CSV into hr.db, or exports them back to CSV.
+ * Importing replaces all employee records; leave requests are kept.
+ *
+ * Usage:
+ *   node database-seed.js                      Import employees.csv
+ *   node database-seed.js --import <file.csv>  Import another CSV file
+ *   node database-seed.js --export <file.csv>  Export employee records
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { initializeLogger } from './utils/logger.js';
+import { HRService } from './service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DEFAULT_CSV_PATH = path.join(__dirname, 'employees.csv');
+
+async function main() {
+  const [option, file] = process.argv.slice(2);
+  if (option && !['--import', '--export'].includes(option)) {
+    console.error(`Unknown option: ${option}\nUsage: node database-seed.js [--import <file.csv> | --export <file.csv>]`);
+    process.exit(1);
+  }
+
+  initializeLogger('hr-seed');
+
+  try {
+    // Creates hr.db if needed, seeding it from employees.csv on first run
+    const service = new HRService();
+    await service.init();
+
+    if (option === '--export') {
+      const csv = service.exportCsv();
+      if (file) {
+        fs.writeFileSync(file, `${csv}\n`);
+        console.log(`Exported employees to ${file}`);
+      } else {
+        console.log(csv);
+      }
+      return;
+    }
+
+    const csvPath = file || DEFAULT_CSV_PATH;
+    const { imported, unresolvedManagers } = await service.importCsv(csvPath);
+    console.log(`Imported ${imported} employees from ${csvPath}`);
+    if (unresolvedManagers.length > 0) {
+      console.log(`Managers not found (left empty): ${unresolvedManagers.join(', ')}`);
+    }
+
+    const { cycles, orphans } = service.getOrgGraph().getIssues();
+    cycles.forEach(cycle => console.log(`Reporting cycle: ${cycle.join(' -> ')}`));
+    orphans.forEach(orphan => console.log(`Outside the org chart: ${orphan.name}`));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
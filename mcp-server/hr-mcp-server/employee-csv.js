@@ -0,0 +1,132 @@
+/**
+ * Employee CSV import/export
+ * Converts between CSV text and typed employee records as stored in hr.db.
+ * Import accepts both the typed columns written by export and the original
+ * employees.csv format ("€150,000" salaries, "March 15, 2025" dates).
+ */
+
+/**
+ * Columns of an employee record, in export order
+ */
+export const EMPLOYEE_COLUMNS = [
+  'employee_id', 'name', 'role', 'department', 'email', 'phone', 'bank_account',
+  'salary', 'salary_currency', 'remaining_leave', 'total_leave', 'leave_taken', 'last_leave',
+  'manager', 'manager_email', 'manager_comments'
+];
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP' };
+
+/**
+ * Parse CSV text into typed employee records
+ * manager stays a name (or email); resolving it to an employee is up to the importer.
+ */
+export function parseEmployeesCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const headers = parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
+
+  return lines.slice(1).map((line) => {
+    const values = parseCsvLine(line);
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = values[i]?.trim() || '';
+    });
+
+    const salary = parseSalary(row.salary);
+    return {
+      name: row.name,
+      role: row.role || null,
+      department: row.department || null,
+      email: row.email,
+      phone: row.phone || null,
+      bank_account: row.bank_account || null,
+      salary: salary.amount,
+      salary_currency: row.salary_currency || salary.currency,
+      remaining_leave: parseInteger(row.remaining_leave),
+      total_leave: parseInteger(row.total_leave),
+      leave_taken: parseInteger(row.leave_taken),
+      last_leave: parseDate(row.last_leave),
+      manager: row.manager_email || row.manager || null,
+      manager_comments: row.manager_comments || null
+    };
+  });
+}
+
+/**
+ * Write employee records as CSV, with the columns present in the first record
+ */
+export function employeesToCsv(employees, columns = null) {
+  const headers = columns || (employees.length > 0
+    ? EMPLOYEE_COLUMNS.filter(column => column in employees[0])
+    : EMPLOYEE_COLUMNS);
+
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = employees.map(emp => headers.map(h => escape(emp[h])).join(','));
+  return [headers.join(','), ...lines].join('\n');
+}
+
+/**
+ * Split one CSV line, honouring quoted fields and "" escapes
+ */
+function parseCsvLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && inQuotes && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      result.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  result.push(current);
+  return result;
+}
+
+/**
+ * "€150,000" -> { amount: 150000, currency: 'EUR' }; plain numbers have no currency
+ */
+function parseSalary(value) {
+  if (!value) {
+    return { amount: null, currency: null };
+  }
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => value.includes(s));
+  const amount = Number(value.replace(/[^\d.]/g, ''));
+  return {
+    amount: Number.isFinite(amount) && /\d/.test(value) ? amount : null,
+    currency: symbol ? CURRENCY_SYMBOLS[symbol] : null
+  };
+}
+
+function parseInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * "March 15, 2025" or "2025-03-15" -> "2025-03-15"
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const time = Date.parse(`${value} UTC`);
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
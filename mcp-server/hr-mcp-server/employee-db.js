@@ -0,0 +1,198 @@
+/**
+ * Employee Database Service
+ * Handles all database operations for employee records
+ */
+import { getDatabase } from './database-manager.js';
+import { getLogger } from './utils/logger.js';
+
+class EmployeeService {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize service
+   */
+  async init() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Get employees matching filters, with current leave balances
+   *
+   * @param {object} filters
+   * @param {string} filters.department - Exact department name
+   * @param {string} filters.manager - Direct manager, by name or email
+   * @param {string} filters.role - Exact job title
+   * @param {number} filters.salary_min - Minimum salary (inclusive)
+   * @param {number} filters.salary_max - Maximum salary (inclusive)
+   * @param {string} filters.search - Text in name, email, role or department
+   * @param {number} filters.limit - Maximum number of records
+   */
+  getEmployees(filters = {}) {
+    const query = this._buildQuery(filters);
+    return this.db.all(query.sql, query.params);
+  }
+
+  /**
+   * Get employee by email
+   */
+  getEmployeeByEmail(email) {
+    return this.db.get('SELECT * FROM employee_records WHERE LOWER(email) = LOWER(?)', [email]);
+  }
+
+  /**
+   * Get employee by ID
+   */
+  getEmployeeById(employeeId) {
+    return this.db.get('SELECT * FROM employee_records WHERE employee_id = ?', [employeeId]);
+  }
+
+  /**
+   * Get employee by name
+   */
+  getEmployeeByName(name) {
+    return this.db.get('SELECT * FROM employee_records WHERE LOWER(name) = LOWER(?)', [name]);
+  }
+
+  /**
+   * Number of employees in the database
+   */
+  countEmployees() {
+    return this.db.get('SELECT COUNT(*) as count FROM employees')?.count || 0;
+  }
+
+  /**
+   * Get all distinct departments
+   */
+  getDepartments() {
+    return this.db.all('SELECT DISTINCT department FROM employees WHERE department IS NOT NULL ORDER BY department')
+      .map(row => row.department);
+  }
+
+  /**
+   * Replace all employee records
+   * manager may be a name or an email; managers that match no employee are left empty.
+   * Leave requests are kept, since they reference employees by email.
+   *
+   * @returns {{ imported: number, unresolvedManagers: string[] }}
+   */
+  importEmployees(employees) {
+    return this.db.transaction(() => {
+      this.db.run('DELETE FROM employees');
+
+      for (const emp of employees) {
+        this.db.run(`
+          INSERT INTO employees (
+            name, role, department, email, phone, bank_account, salary, salary_currency,
+            remaining_leave, total_leave, leave_taken, last_leave, manager_comments
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          emp.name, emp.role, emp.department, emp.email, emp.phone, emp.bank_account,
+          emp.salary, emp.salary_currency, emp.remaining_leave, emp.total_leave,
+          emp.leave_taken, emp.last_leave, emp.manager_comments
+        ]);
+      }
+
+      // Second pass, so managers listed after their reports still resolve
+      const unresolvedManagers = [];
+      for (const emp of employees.filter(e => e.manager)) {
+        const { changes } = this.db.run(`
+          UPDATE employees SET manager_id = (
+            SELECT id FROM employees WHERE LOWER(name) = LOWER(?) OR LOWER(email) = LOWER(?)
+          ) WHERE LOWER(email) = LOWER(?) AND EXISTS (
+            SELECT 1 FROM employees WHERE LOWER(name) = LOWER(?) OR LOWER(email) = LOWER(?)
+          )
+        `, [emp.manager, emp.manager, emp.email, emp.manager, emp.manager]);
+        if (changes === 0) {
+          unresolvedManagers.push(`${emp.name} -> ${emp.manager}`);
+        }
+      }
+
+      if (unresolvedManagers.length > 0) {
+        getLogger().warn(`Managers not found in the import: ${unresolvedManagers.join(', ')}`);
+      }
+      return { imported: employees.length, unresolvedManagers };
+    });
+  }
+
+  /**
+   * Employee records as imported, with opening leave balances, for CSV export
+   */
+  exportEmployees() {
+    return this.db.all(`
+      SELECT e.name, e.role, e.department, e.email, e.phone, e.bank_account,
+        e.salary, e.salary_currency, e.remaining_leave, e.total_leave, e.leave_taken, e.last_leave,
+        m.name AS manager, m.email AS manager_email, e.manager_comments
+      FROM employees e LEFT JOIN employees m ON m.id = e.manager_id
+      ORDER BY e.id
+    `);
+  }
+
+  /**
+   * Build dynamic query based on filters
+   */
+  _buildQuery(filters = {}) {
+    let sql = 'SELECT * FROM employee_records WHERE 1=1';
+    const params = [];
+
+    if (filters.department) {
+      sql += ' AND LOWER(department) = LOWER(?)';
+      params.push(filters.department);
+    }
+
+    if (filters.manager) {
+      sql += ' AND (LOWER(manager) = LOWER(?) OR LOWER(manager_email) = LOWER(?))';
+      params.push(filters.manager, filters.manager);
+    }
+
+    if (filters.role) {
+      sql += ' AND LOWER(role) = LOWER(?)';
+      params.push(filters.role);
+    }
+
+    if (filters.salary_min !== undefined) {
+      sql += ' AND salary >= ?';
+      params.push(filters.salary_min);
+    }
+
+    if (filters.salary_max !== undefined) {
+      sql += ' AND salary <= ?';
+      params.push(filters.salary_max);
+    }
+
+    if (filters.search) {
+      sql += ' AND (name LIKE ? OR email LIKE ? OR role LIKE ? OR department LIKE ?)';
+      const searchTerm = `%${filters.search}%`;
+      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+
+    // Default ordering: import order
+    sql += ' ORDER BY employee_id';
+
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return { sql, params };
+  }
+}
+
+// Export singleton
+let instance = null;
+
+export function getEmployeeService() {
+  if (!instance) {
+    instance = new EmployeeService();
+  }
+  return instance;
+}
+
+export async function initializeEmployeeService() {
+  const service = getEmployeeService();
+  await service.init();
+  return service;
+}
+
+export { EmployeeService };
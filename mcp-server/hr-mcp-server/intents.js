@@ -0,0 +1,95 @@
+import { IntentMatcher } from './shared/intent-matcher.js';
+
+// Optional lead-in before a question, e.g. "what's", "show me", "tell me"
+const ASK = '(?:(?:what\'s|what is|what are|show me|show|tell me|check|get) )?';
+const LEAVE = '(?:leave|pto|vacation|holiday|holidays|time off)';
+const MANAGER = '(?:manager|line manager|boss|supervisor)';
+const PERSON = '(?<person>[a-z][a-z .\'-]*?|[^\\s@]+@[^\\s@]+)';
+
+/**
+ * Structured HR questions answered from the employee and leave records
+ * Only the requester's own data or directory information is answered here;
+ * anything else goes to the LLM under the access policy.
+ */
+export class HRIntents extends IntentMatcher {
+  constructor(service, accessPolicy, orgActions) {
+    super('hr', [
+      {
+        name: 'leave_balance',
+        patterns: [
+          new RegExp(`^${ASK}my (?:remaining |current |available )?${LEAVE}(?: days)?(?: balance| remaining| left)?$`),
+          new RegExp(`^how (?:many|much) (?:${LEAVE} )?(?:days )?(?:of ${LEAVE} )?(?:do i have|have i got)(?: left| remaining)?$`)
+        ],
+        resolve: (slots, context) => this.leaveBalance(context)
+      },
+      {
+        name: 'my_manager',
+        patterns: [
+          new RegExp(`^${ASK}(?:who is|who's) my ${MANAGER}$`),
+          /^who do i report to$/,
+          new RegExp(`^${ASK}(?:the )?name of my ${MANAGER}$`)
+        ],
+        resolve: (slots, context) => this.managerOf('me', context)
+      },
+      {
+        name: 'manager_of',
+        patterns: [
+          new RegExp(`^${ASK}(?:who is|who's) ${PERSON}(?:'s|') ${MANAGER}$`),
+          new RegExp(`^${ASK}(?:who is|who's) the ${MANAGER} of ${PERSON}$`),
+          new RegExp(`^who does ${PERSON} report to$`)
+        ],
+        resolve: ({ person }, context) => this.managerOf(person, context)
+      }
+    ]);
+    this.service = service;
+    this.accessPolicy = accessPolicy;
+    this.orgActions = orgActions;
+  }
+
+  leaveBalance({ userContext }) {
+    const requester = this.accessPolicy.resolveRequester(userContext);
+    if (!requester) {
+      return null;
+    }
+
+    const balance = this.service.getLeaveBalance(requester.employee.email);
+    return {
+      template: balance.pending > 0 ? 'leaveBalanceWithPending' : 'leaveBalance',
+      values: balance
+    };
+  }
+
+  /**
+   * Manager of an employee, from the org chart (directory information)
+   */
+  managerOf(person, { userContext }) {
+    if (!this.accessPolicy.resolveRequester(userContext)) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = this.orgActions.chain(person, userContext);
+    } catch {
+      // Unknown names are left to the LLM, which can ask what was meant
+      return null;
+    }
+
+    const self = person === 'me';
+    if (!result.manager) {
+      return {
+        template: self ? 'noManagerSelf' : 'noManager',
+        values: { name: result.employee.name }
+      };
+    }
+    return {
+      template: self ? 'managerSelf' : 'manager',
+      values: {
+        name: result.employee.name,
+        manager: result.manager.name,
+        role: result.manager.role,
+        email: result.manager.email
+      }
+    };
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Leave Request Database Service
+ * Handles all database operations for leave requests
+ */
+import { getDatabase } from './database-manager.js';
+
+class LeaveService {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize service
+   */
+  async init() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Get leave requests matching filters
+   */
+  getRequests(filters = {}) {
+    const query = this._buildQuery(filters);
+    return this.db.all(query.sql, query.params);
+  }
+
+  /**
+   * Get leave request by ID
+   */
+  getRequestById(requestId) {
+    return this.db.get('SELECT * FROM leave_requests WHERE request_id = ?', [requestId]);
+  }
+
+  /**
+   * Next free request ID for a year, e.g. LR-2025-0001
+   */
+  generateRequestId(year = new Date().getFullYear()) {
+    const prefix = `LR-${year}-`;
+    const row = this.db.get(`
+      SELECT MAX(CAST(SUBSTR(request_id, ?) AS INTEGER)) as last FROM leave_requests WHERE request_id LIKE ?
+    `, [prefix.length + 1, `${prefix}%`]);
+    return prefix + String((row?.last || 0) + 1).padStart(4, '0');
+  }
+
+  /**
+   * Create new leave request
+   */
+  createRequest(data) {
+    const result = this.db.run(`
+      INSERT INTO leave_requests (
+        request_id, employee_email, employee_name, manager_name,
+        start_date, end_date, days, reason, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.request_id,
+      data.employee_email,
+      data.employee_name,
+      data.manager_name,
+      data.start_date,
+      data.end_date,
+      data.days,
+      data.reason || null,
+      data.status || 'Pending'
+    ]);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Update leave request
+   */
+  updateRequest(requestId, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (key !== 'id' && key !== 'request_id' && key !== 'created_at') {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(requestId);
+
+    const result = this.db.run(`UPDATE leave_requests SET ${fields.join(', ')} WHERE request_id = ?`, values);
+    return result.changes > 0;
+  }
+
+  /**
+   * Days per status for an employee, e.g. { Approved: 5, Pending: 2 }
+   */
+  getDaysByStatus(employeeEmail) {
+    const rows = this.db.all(`
+      SELECT status, SUM(days) as days FROM leave_requests
+      WHERE LOWER(employee_email) = LOWER(?) GROUP BY status
+    `, [employeeEmail]);
+    return Object.fromEntries(rows.map(row => [row.status, row.days]));
+  }
+
+  /**
+   * Pending or approved requests of an employee overlapping a date range
+   */
+  getOverlappingRequests(employeeEmail, startDate, endDate) {
+    return this.db.all(`
+      SELECT * FROM leave_requests
+      WHERE LOWER(employee_email) = LOWER(?)
+        AND status IN ('Pending', 'Approved')
+        AND start_date <= ? AND end_date >= ?
+      ORDER BY start_date
+    `, [employeeEmail, endDate, startDate]);
+  }
+
+  /**
+   * Build dynamic query based on filters
+   */
+  _buildQuery(filters = {}) {
+    let sql = 'SELECT * FROM leave_requests WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.employee_email) {
+      sql += ' AND LOWER(employee_email) = LOWER(?)';
+      params.push(filters.employee_email);
+    }
+
+    if (filters.employee_emails) {
+      sql += ` AND LOWER(employee_email) IN (${filters.employee_emails.map(() => 'LOWER(?)').join(', ') || 'NULL'})`;
+      params.push(...filters.employee_emails);
+    }
+
+    if (filters.manager_name) {
+      sql += ' AND LOWER(manager_name) = LOWER(?)';
+      params.push(filters.manager_name);
+    }
+
+    // Default ordering
+    sql += ' ORDER BY start_date DESC, request_id DESC';
+
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return { sql, params };
+  }
+}
+
+// Export singleton
+let instance = null;
+
+export function getLeaveService() {
+  if (!instance) {
+    instance = new LeaveService();
+  }
+  return instance;
+}
+
+export async function initializeLeaveService() {
+  const service = getLeaveService();
+  await service.init();
+  return service;
+}
+
+export { LeaveService };
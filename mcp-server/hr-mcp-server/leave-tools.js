@@ -0,0 +1,333 @@
+import { getLogger } from './utils/logger.js';
+import { isManagerOf } from './access-policy.js';
+
+export const LEAVE_STATUSES = ['Pending', 'Approved', 'Rejected', 'Cancelled'];
+
+const ISO_DATE = {
+  type: 'string',
+  description: 'Date as YYYY-MM-DD',
+  pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+};
+
+const REQUEST_ID = {
+  type: 'string',
+  description: 'Leave request ID, e.g. LR-2025-0001',
+  pattern: '^LR-\\d{4}-\\d{4}$'
+};
+
+/**
+ * Leave tool definitions, in MCP tools/list format
+ */
+export const LEAVE_TOOLS = [
+  {
+    name: 'submit_leave_request',
+    description: 'Request leave for the current user; it goes to their manager for approval',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start_date: { ...ISO_DATE, description: 'First day of leave (YYYY-MM-DD)' },
+        end_date: { ...ISO_DATE, description: 'Last day of leave (YYYY-MM-DD), same as start_date for a single day' },
+        reason: { type: 'string', description: 'Optional note for the manager' }
+      },
+      required: ['start_date', 'end_date']
+    }
+  },
+  {
+    name: 'approve_leave_request',
+    description: 'Approve a pending leave request (only the employee\'s manager)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        request_id: REQUEST_ID,
+        comment: { type: 'string', description: 'Optional comment for the employee' }
+      },
+      required: ['request_id']
+    }
+  },
+  {
+    name: 'reject_leave_request',
+    description: 'Reject a pending leave request (only the employee\'s manager)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        request_id: REQUEST_ID,
+        comment: { type: 'string', description: 'Why the request is rejected' }
+      },
+      required: ['request_id']
+    }
+  },
+  {
+    name: 'cancel_leave_request',
+    description: 'Cancel one of the current user\'s own leave requests that has not started yet',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        request_id: REQUEST_ID
+      },
+      required: ['request_id']
+    }
+  },
+  {
+    name: 'list_leave_requests',
+    description: 'List leave requests: the current user\'s own, or those of their direct reports (team)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: { type: 'string', enum: ['mine', 'team'], default: 'mine' },
+        status: { type: 'string', enum: LEAVE_STATUSES }
+      }
+    }
+  },
+  {
+    name: 'get_leave_balance',
+    description: 'Leave balance of the current user, including days waiting for approval',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+];
+
+/**
+ * Number of working days (Monday to Friday) from start to end, both included
+ */
+export function countWorkingDays(startDate, endDate) {
+  let days = 0;
+  const day = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (day <= end) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      days++;
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return days;
+}
+
+/**
+ * HR leave workflow behind the leave tools
+ *
+ * Pending -> Approved | Rejected by the employee's manager (the `manager_email` column
+ * of the roster, not the manager name stored on the request); Pending or Approved -> Cancelled by the employee, before the leave
+ * starts. The acting user always comes from userContext via the access policy.
+ * Balances need no bookkeeping here: the employee_records view applies approved requests.
+ */
+export class LeaveActions {
+  constructor(service, accessPolicy) {
+    this.service = service;
+    this.accessPolicy = accessPolicy;
+  }
+
+  has(name) {
+    return LEAVE_TOOLS.some(tool => tool.name === name);
+  }
+
+  /**
+   * Run a leave tool with already-validated arguments
+   * Returns { message, ...data }; throws when the action is not allowed or fails.
+   */
+  async execute(name, args, userContext) {
+    const requester = this.accessPolicy.resolveRequester(userContext);
+    if (!requester) {
+      throw new Error('Leave requests are only available to signed-in employees');
+    }
+    const actor = requester.employee;
+
+    switch (name) {
+      case 'submit_leave_request':
+        return this.submit(args, actor);
+      case 'approve_leave_request':
+        return this.decide(args, actor, 'Approved');
+      case 'reject_leave_request':
+        return this.decide(args, actor, 'Rejected');
+      case 'cancel_leave_request':
+        return this.cancel(args, actor);
+      case 'list_leave_requests':
+        return this.list(args, actor);
+      case 'get_leave_balance':
+        return this.balance(actor);
+      default:
+        throw new Error(`Unknown leave tool: ${name}`);
+    }
+  }
+
+  submit({ start_date: startDate, end_date: endDate, reason }, actor) {
+    this._checkDate(startDate);
+    this._checkDate(endDate);
+    if (endDate < startDate) {
+      throw new Error('end_date must be on or after start_date');
+    }
+    if (startDate < this._today()) {
+      throw new Error('Leave cannot be requested for past dates');
+    }
+    if (!actor.manager) {
+      throw new Error(`${actor.name} has no manager on record to approve leave; please contact HR`);
+    }
+
+    const days = countWorkingDays(startDate, endDate);
+    if (days === 0) {
+      throw new Error(`${startDate} to ${endDate} has no working days`);
+    }
+
+    const overlapping = this.service.getOverlappingLeaveRequests(actor.email, startDate, endDate);
+    if (overlapping.length > 0) {
+      throw new Error(`These dates overlap ${overlapping.map(r => `${r.request_id} (${r.status})`).join(', ')}`);
+    }
+
+    const balance = this.service.getLeaveBalance(actor.email);
+    if (days > balance.available) {
+      throw new Error(`${days} working days requested but only ${balance.available} available ` +
+        `(${balance.remaining} remaining, ${balance.pending} awaiting approval)`);
+    }
+
+    const requestId = this.service.generateLeaveRequestId();
+    const created = this.service.createLeaveRequest({
+      request_id: requestId,
+      employee_email: actor.email,
+      employee_name: actor.name,
+      manager_name: actor.manager,
+      start_date: startDate,
+      end_date: endDate,
+      days,
+      reason
+    });
+    if (!created) {
+      throw new Error('The leave request could not be saved');
+    }
+
+    getLogger().info(`Leave request ${requestId} (${days} days) submitted by ${actor.email}`);
+    return {
+      message: `Leave request ${requestId} submitted for ${startDate} to ${endDate} (${days} working days) and sent to ${actor.manager} for approval.`,
+      request: this.service.getLeaveRequestById(requestId)
+    };
+  }
+
+  /**
+   * Approve or reject a pending request - only the employee's current manager may
+   */
+  decide({ request_id: requestId, comment }, actor, status) {
+    const request = this._getRequest(requestId);
+    const employee = this.service.getEmployeeByEmail(request.employee_email);
+
+    if (request.employee_email.toLowerCase() === actor.email.toLowerCase()) {
+      throw new Error('You cannot approve or reject your own leave request');
+    }
+    if (!employee?.manager_email) {
+      throw new Error(`${request.employee_name} has no manager on record to decide ${requestId}; please contact HR`);
+    }
+    if (!isManagerOf(actor, employee)) {
+      throw new Error(`Only ${employee.manager}, ${request.employee_name}'s manager, can approve or reject ${requestId}`);
+    }
+    if (request.status !== 'Pending') {
+      throw new Error(`${requestId} is already ${request.status}`);
+    }
+
+    if (status === 'Approved') {
+      // Other approvals may have used up the balance since the request was submitted;
+      // remaining already has every approved request deducted (see the employee_records view)
+      const balance = this.service.getLeaveBalance(request.employee_email);
+      if (request.days > balance.remaining) {
+        throw new Error(`${request.employee_name} has only ${balance.remaining} days remaining; ${requestId} needs ${request.days}`);
+      }
+    }
+
+    this.service.updateLeaveRequest(requestId, {
+      status,
+      decided_by: actor.name,
+      decided_at: new Date().toISOString(),
+      decision_comment: comment || null
+    });
+
+    getLogger().info(`Leave request ${requestId} ${status.toLowerCase()} by ${actor.email}`);
+    return {
+      message: `Leave request ${requestId} for ${request.employee_name} (${request.start_date} to ${request.end_date}) ${status.toLowerCase()}.`,
+      request: this.service.getLeaveRequestById(requestId)
+    };
+  }
+
+  cancel({ request_id: requestId }, actor) {
+    const request = this._getRequest(requestId);
+    if (request.employee_email.toLowerCase() !== actor.email.toLowerCase()) {
+      throw new Error(`Only ${request.employee_name} can cancel ${requestId}`);
+    }
+    if (request.status !== 'Pending' && request.status !== 'Approved') {
+      throw new Error(`${requestId} is already ${request.status}`);
+    }
+    if (request.start_date <= this._today()) {
+      throw new Error(`${requestId} has already started; please contact HR to change it`);
+    }
+
+    this.service.updateLeaveRequest(requestId, { status: 'Cancelled' });
+
+    getLogger().info(`Leave request ${requestId} cancelled by ${actor.email}`);
+    return {
+      message: `Leave request ${requestId} (${request.start_date} to ${request.end_date}) cancelled.` +
+        (request.status === 'Approved' ? ` ${request.days} days returned to your balance.` : ''),
+      request: this.service.getLeaveRequestById(requestId)
+    };
+  }
+
+  list({ scope, status }, actor) {
+    const requests = scope === 'team'
+      ? this.getTeamRequests(actor, { status })
+      : this.service.getLeaveRequests({ employee_email: actor.email, status });
+
+    return {
+      message: `${requests.length} leave request${requests.length === 1 ? '' : 's'} found.`,
+      requests
+    };
+  }
+
+  balance(actor) {
+    const balance = this.service.getLeaveBalance(actor.email);
+    return {
+      message: `${balance.remaining} of ${balance.total} days remaining, ${balance.pending} awaiting approval, ${balance.available} available to request.`,
+      balance
+    };
+  }
+
+  /**
+   * Leave requests of the manager's current direct reports in the roster
+   */
+  getTeamRequests(manager, filters = {}) {
+    const reports = this.service.getEmployees({ manager: manager.email })
+      .filter(employee => isManagerOf(manager, employee));
+    if (reports.length === 0) {
+      return [];
+    }
+    return this.service.getLeaveRequests({ ...filters, employee_emails: reports.map(employee => employee.email) });
+  }
+
+  /**
+   * Whether a requester may see a leave request: its employee, their manager, or HR
+   */
+  canView(requester, request) {
+    if (!requester) {
+      return false;
+    }
+    const { employee } = requester;
+    return requester.isHR ||
+      request.employee_email.toLowerCase() === employee.email.toLowerCase() ||
+      isManagerOf(employee, this.service.getEmployeeByEmail(request.employee_email));
+  }
+
+  _getRequest(requestId) {
+    const request = this.service.getLeaveRequestById(requestId);
+    if (!request) {
+      throw new Error(`Leave request ${requestId} not found`);
+    }
+    return request;
+  }
+
+  _checkDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      throw new Error(`${value} is not a valid date`);
+    }
+  }
+
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Organisation graph
+ * Builds the reporting hierarchy from the manager column of employee records and
+ * answers chain / reports questions without the model having to read the roster.
+ */
+
+// Columns of a person as returned by the graph; all are in the directory field group
+const PERSON_FIELDS = ['employee_id', 'name', 'email', 'role', 'department'];
+
+export class OrgGraph {
+  /**
+   * @param {Array} employees - Records with employee_id, name, email, role, department, manager_email
+   */
+  constructor(employees) {
+    this.byEmail = new Map(employees.map(emp => [emp.email.toLowerCase(), emp]));
+    this.reportsOf = new Map();
+
+    for (const emp of employees) {
+      const manager = this._managerOf(emp);
+      if (manager) {
+        const key = manager.email.toLowerCase();
+        if (!this.reportsOf.has(key)) {
+          this.reportsOf.set(key, []);
+        }
+        this.reportsOf.get(key).push(emp);
+      }
+    }
+
+    // Top-level employees: no manager, or one that is not in the roster. The one
+    // heading the largest tree is the organisation's head; the others are orphans.
+    this.roots = employees.filter(emp => !this._managerOf(emp));
+    const [head, ...detached] = [...this.roots]
+      .sort((a, b) => this.getReports(b).length - this.getReports(a).length);
+    this.head = head || null;
+    this.orphans = detached;
+    this.cycles = this._findCycles(employees);
+  }
+
+  /**
+   * Find an employee by email, name or employee ID
+   */
+  resolve(key) {
+    const text = String(key ?? '').trim().toLowerCase();
+    if (this.byEmail.has(text)) {
+      return this.byEmail.get(text);
+    }
+    for (const emp of this.byEmail.values()) {
+      if (emp.name.toLowerCase() === text || String(emp.employee_id) === text) {
+        return emp;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Managers above an employee, nearest first - [0] is the manager, [1] the skip-level
+   */
+  getChain(employee) {
+    const chain = [];
+    const seen = new Set([employee.email.toLowerCase()]);
+    let current = this._managerOf(employee);
+
+    while (current && !seen.has(current.email.toLowerCase())) {
+      chain.push(current);
+      seen.add(current.email.toLowerCase());
+      current = this._managerOf(current);
+    }
+    return chain;
+  }
+
+  /**
+   * Direct reports of an employee
+   */
+  getDirectReports(employee) {
+    return this.reportsOf.get(employee.email.toLowerCase()) || [];
+  }
+
+  /**
+   * Everyone under an employee, to a depth (1 = direct reports; Infinity = all levels)
+   * @returns {Array<{ employee, depth, manager }>} breadth-first order
+   */
+  getReports(employee, depth = Infinity) {
+    const reports = [];
+    const seen = new Set([employee.email.toLowerCase()]);
+    let level = [employee];
+
+    for (let d = 1; d <= depth && level.length > 0; d++) {
+      const next = [];
+      for (const manager of level) {
+        for (const report of this.getDirectReports(manager)) {
+          if (seen.has(report.email.toLowerCase())) continue;
+          seen.add(report.email.toLowerCase());
+          reports.push({ employee: report, depth: d, manager });
+          next.push(report);
+        }
+      }
+      level = next;
+    }
+    return reports;
+  }
+
+  /**
+   * Structural problems: cycles in the manager chain, and employees outside the
+   * head's tree (no manager, or a manager missing from the roster)
+   */
+  getIssues() {
+    return {
+      cycles: this.cycles.map(cycle => cycle.map(emp => emp.name)),
+      orphans: this.orphans.map(emp => ({ name: emp.name, manager: emp.manager || emp.manager_email || null }))
+    };
+  }
+
+  /**
+   * Nested tree under an employee, or under every top-level employee
+   */
+  toJSON(root = null, depth = Infinity) {
+    const build = (emp, level, seen) => {
+      const node = this.person(emp);
+      const key = emp.email.toLowerCase();
+      const reports = this.getDirectReports(emp).filter(r => !seen.has(r.email.toLowerCase()));
+      node.directReports = this.getDirectReports(emp).length;
+      if (level < depth) {
+        const nextSeen = new Set([...seen, key]);
+        node.reports = reports.map(r => build(r, level + 1, nextSeen));
+      }
+      return node;
+    };
+
+    const tops = root ? [root] : this.roots;
+    return {
+      roots: tops.map(emp => build(emp, 0, new Set())),
+      issues: this.getIssues()
+    };
+  }
+
+  /**
+   * Mermaid flowchart of the tree under an employee, or of the whole organisation
+   */
+  toMermaid(root = null, depth = Infinity) {
+    const lines = ['graph TD'];
+    const nodeId = emp => `e${emp.employee_id}`;
+    const label = emp => [emp.name, emp.role].filter(Boolean).join('<br/>').replace(/"/g, '#quot;');
+    const declared = new Set();
+    const declare = (emp) => {
+      if (!declared.has(emp.email)) {
+        declared.add(emp.email);
+        lines.push(`  ${nodeId(emp)}["${label(emp)}"]`);
+      }
+    };
+
+    const tops = root ? [root] : this.roots;
+    for (const top of tops) {
+      declare(top);
+      for (const { employee, manager } of this.getReports(top, depth)) {
+        declare(employee);
+        lines.push(`  ${nodeId(manager)} --> ${nodeId(employee)}`);
+      }
+    }
+
+    // Cycles, and everyone under them, are unreachable from any top-level employee;
+    // draw them so they can be fixed
+    if (!root) {
+      for (const cycle of this.cycles) {
+        cycle.forEach(declare);
+        cycle.forEach((emp, i) => lines.push(`  ${nodeId(cycle[(i + 1) % cycle.length])} -.-> ${nodeId(emp)}`));
+        for (const member of cycle) {
+          for (const { employee, manager } of this.getReports(member, depth)) {
+            if (!declared.has(employee.email)) {
+              declare(employee);
+              lines.push(`  ${nodeId(manager)} --> ${nodeId(employee)}`);
+            }
+          }
+        }
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Directory fields of an employee
+   */
+  person(emp) {
+    return Object.fromEntries(PERSON_FIELDS.map(field => [field, emp[field] ?? null]));
+  }
+
+  _managerOf(emp) {
+    return emp.manager_email ? this.byEmail.get(emp.manager_email.toLowerCase()) || null : null;
+  }
+
+  /**
+   * Every employee has at most one manager, so each cycle is found by walking up
+   * from its members until a node repeats
+   */
+  _findCycles(employees) {
+    const cycles = [];
+    const done = new Set();
+
+    for (const start of employees) {
+      const path = [];
+      const onPath = new Map();
+      let current = start;
+
+      while (current && !done.has(current.email.toLowerCase())) {
+        const key = current.email.toLowerCase();
+        if (onPath.has(key)) {
+          cycles.push(path.slice(onPath.get(key)));
+          break;
+        }
+        onPath.set(key, path.length);
+        path.push(current);
+        current = this._managerOf(current);
+      }
+      path.forEach(emp => done.add(emp.email.toLowerCase()));
+    }
+    return cycles;
+  }
+}
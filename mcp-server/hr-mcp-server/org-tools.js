@@ -0,0 +1,128 @@
+/**
+ * Org chart tool definitions, in MCP tools/list format
+ */
+export const ORG_TOOLS = [
+  {
+    name: 'get_reporting_chain',
+    description: 'Managers above an employee, nearest first (manager, skip-level, ... up to the CEO)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        employee: { type: 'string', description: 'Employee name, email or ID; "me" for the current user' }
+      },
+      required: ['employee']
+    }
+  },
+  {
+    name: 'get_reports',
+    description: 'People reporting to an employee, directly (depth 1) or at all levels below them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        employee: { type: 'string', description: 'Employee name, email or ID; "me" for the current user' },
+        depth: { type: 'integer', minimum: 1, description: 'Levels to include; omit for everyone below' }
+      },
+      required: ['employee']
+    }
+  }
+];
+
+/**
+ * Org chart queries behind the org tools and hr://org resources
+ * Reporting lines are directory information, so any known employee may see them;
+ * only directory fields are returned.
+ */
+export class OrgActions {
+  constructor(service, accessPolicy) {
+    this.service = service;
+    this.accessPolicy = accessPolicy;
+  }
+
+  has(name) {
+    return ORG_TOOLS.some(tool => tool.name === name);
+  }
+
+  async execute(name, args, userContext) {
+    switch (name) {
+      case 'get_reporting_chain':
+        return this.chain(args.employee, userContext);
+      case 'get_reports':
+        return this.reports(args.employee, args.depth, userContext);
+      default:
+        throw new Error(`Unknown org tool: ${name}`);
+    }
+  }
+
+  chain(key, userContext) {
+    const { graph, employee } = this._lookup(key, userContext);
+    const chain = graph.getChain(employee).map(manager => graph.person(manager));
+
+    return {
+      message: chain.length > 0
+        ? `${employee.name} reports to ${chain.map(m => m.name).join(' → ')}.`
+        : `${employee.name} is at the top of the organisation.`,
+      employee: graph.person(employee),
+      manager: chain[0] || null,
+      skipLevel: chain[1] || null,
+      chain
+    };
+  }
+
+  reports(key, depth, userContext) {
+    const { graph, employee } = this._lookup(key, userContext);
+    const maxDepth = depth || Infinity;
+    const reports = graph.getReports(employee, maxDepth).map(entry => ({
+      ...graph.person(entry.employee),
+      depth: entry.depth,
+      manager: entry.manager.name
+    }));
+    const direct = graph.getDirectReports(employee).length;
+    const total = graph.getReports(employee).length;
+
+    return {
+      message: `${employee.name} has ${direct} direct report${direct === 1 ? '' : 's'} and ${total} people in total below them` +
+        (depth ? `; ${reports.length} within ${depth} level${depth === 1 ? '' : 's'}.` : '.'),
+      employee: graph.person(employee),
+      direct,
+      total,
+      reports
+    };
+  }
+
+  /**
+   * Whole chart as JSON or Mermaid, optionally under one employee and to a depth
+   */
+  chart({ root = null, depth = null, format = 'json' }, userContext) {
+    const requester = this._requireRequester(userContext);
+    const graph = this.service.getOrgGraph();
+    const top = root ? this._resolve(graph, root, requester) : null;
+
+    return format === 'mermaid'
+      ? graph.toMermaid(top, depth || Infinity)
+      : graph.toJSON(top, depth || Infinity);
+  }
+
+  _lookup(key, userContext) {
+    const requester = this._requireRequester(userContext);
+    const graph = this.service.getOrgGraph();
+    return { graph, employee: this._resolve(graph, key, requester) };
+  }
+
+  _resolve(graph, key, requester) {
+    const employee = ['me', 'myself', 'i'].includes(String(key).trim().toLowerCase())
+      ? graph.resolve(requester.employee.email)
+      : graph.resolve(key);
+    if (!employee) {
+      throw new Error(`Employee ${key} not found`);
+    }
+    return employee;
+  }
+
+  _requireRequester(userContext) {
+    const requester = this.accessPolicy.resolveRequester(userContext);
+    if (!requester) {
+      throw new Error('The org chart is only available to signed-in employees');
+    }
+    return requester;
+  }
+}
@@ -1,18 +1,30 @@
 import { getLogger } from './utils/logger.js';
+import { UsageMeter } from './utils/llm-usage.js';
 import { MCPAgentBase } from './shared/mcp-agent-base.js';
-import { QueryProcessor } from './shared/query-processor.js';
+import { QueryProcessor, stripUserContext } from './shared/query-processor.js';
+import { PIIPlaceholders } from './shared/pii-placeholders.js';
+import { Retriever } from './shared/retriever.js';
 import { HRService } from './service.js';
+import { HRAccessPolicy, RESTRICTED } from './access-policy.js';
+import { LeaveActions, LEAVE_TOOLS, LEAVE_STATUSES } from './leave-tools.js';
+import { OrgActions, ORG_TOOLS } from './org-tools.js';
+import { HRIntents } from './intents.js';
 import { config } from './config.js';
 
 class HRAgent extends MCPAgentBase {
   constructor() {
     super(config.name, config.description);
     this.queryProcessor = new QueryProcessor(this.agentName);
+    this.retriever = new Retriever(config.retrieval);
   }
 
   async createService() {
     const service = new HRService();
     await service.init();
+    this.accessPolicy = new HRAccessPolicy(service);
+    this.leaveActions = new LeaveActions(service, this.accessPolicy);
+    this.orgActions = new OrgActions(service, this.accessPolicy);
+    this.intents = new HRIntents(service, this.accessPolicy, this.orgActions);
     return service;
   }
 
@@ -23,15 +35,20 @@ class HRAgent extends MCPAgentBase {
       'hr://employees',
       {
         title: 'Employee Database',
-        description: 'Complete employee database with personal information',
+        description: 'Employee database, filtered to what the requester is entitled to see',
         mimeType: 'text/csv'
       },
-      async (uri) => ({
-        contents: [{
-          uri: uri.href,
-          text: this.service.getRawCsvData()
-        }]
-      })
+      async (uri, variables, extra) => {
+        const requester = this.accessPolicy.resolveRequester(extra?._meta?.userContext);
+        const employees = this.accessPolicy.filterEmployees(requester, this.service.getAllEmployees());
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: this.service.toCsv(employees)
+          }]
+        };
+      }
     );
 
     // Employee profile resource
@@ -43,10 +60,15 @@ class HRAgent extends MCPAgentBase {
         description: 'Individual employee profile information',
         mimeType: 'text/plain'
       },
-      async (uri, { employeeId }) => {
+      async (uri, { employeeId }, extra) => {
         try {
-          const employee = this.service.getEmployeeByEmail(employeeId) || this.service.getEmployeeByName(employeeId);
-          
+          const requester = this.accessPolicy.resolveRequester(extra?._meta?.userContext);
+          const record = this.service.getEmployeeByEmail(employeeId) ||
+            this.service.getEmployeeByName(employeeId) ||
+            (/^\d+$/.test(employeeId) ? this.service.getEmployeeById(Number(employeeId)) : undefined);
+          // Invisible records are reported as not found so their existence isn't leaked
+          const employee = record && this.accessPolicy.filterEmployee(requester, record);
+
           if (!employee) {
             return {
               contents: [{
@@ -78,6 +100,108 @@ class HRAgent extends MCPAgentBase {
       }
     );
 
+    // Leave request resource
+    this.resourceManager.registerTemplateResource(
+      'leave-request',
+      { uri: 'hr://leave-requests/{requestId}', params: {} },
+      {
+        title: 'Leave Request',
+        description: 'A leave request and its approval status (employee, their manager and HR only)',
+        mimeType: 'text/plain'
+      },
+      async (uri, { requestId }, extra) => {
+        const requester = this.accessPolicy.resolveRequester(extra?._meta?.userContext);
+        const request = this.service.getLeaveRequestById(requestId);
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: request && this.leaveActions.canView(requester, request)
+              ? this._formatLeaveRequest(request)
+              : `Leave request ${requestId} not found`
+          }]
+        };
+      }
+    );
+
+    // Leave requests list resource
+    this.resourceManager.registerTemplateResource(
+      'leave-requests',
+      { uri: 'hr://leave-requests{?status*}', params: {} },
+      {
+        title: 'Leave Requests',
+        description: 'The requester\'s own leave requests and those of their direct reports',
+        mimeType: 'application/json'
+      },
+      async (uri, variables, extra) => {
+        const requester = this.accessPolicy.resolveRequester(extra?._meta?.userContext);
+        const status = new URL(uri.href).searchParams.get('status');
+        const filters = LEAVE_STATUSES.includes(status) ? { status } : {};
+
+        const requests = requester
+          ? {
+            own: this.service.getLeaveRequests({ ...filters, employee_email: requester.employee.email }),
+            team: this.leaveActions.getTeamRequests(requester.employee, filters)
+          }
+          : { own: [], team: [] };
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify(requests, null, 2)
+          }]
+        };
+      }
+    );
+
+    // Reporting chain resource
+    this.resourceManager.registerTemplateResource(
+      'org-chain',
+      { uri: 'hr://org/{employee}/chain', params: {} },
+      {
+        title: 'Reporting Chain',
+        description: 'Managers above an employee up to the top of the organisation, with the skip-level',
+        mimeType: 'application/json'
+      },
+      async (uri, { employee }, extra) => this._orgResource(uri,
+        () => this.orgActions.chain(employee, extra?._meta?.userContext))
+    );
+
+    // Reports resource
+    this.resourceManager.registerTemplateResource(
+      'org-reports',
+      { uri: 'hr://org/{employee}/reports{?depth*}', params: {} },
+      {
+        title: 'Reports',
+        description: 'People reporting to an employee, to an optional depth (1 = direct reports)',
+        mimeType: 'application/json'
+      },
+      async (uri, { employee }, extra) => this._orgResource(uri, () => {
+        const depth = parseInt(new URL(uri.href).searchParams.get('depth'), 10);
+        return this.orgActions.reports(employee, depth > 0 ? depth : null, extra?._meta?.userContext);
+      })
+    );
+
+    // Org chart resource
+    this.resourceManager.registerTemplateResource(
+      'org-chart',
+      { uri: 'hr://org/chart{?format*,root*,depth*}', params: {} },
+      {
+        title: 'Org Chart',
+        description: 'Organisation chart as JSON (default) or a Mermaid flowchart (format=mermaid), optionally from a root employee',
+        mimeType: 'application/json'
+      },
+      async (uri, variables, extra) => this._orgResource(uri, () => {
+        const params = new URL(uri.href).searchParams;
+        const depth = parseInt(params.get('depth'), 10);
+        return this.orgActions.chart({
+          root: params.get('root'),
+          depth: depth > 0 ? depth : null,
+          format: params.get('format') === 'mermaid' ? 'mermaid' : 'json'
+        }, extra?._meta?.userContext);
+      })
+    );
+
     // Query resource
     this.resourceManager.registerTemplateResource(
       'query',
@@ -87,7 +211,7 @@ class HRAgent extends MCPAgentBase {
         description: 'Handle HR queries with user context information',
         mimeType: 'text/plain'
       },
-      async (uri) => {
+      async (uri, variables, extra) => {
         try {
           const urlObj = new URL(uri.href);
           const query = urlObj.searchParams.get('q');
@@ -99,13 +223,27 @@ class HRAgent extends MCPAgentBase {
             throw new Error('No query parameter provided');
           }
 
-          const response = await this.processQuery(query, provider);
+          const trace = { thinking: [], usage: new UsageMeter() };
+          const pii = new PIIPlaceholders(extra?._meta?.pii);
+          const response = await this.processQuery(query, provider, {
+            userContext: extra?._meta?.userContext,
+            language: extra?._meta?.language,
+            conversation: extra?._meta?.conversation,
+            pii,
+            trace
+          });
 
           return {
             contents: [{
               uri: uri.href,
               text: response
-            }]
+            }],
+            _meta: {
+              thinking: trace.thinking,
+              intent: trace.intent,
+              usage: trace.usage.toJSON(),
+              entities: this.findEntities(pii.restore(`${stripUserContext(query)}\n${response}`))
+            }
           };
         } catch (error) {
           getLogger().error('Query processing error', error);
@@ -122,39 +260,162 @@ class HRAgent extends MCPAgentBase {
     this.resourceManager.logResourceSummary();
   }
 
+  getTools() {
+    return [...super.getTools(), ...LEAVE_TOOLS, ...ORG_TOOLS];
+  }
+
+  getModelTools() {
+    return [...LEAVE_TOOLS, ...ORG_TOOLS];
+  }
+
+  async executeTool(name, args, extra = {}) {
+    if (this.leaveActions.has(name)) {
+      return await this.leaveActions.execute(name, args, extra.userContext);
+    }
+    if (this.orgActions.has(name)) {
+      return await this.orgActions.execute(name, args, extra.userContext);
+    }
+    return await super.executeTool(name, args, extra);
+  }
+
   getCapabilities() {
     return config.capabilities;
   }
 
+  getRoutingHints() {
+    return { keywords: config.keywords, examples: config.routingExamples };
+  }
+
   canHandle(query) {
-    const keywords = config.keywords;
-    const queryLower = query.toLowerCase();
-    let score = 0;
-    keywords.forEach((keyword) => {
-      if (queryLower.includes(keyword.toLowerCase())) {
-        score += 15;
-      }
-    });
-    return Math.min(score, 100);
+    // A structured question this agent answers exactly is certainly its own
+    if (this.intents?.match(query)) {
+      return 100;
+    }
+    return super.canHandle(query);
   }
 
-  async processQuery(query, providerOverride = null) {
-    this.sendThinkingMessage('Analyzing HR request...');
+  async processQuery(query, providerOverride = null, { userContext = null, language = 'en', conversation = null, pii = new PIIPlaceholders(), trace = null } = {}) {
+    this.sendThinkingMessage('Analyzing HR request...', trace);
 
     try {
-      const employees = this.service.getAllEmployees();
-      const context = `Employee Database (${employees.length} employees):\n${this.service.getRawCsvData()}`;
+      // Records are looked up by the actual values; the model only sees their placeholders
+      const lookup = pii.restore(query);
+
+      // Structured questions are answered straight from the records
+      const exact = await this.intents.answer(lookup, { userContext, language });
+      if (exact) {
+        this.sendThinkingMessage(`Answered from HR records (${exact.intent})`, trace);
+        if (trace) {
+          trace.intent = exact.intent;
+        }
+        return exact.text;
+      }
+
+      // Filter rows and columns before anything reaches the prompt
+      const requester = this.accessPolicy.resolveRequester(userContext);
+      const employees = this.accessPolicy.filterEmployees(requester, this.service.getAllEmployees());
+      getLogger().debug(`HR access for ${this.accessPolicy.describe(requester)}: ${employees.length} records visible`);
+      this.sendThinkingMessage(`Applying HR access policy: ${this.accessPolicy.describe(requester)}`, trace);
+
+      // Only visible rows are indexed, and RESTRICTED placeholders are left out so
+      // a query mentioning "restricted" doesn't rank records by what is hidden
+      const selection = await this.retriever.select(lookup, employees.map(employee => ({
+        id: employee.name,
+        text: Object.values(employee).filter(value => value !== RESTRICTED).join(' '),
+        item: employee
+      })), { label: 'employees' });
+      this.sendThinkingMessage(selection.summary, trace);
+
+      let context = `${this._departmentSummary(employees)}\n\n` +
+        `Relevant Employees (${selection.items.length} of ${employees.length}):\n${this.service.toCsv(selection.items)}`;
+      if (requester) {
+        const profile = Object.entries(requester.employee)
+          .map(([key, value]) => `${key}: ${value}`)
+          .join('\n');
+        context = `CURRENT USER COMPLETE PROFILE:\n${profile}\n\n${context}`;
+      }
+      context = `Today's date: ${new Date().toISOString().slice(0, 10)}\n\n${pii.tokenize(context)}`;
 
       const fullPrompt = `${config.prompt}\n\n${context}\n\nQuestion: ${query}`;
 
-      this.sendThinkingMessage('Processing with HR knowledge...');
+      this.sendThinkingMessage('Processing with HR knowledge...', trace);
 
-      return await this.queryProcessor.processWithModel(fullPrompt, query, providerOverride);
+      return await this.generateAnswer(fullPrompt, query, providerOverride, { userContext, trace, conversation, pii });
     } catch (error) {
       getLogger().error('HR Agent processing error', error);
       return 'I encountered an error while accessing HR information. Please try again or contact HR directly.';
     }
   }
+
+  /**
+   * Employees named in the text (by full name), the last mentioned first
+   */
+  findEntities(text) {
+    const lower = text.toLowerCase();
+    const employees = this.service.getAllEmployees()
+      .map(employee => ({ name: employee.name, position: employee.name ? lower.lastIndexOf(employee.name.toLowerCase()) : -1 }))
+      .filter(({ position }) => position !== -1)
+      .sort((a, b) => b.position - a.position)
+      .map(({ name }) => name);
+    return { employees };
+  }
+
+  /**
+   * Org resource contents: JSON for objects, text for Mermaid and errors
+   */
+  async _orgResource(uri, build) {
+    try {
+      const result = build();
+      const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: typeof result === 'string' ? 'text/vnd.mermaid' : 'application/json',
+          text
+        }]
+      };
+    } catch (error) {
+      return {
+        contents: [{
+          uri: uri.href,
+          text: error.message
+        }]
+      };
+    }
+  }
+
+  _formatLeaveRequest(request) {
+    return `
+LEAVE REQUEST
+=============
+ID: ${request.request_id}
+Employee: ${request.employee_name} (${request.employee_email})
+Manager: ${request.manager_name}
+Dates: ${request.start_date} to ${request.end_date} (${request.days} working days)
+Reason: ${request.reason || 'N/A'}
+Status: ${request.status}
+Decided By: ${request.decided_by || 'N/A'}${request.decided_at ? ` on ${request.decided_at}` : ''}
+Comment: ${request.decision_comment || 'N/A'}
+Submitted: ${request.created_at}
+    `.trim();
+  }
+
+  /**
+   * Headcount per department over all visible employees, so totals stay
+   * correct when only a few records are selected for the prompt
+   */
+  _departmentSummary(employees) {
+    const counts = new Map();
+    employees.forEach((employee) => {
+      counts.set(employee.department, (counts.get(employee.department) || 0) + 1);
+    });
+
+    const departments = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([department, count]) => `${department}: ${count}`)
+      .join(', ');
+    return `Employee Directory Summary (${employees.length} employees): ${departments || 'none'}`;
+  }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
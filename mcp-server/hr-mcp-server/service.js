@@ -2,84 +2,151 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { getLogger } from './utils/logger.js';
+import { initializeDatabase } from './database-manager.js';
+import { initializeEmployeeService } from './employee-db.js';
+import { initializeLeaveService } from './leave-db.js';
+import { parseEmployeesCsv, employeesToCsv } from './employee-csv.js';
+import { OrgGraph } from './org-graph.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEED_CSV_PATH = path.join(__dirname, 'employees.csv');
 
 export class HRService {
   constructor() {
-    this.employees = null;
-    this.rawCsvData = null;
+    this.employeeService = null;
+    this.leaveService = null;
   }
 
   async init() {
-    const csvPath = path.join(__dirname, 'employees.csv');
-    this.rawCsvData = await fs.readFile(csvPath, 'utf8');
-    this.employees = this._parseCSV(this.rawCsvData);
+    try {
+      await initializeDatabase();
+      this.employeeService = await initializeEmployeeService();
+      this.leaveService = await initializeLeaveService();
+    } catch (error) {
+      throw new Error(`Failed to initialize HR service: ${error.message}`);
+    }
+
+    // A new database is seeded from employees.csv; later changes go through database-seed.js
+    if (this.employeeService.countEmployees() === 0) {
+      const { imported } = await this.importCsv(SEED_CSV_PATH);
+      getLogger().info(`Seeded ${imported} employees from employees.csv`);
+    }
+
+    const { cycles, orphans } = this.getOrgGraph().getIssues();
+    if (cycles.length > 0 || orphans.length > 0) {
+      getLogger().warn(`Org chart issues - cycles: ${JSON.stringify(cycles)}, orphans: ${JSON.stringify(orphans)}`);
+    }
+  }
+
+  /**
+   * Employees matching filters - see EmployeeService.getEmployees
+   */
+  getEmployees(filters = {}) {
+    return this.employeeService.getEmployees(filters);
   }
 
   searchEmployees(query) {
-    const queryLower = query.toLowerCase();
-    return this.employees.filter(emp =>
-      emp.name.toLowerCase().includes(queryLower) ||
-      emp.email.toLowerCase().includes(queryLower) ||
-      emp.role.toLowerCase().includes(queryLower) ||
-      emp.department.toLowerCase().includes(queryLower)
-    );
+    return this.getEmployees({ search: query });
+  }
+
+  getEmployeesByDepartment(department) {
+    return this.getEmployees({ department });
+  }
+
+  getEmployeesByManager(manager) {
+    return this.getEmployees({ manager });
+  }
+
+  getEmployeesBySalaryRange(min, max) {
+    return this.getEmployees({ salary_min: min ?? undefined, salary_max: max ?? undefined });
   }
 
   getEmployeeByEmail(email) {
-    return this.employees.find(emp => emp.email.toLowerCase() === email.toLowerCase());
+    return this.employeeService.getEmployeeByEmail(email);
+  }
+
+  getEmployeeById(employeeId) {
+    return this.employeeService.getEmployeeById(employeeId);
   }
 
   getEmployeeByName(name) {
-    return this.employees.find(emp => emp.name.toLowerCase() === name.toLowerCase());
+    return this.employeeService.getEmployeeByName(name);
   }
 
   getAllEmployees() {
-    return this.employees;
-  }
-
-  getRawCsvData() {
-    return this.rawCsvData;
-  }
-
-  _parseCSV(data) {
-    const lines = data.split('\n');
-    if (lines.length < 2) return [];
-
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    
-    return lines.slice(1)
-      .filter(line => line.trim())
-      .map(line => {
-        const values = this._parseCSVLine(line);
-        const emp = {};
-        headers.forEach((h, i) => {
-          emp[h] = values[i]?.trim() || '';
-        });
-        return emp;
-      });
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current);
-        current = '';
-      } else {
-        current += char;
-      }
-    }
+    return this.getEmployees();
+  }
+
+  getDepartments() {
+    return this.employeeService.getDepartments();
+  }
+
+  /**
+   * Reporting hierarchy of all employees, built from the current records
+   */
+  getOrgGraph() {
+    return new OrgGraph(this.getAllEmployees());
+  }
+
+  getLeaveRequests(filters = {}) {
+    return this.leaveService.getRequests(filters);
+  }
+
+  getLeaveRequestById(requestId) {
+    return this.leaveService.getRequestById(requestId);
+  }
+
+  getOverlappingLeaveRequests(employeeEmail, startDate, endDate) {
+    return this.leaveService.getOverlappingRequests(employeeEmail, startDate, endDate);
+  }
+
+  generateLeaveRequestId() {
+    return this.leaveService.generateRequestId();
+  }
+
+  createLeaveRequest(data) {
+    return this.leaveService.createRequest(data);
+  }
+
+  updateLeaveRequest(requestId, updates) {
+    return this.leaveService.updateRequest(requestId, updates);
+  }
+
+  /**
+   * Leave balance of an employee
+   * remaining already has approved requests deducted; available also holds back pending ones.
+   */
+  getLeaveBalance(email) {
+    const employee = this.getEmployeeByEmail(email);
+    const pending = this.leaveService.getDaysByStatus(email).Pending || 0;
+    const remaining = employee?.remaining_leave || 0;
+
+    return {
+      total: employee?.total_leave || 0,
+      taken: employee?.leave_taken || 0,
+      remaining,
+      pending,
+      available: remaining - pending
+    };
+  }
+
+  /**
+   * Replace all employee records with the contents of a CSV file
+   */
+  async importCsv(csvPath) {
+    const employees = parseEmployeesCsv(await fs.readFile(csvPath, 'utf8'));
+    return this.employeeService.importEmployees(employees);
+  }
+
+  /**
+   * Employee records as imported (opening leave balances), as CSV text
+   */
+  exportCsv() {
+    return employeesToCsv(this.employeeService.exportEmployees());
+  }
 
-    result.push(current);
-    return result;
+  toCsv(employees) {
+    return employeesToCsv(employees);
   }
 }
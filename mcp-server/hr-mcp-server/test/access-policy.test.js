@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { HRAccessPolicy, RESTRICTED } from '../access-policy.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+function employee(name, role, department, manager, email = `${name.toLowerCase().replace(' ', '.')}@company.com`) {
+  return {
+    name, role, department, email, manager,
+    manager_email: manager && `${manager.toLowerCase().replace(' ', '.')}@company.com`,
+    phone: '+33 1 42 00 00 00',
+    bank_account: `FR76 ${name}`,
+    salary: 60000,
+    salary_currency: 'EUR',
+    remaining_leave: 12,
+    manager_comments: `Comments on ${name}`,
+    internal_notes: 'Not in any field group'
+  };
+}
+
+const ROSTER = [
+  employee('Sarah Chen', 'CEO', 'Executive', null),
+  employee('Michael Johnson', 'Engineering Lead', 'Technology', 'Sarah Chen'),
+  employee('Tom Lee', 'Engineer', 'Technology', 'Michael Johnson'),
+  employee('Nina Park', 'Engineer', 'Technology', 'Michael Johnson'),
+  employee('Hannah Reed', 'HR Manager', 'Human Resources', 'Sarah Chen'),
+  employee('Michael Johnson', 'Sales Rep', 'Sales', 'Sarah Chen', 'michael.johnson2@company.com')
+];
+const [sarah, michael, tom, nina, hannah, namesake] = ROSTER;
+
+const policy = new HRAccessPolicy({
+  getEmployeeByEmail: email => ROSTER.find(e => e.email === email.toLowerCase()) || null,
+  getAllEmployees: () => ROSTER
+});
+
+const visibleFields = (userContext, record) => {
+  const filtered = policy.filterEmployee(policy.resolveRequester(userContext), record);
+  return filtered && Object.keys(filtered).filter(field => filtered[field] !== RESTRICTED).sort();
+};
+
+const DIRECTORY = ['department', 'email', 'manager', 'manager_email', 'name', 'phone', 'role'];
+const LEAVE = ['remaining_leave'];
+const COMPENSATION = ['salary', 'salary_currency'];
+
+test('unknown and anonymous requesters see no records', () => {
+  assert.equal(policy.resolveRequester(null), null);
+  assert.equal(policy.resolveRequester({ email: 'someone@elsewhere.com' }), null);
+  assert.deepEqual(policy.filterEmployees(null, ROSTER), []);
+});
+
+test('employees see the directory fields of colleagues', () => {
+  assert.deepEqual(visibleFields({ email: tom.email }, nina), DIRECTORY);
+  assert.equal(policy.filterEmployee(policy.resolveRequester({ email: tom.email }), nina).salary, RESTRICTED);
+});
+
+test('employees see all their own grouped fields, and nothing else', () => {
+  assert.deepEqual(visibleFields({ email: tom.email }, tom), [...DIRECTORY, 'bank_account', 'manager_comments', ...LEAVE, ...COMPENSATION].sort());
+  assert.equal(policy.filterEmployee(policy.resolveRequester({ email: tom.email }), tom).internal_notes, RESTRICTED);
+});
+
+test('managers see the leave and comments of their direct reports only', () => {
+  assert.deepEqual(visibleFields({ email: michael.email }, tom), [...DIRECTORY, 'manager_comments', ...LEAVE].sort());
+  assert.deepEqual(visibleFields({ email: michael.email }, hannah), DIRECTORY);
+});
+
+test('a manager is recognised by email, not by a colleague with the same name', () => {
+  assert.deepEqual(visibleFields({ email: namesake.email }, tom), DIRECTORY);
+  assert.equal(policy.describe(policy.resolveRequester({ email: michael.email })), 'michael.johnson@company.com (self, manager of 2)');
+  assert.equal(policy.describe(policy.resolveRequester({ email: namesake.email })), 'michael.johnson2@company.com (self)');
+});
+
+test('HR staff and executives see compensation but not bank accounts', () => {
+  const expected = [...DIRECTORY, 'manager_comments', ...LEAVE, ...COMPENSATION].sort();
+  assert.deepEqual(visibleFields({ email: hannah.email }, nina), expected);
+  assert.deepEqual(visibleFields({ email: sarah.email }, nina), expected);
+});
+
+test('a role or department claimed in userContext does not widen access', () => {
+  const requester = policy.resolveRequester({ email: tom.email, role: 'CEO', department: 'Human Resources' });
+  assert.equal(requester.isHR, false);
+  assert.equal(requester.isExecutive, false);
+  assert.deepEqual(visibleFields({ email: tom.email, role: 'CEO', department: 'Human Resources' }, nina), DIRECTORY);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { HRAccessPolicy } from '../access-policy.js';
+import { HRIntents } from '../intents.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const ROSTER = [
+  { name: 'Sarah Chen', role: 'CEO', department: 'Executive', email: 'sarah.chen@company.com', manager: null },
+  { name: 'Tom Lee', role: 'Engineer', department: 'Technology', email: 'tom.lee@company.com', manager: 'Sarah Chen' }
+];
+const [sarah, tom] = ROSTER;
+
+const service = {
+  getEmployeeByEmail: email => ROSTER.find(e => e.email === email.toLowerCase()) || null,
+  getAllEmployees: () => ROSTER,
+  getLeaveBalance: email => (email === tom.email
+    ? { remaining: 12, total: 25, pending: 3, available: 9 }
+    : { remaining: 20, total: 30, pending: 0, available: 20 })
+};
+const orgActions = {
+  chain(person, userContext) {
+    const employee = person === 'me'
+      ? service.getEmployeeByEmail(userContext.email)
+      : ROSTER.find(e => e.name.toLowerCase() === person || e.email === person);
+    if (!employee) {
+      throw new Error(`No employee matches "${person}"`);
+    }
+    return { employee, manager: ROSTER.find(e => e.name === employee.manager) || null };
+  }
+};
+const intents = new HRIntents(service, new HRAccessPolicy(service), orgActions);
+
+test('structured questions match their intent whatever the phrasing', () => {
+  for (const query of ['What\'s my remaining leave?', 'my PTO balance', 'How many vacation days do I have left?', 'Please, how many days of leave have I got']) {
+    assert.equal(intents.match(query)?.intent, 'leave_balance', query);
+  }
+  for (const query of ['Who is my manager?', 'who do i report to', 'Tell me the name of my boss']) {
+    assert.equal(intents.match(query)?.intent, 'my_manager', query);
+  }
+  assert.deepEqual(intents.match('Who is Tom Lee\'s manager?'), { intent: 'manager_of', slots: { person: 'tom lee' } });
+  assert.deepEqual(intents.match('who does tom.lee@company.com report to'), { intent: 'manager_of', slots: { person: 'tom.lee@company.com' } });
+});
+
+test('open-ended questions are left to the LLM', () => {
+  for (const query of ['What is the leave policy for part-time staff?', 'Can my manager approve leave next week?', 'Who is the best manager?']) {
+    assert.equal(intents.match(query), null, query);
+  }
+});
+
+test('answers come from the records in the requester\'s language', async () => {
+  const userContext = { email: tom.email };
+
+  assert.deepEqual(await intents.answer('how many leave days do I have', { userContext, language: 'en' }), {
+    intent: 'leave_balance',
+    text: 'You have 12 of 25 leave days remaining. 3 days are awaiting approval, so you can request up to 9 more.'
+  });
+  assert.equal((await intents.answer('who is my manager', { userContext, language: 'fr' })).text,
+    'Votre responsable est Sarah Chen (CEO, sarah.chen@company.com).');
+  assert.equal((await intents.answer('who does sarah chen report to', { userContext })).text, 'Sarah Chen has no manager on record.');
+});
+
+test('anonymous requesters and unknown people are left to the LLM', async () => {
+  assert.equal(await intents.answer('my leave balance', { userContext: null }), null);
+  assert.equal(await intents.answer('who is jane doe\'s manager', { userContext: { email: sarah.email } }), null);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { HRAccessPolicy } from '../access-policy.js';
+import { LeaveActions } from '../leave-tools.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const ROSTER = [
+  { name: 'Sarah Chen', role: 'CEO', department: 'Executive', email: 'sarah.chen@company.com', manager: null },
+  { name: 'Michael Johnson', role: 'Engineering Lead', department: 'Technology', email: 'michael.johnson@company.com', manager: 'Sarah Chen' },
+  { name: 'Tom Lee', role: 'Engineer', department: 'Technology', email: 'tom.lee@company.com', manager: 'Michael Johnson' },
+  { name: 'Nina Park', role: 'Engineer', department: 'Technology', email: 'nina.park@company.com', manager: 'Michael Johnson' },
+  { name: 'Hannah Reed', role: 'HR Manager', department: 'Human Resources', email: 'hannah.reed@company.com', manager: 'Sarah Chen' },
+  // Shares a name with Tom's manager
+  { name: 'Michael Johnson', role: 'Sales Rep', department: 'Sales', email: 'michael.johnson2@company.com', manager: 'Sarah Chen' }
+].map((employee, _, roster) => ({
+  ...employee,
+  manager_email: roster.find(e => e.name === employee.manager)?.email || null
+}));
+const [sarah, michael, tom, nina, hannah, namesake] = ROSTER;
+
+/**
+ * Leave actions over an in-memory roster and leave requests
+ * Every employee has 10 days remaining; requests are seeded Pending.
+ */
+function createActions(requests) {
+  const store = new Map(requests.map(request => [request.request_id, { status: 'Pending', days: 3, ...request }]));
+  const service = {
+    getEmployeeByEmail: email => ROSTER.find(e => e.email === email.toLowerCase()) || null,
+    getAllEmployees: () => ROSTER,
+    getEmployees: ({ manager }) => ROSTER.filter(e => e.manager === manager || e.manager_email === manager),
+    getLeaveRequests: ({ employee_emails: emails }) => [...store.values()].filter(r => emails.includes(r.employee_email)),
+    getLeaveRequestById: id => store.get(id) || null,
+    updateLeaveRequest: (id, updates) => Object.assign(store.get(id), updates),
+    getLeaveBalance: () => ({ remaining: 10, total: 25, pending: 0, available: 10 })
+  };
+  return { actions: new LeaveActions(service, new HRAccessPolicy(service)), store };
+}
+
+function request(id, employee, extra = {}) {
+  return {
+    request_id: id,
+    employee_email: employee.email,
+    employee_name: employee.name,
+    manager_name: employee.manager,
+    start_date: '2099-06-01',
+    end_date: '2099-06-03',
+    ...extra
+  };
+}
+
+const as = employee => ({ email: employee.email, name: employee.name });
+
+test('the employee\'s manager approves and rejects their requests', async () => {
+  const { actions, store } = createActions([request('LR-2099-0001', tom), request('LR-2099-0002', nina)]);
+
+  await actions.execute('approve_leave_request', { request_id: 'LR-2099-0001', comment: 'Enjoy' }, as(michael));
+  await actions.execute('reject_leave_request', { request_id: 'LR-2099-0002' }, as(michael));
+
+  assert.equal(store.get('LR-2099-0001').status, 'Approved');
+  assert.equal(store.get('LR-2099-0001').decided_by, 'Michael Johnson');
+  assert.equal(store.get('LR-2099-0001').decision_comment, 'Enjoy');
+  assert.equal(store.get('LR-2099-0002').status, 'Rejected');
+});
+
+test('nobody but the manager can decide, not even HR or the CEO', async () => {
+  const { actions, store } = createActions([request('LR-2099-0001', tom)]);
+
+  for (const actor of [nina, hannah, sarah]) {
+    await assert.rejects(
+      actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(actor)),
+      /Only Michael Johnson, Tom Lee's manager, can approve or reject LR-2099-0001/
+    );
+  }
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, null), /only available to signed-in employees/);
+  assert.equal(store.get('LR-2099-0001').status, 'Pending');
+});
+
+test('employees cannot approve or reject their own requests', async () => {
+  // The manager recorded on the request doesn't matter, the roster decides
+  const { actions, store } = createActions([request('LR-2099-0001', michael, { manager_name: 'Michael Johnson' })]);
+
+  for (const tool of ['approve_leave_request', 'reject_leave_request']) {
+    await assert.rejects(
+      actions.execute(tool, { request_id: 'LR-2099-0001' }, as(michael)),
+      /You cannot approve or reject your own leave request/
+    );
+  }
+  assert.equal(store.get('LR-2099-0001').status, 'Pending');
+});
+
+test('the current manager in the roster decides, not the one on the request', async () => {
+  const { actions, store } = createActions([request('LR-2099-0001', tom, { manager_name: 'Sarah Chen' })]);
+
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(sarah)), /Only Michael Johnson/);
+  await actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(michael));
+  assert.equal(store.get('LR-2099-0001').status, 'Approved');
+});
+
+test('only pending requests within the balance can be approved', async () => {
+  const { actions } = createActions([
+    request('LR-2099-0001', tom, { status: 'Cancelled' }),
+    request('LR-2099-0002', tom, { days: 12 })
+  ]);
+
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(michael)), /LR-2099-0001 is already Cancelled/);
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0002' }, as(michael)), /Tom Lee has only 10 days remaining; LR-2099-0002 needs 12/);
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0009' }, as(michael)), /Leave request LR-2099-0009 not found/);
+});
+
+test('a manager is matched by email, not by a shared name', async () => {
+  const { actions, store } = createActions([request('LR-2099-0001', tom)]);
+
+  await assert.rejects(actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(namesake)), /Only Michael Johnson/);
+  assert.equal(store.get('LR-2099-0001').status, 'Pending');
+  assert.equal(actions.canView({ employee: namesake }, store.get('LR-2099-0001')), false);
+  assert.equal(actions.canView({ employee: michael }, store.get('LR-2099-0001')), true);
+  assert.deepEqual((await actions.execute('list_leave_requests', { scope: 'team' }, as(namesake))).requests, []);
+  assert.deepEqual((await actions.execute('list_leave_requests', { scope: 'team' }, as(michael))).requests.map(r => r.request_id), ['LR-2099-0001']);
+});
+
+test('requests of employees without a manager in the roster go to HR', async () => {
+  const { actions } = createActions([request('LR-2099-0001', sarah, { manager_name: 'Board' })]);
+
+  await assert.rejects(
+    actions.execute('approve_leave_request', { request_id: 'LR-2099-0001' }, as(hannah)),
+    /Sarah Chen has no manager on record to decide LR-2099-0001; please contact HR/
+  );
+});
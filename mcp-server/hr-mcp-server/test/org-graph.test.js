@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrgGraph } from '../org-graph.js';
+
+function employee(employeeId, name, role, managerEmail) {
+  return {
+    employee_id: employeeId,
+    name,
+    role,
+    department: 'Technology',
+    email: `${name.toLowerCase().replace(' ', '.')}@company.com`,
+    manager_email: managerEmail
+  };
+}
+
+// Sarah heads the organisation; Ann and Ben report to each other, with Cara under Ann;
+// Olga's manager is not in the roster
+const ROSTER = [
+  employee(1, 'Sarah Chen', 'CEO', null),
+  employee(2, 'Michael Johnson', 'Engineering Lead', 'sarah.chen@company.com'),
+  employee(3, 'Tom Lee', 'Engineer', 'michael.johnson@company.com'),
+  employee(4, 'Nina Park', 'Engineer', 'Michael.Johnson@company.com'),
+  employee(5, 'Cara Diaz', 'Analyst', 'ann.bell@company.com'),
+  employee(6, 'Ann Bell', 'Analyst', 'ben.cole@company.com'),
+  employee(7, 'Ben Cole', 'Analyst', 'ann.bell@company.com'),
+  employee(8, 'Olga Ivanova', 'Designer', 'gone@company.com'),
+  employee(9, 'Pete Moss', 'Intern "Design"', 'olga.ivanova@company.com')
+];
+const [sarah, michael, tom, nina, cara, ann, ben, olga, pete] = ROSTER;
+const graph = new OrgGraph(ROSTER);
+
+test('a two-person reporting cycle is found once, without its reports', () => {
+  assert.deepEqual(graph._findCycles(ROSTER), [[ann, ben]]);
+  assert.deepEqual(graph._findCycles([ben, ann]), [[ben, ann]]);
+  assert.deepEqual(graph._findCycles([sarah, michael, tom]), []);
+});
+
+test('the head leads the largest tree; a manager missing from the roster makes an orphan', () => {
+  assert.equal(graph.head, sarah);
+  assert.deepEqual(graph.getIssues(), {
+    cycles: [['Ann Bell', 'Ben Cole']],
+    orphans: [{ name: 'Olga Ivanova', manager: 'gone@company.com' }]
+  });
+  assert.deepEqual(new OrgGraph([sarah, michael, tom, nina]).getIssues(), { cycles: [], orphans: [] });
+});
+
+test('chains and reports stop at a cycle', () => {
+  assert.deepEqual(graph.getChain(tom), [michael, sarah]);
+  assert.deepEqual(graph.getChain(cara), [ann, ben]);
+  assert.deepEqual(graph.getChain(olga), []);
+  assert.deepEqual(graph.getReports(ann).map(r => [r.employee.name, r.depth]), [['Cara Diaz', 1], ['Ben Cole', 1]]);
+  assert.deepEqual(graph.getReports(sarah, 1).map(r => r.employee.name), ['Michael Johnson']);
+});
+
+test('the Mermaid chart draws every tree, then the cycles with dotted edges and the people under them', () => {
+  assert.equal(graph.toMermaid(), [
+    'graph TD',
+    '  e1["Sarah Chen<br/>CEO"]',
+    '  e2["Michael Johnson<br/>Engineering Lead"]',
+    '  e1 --> e2',
+    '  e3["Tom Lee<br/>Engineer"]',
+    '  e2 --> e3',
+    '  e4["Nina Park<br/>Engineer"]',
+    '  e2 --> e4',
+    '  e8["Olga Ivanova<br/>Designer"]',
+    '  e9["Pete Moss<br/>Intern #quot;Design#quot;"]',
+    '  e8 --> e9',
+    '  e6["Ann Bell<br/>Analyst"]',
+    '  e7["Ben Cole<br/>Analyst"]',
+    '  e7 -.-> e6',
+    '  e6 -.-> e7',
+    '  e5["Cara Diaz<br/>Analyst"]',
+    '  e6 --> e5'
+  ].join('\n'));
+});
+
+test('a Mermaid chart under one employee leaves out the rest and the cycles', () => {
+  assert.equal(graph.toMermaid(sarah, 1), 'graph TD\n  e1["Sarah Chen<br/>CEO"]\n  e2["Michael Johnson<br/>Engineering Lead"]\n  e1 --> e2');
+  assert.equal(graph.toMermaid(pete), 'graph TD\n  e9["Pete Moss<br/>Intern #quot;Design#quot;"]');
+});
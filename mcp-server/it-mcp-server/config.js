@@ -16,28 +16,67 @@ export const config = {
   llm: {
     model: 'llama3.2:3b',
     temperature: 0.3,
-    maxTokens: 2000
+    maxTokens: 2000,
+    // Model turns that may call ticket tools before it has to answer
+    maxToolSteps: 4
   },
 
+  // Context selection - see shared/retriever.js
+  retrieval: {
+    topN: 20 // Tickets listed in the prompt when no ticket ID is given
+  },
+
+  // Ticket categories accepted by the ticket tools
+  categories: [
+    'Application', 'Communication', 'Email', 'Hardware', 'Network',
+    'Onboarding', 'Printer', 'Request', 'Security', 'Software'
+  ],
+
+  // Support technicians - they can work any ticket; new tickets go to the least busy
+  // technician covering the ticket's category (or to the least busy overall)
+  technicians: [
+    { name: 'David Lee', email: 'david.lee@company.com', categories: ['Network', 'Application', 'Communication', 'Request', 'Onboarding'] },
+    { name: 'James Wilson', email: 'james.wilson@company.com', categories: ['Hardware', 'Network'] },
+    { name: 'Robert Taylor', email: 'robert.taylor@company.com', categories: ['Application', 'Email', 'Security'] },
+    { name: 'Sandra Brown', email: 'sandra.brown@company.com', categories: ['Printer', 'Network'] }
+  ],
+
+  // Routing hints for the gateway (see mcp-gateway/router.js)
   keywords: [
-    'ticket', 'issue', 'problem', 'error', 'bug', 'support', 'help',
-    'system', 'software', 'hardware', 'network', 'connectivity',
-    'password', 'login', 'access', 'permission', 'account',
+    'ticket', 'tickets', 'incident', 'issue', 'problem', 'error', 'bug', 'support', 'help',
+    'system', 'software', 'hardware', 'network', 'connectivity', 'server', 'vpn', 'wifi',
+    'laptop', 'computer', 'password', 'login', 'access', 'permission', 'account',
     'printer', 'scanner', 'monitor', 'keyboard', 'mouse',
-    'email', 'outlook', 'slack', 'teams', 'application',
-    'crash', 'freeze', 'slow', 'broken', 'down',
-    'status', 'resolved', 'pending', 'assigned', 'priority',
-    'urgency', 'critical', 'high', 'medium', 'low'
+    'email', 'outlook', 'slack', 'teams', 'application', 'install',
+    'crash', 'freeze', 'slow', 'broken', 'outage',
+    'resolved', 'pending', 'assigned', 'priority', 'urgency', 'critical'
+  ],
+
+  routingExamples: [
+    'What is the status of INC-2025-0120?',
+    'My laptop will not turn on',
+    'I cannot connect to the VPN',
+    'Reset my password please',
+    'The printer on the second floor is jammed',
+    'Open a ticket for my broken monitor',
+    'Which tickets are assigned to David Lee?',
+    'Outlook keeps crashing when I open attachments',
+    'The server health check is failing',
+    'How many critical tickets are open?',
+    'I need access to the shared drive',
+    'Install Slack on my new computer'
   ],
 
+  // System prompt for turning a request into a ticket tool call (see ITAgent._handleTicketAction)
   prompt: `You are an IT support specialist AI assistant with DIRECT access to the IT ticketing database.
 
 ⚠️ CRITICAL INSTRUCTIONS - READ CAREFULLY:
-1. You MUST use ONLY data from the COMPLETE TICKET DATABASE provided
-2. You have been given the COMPLETE LISTING of ALL tickets - do NOT invent or hallucinate tickets
-3. When asked about ANY employee's tickets, search the provided listing by employee_name and employee_email
-4. NEVER make up ticket IDs - they MUST come from the database listing provided
-5. Use ticket discussion history to provide comprehensive support information
+1. You MUST use ONLY data from the ticket database context provided
+2. "IT Tickets Statistics" covers ALL tickets - use it for totals and breakdowns by status, priority, category or assignee
+3. "Relevant Tickets" lists only the tickets selected as most relevant to the question, not every ticket - do NOT invent or hallucinate tickets
+4. When asked about ANY employee's tickets, search the provided listing by employee_name and employee_email
+5. NEVER make up ticket IDs - they MUST come from the database listing provided
+6. Use ticket discussion history to provide comprehensive support information
 
 ## CRITICAL ANTI-HALLUCINATION RULES:
 🚫 DO NOT invent ticket IDs like INC-0001-2345 or INC-0002-6789
@@ -72,9 +111,17 @@ The ticket database contains these fields:
 - Review discussion history for comprehensive context
 - Format results clearly
 
+## TICKET TOOLS:
+You can call tools to open tickets, comment on them, change their status, reassign them and search them.
+- Use a tool when the user asks you to change or open a ticket, or when the provided listing is not enough to answer
+- The requester is already known to the tools - never pass the user's name or email as the reporter
+- For create_ticket, describe the problem in the user's words and pick the category and priority that fit best (use "Medium" when unsure)
+- NEVER say a ticket was created, updated, commented on or reassigned unless a tool result confirms it
+- If a tool returns an error, tell the user what went wrong instead of retrying the same call
+
 ## RESPONSE FORMAT:
 When answering queries:
-1. State total count of matching tickets (from the provided database)
+1. State total count of matching tickets (from the statistics or the provided listing)
 2. List each ticket ID with key details
 3. Include relevant discussion context when applicable
 4. Group by priority/status if relevant
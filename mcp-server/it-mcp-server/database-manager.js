@@ -65,8 +65,10 @@ class DatabaseManager {
   run(sql, params = []) {
     try {
       this.db.run(sql, params);
+      // Read before saving: export() resets the modified-rows counter
+      const changes = this.db.getRowsModified();
       this._saveDatabase();
-      return { changes: this.db.getRowsModified() };
+      return { changes };
     } catch (error) {
       getLogger().error('Database run error:', error);
       throw error;
@@ -0,0 +1,71 @@
+import { IntentMatcher } from './shared/intent-matcher.js';
+
+const ASK = '(?:(?:what\'s|what is|what are|show me|show|tell me|check|get|list) )?';
+const TICKET_ID = '(?:ticket |incident )?(?<ticketId>inc-\\d{4}-\\d{4})';
+const OPEN_STATUSES = ['Open', 'In progress'];
+
+/**
+ * Structured IT questions answered from the ticket database
+ */
+export class ITIntents extends IntentMatcher {
+  constructor(service) {
+    super('it', [
+      {
+        name: 'ticket_status',
+        patterns: [
+          new RegExp(`^${ASK}(?:the )?(?:current )?status of ${TICKET_ID}$`),
+          new RegExp(`^${ASK}${TICKET_ID}(?:'s)? status$`),
+          new RegExp(`^(?:any )?updates? on ${TICKET_ID}$`),
+          new RegExp(`^is ${TICKET_ID} (?:resolved|closed|fixed|done)(?: yet)?$`)
+        ],
+        resolve: ({ ticketId }) => this.ticketStatus(ticketId.toUpperCase())
+      },
+      {
+        name: 'my_open_tickets',
+        patterns: [
+          new RegExp(`^${ASK}(?:all )?my (?:open |active |current )?tickets$`),
+          /^do i have (?:any )?(?:open |active )?tickets(?: open)?$/
+        ],
+        resolve: (slots, context) => this.openTickets(context)
+      }
+    ]);
+    this.service = service;
+  }
+
+  ticketStatus(ticketId) {
+    const ticket = this.service.getTicketById(ticketId);
+    if (!ticket) {
+      return { template: 'ticketNotFound', values: { ticketId } };
+    }
+    return {
+      template: ticket.assigned_to ? 'ticketStatus' : 'ticketStatusUnassigned',
+      values: {
+        ticketId,
+        status: ticket.status,
+        priority: ticket.priority,
+        assignee: ticket.assigned_to,
+        date: ticket.date
+      }
+    };
+  }
+
+  openTickets({ userContext }) {
+    const email = userContext?.email;
+    if (!email) {
+      return null;
+    }
+
+    const tickets = this.service.getTicketsByEmployee(email)
+      .filter(ticket => OPEN_STATUSES.includes(ticket.status));
+    if (tickets.length === 0) {
+      return { template: 'noOpenTickets', values: {} };
+    }
+    return {
+      template: 'openTickets',
+      values: {
+        total: tickets.length,
+        tickets: tickets.map(t => `${t.ticket_id} (${t.status}, ${t.priority})`).join(', ')
+      }
+    };
+  }
+}
@@ -1,18 +1,26 @@
 import { getLogger } from './utils/logger.js';
+import { UsageMeter } from './utils/llm-usage.js';
 import { MCPAgentBase } from './shared/mcp-agent-base.js';
-import { QueryProcessor } from './shared/query-processor.js';
+import { QueryProcessor, stripUserContext } from './shared/query-processor.js';
+import { PIIPlaceholders } from './shared/pii-placeholders.js';
+import { Retriever } from './shared/retriever.js';
 import { ITService } from './service.js';
+import { TicketActions, TICKET_TOOLS } from './ticket-tools.js';
+import { ITIntents } from './intents.js';
 import { config } from './config.js';
 
 class ITAgent extends MCPAgentBase {
   constructor() {
     super(config.name, config.description);
     this.queryProcessor = new QueryProcessor(this.agentName);
+    this.retriever = new Retriever(config.retrieval);
   }
 
   async createService() {
     const service = new ITService();
     await service.init();
+    this.ticketActions = new TicketActions(service);
+    this.intents = new ITIntents(service);
     return service;
   }
 
@@ -153,7 +161,7 @@ ${discussionsText}
         description: 'Handle IT queries with user context information',
         mimeType: 'text/plain'
       },
-      async (uri) => {
+      async (uri, variables, extra) => {
         try {
           const urlObj = new URL(uri.href);
           const query = urlObj.searchParams.get('q');
@@ -165,13 +173,27 @@ ${discussionsText}
             throw new Error('No query parameter provided');
           }
 
-          const response = await this.processQuery(query, provider);
+          const trace = { thinking: [], usage: new UsageMeter() };
+          const pii = new PIIPlaceholders(extra?._meta?.pii);
+          const response = await this.processQuery(query, provider, {
+            userContext: extra?._meta?.userContext,
+            language: extra?._meta?.language,
+            conversation: extra?._meta?.conversation,
+            pii,
+            trace
+          });
 
           return {
             contents: [{
               uri: uri.href,
               text: response
-            }]
+            }],
+            _meta: {
+              thinking: trace.thinking,
+              intent: trace.intent,
+              usage: trace.usage.toJSON(),
+              entities: this.findEntities(pii.restore(`${stripUserContext(query)}\n${response}`))
+            }
           };
         } catch (error) {
           getLogger().error('Query processing error', error);
@@ -188,28 +210,54 @@ ${discussionsText}
     this.resourceManager.logResourceSummary();
   }
 
+  getTools() {
+    return [...super.getTools(), ...TICKET_TOOLS];
+  }
+
+  async executeTool(name, args, extra = {}) {
+    if (this.ticketActions.has(name)) {
+      return await this.ticketActions.execute(name, args, extra.userContext);
+    }
+    return await super.executeTool(name, args, extra);
+  }
+
+  getModelTools() {
+    return TICKET_TOOLS;
+  }
+
   getCapabilities() {
     return config.capabilities;
   }
 
-  canHandle(query) {
-    const keywords = config.keywords;
-    const queryLower = query.toLowerCase();
-
-    let score = 0;
-    keywords.forEach((keyword) => {
-      if (queryLower.includes(keyword.toLowerCase())) {
-        score += 12;
-      }
-    });
+  getRoutingHints() {
+    return { keywords: config.keywords, examples: config.routingExamples };
+  }
 
-    return Math.min(score, 100);
+  canHandle(query) {
+    // A structured question this agent answers exactly is certainly its own
+    if (this.intents?.match(query)) {
+      return 100;
+    }
+    return super.canHandle(query);
   }
 
-  async processQuery(query, providerOverride = null) {
-    this.sendThinkingMessage('Analyzing IT support request...');
+  async processQuery(query, providerOverride = null, { userContext = null, language = 'en', conversation = null, pii = new PIIPlaceholders(), trace = null } = {}) {
+    this.sendThinkingMessage('Analyzing IT support request...', trace);
 
     try {
+      // Tickets are looked up by the actual values; the model only sees their placeholders
+      const lookup = pii.restore(query);
+
+      // Structured questions are answered straight from the ticket database
+      const exact = await this.intents.answer(lookup, { userContext, language });
+      if (exact) {
+        this.sendThinkingMessage(`Answered from ticket records (${exact.intent})`, trace);
+        if (trace) {
+          trace.intent = exact.intent;
+        }
+        return exact.text;
+      }
+
       // Try to extract ticket ID from query (e.g., INC-2025-0120)
       const ticketIdMatch = query.match(/INC-\d{4}-\d{4}/);
       let context = '';
@@ -248,30 +296,74 @@ DISCUSSIONS:
 ${discussionsText}`;
 
           context = ticketDetails;
+          this.sendThinkingMessage(`Loaded ticket ${ticketId} with ${discussions.length} discussion entries`, trace);
         } else {
           context = `Ticket ${ticketId} not found in database`;
         }
       } else {
-        // No specific ticket ID found, provide database listing
+        // No specific ticket ID found, provide statistics plus the most relevant tickets
         const tickets = this.service.getAllTickets();
-        const ticketsText = tickets.map(t =>
-          `${t.ticket_id} | ${t.employee_name} | ${t.status} | ${t.priority} | ${t.category}`
+        const selection = await this.retriever.select(lookup, tickets.map(t => ({
+          id: t.ticket_id,
+          text: [t.ticket_id, t.employee_name, t.employee_email, t.status, t.priority,
+            t.category, t.assigned_to, t.tags, t.description].join(' '),
+          item: t
+        })), { label: 'tickets' });
+        this.sendThinkingMessage(selection.summary, trace);
+
+        const ticketsText = selection.items.map(t =>
+          `${t.ticket_id} | ${t.employee_name} | ${t.status} | ${t.priority} | ${t.category} | ${t.description}`
         ).join('\n');
-        context = `IT Tickets Database (${tickets.length} tickets):\n${ticketsText}`;
+        context = `${this._statisticsSummary()}\n\n` +
+          `Relevant Tickets (${selection.items.length} of ${tickets.length}):\n${ticketsText}`;
       }
 
-      const fullPrompt = `${config.prompt}\n\n${context}\n\nQuestion: ${query}`;
+      const fullPrompt = `${config.prompt}\n\n${pii.tokenize(context)}\n\nQuestion: ${query}`;
 
       getLogger().debug(`Fetched details for tickets: ${fullPrompt}`);
 
-      this.sendThinkingMessage('Querying IT database...');
+      this.sendThinkingMessage('Querying IT database...', trace);
 
-      return await this.queryProcessor.processWithModel(fullPrompt, query, providerOverride);
+      return await this.generateAnswer(fullPrompt, query, providerOverride, {
+        userContext,
+        trace,
+        conversation,
+        pii,
+        maxToolSteps: config.llm.maxToolSteps
+      });
     } catch (error) {
       getLogger().error('IT Agent processing error', error);
       return 'I encountered an error while accessing IT support information. Please try again or contact IT support directly.';
     }
   }
+
+  /**
+   * Tickets named in the text, and their requester and assignee when the text names them too
+   */
+  findEntities(text) {
+    const tickets = [...new Set(text.match(/INC-\d{4}-\d{4}/g) || [])];
+    const lower = text.toLowerCase();
+    const employees = tickets
+      .map(ticketId => this.service.getTicketById(ticketId))
+      .filter(Boolean)
+      .flatMap(ticket => [ticket.employee_name, ticket.assigned_to])
+      .filter(name => name && lower.includes(name.toLowerCase()));
+    return { employees: [...new Set(employees)], tickets };
+  }
+
+  /**
+   * Ticket counts over the whole database, independent of which tickets were retrieved
+   */
+  _statisticsSummary() {
+    const stats = this.service.getStatistics();
+    const format = (rows, key) => rows.map(row => `${row[key]}: ${row.count}`).join(', ') || 'none';
+
+    return `IT Tickets Statistics (${stats.total} tickets in total):
+By status: ${format(stats.byStatus, 'status')}
+By priority: ${format(stats.byPriority, 'priority')}
+By category: ${format(stats.byCategory || [], 'category')}
+By assignee: ${format(stats.byAssignee, 'name')}`;
+  }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -16,8 +16,8 @@ export class ITService {
     }
   }
 
-  getAllTickets() {
-    return this.ticketService?.getAllTickets() || [];
+  getAllTickets(filters = {}) {
+    return this.ticketService?.getAllTickets(filters) || [];
   }
 
   getTicketById(ticketId) {
@@ -33,7 +33,7 @@ export class ITService {
   }
 
   getTicketsByEmployee(employeeEmail) {
-    return this.ticketService?.getTicketsByEmployee(employeeEmail) || [];
+    return this.ticketService?.getTicketsByEmployeeEmail(employeeEmail) || [];
   }
 
   getTicketsByCategory(category) {
@@ -44,6 +44,26 @@ export class ITService {
     return this.ticketService?.getTicketDiscussions(ticketId) || [];
   }
 
+  generateTicketId() {
+    return this.ticketService.generateTicketId();
+  }
+
+  createTicket(data) {
+    return this.ticketService.createTicket(data);
+  }
+
+  updateTicket(ticketId, updates) {
+    return this.ticketService.updateTicket(ticketId, updates);
+  }
+
+  assignTicket(ticketId, technicianName, technicianEmail) {
+    return this.ticketService.assignTicket(ticketId, technicianName, technicianEmail);
+  }
+
+  addDiscussion(ticketId, authorEmail, authorName, content, commentType = 'comment', isInternal = false) {
+    return this.ticketService.addDiscussion(ticketId, authorEmail, authorName, content, commentType, isInternal);
+  }
+
   getStatistics() {
     return this.ticketService?.getStatistics() || {
       total: 0,
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../utils/logger.js';
+import { TicketActions } from '../ticket-tools.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const TECHNICIANS = [
+  { name: 'David Lee', email: 'david.lee@company.com', categories: ['Network', 'Application'] },
+  { name: 'James Wilson', email: 'james.wilson@company.com', categories: ['Hardware', 'Network'] },
+  { name: 'Sandra Brown', email: 'sandra.brown@company.com', categories: ['Printer'] }
+];
+
+const TOM = { email: 'Tom.Lee@company.com', name: 'Tom Lee' };
+const NINA = { email: 'nina.park@company.com', name: 'Nina Park' };
+const DAVID = { email: 'david.lee@company.com' };
+
+/**
+ * Ticket actions over in-memory tickets and discussion
+ * James already has one open ticket, so new Network tickets go to David.
+ */
+function createActions() {
+  const tickets = new Map();
+  const discussion = [];
+  let next = 1;
+  const service = {
+    generateTicketId: () => `INC-2099-${String(next++).padStart(4, '0')}`,
+    createTicket: (ticket) => {
+      tickets.set(ticket.ticket_id, { internal_notes: null, resolution_time: null, ...ticket });
+      return true;
+    },
+    getTicketById: id => (tickets.has(id) ? { ...tickets.get(id) } : null),
+    getAllTickets: filters => [...tickets.values()].filter(ticket => !filters.assigned_to_email || ticket.assigned_to_email === filters.assigned_to_email),
+    updateTicket: (id, updates) => Object.assign(tickets.get(id), updates),
+    assignTicket: (id, name, email) => Object.assign(tickets.get(id), { assigned_to: name, assigned_to_email: email }),
+    addDiscussion: (ticketId, authorEmail, authorName, content, type, internal = false) => {
+      discussion.push({ ticketId, authorEmail, content, type, internal });
+    }
+  };
+
+  service.createTicket({
+    ticket_id: 'INC-2099-0900', employee_email: 'nina.park@company.com', employee_name: 'Nina Park', date: '2099-01-01',
+    status: 'Open', description: 'Dock not detected', priority: 'Low', category: 'Hardware',
+    assigned_to: 'James Wilson', assigned_to_email: 'james.wilson@company.com', internal_notes: 'Replace under warranty'
+  });
+  return { actions: new TicketActions(service, TECHNICIANS), tickets, discussion };
+}
+
+test('tickets are opened in the signed-in user\'s name and go to the least busy technician covering the category', async () => {
+  const { actions, tickets } = createActions();
+
+  const { message, ticket } = await actions.execute('create_ticket', { description: 'VPN drops every hour', category: 'Network', priority: 'High' }, TOM);
+
+  assert.equal(message, 'Ticket INC-2099-0001 created (High priority, Network) and assigned to David Lee.');
+  assert.equal(ticket.employee_email, 'tom.lee@company.com');
+  assert.equal(ticket.employee_name, 'Tom Lee');
+  assert.equal(ticket.status, 'Open');
+  assert.equal('internal_notes' in ticket, false);
+  assert.equal(tickets.get('INC-2099-0001').assigned_to_email, 'david.lee@company.com');
+
+  // Nobody covers Email: the least busy technician overall (first of the idle ones)
+  const { ticket: other } = await actions.execute('create_ticket', { description: 'Mailbox full', category: 'Email', priority: 'Low' }, NINA);
+  assert.equal(other.assigned_to, 'Sandra Brown');
+
+  await assert.rejects(actions.execute('create_ticket', { description: 'Printer jam', category: 'Printer', priority: 'Low' }, null), /Sign-in required to open a ticket/);
+});
+
+test('reporters can comment on, close and reopen only their own tickets', async () => {
+  const { actions, tickets, discussion } = createActions();
+  await actions.execute('create_ticket', { description: 'VPN drops every hour', category: 'Network', priority: 'High' }, TOM);
+
+  await actions.execute('add_ticket_comment', { ticket_id: 'INC-2099-0001', content: 'Still happening' }, TOM);
+  await actions.execute('update_ticket_status', { ticket_id: 'INC-2099-0001', status: 'Closed', note: 'Fixed itself' }, TOM);
+  assert.equal(tickets.get('INC-2099-0001').status, 'Closed');
+  assert.equal(tickets.get('INC-2099-0001').resolution_time, '0 days');
+
+  await actions.execute('update_ticket_status', { ticket_id: 'INC-2099-0001', status: 'Open' }, TOM);
+  assert.equal(tickets.get('INC-2099-0001').resolution_time, null);
+  assert.deepEqual(discussion.map(entry => [entry.type, entry.content]), [
+    ['comment', 'Still happening'],
+    ['status_update', 'Status changed from Open to Closed: Fixed itself'],
+    ['status_update', 'Status changed from Closed to Open']
+  ]);
+
+  await assert.rejects(
+    actions.execute('update_ticket_status', { ticket_id: 'INC-2099-0001', status: 'Resolved' }, TOM),
+    /Only IT technicians can set a ticket to "Resolved"/
+  );
+  await assert.rejects(
+    actions.execute('add_ticket_comment', { ticket_id: 'INC-2099-0001', content: 'Me too', internal: true }, TOM),
+    /Only IT technicians can add internal notes/
+  );
+  await assert.rejects(
+    actions.execute('add_ticket_comment', { ticket_id: 'INC-2099-0001', content: 'Me too' }, NINA),
+    /Ticket INC-2099-0001 was reported by someone else/
+  );
+  await assert.rejects(actions.execute('reassign_ticket', { ticket_id: 'INC-2099-0001', assignee: 'James Wilson' }, TOM), /Only IT technicians can reassign tickets/);
+});
+
+test('technicians reassign any ticket to a known technician and see internal notes', async () => {
+  const { actions, tickets, discussion } = createActions();
+
+  const { message, ticket } = await actions.execute('reassign_ticket', { ticket_id: 'INC-2099-0900', assignee: 'SANDRA.BROWN@company.com', note: 'Dock model' }, DAVID);
+  assert.equal(message, 'Ticket INC-2099-0900 reassigned from James Wilson to Sandra Brown.');
+  assert.equal(ticket.internal_notes, 'Replace under warranty');
+  assert.equal(tickets.get('INC-2099-0900').assigned_to_email, 'sandra.brown@company.com');
+  assert.deepEqual(discussion.at(-1), {
+    ticketId: 'INC-2099-0900', authorEmail: 'david.lee@company.com', content: 'Reassigned from James Wilson to Sandra Brown: Dock model', type: 'assignment', internal: true
+  });
+
+  assert.equal((await actions.execute('reassign_ticket', { ticket_id: 'INC-2099-0900', assignee: 'Sandra Brown' }, DAVID)).message,
+    'Ticket INC-2099-0900 is already assigned to Sandra Brown.');
+  await assert.rejects(actions.execute('reassign_ticket', { ticket_id: 'INC-2099-0900', assignee: 'Tom Lee' }, DAVID), /Unknown technician "Tom Lee"/);
+  await assert.rejects(actions.execute('update_ticket_status', { ticket_id: 'INC-2099-0999', status: 'Closed' }, DAVID), /Ticket INC-2099-0999 not found/);
+
+  const { tickets: found } = await actions.execute('search_tickets', {}, NINA);
+  assert.equal('internal_notes' in found[0], false);
+});
@@ -116,6 +116,17 @@ class TicketService {
     };
   }
 
+  /**
+   * Next free ticket ID for a year, e.g. INC-2025-0159
+   */
+  generateTicketId(year = new Date().getFullYear()) {
+    const prefix = `INC-${year}-`;
+    const row = this.db.get(`
+      SELECT MAX(CAST(SUBSTR(ticket_id, ?) AS INTEGER)) as last FROM tickets WHERE ticket_id LIKE ?
+    `, [prefix.length + 1, `${prefix}%`]);
+    return prefix + String((row?.last || 0) + 1).padStart(4, '0');
+  }
+
   /**
    * Create new ticket
    */
@@ -176,8 +187,12 @@ class TicketService {
   /**
    * Assign ticket to technician
    */
-  assignTicket(ticketId, technician) {
-    return this.updateTicket(ticketId, { assigned_to: technician });
+  assignTicket(ticketId, technician, technicianEmail = null) {
+    const updates = { assigned_to: technician };
+    if (technicianEmail) {
+      updates.assigned_to_email = technicianEmail;
+    }
+    return this.updateTicket(ticketId, updates);
   }
 
   /**
@@ -296,6 +311,16 @@ class TicketService {
       params.push(filters.employee_name);
     }
 
+    if (filters.employee_email) {
+      sql += ' AND employee_email = ?';
+      params.push(filters.employee_email);
+    }
+
+    if (filters.assigned_to_email) {
+      sql += ' AND assigned_to_email = ?';
+      params.push(filters.assigned_to_email);
+    }
+
     if (filters.search) {
       sql += ' AND (description LIKE ? OR tags LIKE ?)';
       const searchTerm = `%${filters.search}%`;
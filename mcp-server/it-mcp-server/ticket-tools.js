@@ -0,0 +1,317 @@
+import { getLogger } from './utils/logger.js';
+import { config } from './config.js';
+
+export const STATUSES = ['Open', 'In progress', 'Resolved', 'Closed'];
+export const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+const TICKET_ID = {
+  type: 'string',
+  description: 'Ticket ID, e.g. INC-2025-0120',
+  pattern: '^INC-\\d{4}-\\d{4}$'
+};
+
+/**
+ * Ticket tool definitions, in MCP tools/list format
+ */
+export const TICKET_TOOLS = [
+  {
+    name: 'create_ticket',
+    description: 'Open a new IT support ticket on behalf of the current user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', description: 'What the problem is', minLength: 5 },
+        category: { type: 'string', enum: config.categories, description: 'Issue category' },
+        priority: { type: 'string', enum: PRIORITIES, default: 'Medium', description: 'How urgent the issue is' },
+        tags: { type: 'string', description: 'Comma-separated tags, e.g. "vpn,remote"' }
+      },
+      required: ['description', 'category']
+    }
+  },
+  {
+    name: 'add_ticket_comment',
+    description: 'Add a comment to a ticket, or an internal note (technicians only)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticket_id: TICKET_ID,
+        content: { type: 'string', description: 'Comment text', minLength: 1 },
+        internal: { type: 'boolean', default: false, description: 'Internal note hidden from the reporter' }
+      },
+      required: ['ticket_id', 'content']
+    }
+  },
+  {
+    name: 'update_ticket_status',
+    description: 'Change the status of a ticket (reporters can only close or reopen their own tickets)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticket_id: TICKET_ID,
+        status: { type: 'string', enum: STATUSES, description: 'New status' },
+        note: { type: 'string', description: 'Optional explanation added to the ticket history' }
+      },
+      required: ['ticket_id', 'status']
+    }
+  },
+  {
+    name: 'reassign_ticket',
+    description: 'Reassign a ticket to another IT technician (technicians only)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticket_id: TICKET_ID,
+        assignee: { type: 'string', description: 'Technician name or email' },
+        note: { type: 'string', description: 'Optional reason added to the ticket history' }
+      },
+      required: ['ticket_id', 'assignee']
+    }
+  },
+  {
+    name: 'search_tickets',
+    description: 'Search tickets by text and filters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to find in the description or tags' },
+        status: { type: 'string', enum: STATUSES },
+        priority: { type: 'string', enum: PRIORITIES },
+        category: { type: 'string', enum: config.categories },
+        employee_email: { type: 'string', description: 'Reporter email' },
+        assigned_to_email: { type: 'string', description: 'Technician email' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+      }
+    }
+  }
+];
+
+/**
+ * IT ticket actions behind the ticket tools
+ *
+ * The acting user comes from the gateway-provided userContext, never from tool
+ * arguments, so tickets can't be filed or edited in someone else's name.
+ * Any identified employee can open tickets; reporters can comment on, close and
+ * reopen their own tickets; technicians can do everything on any ticket.
+ */
+export class TicketActions {
+  constructor(service, technicians = config.technicians) {
+    this.service = service;
+    this.technicians = technicians;
+  }
+
+  has(name) {
+    return TICKET_TOOLS.some(tool => tool.name === name);
+  }
+
+  /**
+   * Run a ticket tool with already-validated arguments
+   * Returns { message, ...data }; throws when the action is not allowed or fails.
+   */
+  async execute(name, args, userContext) {
+    const actor = this.resolveActor(userContext);
+
+    switch (name) {
+      case 'create_ticket':
+        return this.createTicket(args, actor);
+      case 'add_ticket_comment':
+        return this.addComment(args, actor);
+      case 'update_ticket_status':
+        return this.updateStatus(args, actor);
+      case 'reassign_ticket':
+        return this.reassign(args, actor);
+      case 'search_tickets':
+        return this.search(args, actor);
+      default:
+        throw new Error(`Unknown ticket tool: ${name}`);
+    }
+  }
+
+  /**
+   * Acting user from userContext, or null when anonymous
+   */
+  resolveActor(userContext) {
+    const email = userContext?.email?.toLowerCase();
+    if (!email) {
+      return null;
+    }
+
+    const technician = this._findTechnician(email);
+    return {
+      email,
+      name: userContext.name || technician?.name || email.split('@')[0],
+      isTechnician: Boolean(technician)
+    };
+  }
+
+  createTicket({ description, category, priority, tags }, actor) {
+    this._requireActor(actor, 'open a ticket');
+
+    const technician = this._pickTechnician(category);
+    const ticketId = this.service.generateTicketId();
+    const created = this.service.createTicket({
+      ticket_id: ticketId,
+      employee_email: actor.email,
+      employee_name: actor.name,
+      date: new Date().toISOString().slice(0, 10),
+      status: 'Open',
+      description,
+      priority,
+      category,
+      assigned_to_email: technician.email,
+      assigned_to: technician.name,
+      tags
+    });
+    if (!created) {
+      throw new Error('The ticket could not be saved');
+    }
+
+    getLogger().info(`Ticket ${ticketId} created by ${actor.email}, assigned to ${technician.email}`);
+    return {
+      message: `Ticket ${ticketId} created (${priority} priority, ${category}) and assigned to ${technician.name}.`,
+      ticket: this._view(this.service.getTicketById(ticketId), actor)
+    };
+  }
+
+  addComment({ ticket_id: ticketId, content, internal }, actor) {
+    const ticket = this._getEditableTicket(ticketId, actor);
+    if (internal && !actor.isTechnician) {
+      throw new Error('Only IT technicians can add internal notes');
+    }
+
+    this.service.addDiscussion(ticket.ticket_id, actor.email, actor.name, content,
+      internal ? 'internal_note' : 'comment', internal);
+    this.service.updateTicket(ticket.ticket_id, {});
+
+    getLogger().info(`${internal ? 'Internal note' : 'Comment'} added to ${ticket.ticket_id} by ${actor.email}`);
+    return {
+      message: `${internal ? 'Internal note' : 'Comment'} added to ticket ${ticket.ticket_id}.`,
+      ticket_id: ticket.ticket_id
+    };
+  }
+
+  updateStatus({ ticket_id: ticketId, status, note }, actor) {
+    const ticket = this._getEditableTicket(ticketId, actor);
+    if (!actor.isTechnician && !['Open', 'Closed'].includes(status)) {
+      throw new Error(`Only IT technicians can set a ticket to "${status}"; you can close or reopen your own ticket`);
+    }
+    if (ticket.status === status) {
+      return { message: `Ticket ${ticket.ticket_id} is already ${status}.`, ticket: this._view(ticket, actor) };
+    }
+
+    const updates = { status };
+    if (status === 'Resolved' || status === 'Closed') {
+      if (!ticket.resolution_time) {
+        const days = Math.max(0, Math.round((Date.now() - Date.parse(ticket.date)) / 86400000));
+        updates.resolution_time = `${days} days`;
+      }
+    } else {
+      updates.resolution_time = null;
+    }
+
+    this.service.updateTicket(ticket.ticket_id, updates);
+    this.service.addDiscussion(ticket.ticket_id, actor.email, actor.name,
+      `Status changed from ${ticket.status} to ${status}${note ? `: ${note}` : ''}`, 'status_update');
+
+    getLogger().info(`Ticket ${ticket.ticket_id} status ${ticket.status} -> ${status} by ${actor.email}`);
+    return {
+      message: `Ticket ${ticket.ticket_id} status changed from ${ticket.status} to ${status}.`,
+      ticket: this._view(this.service.getTicketById(ticket.ticket_id), actor)
+    };
+  }
+
+  reassign({ ticket_id: ticketId, assignee, note }, actor) {
+    const ticket = this._getEditableTicket(ticketId, actor);
+    if (!actor.isTechnician) {
+      throw new Error('Only IT technicians can reassign tickets');
+    }
+
+    const technician = this._findTechnician(assignee);
+    if (!technician) {
+      throw new Error(`Unknown technician "${assignee}". Technicians: ${this.technicians.map(t => t.name).join(', ')}`);
+    }
+    if (technician.email === ticket.assigned_to_email) {
+      return { message: `Ticket ${ticket.ticket_id} is already assigned to ${technician.name}.`, ticket: this._view(ticket, actor) };
+    }
+
+    this.service.assignTicket(ticket.ticket_id, technician.name, technician.email);
+    this.service.addDiscussion(ticket.ticket_id, actor.email, actor.name,
+      `Reassigned from ${ticket.assigned_to} to ${technician.name}${note ? `: ${note}` : ''}`, 'assignment', true);
+
+    getLogger().info(`Ticket ${ticket.ticket_id} reassigned to ${technician.email} by ${actor.email}`);
+    return {
+      message: `Ticket ${ticket.ticket_id} reassigned from ${ticket.assigned_to} to ${technician.name}.`,
+      ticket: this._view(this.service.getTicketById(ticket.ticket_id), actor)
+    };
+  }
+
+  search({ query, status, priority, category, employee_email: employeeEmail, assigned_to_email: assigneeEmail, limit }, actor) {
+    const tickets = this.service.getAllTickets({
+      search: query,
+      status,
+      priority,
+      category,
+      employee_email: employeeEmail,
+      assigned_to_email: assigneeEmail,
+      limit
+    });
+
+    return {
+      message: `${tickets.length} ticket${tickets.length === 1 ? '' : 's'} found.`,
+      tickets: tickets.map(ticket => this._view(ticket, actor))
+    };
+  }
+
+  _requireActor(actor, action) {
+    if (!actor) {
+      throw new Error(`Sign-in required to ${action}`);
+    }
+  }
+
+  /**
+   * Load a ticket the actor may change: technicians any, employees their own
+   */
+  _getEditableTicket(ticketId, actor) {
+    this._requireActor(actor, 'change tickets');
+
+    const ticket = this.service.getTicketById(ticketId);
+    if (!ticket) {
+      throw new Error(`Ticket ${ticketId} not found`);
+    }
+    if (!actor.isTechnician && ticket.employee_email.toLowerCase() !== actor.email) {
+      throw new Error(`Ticket ${ticketId} was reported by someone else; only its reporter and IT technicians can change it`);
+    }
+    return ticket;
+  }
+
+  _findTechnician(nameOrEmail) {
+    const key = String(nameOrEmail).trim().toLowerCase();
+    return this.technicians.find(t => t.email.toLowerCase() === key || t.name.toLowerCase() === key);
+  }
+
+  /**
+   * Least busy technician covering the category, or least busy overall
+   */
+  _pickTechnician(category) {
+    const covering = this.technicians.filter(t => t.categories.includes(category));
+    const candidates = covering.length > 0 ? covering : this.technicians;
+
+    const activeCount = technician => this.service.getAllTickets({ assigned_to_email: technician.email })
+      .filter(ticket => ticket.status === 'Open' || ticket.status === 'In progress').length;
+
+    return candidates
+      .map(technician => ({ technician, active: activeCount(technician) }))
+      .reduce((best, entry) => (entry.active < best.active ? entry : best))
+      .technician;
+  }
+
+  /**
+   * Ticket as returned to callers - internal notes are for technicians only
+   */
+  _view(ticket, actor) {
+    if (actor?.isTechnician) {
+      return ticket;
+    }
+    const { internal_notes: internalNotes, ...visible } = ticket;
+    return visible;
+  }
+}
@@ -34,7 +34,7 @@ class CoordinatorClient {
   /**
    * Register this agent with the coordinator
    */
-  async register(agentUrl, capabilities, LLMProviders = []) {
+  async register(agentUrl, capabilities, LLMProviders = [], routing = {}) {
     const isAvailable = await this.checkAvailability();
     if (!isAvailable) {
       throw new Error('Coordinator is not available');
@@ -46,7 +46,8 @@ class CoordinatorClient {
       description: this.agentDescription,
       url: agentUrl,
       capabilities,
-      LLMProviders
+      LLMProviders,
+      routing
     };
 
     getLogger().info(`Registering with coordinator at ${this.config.coordinator.url}...`);
@@ -0,0 +1,83 @@
+/**
+ * Intent matcher for agents
+ * Recognises structured questions ("what's my remaining leave", "status of INC-2025-0120")
+ * and answers them from the agent's own records with a localized template, so the LLM
+ * is only used for open-ended questions.
+ */
+import { getLogger } from '../utils/logger.js';
+import { t } from '../utils/i18n.js';
+import { stripUserContext } from './query-processor.js';
+
+/**
+ * Lowercase the query and drop politeness and trailing punctuation, so patterns
+ * can be anchored to the whole question
+ */
+function normalize(query) {
+  return stripUserContext(query)
+    .toLowerCase()
+    .replace(/[’‘]/g, '\'')
+    .replace(/\b(please|pls|kindly)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,]+|[\s?!.,]+$/g, '')
+    .trim();
+}
+
+class IntentMatcher {
+  /**
+   * @param {string} agentName - Templates are looked up under intents.<agentName> in backend.json
+   * @param {Array} intents - { name, patterns: RegExp[], resolve(slots, context) }
+   *   Patterns are matched against the whole normalized query and capture slots as
+   *   named groups. resolve returns { template, values } for the answer, or null to
+   *   leave the query to the LLM.
+   */
+  constructor(agentName, intents) {
+    this.agentName = agentName;
+    this.intents = intents;
+  }
+
+  /**
+   * First intent whose pattern matches the query
+   * @returns {{ intent: string, slots: Object }|null}
+   */
+  match(query) {
+    const text = normalize(query);
+    for (const intent of this.intents) {
+      for (const pattern of intent.patterns) {
+        const found = text.match(pattern);
+        if (found) {
+          return { intent: intent.name, slots: { ...found.groups } };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Answer the query deterministically when it matches an intent
+   * @param {Object} context - Passed to resolve; context.language selects the template language
+   * @returns {Promise<{ intent: string, text: string }|null>} null when the LLM should answer
+   */
+  async answer(query, context = {}) {
+    const matched = this.match(query);
+    if (!matched) {
+      return null;
+    }
+
+    const intent = this.intents.find(i => i.name === matched.intent);
+    const result = await intent.resolve(matched.slots, context);
+    if (!result) {
+      getLogger().debug(`Intent ${matched.intent} matched but has no answer; using the LLM`);
+      return null;
+    }
+
+    const key = `intents.${this.agentName}.${result.template}`;
+    const text = await t(key, { lng: context.language || 'en', ...result.values });
+    if (!text || text === key) {
+      getLogger().warn(`No template for ${key}; using the LLM`);
+      return null;
+    }
+    return { intent: matched.intent, text };
+  }
+}
+
+export { IntentMatcher };
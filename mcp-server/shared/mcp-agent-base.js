@@ -9,6 +9,9 @@ import { ConfigManager } from './config.js';
 import { CoordinatorClient } from './coordinator-client.js';
 import { MCPTransportManager } from './transport-manager.js';
 import { ResourceManager } from './resource-manager.js';
+import { validateArguments } from './tool-validator.js';
+import { PIIPlaceholders } from './pii-placeholders.js';
+import { keywordScore } from '../utils/text-scoring.js';
 
 class MCPAgentBase {
   constructor(agentName, agentDescription) {
@@ -207,11 +210,33 @@ class MCPAgentBase {
 
   /**
    * Handle tool calls
+   * Arguments are validated against the tool's inputSchema before dispatch;
+   * extra.userContext identifies the requester (from the request's _meta).
    */
-  async handleToolCall(name, args) {
+  async handleToolCall(name, args, extra = {}) {
+    const tool = this.getTools().find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const { valid, errors, values } = validateArguments(tool.inputSchema, args);
+    if (!valid) {
+      throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+
+    return await this.executeTool(name, values, extra);
+  }
+
+  /**
+   * Execute a validated tool call - subclasses add their own tools and fall back to this
+   */
+  async executeTool(name, args, extra = {}) {
     switch (name) {
       case 'process_query':
-        return await this.processQuery(args.query, args.context || {});
+        return await this.processQuery(args.query, null, {
+          userContext: extra.userContext,
+          language: args.context?.language
+        });
 
       case 'get_capabilities':
         return {
@@ -233,6 +258,66 @@ class MCPAgentBase {
     }
   }
 
+  /**
+   * Tools the model may call while answering a query - none by default
+   * Subclasses return a subset of getTools(); calls go through handleToolCall.
+   */
+  getModelTools() {
+    return [];
+  }
+
+  /**
+   * Answer a query with the LLM, letting it call getModelTools() when there are any
+   * Tool calls run as the requester (userContext) and each step is reported as a
+   * thinking message on the request trace; model usage is added to trace.usage.
+   * With personal data placeholders (pii), tools get the actual values and the model
+   * gets their results with placeholders.
+   */
+  async generateAnswer(systemPrompt, query, providerOverride = null, { userContext = null, trace = null, maxToolSteps, conversation = null, pii = new PIIPlaceholders() } = {}) {
+    const conversationSection = pii.tokenize(this.describeConversation(conversation));
+    if (conversationSection) {
+      systemPrompt = `${systemPrompt}\n\n${conversationSection}`;
+    }
+
+    const tools = this.getModelTools();
+    if (tools.length === 0) {
+      return await this.queryProcessor.processWithModel(systemPrompt, query, providerOverride, { usage: trace?.usage });
+    }
+
+    return await this.queryProcessor.processWithTools(systemPrompt, query, {
+      provider: providerOverride,
+      tools,
+      executeTool: async (name, args) => pii.tokenize(await this.handleToolCall(name, pii.restore(args), { userContext })),
+      onStep: message => this.sendThinkingMessage(message, trace),
+      maxSteps: maxToolSteps,
+      usage: trace?.usage
+    });
+  }
+
+  /**
+   * Prompt section naming what the conversation has been about (request _meta.conversation),
+   * so the model can tell who "he" or which ticket "it" is
+   */
+  describeConversation(conversation) {
+    const lines = [];
+    if (conversation?.employees?.length > 0) {
+      lines.push(`Employees discussed recently (most recent first): ${conversation.employees.join(', ')}`);
+    }
+    if (conversation?.tickets?.length > 0) {
+      lines.push(`Tickets discussed recently (most recent first): ${conversation.tickets.join(', ')}`);
+    }
+    return lines.length > 0 ? `CONVERSATION SO FAR:\n${lines.join('\n')}` : '';
+  }
+
+  /**
+   * Entities a query and its answer are about, reported to the gateway (result
+   * _meta.entities) for its conversation state - none by default
+   * @returns {{ employees?: string[], tickets?: string[] }|undefined}
+   */
+  findEntities(text) {
+    return undefined;
+  }
+
   /**
    * Abstract methods to be implemented by subclasses
    */
@@ -264,8 +349,19 @@ class MCPAgentBase {
     };
   }
 
+  /**
+   * Keywords and labelled example queries sent to the gateway's router at registration
+   */
+  getRoutingHints() {
+    return { keywords: [], examples: [] };
+  }
+
+  /**
+   * 0-100 estimate from whole-word matches of the routing keywords - the same keyword
+   * score the gateway router combines with its classifier
+   */
   canHandle(query, context = {}) {
-    return 0;
+    return keywordScore(query, this.getRoutingHints().keywords);
   }
 
   /**
@@ -289,10 +385,14 @@ class MCPAgentBase {
 
   /**
    * Send thinking message
+   * When a request trace is given the message is also recorded on it, so the query
+   * resource can hand it back to the gateway (result _meta.thinking) for the user's stream.
    */
-  sendThinkingMessage(message) {
+  sendThinkingMessage(message, trace = null) {
+    const tagged = `[${this.agentName.toUpperCase()}] ${message}`;
+    trace?.thinking?.push(tagged);
     if (this.streamThinkingCallback) {
-      this.streamThinkingCallback(`[${this.agentName.toUpperCase()}] ${message}`);
+      this.streamThinkingCallback(tagged);
     }
   }
 
@@ -353,7 +453,7 @@ class MCPAgentBase {
       // Get llm providers if available
       const LLMProviders = this.getLLMProviders ? this.getLLMProviders() : [];
       
-      await this.coordinatorClient.register(agentUrl, this.getCapabilities(), LLMProviders);
+      await this.coordinatorClient.register(agentUrl, this.getCapabilities(), LLMProviders, this.getRoutingHints());
       getLogger().debug('Agent registered with coordinator');
 
       // Start heartbeat to maintain registration
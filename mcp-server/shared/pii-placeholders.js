@@ -0,0 +1,81 @@
+/**
+ * Personal data placeholders on the agent side
+ *
+ * In phase 3 the gateway sends queries with personal data swapped for placeholders such as
+ * [EMAIL_1] (see mcp-gateway/pii-vault.js), and the values they stand for in _meta.pii.
+ * The model only sees placeholders: the values are put back where a record is looked up
+ * by them (intents, retrieval, tool arguments), and the known values in the records and
+ * tool results given to the model become their placeholders, so "[NAME_1]" in the
+ * question and that employee's record still refer to the same person.
+ */
+const PLACEHOLDER = /^\[(EMAIL|IBAN|PHONE|NAME)_\d+\]$/;
+const TOKEN = /\[(?:EMAIL|IBAN|PHONE|NAME)_\d+\]/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Spellings of a value the gateway vault treats as the same value
+const SPELLINGS = {
+  EMAIL: value => escapeRegExp(value),
+  IBAN: value => [...value.replace(/\s/g, '')].map(escapeRegExp).join('\\s?'),
+  PHONE: value => `\\+?${value.replace(/\D/g, '').split('').join('[\\s.()-]*')}`,
+  NAME: value => escapeRegExp(value.trim()).replace(/\s+/g, '\\s+')
+};
+
+/**
+ * Apply a string transformation to a string, or to the strings of an object or array
+ */
+function mapStrings(value, transform) {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, transform));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+  return value;
+}
+
+export class PIIPlaceholders {
+  /**
+   * @param {Object<string, string>} [values] - Placeholder -> value, e.g. request _meta.pii
+   */
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values || {})
+      .filter(([placeholder, value]) => PLACEHOLDER.test(placeholder) && typeof value === 'string' && value.trim()));
+    // Longest value first, so "Anna Maria Lopez" wins over "Maria Lopez"
+    this.patterns = [...this.values]
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([placeholder, value]) => ({
+        placeholder,
+        pattern: new RegExp(`(?<![\\p{L}\\d])${SPELLINGS[PLACEHOLDER.exec(placeholder)[1]](value)}(?![\\p{L}\\d])`, 'giu')
+      }));
+  }
+
+  get size() {
+    return this.values.size;
+  }
+
+  /**
+   * Put the values back, in a string or the strings of tool arguments
+   */
+  restore(value) {
+    if (this.size === 0) {
+      return value;
+    }
+    return mapStrings(value, text => text.replace(TOKEN, placeholder => this.values.get(placeholder) ?? placeholder));
+  }
+
+  /**
+   * Replace the known values with their placeholders, in a string or the strings of a tool result
+   */
+  tokenize(value) {
+    if (this.size === 0) {
+      return value;
+    }
+    return mapStrings(value, text => this.patterns.reduce((tokenized, { placeholder, pattern }) => tokenized.replace(pattern, placeholder), text));
+  }
+}
@@ -5,7 +5,20 @@ import { getLogger } from '../utils/logger.js';
 import { LLMProviderFactory } from '../utils/llm-provider.js';
 import { ConfigManager } from './config.js';
 
+// The coordinator appends "[User context: ...]" to every query it forwards
+const USER_CONTEXT_SUFFIX = /\n?\[User context:[^\]]*\]\s*$/;
+
+/**
+ * Remove the coordinator's user context line, leaving what the user actually asked
+ */
+function stripUserContext(query) {
+  return String(query ?? '').replace(USER_CONTEXT_SUFFIX, '');
+}
+
 class QueryProcessor {
+  // Providers whose model rejected native tool calls; they use the prompted protocol
+  static promptedToolProviders = new Set();
+
   constructor(agentName) {
     this.agentName = agentName;
     this.config = ConfigManager.getConfig();
@@ -14,8 +27,10 @@ class QueryProcessor {
 
   /**
    * Process query using LLM provider with optional provider override
+   * @param {Object} [options]
+   * @param {UsageMeter} [options.usage] - Receives the provider-reported usage of the call
    */
-  async processWithModel(systemPrompt, query, provider = null) {
+  async processWithModel(systemPrompt, query, provider = null, { usage = null } = {}) {
     getLogger().debug('Processing query with LLM provider...');
 
     try {
@@ -28,8 +43,9 @@ class QueryProcessor {
         provider
       });
 
+      usage?.add(result.model, result.usage);
       getLogger().debug(`Response length: ${result.response.length} characters`);
-      getLogger().debug(`Tokens - Prompt: ${result.usage?.prompt_tokens}, Completion: ${result.usage?.completion_tokens}`);
+      getLogger().debug(`Tokens - Prompt: ${result.usage?.promptTokens}, Completion: ${result.usage?.completionTokens}`);
       getLogger().debug('Query processed successfully');
 
       return result.response;
@@ -39,6 +55,154 @@ class QueryProcessor {
     }
   }
 
+  /**
+   * Process query with tools the model can call
+   *
+   * Bounded loop: the model either calls tools, whose results are fed back for the
+   * next turn, or answers. Native function calling is used when the provider's model
+   * supports it; otherwise tools are described in the prompt and the model replies
+   * with JSON. If the step budget runs out, the model answers from what it gathered.
+   *
+   * @param {object} options
+   * @param {Array} options.tools - Tool definitions ({ name, description, inputSchema })
+   * @param {Function} options.executeTool - async (name, args) => result; throw to report a failure
+   * @param {Function} options.onStep - Receives a short description of each step
+   * @param {number} options.maxSteps - Maximum number of model turns that may call tools
+   * @param {UsageMeter} [options.usage] - Receives the provider-reported usage of every turn
+   */
+  async processWithTools(systemPrompt, query, { provider = null, tools = [], executeTool, onStep = () => {}, maxSteps = 5, usage = null } = {}) {
+    const messages = [{ role: 'user', content: query }];
+
+    for (let step = 1; step <= maxSteps; step++) {
+      const turn = await this._toolTurn(systemPrompt, messages, tools, provider, usage);
+      if (turn.toolCalls.length === 0) {
+        getLogger().debug(`Tool loop finished after ${step} step(s)`);
+        return turn.response;
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: turn.response || null,
+        tool_calls: turn.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      });
+
+      for (const call of turn.toolCalls) {
+        onStep(`Step ${step}: calling ${call.name} ${JSON.stringify(call.arguments)}`);
+        let content;
+        try {
+          const result = await executeTool(call.name, call.arguments);
+          content = typeof result === 'string' ? result : JSON.stringify(result);
+          onStep(`Step ${step}: ${call.name} → ${result?.message || 'done'}`);
+        } catch (error) {
+          content = `Error: ${error.message}`;
+          onStep(`Step ${step}: ${call.name} failed: ${error.message}`);
+        }
+        messages.push({ role: 'tool', tool_call_id: call.id, name: call.name, content });
+      }
+    }
+
+    getLogger().warn(`Tool loop hit the ${maxSteps}-step limit, answering without tools`);
+    onStep(`Step limit reached (${maxSteps}), answering with the results so far`);
+    return await this.processWithModel(
+      `${systemPrompt}\n\nYou can no longer call tools. Answer using the tool results below.`,
+      this._renderTranscript(messages),
+      provider,
+      { usage }
+    );
+  }
+
+  /**
+   * One model turn, natively or through the prompted fallback
+   */
+  async _toolTurn(systemPrompt, messages, tools, provider, usage = null) {
+    const providerKey = provider || 'default';
+
+    if (!QueryProcessor.promptedToolProviders.has(providerKey)) {
+      try {
+        const turn = await LLMProviderFactory.generateWithTools(messages, {
+          system: systemPrompt,
+          tools,
+          temperature: 0.3,
+          maxTokens: 2000,
+          provider
+        });
+        usage?.add(turn.model, turn.usage);
+        return turn;
+      } catch (error) {
+        if (error.code !== 'TOOLS_UNSUPPORTED') {
+          throw error;
+        }
+        getLogger().warn(`Provider ${providerKey} has no native tool calling, switching to prompted tools: ${error.message}`);
+        QueryProcessor.promptedToolProviders.add(providerKey);
+      }
+    }
+
+    return await this._promptedToolTurn(systemPrompt, messages, tools, provider, usage);
+  }
+
+  /**
+   * Tool turn for models without function calling: tools are described in the
+   * system prompt and a JSON reply naming a listed tool counts as a call
+   */
+  async _promptedToolTurn(systemPrompt, messages, tools, provider, usage = null) {
+    const toolList = tools
+      .map(t => `- ${t.name}: ${t.description}\n  arguments (JSON schema): ${JSON.stringify(t.inputSchema)}`)
+      .join('\n');
+    const instructions = `TOOLS:
+${toolList}
+
+To call a tool, reply with ONLY this JSON and nothing else:
+{"tool": "<tool name>", "arguments": { ... }}
+Call one tool at a time. Tool results are shown in the conversation.
+When no tool is needed, or you have the results you need, reply with your final answer as plain text.`;
+
+    const { response, usage: callUsage, model } = await LLMProviderFactory.generateText(this._renderTranscript(messages), {
+      system: `${systemPrompt}\n\n${instructions}`,
+      temperature: 0.3,
+      maxTokens: 2000,
+      provider
+    });
+    usage?.add(model, callUsage);
+
+    const json = response.match(/\{[\s\S]*\}/)?.[0];
+    if (json) {
+      try {
+        const call = JSON.parse(json);
+        if (tools.some(t => t.name === call.tool)) {
+          return {
+            response: '',
+            toolCalls: [{ id: `call_${messages.length}`, name: call.tool, arguments: call.arguments || {} }]
+          };
+        }
+      } catch (error) {
+        getLogger().debug(`Prompted tool reply is not a tool call: ${error.message}`);
+      }
+    }
+
+    return { response, toolCalls: [] };
+  }
+
+  /**
+   * Render a tool conversation as plain text for single-prompt calls
+   */
+  _renderTranscript(messages) {
+    return messages.map((message) => {
+      if (message.role === 'tool') {
+        return `Tool result (${message.name}): ${message.content}`;
+      }
+      if (message.tool_calls) {
+        return message.tool_calls
+          .map(call => `Tool call: ${call.function.name} ${call.function.arguments}`)
+          .join('\n');
+      }
+      return `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`;
+    }).join('\n\n');
+  }
+
   /**
    * Get available llm providers
    */
@@ -53,4 +217,4 @@ class QueryProcessor {
   }
 }
 
-export { QueryProcessor };
+export { QueryProcessor, stripUserContext };
@@ -60,33 +60,59 @@ class ResourceManager {
    * Get handler for a resource URI
    */
   getHandler(uri) {
+    return this.matchResource(uri)?.handler || null;
+  }
+
+  /**
+   * Find the handler for a resource URI along with its template variables
+   * e.g. "hr://employees/jane%40company.com/profile" -> { employeeId: 'jane@company.com' }
+   */
+  matchResource(uri) {
     // Try exact match first
     if (this.handlers.has(uri)) {
-      return this.handlers.get(uri);
+      return { handler: this.handlers.get(uri), variables: {} };
     }
-    
+
     // Try template matching
     for (const [templateUri, handler] of this.handlers.entries()) {
-      if (this._uriMatchesTemplate(templateUri, uri)) {
-        return handler;
+      const variables = this._matchTemplate(templateUri, uri);
+      if (variables) {
+        return { handler, variables };
       }
     }
-    
+
     return null;
   }
 
   /**
-   * Check if URI matches a template pattern
+   * Match a URI against a template and extract its path variables
+   * Supports "{name}" path segments and a trailing "{?a,b}" query expansion.
+   * Returns null when the URI doesn't match.
    */
-  _uriMatchesTemplate(template, uri) {
-    if (template === uri) return true;
-    
-    // Simple template matching for patterns like "hr://employees/{employeeId}/profile"
+  _matchTemplate(template, uri) {
+    if (template === uri) return {};
+
+    const names = [];
     const regexPattern = template
-      .replace(/\{[^}]+\}/g, '[^/]+');
-    
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(uri);
+      .split(/(\{[^}]+\})/)
+      .map((part) => {
+        if (part.startsWith('{?')) return '(?:\\?.*)?';
+        if (part.startsWith('{')) {
+          names.push(part.slice(1, -1).replace(/\*$/, ''));
+          return '([^/?]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    const match = new RegExp(`^${regexPattern}$`).exec(uri);
+    if (!match) return null;
+
+    const variables = {};
+    names.forEach((name, i) => {
+      variables[name] = decodeURIComponent(match[i + 1]);
+    });
+    return variables;
   }
 
   /**
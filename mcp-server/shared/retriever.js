@@ -0,0 +1,234 @@
+/**
+ * Retrieval utilities for agents
+ * Ranks records (employees, tickets, policy sections) against a query so only the
+ * most relevant ones are put into the prompt instead of the whole dataset.
+ */
+import axios from 'axios';
+import { getLogger } from '../utils/logger.js';
+import { stripUserContext } from './query-processor.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does',
+  'for', 'from', 'give', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'in', 'is', 'it',
+  'its', 'list', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'show', 'she', 'tell',
+  'that', 'the', 'their', 'them', 'there', 'these', 'they', 'this', 'to', 'us', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase, accent-free terms, dropping stopwords
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Okapi BM25 keyword index over a fixed set of documents
+ */
+class BM25Index {
+  constructor(texts, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = texts.map((text) => {
+      const terms = tokenize(text);
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { length: terms.length, frequencies };
+    });
+
+    const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+
+    this.documentFrequency = new Map();
+    this.documents.forEach((doc) => {
+      for (const term of doc.frequencies.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+    });
+  }
+
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score every document against the query, in document order
+   */
+  score(query) {
+    const terms = [...new Set(tokenize(query))];
+
+    return this.documents.map((doc) => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.frequencies.get(term);
+        if (!tf) continue;
+        const norm = 1 - this.b + this.b * (doc.length / (this.averageLength || 1));
+        score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+      }
+      return score;
+    });
+  }
+}
+
+/**
+ * Local embeddings served by Ollama (/api/embed)
+ * Vectors are cached by text, so unchanged records are embedded once.
+ */
+class OllamaEmbedder {
+  constructor({ url, model, timeout = 10000, maxCacheSize = 5000 }) {
+    this.url = url.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+    this.maxCacheSize = maxCacheSize;
+    this.cache = new Map();
+  }
+
+  /**
+   * Create an embedder from RETRIEVAL_EMBEDDING_MODEL / OLLAMA_SERVER_URL, or null when not configured
+   */
+  static fromEnv() {
+    const model = process.env.RETRIEVAL_EMBEDDING_MODEL;
+    const url = process.env.RETRIEVAL_EMBEDDING_URL || process.env.OLLAMA_SERVER_URL;
+    if (!model || !url) {
+      return null;
+    }
+    return new OllamaEmbedder({ url, model });
+  }
+
+  get name() {
+    return `ollama:${this.model}`;
+  }
+
+  async embed(texts) {
+    const missing = [...new Set(texts.filter(text => !this.cache.has(text)))];
+
+    if (missing.length > 0) {
+      const response = await axios.post(`${this.url}/api/embed`, {
+        model: this.model,
+        input: missing
+      }, { timeout: this.timeout });
+
+      const embeddings = response.data?.embeddings;
+      if (!Array.isArray(embeddings) || embeddings.length !== missing.length) {
+        throw new Error('Unexpected embedding response');
+      }
+
+      if (this.cache.size + missing.length > this.maxCacheSize) {
+        this.cache.clear();
+      }
+      missing.forEach((text, i) => this.cache.set(text, embeddings[i]));
+    }
+
+    return texts.map(text => this.cache.get(text));
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Top-N document selection: BM25, blended with embeddings when an embedder is configured
+ */
+class Retriever {
+  /**
+   * @param {object} options
+   * @param {number} options.topN - Default number of documents to select
+   * @param {OllamaEmbedder|null} options.embedder - Optional embedder for hybrid ranking
+   * @param {number} options.embeddingWeight - Share of the hybrid score given to embeddings (0-1)
+   */
+  constructor({ topN = 10, embedder = OllamaEmbedder.fromEnv(), embeddingWeight = 0.5 } = {}) {
+    this.topN = topN;
+    this.embedder = embedder;
+    this.embeddingWeight = embeddingWeight;
+  }
+
+  /**
+   * Select the documents most relevant to a query
+   *
+   * Documents are { id, text, item }: text is what gets indexed, item is returned as-is.
+   * When there are no more documents than topN they are all kept. Documents that don't
+   * match at all are never selected, unless nothing matches, in which case the first
+   * topN are kept in their original order.
+   *
+   * @returns {{ items: Array, method: string, summary: string }}
+   */
+  async select(query, documents, { topN = this.topN, label = 'records' } = {}) {
+    // The requester's own name says nothing about relevance
+    const searchText = stripUserContext(query);
+
+    if (documents.length <= topN) {
+      return {
+        items: documents.map(doc => doc.item),
+        method: 'all',
+        summary: `Using all ${documents.length} ${label}`
+      };
+    }
+
+    let method = 'bm25';
+    let scores = new BM25Index(documents.map(doc => doc.text)).score(searchText);
+
+    if (this.embedder) {
+      try {
+        scores = await this._hybridScores(searchText, documents, scores);
+        method = `hybrid, ${this.embedder.name}`;
+      } catch (error) {
+        getLogger().warn(`Embedding ranking failed, using keyword ranking only: ${error.message}`);
+      }
+    }
+
+    const ranked = documents
+      .map((doc, index) => ({ doc, index, score: scores[index] }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, topN);
+
+    if (ranked.length === 0) {
+      return {
+        items: documents.slice(0, topN).map(doc => doc.item),
+        method: 'none',
+        summary: `No ${label} matched the query; using the first ${topN} of ${documents.length}`
+      };
+    }
+
+    const ids = ranked.map(entry => entry.doc.id);
+    getLogger().debug(`Retrieved ${ranked.length}/${documents.length} ${label} (${method}): ${ids.join(', ')}`);
+
+    return {
+      items: ranked.map(entry => entry.doc.item),
+      method,
+      summary: `Selected ${ranked.length} of ${documents.length} ${label} (${method}): ${ids.join(', ')}`
+    };
+  }
+
+  /**
+   * Blend max-normalised BM25 scores with cosine similarity of embeddings
+   */
+  async _hybridScores(query, documents, keywordScores) {
+    const [queryVector, ...vectors] = await this.embedder.embed([query, ...documents.map(doc => doc.text)]);
+    const maxKeyword = Math.max(...keywordScores) || 1;
+
+    return documents.map((doc, i) => {
+      const keyword = keywordScores[i] / maxKeyword;
+      const semantic = Math.max(cosineSimilarity(queryVector, vectors[i]), 0);
+      return (1 - this.embeddingWeight) * keyword + this.embeddingWeight * semantic;
+    });
+  }
+}
+
+export { Retriever, BM25Index, OllamaEmbedder, tokenize };
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../../utils/logger.js';
+import { PIIPlaceholders } from '../pii-placeholders.js';
+import { MCPAgentBase } from '../mcp-agent-base.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const pii = new PIIPlaceholders({
+  '[NAME_1]': 'Maria Lopez',
+  '[NAME_2]': 'Anna Maria Lopez',
+  '[EMAIL_1]': 'Tom.Lee@company.com',
+  '[IBAN_1]': 'FR7630006000011234567890189',
+  '[PHONE_1]': '+33 1 42 00 00 05',
+  '[CARD_1]': '4111 1111 1111 1111',
+  '[NAME_3]': ' '
+});
+
+test('placeholders are put back for lookups, unknown ones are left alone', () => {
+  assert.equal(pii.size, 5);
+  assert.equal(pii.restore('Leave balance of [NAME_1] ([EMAIL_1]), not [NAME_9]'), 'Leave balance of Maria Lopez (Tom.Lee@company.com), not [NAME_9]');
+  assert.deepEqual(pii.restore({ employee: '[EMAIL_1]', days: 2, dates: ['[NAME_2]'] }), { employee: 'Tom.Lee@company.com', days: 2, dates: ['Anna Maria Lopez'] });
+});
+
+test('known values become their placeholders however they are written', () => {
+  const record = 'name: Anna Maria Lopez, manager: maria  lopez, email: tom.lee@COMPANY.com, '
+    + 'iban: FR76 3000 6000 0112 3456 7890 189, phone: +33.1.42.00.00.05, colleague: Mariana Lopez';
+  assert.equal(pii.tokenize(record),
+    'name: [NAME_2], manager: [NAME_1], email: [EMAIL_1], iban: [IBAN_1], phone: [PHONE_1], colleague: Mariana Lopez');
+  assert.deepEqual(pii.tokenize({ success: true, message: 'Approved for Maria Lopez' }), { success: true, message: 'Approved for [NAME_1]' });
+
+  const none = new PIIPlaceholders(undefined);
+  assert.equal(none.tokenize('Maria Lopez'), 'Maria Lopez');
+  assert.equal(none.restore('[NAME_1]'), '[NAME_1]');
+});
+
+test('tools get the values and the model gets placeholders back', async () => {
+  const agent = new MCPAgentBase('test', 'Test agent');
+  const calls = [];
+  agent.getModelTools = () => [{ name: 'get_leave', description: 'Leave of an employee', inputSchema: { type: 'object', properties: {} } }];
+  agent.handleToolCall = async (name, args) => {
+    calls.push(args);
+    return { employee: `${args.employee} <tom.lee@company.com>`, remaining: 12 };
+  };
+
+  let prompt = null;
+  agent.queryProcessor = {
+    async processWithTools(systemPrompt, query, { executeTool }) {
+      prompt = systemPrompt;
+      return JSON.stringify(await executeTool('get_leave', { employee: '[NAME_1]' }));
+    }
+  };
+
+  const answer = await agent.generateAnswer('You answer HR questions.', 'Leave of [NAME_1]?', null, {
+    conversation: { employees: ['Maria Lopez'] },
+    pii
+  });
+  assert.deepEqual(calls, [{ employee: 'Maria Lopez' }]);
+  assert.deepEqual(JSON.parse(answer), { employee: '[NAME_1] <[EMAIL_1]>', remaining: 12 });
+  assert.match(prompt, /Employees discussed recently \(most recent first\): \[NAME_1\]/);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeLogger, getLogger } from '../../utils/logger.js';
+import { signIdentity } from '../../utils/identity-token.js';
+
+process.env.REQUESTER_IDENTITY_SECRET = 'test-identity-secret';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const { MCPTransportManager } = await import('../transport-manager.js');
+
+const lisa = { email: 'lisa.wang@company.com', name: 'Lisa Wang', role: 'HR Manager', department: 'Human Resources', employeeId: 'EMP010' };
+
+test('the userContext of a request is the identity of its signed token', () => {
+  const meta = MCPTransportManager.verifyRequester({
+    userContext: { ...lisa, email: 'sarah.chen@company.com', role: 'CEO' },
+    identityToken: signIdentity({ ...lisa, sessionId: 'session-1' }),
+    language: 'fr'
+  });
+  assert.deepEqual(meta, { userContext: lisa, language: 'fr' });
+});
+
+test('requests without a valid token run as anonymous', () => {
+  assert.deepEqual(MCPTransportManager.verifyRequester({ userContext: lisa, language: 'en' }), { userContext: null, language: 'en' });
+  assert.deepEqual(MCPTransportManager.verifyRequester({ userContext: lisa, identityToken: signIdentity(lisa, { secret: 'forged' }) }), { userContext: null });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tool argument validation against the JSON schemas returned by getTools()
+ * Covers the subset of JSON Schema the agents use: object properties, required,
+ * type, enum, pattern, minLength, minimum/maximum and default.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Validate tool arguments
+ * @returns {{ valid: boolean, errors: string[], values: object }} values has defaults applied
+ */
+function validateArguments(schema, args = {}) {
+  const errors = [];
+  const values = { ...(args || {}) };
+  const properties = schema?.properties || {};
+
+  for (const field of schema?.required || []) {
+    if (values[field] === undefined || values[field] === null || values[field] === '') {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  for (const [field, property] of Object.entries(properties)) {
+    if (values[field] === undefined || values[field] === null) {
+      if (property.default !== undefined) {
+        values[field] = property.default;
+      }
+      continue;
+    }
+
+    const value = values[field];
+    const check = TYPE_CHECKS[property.type];
+    if (check && !check(value)) {
+      errors.push(`${field} must be of type ${property.type}`);
+      continue;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${property.enum.join(', ')}`);
+    }
+    if (property.pattern && !new RegExp(property.pattern).test(value)) {
+      errors.push(`${field} has an invalid format`);
+    }
+    if (property.minLength !== undefined && value.length < property.minLength) {
+      errors.push(`${field} must be at least ${property.minLength} characters`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`${field} must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`${field} must be at most ${property.maximum}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, values };
+}
+
+export { validateArguments };
@@ -6,6 +6,7 @@ import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { randomUUID } from 'node:crypto';
 import { getLogger } from '../utils/logger.js';
+import { verifyIdentity } from '../utils/identity-token.js';
 
 class MCPTransportManager {
   constructor(agentName, mcpServer) {
@@ -112,12 +113,21 @@ class MCPTransportManager {
       return;
     }
 
+    if (req.body.params?._meta) {
+      req.body.params._meta = MCPTransportManager.verifyRequester(req.body.params._meta);
+    }
+
     // Handle specific request types with bypass for SDK issues
     if (req.body.method === 'tools/call') {
       await this._handleToolCall(req, res, transport);
       return;
     }
 
+    if (req.body.method === 'tools/list') {
+      await this._handleToolsList(req, res, transport);
+      return;
+    }
+
     if (req.body.method === 'resources/list') {
       await this._handleResourcesList(req, res, transport);
       return;
@@ -163,48 +173,71 @@ class MCPTransportManager {
     return transport;
   }
 
+  /**
+   * Replace the userContext of a request's _meta with the identity of its signed token
+   * Agents are reachable without going through the gateway, so the identity fields sent
+   * along are never trusted on their own (see utils/identity-token.js): without a valid
+   * token the request runs as anonymous.
+   */
+  static verifyRequester({ identityToken, userContext, ...meta }) {
+    if (!identityToken) {
+      if (userContext) {
+        getLogger().warn(`Ignoring the unsigned requester identity ${userContext.email}`);
+      }
+      return { ...meta, userContext: null };
+    }
+
+    try {
+      const { sessionId, ...identity } = verifyIdentity(identityToken);
+      return { ...meta, userContext: identity };
+    } catch (error) {
+      getLogger().warn(`Ignoring the requester identity of a request: ${error.message}`);
+      return { ...meta, userContext: null };
+    }
+  }
+
+  /**
+   * Handle tools/list request
+   * Served from the agent's getTools() so the JSON schemas are listed as defined
+   */
+  async _handleToolsList(req, res, transport) {
+    getLogger().debug('Handling tools/list request');
+
+    const tools = this.mcpServer.agent.getTools();
+    this._sendSSEResponse(res, transport.sessionId, req.body.id, { tools });
+  }
+
   /**
    * Handle tool/call request
+   * Failures are returned as an isError result, as MCP expects for tool execution errors
    */
   async _handleToolCall(req, res, transport) {
     getLogger().debug('Handling tools/call request');
-    const { name, arguments: toolArgs } = req.body.params;
+    const { name, arguments: toolArgs, _meta } = req.body.params;
 
+    let result;
     try {
-      let result;
-      switch (name) {
-        case 'process_query':
-          result = await this.mcpServer.agent.processQuery(
-            toolArgs.query,
-            toolArgs.context || {}
-          );
-          break;
-        case 'get_capabilities':
-          result = this.mcpServer.agent.getCapabilities();
-          break;
-        case 'health_check':
-          result = await this.mcpServer.agent.healthCheck();
-          break;
-        case 'can_handle':
-          result = this.mcpServer.agent.canHandle(toolArgs.query, toolArgs.context || {});
-          break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-
+      result = await this.mcpServer.agent.handleToolCall(name, toolArgs || {}, {
+        userContext: _meta?.userContext || null
+      });
       getLogger().debug(`Tool ${name} executed successfully`);
+    } catch (error) {
+      getLogger().warn(`Tool ${name} execution failed: ${error.message}`);
       this._sendSSEResponse(res, transport.sessionId, req.body.id, {
-        content: [
-          {
-            type: 'text',
-            text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-          }
-        ]
+        content: [{ type: 'text', text: error.message }],
+        isError: true
       });
-    } catch (error) {
-      getLogger().error(`Tool ${name} execution failed`, error);
-      throw error;
+      return;
     }
+
+    this._sendSSEResponse(res, transport.sessionId, req.body.id, {
+      content: [
+        {
+          type: 'text',
+          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+        }
+      ]
+    });
   }
 
   /**
@@ -250,16 +283,21 @@ class MCPTransportManager {
         throw new Error('Resource manager not available on agent');
       }
 
-      const handler = agent.resourceManager.getHandler(uri);
-      if (!handler) {
+      const match = agent.resourceManager.matchResource(uri);
+      if (!match) {
         throw new Error(`Resource not found: ${uri}`);
       }
 
-      // Call the handler to get resource content
-      const resourceContent = await handler(urlObj);
+      // Call the handler like the SDK does: (uri, template variables, extra)
+      // _meta carries request-scoped data such as the requester's userContext
+      const resourceContent = await match.handler(urlObj, match.variables, {
+        _meta: req.body.params._meta || {}
+      });
 
+      // _meta carries handler side-channel data back, e.g. thinking messages
       this._sendSSEResponse(res, transport.sessionId, req.body.id, {
-        contents: resourceContent.contents || []
+        contents: resourceContent.contents || [],
+        ...(resourceContent._meta && { _meta: resourceContent._meta })
       });
     } catch (error) {
       getLogger().error('Failed to read resource', error);
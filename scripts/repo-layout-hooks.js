@@ -0,0 +1,23 @@
+/**
+ * Module resolve hook of repo-layout.js
+ * An import of utils/ or shared/ that doesn't resolve next to the importing file is
+ * resolved against the checkout's utils/ or mcp-server/shared/ instead.
+ */
+const ROOT = new URL('../', import.meta.url);
+const SHARED_DIRS = {
+  utils: new URL('utils/', ROOT),
+  shared: new URL('mcp-server/shared/', ROOT)
+};
+const SHARED_IMPORT = /^\.{1,2}\/(?:\.\.\/)*(utils|shared)\/(.+)$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const match = error.code === 'ERR_MODULE_NOT_FOUND' && specifier.match(SHARED_IMPORT);
+    if (!match) {
+      throw error;
+    }
+    return nextResolve(new URL(match[2], SHARED_DIRS[match[1]]).href, context);
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Run services, evals and tests from the repository checkout
+ *
+ * The Dockerfiles copy utils/ (and mcp-server/shared/ for agents) next to each service's
+ * sources, so imports such as './utils/logger.js' or '../shared/retriever.js' only
+ * resolve inside an image. This registers a resolve hook that maps them to the shared
+ * directories of the checkout (see repo-layout-hooks.js).
+ *
+ * Usage (from the repository root, where locales/ is):
+ *   node --import ./scripts/repo-layout.js <script>
+ */
+import { register } from 'node:module';
+
+register('./repo-layout-hooks.js', import.meta.url);
@@ -0,0 +1,159 @@
+/**
+ * Record-and-replay cassettes for external calls (LLM providers, Prisma AIRS)
+ * Request/response pairs are stored under a hash of the normalized request, so a bug
+ * seen against a live model can be replayed with the exact same responses and no network.
+ *
+ * Environment variables:
+ * - CASSETTE_MODE=record : Make calls as usual and save each request/response pair (or error)
+ * - CASSETTE_MODE=replay : Serve recorded responses and errors only; an unrecorded call fails
+ * - CASSETTE_MODE=off (default)
+ * - CASSETTE_DIR         : Where cassettes are kept, one <name>.json per cassette (default ./cassettes)
+ *
+ * Requests are normalized before hashing: whitespace is collapsed, and ISO timestamps,
+ * UUIDs and today's date are replaced with placeholders, so a recording still matches
+ * when it is replayed on another day.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getLogger } from './logger.js';
+
+const MODES = ['off', 'record', 'replay'];
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g;
+const UUID = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+/**
+ * Normalized copy of a request: placeholders for volatile values, collapsed whitespace,
+ * sorted object keys and no undefined values, so equal requests serialize identically
+ */
+function normalize(value, today) {
+  if (typeof value === 'string') {
+    return value
+      .replace(ISO_TIMESTAMP, '<timestamp>')
+      .replace(UUID, '<uuid>')
+      .replaceAll(today, '<today>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item, today));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, normalize(value[key], today)]));
+  }
+  return value;
+}
+
+class Cassette {
+  /**
+   * @param {string} name - Cassette file name without extension, e.g. 'llm'
+   * @param {Object} [options] - Defaults come from CASSETTE_MODE and CASSETTE_DIR
+   */
+  constructor(name, {
+    mode = process.env.CASSETTE_MODE || 'off',
+    dir = process.env.CASSETTE_DIR || './cassettes'
+  } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid CASSETTE_MODE "${mode}" (expected ${MODES.join(', ')})`);
+    }
+    this.name = name;
+    this.mode = mode;
+    this.file = path.join(dir, `${name}.json`);
+    this.interactions = null; // Loaded on first use
+    this.saving = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Hash of the normalized request
+   * @returns {{ key: string, request: Object }}
+   */
+  static key(request) {
+    const today = new Date().toISOString().slice(0, 10);
+    const normalized = normalize(request, today);
+    const key = createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+    return { key, request: normalized };
+  }
+
+  /**
+   * Run an external call through the cassette
+   * @param {Object} request - What identifies the call (prompt, provider, ...); must be JSON
+   * @param {Function} send - Makes the real call; its result must be JSON-serializable
+   * @returns {Promise<*>} The live result, or the recorded one in replay mode
+   */
+  async call(request, send) {
+    if (!this.enabled) {
+      return send();
+    }
+
+    this._load();
+    const { key, request: normalized } = Cassette.key(request);
+
+    if (this.mode === 'replay') {
+      const recorded = this.interactions[key];
+      if (!recorded) {
+        const error = new Error(`No recording for ${key} in ${this.file}: ${JSON.stringify(normalized).substring(0, 200)}`);
+        error.code = 'CASSETTE_MISS';
+        throw error;
+      }
+      getLogger().debug(`[Cassette] ${this.name}: replayed ${key}`);
+      if (recorded.error) {
+        throw Object.assign(new Error(recorded.error.message), recorded.error);
+      }
+      return structuredClone(recorded.response);
+    }
+
+    // Failures are recorded too, so callers' error handling (fallbacks, fail-closed checks) replays as well
+    const interaction = { request: normalized, recordedAt: new Date().toISOString() };
+    try {
+      interaction.response = await send();
+      return interaction.response;
+    } catch (error) {
+      interaction.error = { message: error.message, code: error.code, statusCode: error.statusCode };
+      throw error;
+    } finally {
+      this.interactions[key] = interaction;
+      getLogger().debug(`[Cassette] ${this.name}: recorded ${key}${interaction.error ? ' (error)' : ''}`);
+      await this._save();
+    }
+  }
+
+  _load() {
+    if (this.interactions) {
+      return;
+    }
+    if (fs.existsSync(this.file)) {
+      this.interactions = JSON.parse(fs.readFileSync(this.file, 'utf8')).interactions || {};
+      getLogger().info(`[Cassette] ${this.mode}: ${Object.keys(this.interactions).length} ${this.name} recordings in ${this.file}`);
+    } else if (this.mode === 'replay') {
+      throw new Error(`Cassette ${this.file} not found (CASSETTE_MODE=replay)`);
+    } else {
+      this.interactions = {};
+    }
+  }
+
+  /**
+   * Write the cassette after each recording; writes are queued so parallel calls don't interleave
+   */
+  _save() {
+    this.saving = this.saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmp, `${JSON.stringify({ version: 1, interactions: this.interactions }, null, 2)}\n`);
+      await fs.promises.rename(tmp, this.file);
+    }).catch((error) => {
+      getLogger().error(`[Cassette] Failed to write ${this.file}: ${error.message}`);
+    });
+    return this.saving;
+  }
+}
+
+export {
+  Cassette,
+};
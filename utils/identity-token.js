@@ -0,0 +1,97 @@
+/**
+ * Signed requester identity
+ *
+ * chatbot-host signs the identity of the logged-in user with each query it sends to the
+ * gateway (IDENTITY_HEADER), and the gateway passes the token on to the agents in
+ * _meta.identityToken. The gateway and the agents only trust the identity fields found in a
+ * valid token: an email or role in a request body is ignored, so a caller that reaches the
+ * gateway or an agent directly cannot act as someone else.
+ *
+ * Tokens are compact HS256 JWTs, short-lived and signed with a secret shared by the three
+ * services.
+ *
+ * Environment variables:
+ * - REQUESTER_IDENTITY_SECRET : Shared signing secret. Without it identities are neither
+ *                               signed nor trusted, and every requester is anonymous.
+ * - REQUESTER_IDENTITY_TTL    : Token lifetime in seconds (default 1200, the longest query)
+ */
+import crypto from 'crypto';
+
+export const IDENTITY_HEADER = 'x-requester-identity';
+
+const AUDIENCE = 'requester-identity';
+const CLAIMS = ['email', 'name', 'role', 'department', 'employeeId', 'sessionId'];
+const CLOCK_TOLERANCE = 30; // seconds
+
+function hmac(secret, input) {
+  return crypto.createHmac('sha256', secret).update(input).digest();
+}
+
+/**
+ * Sign the identity fields of a userContext
+ * @returns {string|null} The token, or null when no secret is configured
+ */
+export function signIdentity(userContext, {
+  secret = process.env.REQUESTER_IDENTITY_SECRET,
+  expiresIn = Number(process.env.REQUESTER_IDENTITY_TTL) || 1200
+} = {}) {
+  if (!secret || !userContext?.email) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { aud: AUDIENCE, iat: now, exp: now + expiresIn };
+  for (const claim of CLAIMS) {
+    if (userContext[claim] !== undefined && userContext[claim] !== null) {
+      payload[claim] = userContext[claim];
+    }
+  }
+
+  const signingInput = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url')
+    + '.' + Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return signingInput + '.' + hmac(secret, signingInput).toString('base64url');
+}
+
+/**
+ * Check a token and return the identity it carries
+ * @returns {Object} { email, name, role, department, employeeId, sessionId }
+ * @throws {Error} With a short reason when the token is not acceptable
+ */
+export function verifyIdentity(token, { secret = process.env.REQUESTER_IDENTITY_SECRET } = {}) {
+  if (!secret) {
+    throw new Error('REQUESTER_IDENTITY_SECRET is not set');
+  }
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed identity token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed identity token');
+  }
+  if (header.alg !== 'HS256') {
+    throw new Error(`Identity token algorithm not allowed: ${header.alg}`);
+  }
+
+  const expected = hmac(secret, parts[0] + '.' + parts[1]);
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+    throw new Error('Invalid identity token signature');
+  }
+  if (payload.aud !== AUDIENCE) {
+    throw new Error('Unexpected identity token audience');
+  }
+  if (typeof payload.exp !== 'number' || Math.floor(Date.now() / 1000) - CLOCK_TOLERANCE >= payload.exp) {
+    throw new Error('Identity token expired');
+  }
+  if (typeof payload.email !== 'string' || !payload.email) {
+    throw new Error('Identity token has no email');
+  }
+
+  return Object.fromEntries(CLAIMS.map(claim => [claim, payload[claim] ?? null]));
+}
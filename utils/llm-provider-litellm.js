@@ -230,6 +230,7 @@ class LLMProviderFactory {
           max_tokens: model.model_info?.max_tokens,
           max_input_tokens: model.model_info?.max_input_tokens,
           max_output_tokens: model.model_info?.max_output_tokens,
+          supports_function_calling: model.model_info?.supports_function_calling,
         };
         
         // Add to registered keys using the metadata key
@@ -436,7 +437,7 @@ class LLMProviderFactory {
 
       getLogger().debug(`[LiteLLMProvider] Generated ${usage.completionTokens} tokens`);
 
-      return { response: text, usage };
+      return { response: text, usage, model: data.model || modelConfig.model_name };
     } catch (error) {
       getLogger().error(`[LiteLLMProvider] Error generating text: ${error.message}`);
       throw error;
@@ -507,6 +508,107 @@ class LLMProviderFactory {
     }
   }
 
+  /**
+   * Run one model turn with function-calling tools
+   * Same contract as the standard provider: OpenAI-format messages in,
+   * { response, toolCalls: [{ id, name, arguments }], usage, model } out. Throws an error
+   * with code TOOLS_UNSUPPORTED when the model can't call functions.
+   */
+  static async generateWithTools(messages, options = {}) {
+    const {
+      system = '',
+      tools = [],
+      temperature = 0.3,
+      maxTokens = 1000,
+      provider = null,
+    } = options;
+
+    const config = this.getConfig();
+    if (!config) {
+      throw new Error('LiteLLM not configured');
+    }
+
+    const { baseUrl, apiKey } = config;
+    const modelConfig = await this.getModelForProvider(provider);
+
+    if (modelConfig.supports_function_calling === false) {
+      const error = new Error(`Model ${modelConfig.model_name} does not support function calling`);
+      error.code = 'TOOLS_UNSUPPORTED';
+      throw error;
+    }
+
+    const url = `${baseUrl}/openai/deployments/${modelConfig.model_id}/chat/completions`;
+
+    const requestBody = {
+      model: modelConfig.model_name,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      tools: tools.map(t => ({
+        type: 'function',
+        function: { name: t.name, description: t.description, parameters: t.inputSchema },
+      })),
+      temperature,
+      max_tokens: maxTokens,
+    };
+
+    getLogger().debug(`[LiteLLMProvider] Tool call turn with model: ${modelConfig.model_name} (${tools.length} tools)`);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'Content-Type': 'application/json',
+          'x-litellm-api-key': apiKey,
+        },
+        body: JSON.stringify(requestBody),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`LiteLLM API error: ${response.status} ${response.statusText} - ${errorText}`);
+        if (/does not support (tools|function)|(tools?|function calling) (is |are )?not supported/i.test(errorText)) {
+          error.code = 'TOOLS_UNSUPPORTED';
+        }
+        throw error;
+      }
+
+      const data = await response.json();
+      const message = data.choices?.[0]?.message || {};
+
+      return {
+        response: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: this._parseToolArguments(call.function?.arguments),
+        })),
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0,
+        },
+        model: data.model || modelConfig.model_name,
+      };
+    } catch (error) {
+      getLogger().error(`[LiteLLMProvider] Error in tool call turn: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse function call arguments, which arrive as a JSON string
+   */
+  static _parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+      return JSON.parse(args);
+    } catch (parseError) {
+      getLogger().warn(`[LiteLLMProvider] Unparseable tool arguments: ${args}`);
+      return {};
+    }
+  }
+
   /**
    * Streaming chat completion
    * Returns an async generator that yields chunks
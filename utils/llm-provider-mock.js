@@ -0,0 +1,290 @@
+/**
+ * Mock LLM Provider
+ * Deterministic AI SDK language model for running the stack without network or a model
+ * server (CI, offline demos). Answers come from fixture rules matched against the prompt;
+ * latency, provider errors and token usage are simulated so callers see the same result
+ * shapes, retries and failures as with a real provider.
+ *
+ * Environment variables:
+ * - MOCK_LLM=true          : Register the "mock" provider (see llm-provider-standard.js)
+ * - MOCK_LLM_FIXTURES      : Fixture file, or directory of *.json fixture files
+ * - MOCK_LLM_LATENCY_MS    : Simulated latency per call, "200" or a "100-400" range
+ * - MOCK_LLM_ERROR_RATE    : Share of calls failing with a retryable 503, 0-1 (default 0)
+ * - MOCK_LLM_SEED          : Seed for latency jitter and simulated errors (default 1)
+ *
+ * Fixture file:
+ * {
+ *   "rules": [{
+ *     "name": "leave-balance",
+ *     "system": "HR assistant",                     optional regex on the system prompt
+ *     "match": "leave (?<who>for [a-z ]+)",         regex on the prompt (case-insensitive)
+ *     "response": "Leave {{who}}: 12 days",         {{group}} inserts a named group, {{group|json}} escaped
+ *     "toolCalls": [{ "name": "get_employee", "arguments": { "name": "{{who}}" } }],
+ *     "error": { "message": "Rate limited", "status": 429 },
+ *     "latencyMs": 50,
+ *     "usage": { "inputTokens": 120, "outputTokens": 30 }
+ *   }]
+ * }
+ * In tool-calling loops "match" is tested against the last message, i.e. the user
+ * question or the latest tool result. Rules are tried in order: MOCK_LLM_FIXTURES files
+ * (by file name), then the built-in llm-mock-fixtures.json, which covers the gateway's
+ * own prompts and ends with a catch-all answer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { APICallError, NoSuchModelError } from 'ai';
+import { getLogger } from './logger.js';
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'llm-mock-fixtures.json');
+
+/**
+ * Fixture rules from a file or a directory of JSON files
+ */
+function loadRules(location) {
+  const files = fs.statSync(location).isDirectory()
+    ? fs.readdirSync(location).filter(file => file.endsWith('.json')).sort().map(file => path.join(location, file))
+    : [location];
+
+  return files.flatMap((file) => {
+    const { rules = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return rules.map((rule, i) => ({
+      ...rule,
+      name: rule.name || `${path.basename(file)}#${i + 1}`,
+      match: rule.match ? new RegExp(rule.match, 'i') : null,
+      system: rule.system ? new RegExp(rule.system, 'i') : null
+    }));
+  });
+}
+
+/**
+ * Small seeded PRNG (mulberry32), so simulated latency and errors repeat run to run
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseLatency(value) {
+  const [min, max = min] = String(value || '0').split('-').map(Number);
+  return { min, max };
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Replace {{name}} with named groups of the match, in strings nested anywhere in value
+ * {{name|json}} escapes the group for use inside a JSON string. Names that are not groups
+ * of the match are left as they are, e.g. the {{s1}} step references of a routing plan.
+ */
+function fill(value, groups) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)(\|json)?\}\}/g, (reference, name, json) => {
+      if (!(name in groups)) {
+        return reference;
+      }
+      return json ? JSON.stringify(groups[name] ?? '').slice(1, -1) : groups[name] ?? '';
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fill(item, groups));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item, groups)]));
+  }
+  return value;
+}
+
+/**
+ * Plain text of a prompt message (text parts, tool results and tool calls)
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  return message.content.map((part) => {
+    switch (part.type) {
+      case 'text':
+        return part.text;
+      case 'tool-result':
+        return typeof part.output?.value === 'string' ? part.output.value : JSON.stringify(part.output?.value);
+      case 'tool-call':
+        return `${part.toolName}(${typeof part.input === 'string' ? part.input : JSON.stringify(part.input)})`;
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+class MockLanguageModel {
+  constructor(modelId, provider) {
+    this.specificationVersion = 'v3';
+    this.provider = 'mock';
+    this.modelId = modelId;
+    this.supportedUrls = {};
+    this.mock = provider;
+  }
+
+  async doGenerate(options) {
+    return this.mock.respond(this.modelId, options);
+  }
+
+  async doStream(options) {
+    const result = await this.doGenerate(options);
+    const parts = [
+      { type: 'stream-start', warnings: [] },
+      { type: 'response-metadata', ...result.response },
+      ...result.content.flatMap(part => (part.type === 'text'
+        ? [
+          { type: 'text-start', id: '0' },
+          { type: 'text-delta', id: '0', delta: part.text },
+          { type: 'text-end', id: '0' }
+        ]
+        : [part])),
+      { type: 'finish', usage: result.usage, finishReason: result.finishReason }
+    ];
+
+    return {
+      stream: new ReadableStream({
+        start(controller) {
+          parts.forEach(part => controller.enqueue(part));
+          controller.close();
+        }
+      })
+    };
+  }
+}
+
+class MockProvider {
+  /**
+   * @param {Object} [options] - Defaults come from the MOCK_LLM_* environment variables
+   * @param {string} [options.fixtures] - Fixture file or directory, tried before the built-in fixtures
+   * @param {string|number} [options.latencyMs] - "200" or "100-400"
+   * @param {number} [options.errorRate] - Share of calls failing with a retryable 503
+   * @param {number} [options.seed]
+   */
+  constructor({
+    fixtures = process.env.MOCK_LLM_FIXTURES,
+    latencyMs = process.env.MOCK_LLM_LATENCY_MS,
+    errorRate = parseFloat(process.env.MOCK_LLM_ERROR_RATE || '0'),
+    seed = parseInt(process.env.MOCK_LLM_SEED || '1', 10)
+  } = {}) {
+    this.specificationVersion = 'v3';
+    this.rules = [...(fixtures ? loadRules(fixtures) : []), ...loadRules(DEFAULT_FIXTURES)];
+    this.latency = parseLatency(latencyMs);
+    this.errorRate = errorRate;
+    this.random = createRandom(seed);
+    this.calls = 0;
+    getLogger().debug(`[MockLLM] ${this.rules.length} fixture rules loaded${fixtures ? ` (${fixtures} + built-in)` : ''}`);
+  }
+
+  languageModel(modelId) {
+    return new MockLanguageModel(modelId, this);
+  }
+
+  embeddingModel(modelId) {
+    throw new NoSuchModelError({ modelId, modelType: 'embeddingModel' });
+  }
+
+  imageModel(modelId) {
+    throw new NoSuchModelError({ modelId, modelType: 'imageModel' });
+  }
+
+  /**
+   * First rule matching the call, with the named groups of its match
+   */
+  findRule(system, text) {
+    for (const rule of this.rules) {
+      if (rule.system && !rule.system.test(system)) {
+        continue;
+      }
+      const found = rule.match ? text.match(rule.match) : [];
+      if (found) {
+        return { rule, groups: found.groups || {} };
+      }
+    }
+    return null;
+  }
+
+  async respond(modelId, { prompt, tools = [] }) {
+    const callId = ++this.calls;
+    const system = prompt.filter(m => m.role === 'system').map(messageText).join('\n');
+    const messages = prompt.filter(m => m.role !== 'system');
+    const text = messages.length ? messageText(messages[messages.length - 1]) : '';
+
+    const matched = this.findRule(system, text);
+    if (!matched) {
+      throw new Error(`[MockLLM] No fixture rule matches the prompt: "${text.substring(0, 80)}"`);
+    }
+    const { rule, groups } = matched;
+    getLogger().debug(`[MockLLM] Call ${callId} answered by rule "${rule.name}"`);
+
+    const { min, max } = rule.latencyMs !== undefined ? parseLatency(rule.latencyMs) : this.latency;
+    const delay = min + Math.round(this.random() * (max - min));
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const simulatedOutage = this.errorRate > 0 && this.random() < this.errorRate;
+    if (rule.error || simulatedOutage) {
+      const { message = 'Simulated provider error', status = 500 } = rule.error || { message: 'Simulated provider outage', status: 503 };
+      throw new APICallError({
+        message: `[MockLLM] ${message}`,
+        url: `mock://${modelId}`,
+        requestBodyValues: {},
+        statusCode: status,
+        isRetryable: status === 429 || status >= 500
+      });
+    }
+
+    const responseText = fill(rule.response ?? '', groups);
+    const toolNames = new Set(tools.map(t => t.name));
+    const toolCalls = (rule.toolCalls || [])
+      .filter(call => toolNames.has(call.name))
+      .map((call, i) => ({
+        type: 'tool-call',
+        toolCallId: `mock-${callId}-${i + 1}`,
+        toolName: call.name,
+        input: JSON.stringify(fill(call.arguments || {}, groups))
+      }));
+
+    const content = [
+      ...(responseText ? [{ type: 'text', text: responseText }] : []),
+      ...toolCalls
+    ];
+    const inputTokens = rule.usage?.inputTokens ?? estimateTokens(prompt.map(messageText).join('\n'));
+    const outputTokens = rule.usage?.outputTokens ?? estimateTokens(responseText + toolCalls.map(c => c.input).join(''));
+
+    return {
+      content,
+      finishReason: { unified: toolCalls.length ? 'tool-calls' : 'stop', raw: undefined },
+      usage: {
+        inputTokens: { total: inputTokens, noCache: inputTokens, cacheRead: undefined, cacheWrite: undefined },
+        outputTokens: { total: outputTokens, text: outputTokens, reasoning: undefined }
+      },
+      response: { id: `mock-${callId}`, timestamp: new Date(), modelId },
+      warnings: []
+    };
+  }
+}
+
+/**
+ * Create the mock provider for the AI SDK provider registry
+ */
+function createMockProvider(options) {
+  return new MockProvider(options);
+}
+
+export {
+  createMockProvider,
+  MockProvider,
+};
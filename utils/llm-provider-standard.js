@@ -8,6 +8,7 @@
  * - Google Vertex AI (GCP)
  * - Azure OpenAI (Azure)
  * - Ollama (local, OpenAI-compatible endpoint)
+ * - Mock (scripted responses for offline testing, see llm-provider-mock.js)
  * 
  * Usage:
  * import { generateText } from 'ai';
@@ -19,7 +20,7 @@
  * });
  */
 
-import { generateText, createProviderRegistry } from 'ai';
+import { generateText, createProviderRegistry, tool, jsonSchema } from 'ai';
 import { createOpenAI } from '@ai-sdk/openai';
 import { createAnthropic } from '@ai-sdk/anthropic';
 import { createAzure } from '@ai-sdk/azure';
@@ -27,6 +28,8 @@ import { createVertex } from '@ai-sdk/google-vertex';
 import { createAmazonBedrock } from '@ai-sdk/amazon-bedrock';
 import { createOllama } from 'ollama-ai-provider-v2';
 import { getLogger } from './logger.js';
+import { createMockProvider } from './llm-provider-mock.js';
+import { normalizeUsage } from './llm-usage.js';
 
 /**
  * Provider Registry Factory
@@ -86,6 +89,14 @@ class LLMProviderFactory {
       provider: 'ollama',
       configured: true,
     },
+    mock: {
+      id: 'mock',
+      name: 'Mock',
+      display_name: 'Mock LLM (offline)',
+      logo: './images/mock.svg',
+      provider: 'mock',
+      configured: true,
+    },
   };
 
   /**
@@ -177,6 +188,13 @@ class LLMProviderFactory {
       }
     }
 
+    // Mock provider (scripted responses, no network)
+    if (process.env.MOCK_LLM === 'true') {
+      providers.mock = createMockProvider();
+      registeredKeys.push('mock');
+      getLogger().debug('[LLMProvider] Mock provider registered');
+    }
+
     // Create the registry
     this._registry = createProviderRegistry(providers);
     this._registeredProviderKeys = registeredKeys;
@@ -209,6 +227,9 @@ class LLMProviderFactory {
       case 'ollama':
         return `ollama:${process.env.OLLAMA_MODEL || process.env.COORDINATOR_MODEL || 'qwen2.5:1.5b'}`;
 
+      case 'mock':
+        return `mock:${process.env.MOCK_MODEL || 'scripted'}`;
+
       default:
         return `ollama:${process.env.OLLAMA_MODEL || process.env.COORDINATOR_MODEL || 'qwen2.5:1.5b'}`;
     }
@@ -232,7 +253,7 @@ class LLMProviderFactory {
     }
 
     if (availableProviders.length === 0) {
-      getLogger().error('[LLMProvider] No llm providers properly configured. Configure at least one of: OPENAI_API_KEY, ANTHROPIC_API_KEY, AWS_REGION + BEDROCK_MODEL, AZURE_API_KEY + AZURE_RESOURCE_NAME, GOOGLE_API_KEY, or OLLAMA_SERVER_URL');
+      getLogger().error('[LLMProvider] No llm providers properly configured. Configure at least one of: OPENAI_API_KEY, ANTHROPIC_API_KEY, AWS_REGION + BEDROCK_MODEL, AZURE_API_KEY + AZURE_RESOURCE_NAME, GOOGLE_API_KEY, OLLAMA_SERVER_URL, or MOCK_LLM=true');
     }
 
     return availableProviders;
@@ -250,6 +271,8 @@ class LLMProviderFactory {
   /**
    * Generate text using the registry
    * Convenience method that handles model lookup and generateText call
+   * @returns {Promise<{ response: string, usage: Object|null, model: string }>} usage as
+   *   { promptTokens, completionTokens, totalTokens }, the same shape as the LiteLLM provider's
    */
   static async generateText(prompt, options = {}) {
     const {
@@ -271,7 +294,96 @@ class LLMProviderFactory {
       maxTokens,
     });
 
-    return { response: text, usage };
+    return { response: text, usage: normalizeUsage(usage), model: modelIdentifier };
+  }
+
+  /**
+   * Run one model turn with function-calling tools
+   * Messages use the OpenAI chat format ({ role, content, tool_calls } and
+   * { role: 'tool', tool_call_id, name, content }) so the same tool loop works with the
+   * LiteLLM implementation. Tools are { name, description, inputSchema } (JSON schema);
+   * they are never executed here, the caller runs them and sends the results back.
+   * Throws an error with code TOOLS_UNSUPPORTED when the model has no native tool calling.
+   */
+  static async generateWithTools(messages, options = {}) {
+    const {
+      system = '',
+      tools = [],
+      temperature = 0.3,
+      maxTokens = 1000,
+      provider = null
+    } = options;
+
+    const registry = this.getRegistry();
+    const modelIdentifier = this.buildModelIdentifier(provider);
+    const model = registry.languageModel(modelIdentifier);
+    const toolSet = Object.fromEntries(tools.map(t => [
+      t.name,
+      tool({ description: t.description, inputSchema: jsonSchema(t.inputSchema) })
+    ]));
+
+    try {
+      const result = await generateText({
+        model,
+        system,
+        messages: this._toModelMessages(messages),
+        tools: toolSet,
+        temperature,
+        maxOutputTokens: maxTokens,
+      });
+
+      return {
+        response: result.text,
+        toolCalls: result.toolCalls.map(call => ({
+          id: call.toolCallId,
+          name: call.toolName,
+          arguments: call.input || {}
+        })),
+        usage: normalizeUsage(result.usage),
+        model: modelIdentifier
+      };
+    } catch (error) {
+      if (/does not support (tools|function)|(tools?|function calling) (is |are )?not supported/i.test(error.message)) {
+        error.code = 'TOOLS_UNSUPPORTED';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert OpenAI-format chat messages to AI SDK model messages
+   */
+  static _toModelMessages(messages) {
+    return messages.map((message) => {
+      if (message.role === 'assistant' && message.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.tool_calls.map(call => ({
+              type: 'tool-call',
+              toolCallId: call.id,
+              toolName: call.function.name,
+              input: JSON.parse(call.function.arguments || '{}')
+            }))
+          ]
+        };
+      }
+
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          content: [{
+            type: 'tool-result',
+            toolCallId: message.tool_call_id,
+            toolName: message.name,
+            output: { type: 'text', value: message.content }
+          }]
+        };
+      }
+
+      return { role: message.role, content: message.content || '' };
+    });
   }
 }
 
@@ -5,16 +5,20 @@
  * Environment variable:
  * - USE_LITELLM=true : Use LiteLLM proxy (requires LITELLM_BASE_URL and LITELLM_API_KEY)
  * - USE_LITELLM=false or unset (default): Use standard AI SDK with direct provider connections
+ * - CASSETTE_MODE=record|replay : Record or replay generateText/generateWithTools calls (see cassette.js)
  * 
  * Usage:
  * import { LLMProviderFactory } from './llm-provider.js';
  * 
- * const { response, usage } = await LLMProviderFactory.generateText(
+ * const { response, usage, model } = await LLMProviderFactory.generateText(
  *   'Your prompt here',
  *   { provider: 'azure' }
  * );
+ * // usage: { promptTokens, completionTokens, totalTokens } as reported by the provider
  */
 
+import { Cassette } from './cassette.js';
+
 let LLMProviderFactory;
 
 if (process.env.USE_LITELLM === 'true') {
@@ -25,6 +29,21 @@ if (process.env.USE_LITELLM === 'true') {
   LLMProviderFactory = module.LLMProviderFactory;
 }
 
+const cassette = new Cassette('llm');
+if (cassette.enabled) {
+  const { generateText, generateWithTools } = LLMProviderFactory;
+
+  // The provider id is part of the key rather than the model, so replays don't depend on model env vars
+  LLMProviderFactory.generateText = (prompt, options = {}) => cassette.call(
+    { type: 'text', provider: options.provider, system: options.system, prompt },
+    () => generateText.call(LLMProviderFactory, prompt, options)
+  );
+  LLMProviderFactory.generateWithTools = (messages, options = {}) => cassette.call(
+    { type: 'tools', provider: options.provider, system: options.system, messages, tools: (options.tools || []).map(t => t.name) },
+    () => generateWithTools.call(LLMProviderFactory, messages, options)
+  );
+}
+
 export {
   LLMProviderFactory,
 };
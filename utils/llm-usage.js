@@ -0,0 +1,137 @@
+/**
+ * LLM usage accounting
+ * Token counts as the providers report them, summed per model, with a cost estimate
+ * from a per-model price table (llm-prices.json). Agents meter their own calls and
+ * return the totals in the query result (_meta.usage), so the gateway can account for
+ * every model a query used.
+ *
+ * Environment variables:
+ * - LLM_PRICES_FILE : Price table to use instead of the built-in llm-prices.json
+ *
+ * Price table:
+ * { "currency": "USD", "models": { "gpt-4o-mini": { "input": 0.15, "output": 0.6 }, "ollama:": { ... } } }
+ * Prices are per million tokens. A key matches a model id ("openai:gpt-4o-mini") or the
+ * id without its provider prefix ("gpt-4o-mini-2024-07-18") when it is a prefix of it;
+ * the longest matching key wins. Models without a price have no cost (null).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLogger } from './logger.js';
+
+const DEFAULT_PRICES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'llm-prices.json');
+
+let priceTable = null;
+
+function loadPrices() {
+  if (!priceTable) {
+    const file = process.env.LLM_PRICES_FILE || DEFAULT_PRICES;
+    try {
+      priceTable = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      getLogger().warn(`[LLMUsage] Price table ${file} not loaded, costs are not estimated: ${error.message}`);
+      priceTable = { currency: 'USD', models: {} };
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Token counts from any provider's usage shape: AI SDK (inputTokens/outputTokens),
+ * LiteLLM (promptTokens/completionTokens), OpenAI (prompt_tokens/completion_tokens)
+ * or Ollama (prompt_eval_count/eval_count)
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ *   null when the provider reported nothing
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+  const count = (...values) => values.map(Number).find(Number.isFinite) ?? 0;
+  const promptTokens = count(usage.promptTokens, usage.inputTokens, usage.prompt_tokens, usage.prompt_eval_count);
+  const completionTokens = count(usage.completionTokens, usage.outputTokens, usage.completion_tokens, usage.eval_count);
+  const totalTokens = count(usage.totalTokens, usage.total_tokens) || promptTokens + completionTokens;
+  return totalTokens > 0 ? { promptTokens, completionTokens, totalTokens } : null;
+}
+
+/**
+ * Price of a model per million tokens
+ * @returns {{ input: number, output: number }|null}
+ */
+export function getPrice(model) {
+  if (!model) {
+    return null;
+  }
+  const name = model.includes(':') ? model.slice(model.indexOf(':') + 1) : model;
+  const key = Object.keys(loadPrices().models)
+    .filter(candidate => model.startsWith(candidate) || name.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? priceTable.models[key] : null;
+}
+
+/**
+ * Estimated cost of a call in the price table's currency, null when the model has no price
+ */
+export function estimateCost(model, usage) {
+  const price = getPrice(model);
+  if (!price || !usage) {
+    return null;
+  }
+  return (usage.promptTokens * (price.input || 0) + usage.completionTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Usage summed per model
+ */
+export class UsageMeter {
+  constructor() {
+    this.models = new Map(); // model -> { promptTokens, completionTokens, totalTokens, calls }
+  }
+
+  /**
+   * Add one call's usage
+   * @param {string} model - Model id, e.g. "bedrock:anthropic.claude-3-5-sonnet-20241022-v2:0"
+   * @param {Object} usage - Provider usage in any shape normalizeUsage understands
+   */
+  add(model, usage) {
+    const tokens = normalizeUsage(usage);
+    if (!tokens) {
+      return;
+    }
+    const entry = this.models.get(model || 'unknown') || { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 };
+    entry.promptTokens += tokens.promptTokens;
+    entry.completionTokens += tokens.completionTokens;
+    entry.totalTokens += tokens.totalTokens;
+    entry.calls += usage.calls || 1;
+    this.models.set(model || 'unknown', entry);
+  }
+
+  /**
+   * Add another meter's summary (e.g. the _meta.usage an agent returned)
+   */
+  merge(summary) {
+    (summary?.models || []).forEach(({ model, ...usage }) => this.add(model, usage));
+  }
+
+  /**
+   * Per-model usage and cost, and the totals
+   * cost is null when a model used has no price, so a partial sum isn't mistaken for the total
+   */
+  toJSON() {
+    const models = [...this.models].map(([model, usage]) => ({ model, ...usage, cost: round(estimateCost(model, usage)) }));
+    const sum = key => models.reduce((total, entry) => total + entry[key], 0);
+    return {
+      models,
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      totalTokens: sum('totalTokens'),
+      cost: models.some(entry => entry.cost === null) ? null : round(sum('cost')),
+      currency: loadPrices().currency || 'USD'
+    };
+  }
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,54 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../logger.js';
+import { Cassette } from '../cassette.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a recorded call is replayed without calling out, on another day too', async () => {
+  const recorder = new Cassette('llm', { mode: 'record', dir });
+  let calls = 0;
+  const send = async () => ({ response: `answer ${++calls}`, usage: { totalTokens: 12 } });
+
+  const request = { prompt: 'Leave balance of Tom Lee on 2026-10-19T08:00:00Z?\n  (request 0b7e6c1a-9d3f-4c2e-8a1b-2f4d6e8a0c1e)', provider: 'aws', options: undefined };
+  assert.deepEqual(await recorder.call(request, send), { response: 'answer 1', usage: { totalTokens: 12 } });
+  await assert.rejects(recorder.call({ prompt: 'broken' }, async () => {
+    throw Object.assign(new Error('Throttled'), { code: 'THROTTLED', statusCode: 429 });
+  }), /Throttled/);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'llm.json'), 'utf8'));
+  assert.equal(saved.version, 1);
+  assert.equal(Object.keys(saved.interactions).length, 2);
+
+  const player = new Cassette('llm', { mode: 'replay', dir });
+  const replayed = await player.call({ provider: 'aws', prompt: 'Leave balance of Tom Lee on 2026-11-02T17:30:12.345Z? (request 7c1d2e3f-4a5b-4c6d-8e7f-901a2b3c4d5e)' }, send);
+  assert.deepEqual(replayed, { response: 'answer 1', usage: { totalTokens: 12 } });
+  assert.equal(calls, 1);
+
+  // Errors replay as recorded
+  await assert.rejects(player.call({ prompt: 'broken' }, send), error => error.message === 'Throttled' && error.code === 'THROTTLED' && error.statusCode === 429);
+});
+
+test('an unrecorded call fails with CASSETTE_MISS in replay mode', async () => {
+  fs.writeFileSync(path.join(dir, 'airs.json'), JSON.stringify({ version: 1, interactions: {} }));
+  const player = new Cassette('airs', { mode: 'replay', dir });
+
+  await assert.rejects(player.call({ prompt: 'never recorded' }, async () => assert.fail('called out in replay mode')),
+    error => error.code === 'CASSETTE_MISS' && /No recording for [0-9a-f]{16}/.test(error.message));
+  await assert.rejects(new Cassette('missing', { mode: 'replay', dir }).call({}, async () => null), /Cassette .*missing\.json not found/);
+});
+
+test('calls go straight through when cassettes are off', async () => {
+  const cassette = new Cassette('off', { mode: 'off', dir });
+  assert.equal(cassette.enabled, false);
+  assert.equal(await cassette.call({ prompt: 'hi' }, async () => 'live'), 'live');
+  assert.equal(fs.existsSync(path.join(dir, 'off.json')), false);
+  assert.throws(() => new Cassette('llm', { mode: 'rewind' }), /Invalid CASSETTE_MODE "rewind"/);
+});
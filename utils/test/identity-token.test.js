@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signIdentity, verifyIdentity } from '../identity-token.js';
+
+const secret = 'test-identity-secret';
+const alice = { email: 'alice.martin@company.com', name: 'Alice Martin', role: 'Engineer', department: 'Technology', employeeId: 'EMP042', sessionId: 'session-1' };
+
+function reencode(token, change) {
+  const [header, payload, signature] = token.split('.');
+  const claims = change(JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')));
+  return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+}
+
+test('a signed identity verifies to its fields only', () => {
+  const token = signIdentity({ ...alice, history: ['hello'], isAdmin: true }, { secret });
+  assert.deepEqual(verifyIdentity(token, { secret }), alice);
+});
+
+test('nothing is signed without a secret or an email', () => {
+  assert.equal(signIdentity(alice, { secret: '' }), null);
+  assert.equal(signIdentity({ name: 'Alice Martin' }, { secret }), null);
+  assert.throws(() => verifyIdentity(signIdentity(alice, { secret }), { secret: '' }), /REQUESTER_IDENTITY_SECRET is not set/);
+});
+
+test('changed, foreign and expired tokens are rejected', () => {
+  const token = signIdentity(alice, { secret });
+
+  assert.throws(() => verifyIdentity(reencode(token, claims => ({ ...claims, email: 'sarah.chen@company.com' })), { secret }), /Invalid identity token signature/);
+  assert.throws(() => verifyIdentity(signIdentity(alice, { secret: 'another-secret' }), { secret }), /Invalid identity token signature/);
+  assert.throws(() => verifyIdentity(signIdentity(alice, { secret, expiresIn: -60 }), { secret }), /Identity token expired/);
+  assert.throws(() => verifyIdentity('not-a-token', { secret }), /Malformed identity token/);
+
+  const [, payload, signature] = token.split('.');
+  const unsigned = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  assert.throws(() => verifyIdentity([unsigned, payload, signature].join('.'), { secret }), /algorithm not allowed: none/);
+});
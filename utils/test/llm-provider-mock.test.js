@@ -0,0 +1,103 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateText, streamText, APICallError } from 'ai';
+import { initializeLogger, getLogger } from '../logger.js';
+import { MockProvider } from '../llm-provider-mock.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-mock-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Files of a fixture directory are tried by name: 10-hr.json before 20-it.json
+fs.writeFileSync(path.join(dir, '20-it.json'), JSON.stringify({
+  rules: [
+    { name: 'it-catch-all', system: 'IT assistant', response: 'IT here' },
+    { name: 'hr-late', match: 'leave', response: 'never used, 10-hr.json comes first' }
+  ]
+}));
+fs.writeFileSync(path.join(dir, '10-hr.json'), JSON.stringify({
+  rules: [
+    {
+      name: 'leave-balance',
+      match: 'leave (?:for|of) (?<who>[A-Z][a-z]+ [A-Z][a-z]+)(?<suffix>!)?',
+      response: 'Leave for {{who}}: 12 days{{suffix}}. Plan: {"q": "{{who|json}} and {{s1}}"}',
+      usage: { inputTokens: 120, outputTokens: 30 }
+    },
+    { name: 'rate-limited', match: 'flood', error: { message: 'Rate limited', status: 429 } },
+    { name: 'bad-request', match: 'malformed', error: { message: 'Bad request', status: 400 } },
+    {
+      name: 'lookup',
+      match: 'who is (?<name>\\w+)',
+      response: 'Looking {{name}} up',
+      toolCalls: [
+        { name: 'get_employee', arguments: { name: '{{name}}' } },
+        { name: 'delete_everything', arguments: {} }
+      ]
+    }
+  ]
+}));
+
+const provider = new MockProvider({ fixtures: dir, latencyMs: '0', errorRate: 0 });
+const model = provider.languageModel('scripted');
+
+test('fixture rules answer in order, filling in the named groups of the match', async () => {
+  const { text, usage } = await generateText({ model, prompt: 'What is the leave of Tom Lee?' });
+
+  assert.equal(text, 'Leave for Tom Lee: 12 days. Plan: {"q": "Tom Lee and {{s1}}"}');
+  assert.equal(usage.inputTokens, 120);
+  assert.equal(usage.outputTokens, 30);
+  assert.equal((await generateText({ model, system: 'You are the IT assistant', prompt: 'VPN down' })).text, 'IT here');
+});
+
+test('prompts no fixture rule covers get the built-in catch-all answer', async () => {
+  const { text, usage } = await generateText({ model, prompt: 'Something nobody scripted' });
+
+  assert.match(text, /^This is a mock response/);
+  assert.equal(usage.inputTokens, Math.ceil('Something nobody scripted'.length / 4));
+});
+
+test('error rules fail like a provider: 429 and 5xx are retryable', async () => {
+  await assert.rejects(generateText({ model, prompt: 'flood', maxRetries: 0 }), error =>
+    APICallError.isInstance(error) && error.statusCode === 429 && error.isRetryable && error.message === '[MockLLM] Rate limited');
+  await assert.rejects(generateText({ model, prompt: 'malformed', maxRetries: 0 }), error =>
+    APICallError.isInstance(error) && error.statusCode === 400 && !error.isRetryable);
+});
+
+test('simulated outages repeat with the same seed', async () => {
+  const outcomes = async (seed) => {
+    const flaky = new MockProvider({ fixtures: dir, errorRate: 0.5, seed }).languageModel('scripted');
+    const results = [];
+    for (let i = 0; i < 8; i++) {
+      results.push(await generateText({ model: flaky, prompt: 'leave of Tom Lee', maxRetries: 0 })
+        .then(() => 'ok', error => error.statusCode));
+    }
+    return results;
+  };
+
+  const first = await outcomes(7);
+  assert.deepEqual(await outcomes(7), first);
+  assert.ok(first.includes('ok') && first.includes(503), `a mix of answers and outages: ${first}`);
+});
+
+test('tool calls are only made to the tools the caller offered', async () => {
+  const result = await model.doGenerate({
+    prompt: [{ role: 'user', content: [{ type: 'text', text: 'who is Nina?' }] }],
+    tools: [{ type: 'function', name: 'get_employee', inputSchema: { type: 'object' } }]
+  });
+
+  assert.equal(result.finishReason.unified, 'tool-calls');
+  assert.deepEqual(result.content, [
+    { type: 'text', text: 'Looking Nina up' },
+    { type: 'tool-call', toolCallId: `mock-${provider.calls}-1`, toolName: 'get_employee', input: '{"name":"Nina"}' }
+  ]);
+});
+
+test('streaming returns the same answer', async () => {
+  const result = streamText({ model, prompt: 'leave for Nina Park!' });
+  assert.equal(await result.text, 'Leave for Nina Park: 12 days!. Plan: {"q": "Nina Park and {{s1}}"}');
+});
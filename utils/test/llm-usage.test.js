@@ -0,0 +1,76 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initializeLogger, getLogger } from '../logger.js';
+import { normalizeUsage, getPrice, estimateCost, UsageMeter } from '../llm-usage.js';
+
+initializeLogger('test');
+getLogger().silent = true;
+
+// The price table is read on first use
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'prices.json'), JSON.stringify({
+  currency: 'EUR',
+  models: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'ollama:': { input: 0, output: 0 }
+  }
+}));
+process.env.LLM_PRICES_FILE = path.join(dir, 'prices.json');
+
+test('usage is read from every provider\'s shape', () => {
+  const expected = { promptTokens: 100, completionTokens: 20, totalTokens: 120 };
+  assert.deepEqual(normalizeUsage({ inputTokens: 100, outputTokens: 20 }), expected);
+  assert.deepEqual(normalizeUsage({ promptTokens: 100, completionTokens: 20, totalTokens: 120 }), expected);
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }), expected);
+  assert.deepEqual(normalizeUsage({ prompt_eval_count: 100, eval_count: 20 }), expected);
+  assert.deepEqual(normalizeUsage({ inputTokens: undefined, outputTokens: 20 }), { promptTokens: 0, completionTokens: 20, totalTokens: 20 });
+  assert.equal(normalizeUsage({ inputTokens: 0, outputTokens: 0 }), null);
+  assert.equal(normalizeUsage(null), null);
+});
+
+test('the longest price key matching the model id, with or without its provider, wins', () => {
+  assert.deepEqual(getPrice('openai:gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getPrice('azure:gpt-4o'), { input: 2.5, output: 10 });
+  assert.deepEqual(getPrice('ollama:qwen2.5:1.5b'), { input: 0, output: 0 });
+  assert.equal(getPrice('bedrock:anthropic.claude-3-5-sonnet-20241022-v2:0'), null);
+  assert.equal(getPrice(null), null);
+
+  assert.equal(estimateCost('openai:gpt-4o-mini', { promptTokens: 1000000, completionTokens: 500000 }), 0.45);
+  assert.equal(estimateCost('bedrock:claude', { promptTokens: 1000, completionTokens: 10 }), null);
+});
+
+test('the meter sums usage per model, agent summaries included', () => {
+  const meter = new UsageMeter();
+  meter.add('openai:gpt-4o-mini', { inputTokens: 1000, outputTokens: 500 });
+  meter.add('openai:gpt-4o-mini', { promptTokens: 200, completionTokens: 100 });
+  meter.add('openai:gpt-4o-mini', { inputTokens: 0, outputTokens: 0 });
+  meter.merge({ models: [{ model: 'ollama:qwen2.5:1.5b', promptTokens: 300, completionTokens: 30, totalTokens: 330, calls: 3 }] });
+
+  assert.deepEqual(meter.toJSON(), {
+    models: [
+      { model: 'openai:gpt-4o-mini', promptTokens: 1200, completionTokens: 600, totalTokens: 1800, calls: 2, cost: 0.00054 },
+      { model: 'ollama:qwen2.5:1.5b', promptTokens: 300, completionTokens: 30, totalTokens: 330, calls: 3, cost: 0 }
+    ],
+    promptTokens: 1500,
+    completionTokens: 630,
+    totalTokens: 2130,
+    cost: 0.00054,
+    currency: 'EUR'
+  });
+});
+
+test('the total cost is unknown when a model used has no price', () => {
+  const meter = new UsageMeter();
+  meter.add('openai:gpt-4o', { inputTokens: 1000, outputTokens: 100 });
+  meter.add(null, { inputTokens: 50, outputTokens: 5 });
+
+  const summary = meter.toJSON();
+  assert.deepEqual(summary.models.map(({ model, cost }) => [model, cost]), [['openai:gpt-4o', 0.0035], ['unknown', null]]);
+  assert.equal(summary.totalTokens, 1155);
+  assert.equal(summary.cost, null);
+});
@@ -0,0 +1,45 @@
+/**
+ * Text scoring helpers shared by the gateway router and the agents' canHandle
+ * Both score the same registered keywords, so an agent's own estimate and the
+ * gateway's routing scores agree.
+ */
+
+/**
+ * Split text into lowercase, accent-free words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Keywords found in the text as whole words or phrases ("time off", not "sometime offline")
+ * @param {string} text
+ * @param {string[]} keywords
+ * @returns {string[]} matched keywords
+ */
+export function matchKeywords(text, keywords = []) {
+  const padded = ` ${tokenize(text).join(' ')} `;
+  return keywords.filter((keyword) => {
+    const phrase = tokenize(keyword).join(' ');
+    return phrase && padded.includes(` ${phrase} `);
+  });
+}
+
+/**
+ * 0-100 confidence from keyword matches, with diminishing returns per extra match
+ * @param {string} text
+ * @param {string[]} keywords
+ * @param {(keyword: string) => number} [weight] - Per-keyword weight, 1 by default
+ * @returns {number}
+ */
+export function keywordScore(text, keywords = [], weight = () => 1) {
+  const total = matchKeywords(text, keywords).reduce((sum, keyword) => sum + weight(keyword), 0);
+  return Math.round(100 * total / (total + 1));
+}